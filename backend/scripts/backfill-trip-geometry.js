@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Fills the GeoJSON search fields (routeLine, pickupLocations, destinationLocation) of trips created before
+// geospatial search existed, and builds the 2dsphere indexes. Safe to re-run: geometry is recomputed from
+// the lat/lng fields every time.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Trip, { tripGeometry } from "../src/models/Trip.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+async function main() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error("MONGO_URI no definido");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri, { dbName: "wheels" });
+  await Trip.syncIndexes();
+
+  const cursor = Trip.collection.find(
+    {},
+    {
+      projection: {
+        route: 1,
+        pickupPoints: 1,
+        originStopLat: 1,
+        originStopLng: 1,
+        destinationStopLat: 1,
+        destinationStopLng: 1
+      }
+    }
+  );
+
+  let operations = [];
+  let tripsUpdated = 0;
+  const flush = async () => {
+    if (!operations.length) return;
+    await Trip.collection.bulkWrite(operations, { ordered: false });
+    tripsUpdated += operations.length;
+    operations = [];
+  };
+
+  for await (const trip of cursor) {
+    const geometry = tripGeometry(trip);
+    const $set = {};
+    const $unset = {};
+    for (const [field, value] of Object.entries(geometry)) {
+      if (value) $set[field] = value;
+      else $unset[field] = "";
+    }
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+    operations.push({ updateOne: { filter: { _id: trip._id }, update } });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`Updated search geometry of ${tripsUpdated} trips`);
+}
+
+main()
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("Trip geometry backfill failed:", err && err.message ? err.message : err);
+    await mongoose.disconnect();
+    process.exit(2);
+  });
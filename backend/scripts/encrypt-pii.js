@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// Encrypts the personal data (and TOTP secrets) of users and vehicles stored before field-level encryption existed, moves
+// values encrypted with an older key to the current one (first entry of PII_ENCRYPTION_KEYS) and
+// recomputes the universityId blind index. Safe to re-run; keep retired keys configured until it finishes.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../src/models/User.js";
+import Vehicle from "../src/models/Vehicle.js";
+import {
+  blindIndex,
+  decryptField,
+  encryptField,
+  encryptionKeys,
+  needsReencryption
+} from "../src/utils/fieldEncryption.js";
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+const USER_FIELDS = [
+  "universityId",
+  "phone",
+  "emergencyContact.name",
+  "emergencyContact.phone",
+  "twoFactor.secret",
+  "twoFactor.pendingSecret"
+];
+const VEHICLE_FIELDS = ["licenseNumber"];
+
+function valueAt(doc, field) {
+  return field.split(".").reduce((node, part) => node?.[part], doc);
+}
+
+// Raw collection access: the model hooks would decrypt on read and skip values that are already encrypted.
+async function migrate(Model, fields, blindIndexes = {}) {
+  const projection = Object.fromEntries([...fields, ...Object.values(blindIndexes)].map((field) => [field, 1]));
+  const cursor = Model.collection.find({}, { projection });
+
+  let operations = [];
+  let updated = 0;
+  const flush = async () => {
+    if (!operations.length) return;
+    await Model.collection.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const $set = {};
+    for (const field of fields) {
+      const value = valueAt(doc, field);
+      if (needsReencryption(value)) $set[field] = encryptField(decryptField(value));
+    }
+    for (const [field, indexField] of Object.entries(blindIndexes)) {
+      const hash = blindIndex(decryptField(valueAt(doc, field)));
+      if (hash && hash !== doc[indexField]) $set[indexField] = hash;
+    }
+    if (!Object.keys($set).length) continue;
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return updated;
+}
+
+async function main() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error("MONGO_URI no definido");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri, { dbName: "wheels" });
+  console.log(`Cifrando con la clave "${encryptionKeys()[0].id}"`);
+
+  const usersUpdated = await migrate(User, USER_FIELDS, { universityId: "universityIdHash" });
+  const vehiclesUpdated = await migrate(Vehicle, VEHICLE_FIELDS);
+  console.log(`Updated ${usersUpdated} users and ${vehiclesUpdated} vehicles`);
+
+  // The unique index on the blind index can only be built once every row has one.
+  try {
+    await User.syncIndexes();
+  } catch (err) {
+    console.error("No se pudo crear el índice único de universityId (¿códigos duplicados?):", err.message);
+    process.exitCode = 3;
+  }
+}
+
+main()
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("PII encryption migration failed:", err && err.message ? err.message : err);
+    await mongoose.disconnect();
+    process.exit(2);
+  });
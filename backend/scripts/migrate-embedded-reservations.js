@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Moves reservations embedded in trips (trip.reservations[]) into the Reservation collection.
+// Safe to re-run: reservations keep their original _id and are upserted, and the embedded array is removed afterwards.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Trip from "../src/models/Trip.js";
+import Reservation from "../src/models/Reservation.js";
+
+dotenv.config();
+
+async function main() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error("MONGO_URI no definido");
+    process.exit(1);
+  }
+
+  await mongoose.connect(mongoUri, { dbName: "wheels" });
+  await Reservation.syncIndexes();
+
+  // Read raw documents: the Trip schema no longer declares the embedded array.
+  const cursor = Trip.collection.find(
+    { "reservations.0": { $exists: true } },
+    { projection: { driver: 1, reservations: 1 } }
+  );
+
+  let tripsMigrated = 0;
+  let reservationsMigrated = 0;
+  for await (const trip of cursor) {
+    const operations = trip.reservations
+      .filter((reservation) => reservation?.passenger)
+      .map((reservation) => ({
+        updateOne: {
+          filter: { _id: reservation._id },
+          update: {
+            $setOnInsert: {
+              trip: trip._id,
+              passenger: reservation.passenger,
+              driver: trip.driver,
+              seats: reservation.seats,
+              pickupPoints: reservation.pickupPoints || [],
+              paymentMethod: reservation.paymentMethod || "cash",
+              status: reservation.status || "pending",
+              decisionAt: reservation.decisionAt,
+              createdAt: reservation.createdAt || trip._id.getTimestamp(),
+              updatedAt: reservation.updatedAt || reservation.createdAt || trip._id.getTimestamp()
+            }
+          },
+          upsert: true
+        }
+      }));
+
+    if (operations.length) {
+      await Reservation.collection.bulkWrite(operations, { ordered: false });
+    }
+    await Trip.collection.updateOne({ _id: trip._id }, { $unset: { reservations: "" } });
+    tripsMigrated += 1;
+    reservationsMigrated += operations.length;
+  }
+
+  console.log(`Migrated ${reservationsMigrated} reservations from ${tripsMigrated} trips`);
+}
+
+main()
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("Reservation migration failed:", err && err.message ? err.message : err);
+    await mongoose.disconnect();
+    process.exit(2);
+  });
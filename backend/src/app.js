@@ -10,10 +10,14 @@ import swaggerSpec from "./utils/swagger.js";
 import authRoutes from "./routes/auth.js";
 import vehicleRoutes from "./routes/vehicles.js";
 import tripRoutes from "./routes/trips.js";
+import tripTemplateRoutes from "./routes/tripTemplates.js";
+import reservationRoutes from "./routes/reservations.js";
+import notificationRoutes from "./routes/notifications.js";
 import ratingRoutes from "./routes/ratings.js";
 import mapsRoutes from "./routes/maps.js";
 import navigationRoutes from "./routes/navigation.js";
 import userRoutes from "./routes/users.js";
+import adminRoutes from "./routes/admin.js";
 
 // Initialize environment variables early; prevents undefined config at runtime.
 dotenv.config();
@@ -21,6 +25,15 @@ dotenv.config();
 // Create the Express app instance; this is exported for reuse in tests (Supertest).
 const app = express();
 
+// Behind a load balancer (Render, Heroku, nginx) req.ip must come from X-Forwarded-For, otherwise every
+// client shares the proxy's IP in the per-IP rate limits. TRUST_PROXY takes a hop count or an Express preset.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  const hops = Number(trustProxy);
+  if (Number.isInteger(hops)) app.set("trust proxy", hops);
+  else app.set("trust proxy", trustProxy === "true" ? true : trustProxy);
+}
+
 // CORS middleware enables cross-origin requests from the frontend during development.
 // In production, restrict origins to trusted hosts for security.
 app.use(cors());
@@ -59,10 +72,14 @@ app.get("/", (_req, res) => res.redirect("/api-docs"));
 app.use("/auth", authRoutes);
 app.use("/vehicles", vehicleRoutes);
 app.use("/trips", tripRoutes);
+app.use("/trip-templates", tripTemplateRoutes);
+app.use("/reservations", reservationRoutes);
+app.use("/notifications", notificationRoutes);
 app.use("/ratings", ratingRoutes);
 app.use("/maps", mapsRoutes);
 app.use("/navigation", navigationRoutes);
 app.use("/users", userRoutes);
+app.use("/admin", adminRoutes);
 
 // Serve Swagger UI with the OpenAPI spec; this gives interactive API documentation in dev and QA.
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
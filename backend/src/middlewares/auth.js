@@ -2,8 +2,18 @@
 // Expected format: "Authorization: Bearer <token>".
 import jwt from "jsonwebtoken";
 import { isTokenRevoked } from "../utils/tokenBlacklist.js";
+import User from "../models/User.js";
+import { findAccountRestriction } from "../services/accountStatusService.js";
+import { findEmailVerificationRestriction } from "../services/emailVerificationService.js";
 
-export function requireAuth(req, res, next) {
+// Shared by requireAuth and the Socket.IO handshake: resolves the JWT claims or rejects when invalid/revoked.
+export async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (await isTokenRevoked(token, decoded)) throw new Error("Token revoked");
+  return decoded;
+}
+
+export async function requireAuth(req, res, next) {
   // Safely read the header and extract the token if present in Bearer format.
   const hdr = req.headers.authorization || "";
   const token = hdr.startsWith("Bearer ") ? hdr.slice(7) : null;
@@ -11,16 +21,70 @@ export function requireAuth(req, res, next) {
   // Reject requests without token early to avoid unnecessary work.
   if (!token) return res.status(401).json({ error: "No token" });
 
+  let decoded;
   try {
     // Verify JWT signature and parse claims using the shared secret.
-    // On success, attach user claims to req.user for downstream handlers.
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (isTokenRevoked(token)) return res.status(401).json({ error: "Invalid token" });
-    req.user = decoded;
-    req.token = token;
-    next();
+    decoded = await verifyAccessToken(token);
   } catch {
     // Avoid leaking details (e.g., token expired vs invalid); respond with generic 401.
-    res.status(401).json({ error: "Invalid token" });
+    return res.status(401).json({ error: "Invalid token" });
+  }
+  // On success, attach user claims to req.user for downstream handlers.
+  req.user = decoded;
+  req.token = token;
+  next();
+}
+
+// For public endpoints that personalise results for signed-in users: attaches req.user when a valid
+// token is sent and otherwise carries on anonymously (an invalid token is ignored rather than rejected).
+export async function optionalAuth(req, _res, next) {
+  const hdr = req.headers.authorization || "";
+  const token = hdr.startsWith("Bearer ") ? hdr.slice(7) : null;
+  if (token) {
+    try {
+      req.user = await verifyAccessToken(token);
+      req.token = token;
+    } catch {
+      // Anonymous request.
+    }
+  }
+  next();
+}
+
+// Middleware for back-office routes; must run after requireAuth.
+// Roles are read from the database (not the JWT) so revoking "admin" takes effect immediately.
+export async function requireAdmin(req, res, next) {
+  try {
+    const user = await User.findById(req.user?.sub).select("roles").lean();
+    if (!user?.roles?.includes("admin")) {
+      return res.status(403).json({ error: "Acceso restringido a administradores" });
+    }
+    next();
+  } catch {
+    res.status(500).json({ error: "No se pudo validar el rol" });
+  }
+}
+
+// Middleware for actions restricted accounts may not take (publishing trips, booking seats); must run after requireAuth.
+// Answers 403 with { error, code: "account_suspended" | "account_banned", accountStatus } so the UI can explain why.
+export async function requireActiveAccount(req, res, next) {
+  try {
+    const restriction = await findAccountRestriction(req.user?.sub);
+    if (restriction) return res.status(403).json(restriction);
+    next();
+  } catch {
+    res.status(500).json({ error: "No se pudo validar el estado de la cuenta" });
+  }
+}
+
+// Middleware for publishing trips and booking seats: the institutional email must be verified first.
+// Answers 403 with { error, code: "email_not_verified" }; must run after requireAuth.
+export async function requireVerifiedEmail(req, res, next) {
+  try {
+    const restriction = await findEmailVerificationRestriction(req.user?.sub);
+    if (restriction) return res.status(403).json(restriction);
+    next();
+  } catch {
+    res.status(500).json({ error: "No se pudo validar la verificación del correo" });
   }
 }
@@ -0,0 +1,12 @@
+// Marks routes kept only for older clients: responses carry a `Deprecation` header and a `Link` to the
+// route that replaces them (same sub-path under `successor`). Handlers shared with the successor can
+// check `res.locals.deprecatedRoute` to keep the old contract.
+export function deprecatedRoute(successor) {
+  return (req, res, next) => {
+    const subPath = req.path === "/" ? "" : req.path;
+    res.set("Deprecation", "true");
+    res.set("Link", `<${successor}${subPath}>; rel="successor-version"`);
+    res.locals.deprecatedRoute = true;
+    next();
+  };
+}
@@ -0,0 +1,51 @@
+// Fixed-window rate limiting keyed by client IP and by account email (see utils/rateLimitStore.js).
+// Over the limit the request gets 429 with a Retry-After header. If the store is unreachable the
+// request goes through: throttling must not take the API down with it.
+import { getRateLimitStore, withStoreTimeout } from "../utils/rateLimitStore.js";
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function normalizeEmail(email) {
+  const value = String(email || "").trim().toLowerCase();
+  return value || null;
+}
+
+export function tooManyRequests(res, retryAfterSeconds, error = "Demasiadas solicitudes, intenta de nuevo más tarde") {
+  const seconds = Math.max(1, Math.ceil(retryAfterSeconds));
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({ error, retryAfter: seconds });
+}
+
+// Key extractors: the IP, the email in the body (login, forgot-password) or the signed-in user's email.
+export const byIp = (req) => req.ip;
+export const byBodyEmail = (req) => normalizeEmail(req.body?.email);
+export const byUserEmail = (req) => normalizeEmail(req.user?.email);
+
+/**
+ * rateLimit - allow at most `max` requests per `windowSeconds` for each key, e.g. `keys: { ip: byIp, email: byBodyEmail }`
+ * counts per IP and per email separately (requests without an email are only counted per IP).
+ * `max` and `windowSeconds` can be read from env: `${envPrefix}_MAX` and `${envPrefix}_WINDOW_SECONDS`.
+ */
+export function rateLimit({ name, max, windowSeconds, envPrefix, keys = { ip: byIp } }) {
+  return async (req, res, next) => {
+    const limit = envPrefix ? numberFromEnv(`${envPrefix}_MAX`, max) : max;
+    const windowMs = (envPrefix ? numberFromEnv(`${envPrefix}_WINDOW_SECONDS`, windowSeconds) : windowSeconds) * 1000;
+    const store = getRateLimitStore();
+    try {
+      let retryAfterMs = 0;
+      for (const [dimension, extract] of Object.entries(keys)) {
+        const value = extract(req);
+        if (!value) continue;
+        const { count, resetMs } = await withStoreTimeout(store.increment(`${name}:${dimension}:${value}`, windowMs));
+        if (count > limit) retryAfterMs = Math.max(retryAfterMs, resetMs);
+      }
+      if (retryAfterMs > 0) return tooManyRequests(res, retryAfterMs / 1000);
+    } catch (err) {
+      console.error(`rate limit ${name} unavailable`, err.message);
+    }
+    next();
+  };
+}
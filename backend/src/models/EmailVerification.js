@@ -0,0 +1,17 @@
+// EmailVerification model: one-time token (stored hashed) proving the user owns their institutional email.
+import mongoose from "mongoose";
+
+const emailVerificationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    token: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    used: { type: Boolean, default: false }
+  },
+  { timestamps: true }
+);
+
+// Serves the resend throttle (latest tokens per user).
+emailVerificationSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("EmailVerification", emailVerificationSchema);
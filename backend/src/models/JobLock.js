@@ -0,0 +1,14 @@
+// JobLock model: lease held by a worker process so only one instance runs a scheduled job at a time.
+import mongoose from "mongoose";
+
+const jobLockSchema = new mongoose.Schema(
+  {
+    // Job name, e.g. "trip-scheduler".
+    _id: { type: String },
+    owner: { type: String, required: true },
+    expiresAt: { type: Date, required: true }
+  },
+  { versionKey: false }
+);
+
+export default mongoose.model("JobLock", jobLockSchema);
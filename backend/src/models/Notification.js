@@ -0,0 +1,43 @@
+// Notification model: in-app messages shown in the navbar bell (reservation and trip lifecycle events).
+import mongoose from "mongoose";
+
+const notificationTypes = [
+  "reservation.created",
+  "reservation.confirmed",
+  "reservation.rejected",
+  "reservation.cancelled",
+  "reservation.expired",
+  "reservation.reschedule_accepted",
+  "reservation.reschedule_declined",
+  "trip.cancelled",
+  "trip.reminder",
+  "trip.rescheduled",
+  "pickup.suggested",
+  "account.status"
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    // Recipient of the notification.
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: notificationTypes, required: true },
+    title: { type: String, required: true, trim: true },
+    message: { type: String, trim: true },
+
+    // Optional references so the UI can link to the related trip/reservation.
+    trip: { type: mongoose.Schema.Types.ObjectId, ref: "Trip" },
+    reservation: { type: mongoose.Schema.Types.ObjectId, ref: "Reservation" },
+
+    // null while unread.
+    readAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+// Bell listing (newest first) and unread counter per user.
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.types = notificationTypes;
+
+export default mongoose.model("Notification", notificationSchema);
@@ -1,10 +1,14 @@
 // Rating model enabling user-to-user feedback after trips (drivers and passengers).
 import mongoose from "mongoose";
 
+const moderationStatuses = ["visible", "pending", "hidden"];
+
 const ratingSchema = new mongoose.Schema(
   {
-    // Author of the rating.
+    // Author of the rating. When the author deletes their account it is swapped for an id that matches
+    // no user and `anonymized` is set, so the score still counts for the recipient.
     from: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    anonymized: { type: Boolean, default: undefined },
 
     // Recipient of the rating.
     to: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -13,9 +17,52 @@ const ratingSchema = new mongoose.Schema(
     score: { type: Number, min: 1, max: 5, required: true },
 
     // Optional comment for qualitative feedback.
-    comment: String
+    comment: String,
+
+    // Completed trip both users took part in; one rating per (trip, from, to).
+    trip: { type: mongoose.Schema.Types.ObjectId, ref: "Trip", required: true },
+
+    // Role of the author on that trip: drivers rate passengers and passengers rate the driver.
+    raterRole: { type: String, enum: ["driver", "passenger"], required: true },
+
+    // Moderation of the comment: pending ones wait for an admin and only visible ones are published.
+    status: { type: String, enum: moderationStatuses, default: "visible" },
+
+    // Pre-filter flags raised when the comment was written (offensive terms, phone, email...).
+    moderationFlags: { type: [String], default: undefined },
+
+    // User reports; openReports counts the ones no admin has reviewed yet.
+    reports: {
+      type: [
+        {
+          by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+          reason: { type: String, trim: true },
+          createdAt: { type: Date, default: Date.now }
+        }
+      ],
+      default: undefined
+    },
+    openReports: { type: Number, default: 0 },
+
+    // Last admin decision.
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    moderatedAt: Date,
+    moderationNotes: String
   },
   { timestamps: true }
 );
 
+// Ratings created before trips were linked have no `trip` and stay out of the uniqueness rule.
+ratingSchema.index(
+  { trip: 1, from: 1, to: 1 },
+  { unique: true, partialFilterExpression: { trip: { $exists: true } } }
+);
+ratingSchema.index({ to: 1, createdAt: -1 });
+// Driver averages (trip cards, rating sort) only count the ratings written by passengers.
+ratingSchema.index({ to: 1, raterRole: 1 });
+// Admin moderation queue.
+ratingSchema.index({ status: 1, openReports: 1, createdAt: 1 });
+
+ratingSchema.statics.moderationStatuses = moderationStatuses;
+
 export default mongoose.model("Rating", ratingSchema);
@@ -0,0 +1,49 @@
+// Reservation model: seats booked by a passenger on a trip, kept outside Trip so lookups stay indexed.
+import mongoose from "mongoose";
+import { pickupPointSchema } from "./Trip.js";
+
+// Statuses that hold seats on the trip; cancelled/rejected/expired reservations have released them.
+const activeStatuses = ["pending", "confirmed"];
+
+const reservationSchema = new mongoose.Schema(
+  {
+    trip: { type: mongoose.Schema.Types.ObjectId, ref: "Trip", required: true },
+    passenger: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Denormalised from the trip so drivers can list their bookings without a join.
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    seats: { type: Number, required: true, min: 1 },
+    pickupPoints: [{ type: pickupPointSchema, required: true }],
+    paymentMethod: { type: String, enum: ["cash", "nequi"], default: "cash" },
+    status: {
+      type: String,
+      // "expired": still pending when the worker's response window ran out (see services/tripScheduler.js).
+      enum: ["pending", "confirmed", "cancelled", "rejected", "expired"],
+      default: "pending"
+    },
+    decisionAt: { type: Date },
+
+    // Passenger answer to the latest trip reschedule; absent while the trip keeps its original time.
+    reschedule: {
+      status: { type: String, enum: ["pending", "accepted", "declined"] },
+      proposedDepartureAt: { type: Date },
+      respondedAt: { type: Date }
+    }
+  },
+  { timestamps: true }
+);
+
+// "My reservations" (passenger) and per-trip listings (driver) are the two hot paths.
+reservationSchema.index({ passenger: 1, status: 1, createdAt: -1 });
+reservationSchema.index({ trip: 1, status: 1 });
+reservationSchema.index({ driver: 1, status: 1 });
+// One active booking per passenger and trip; the service check alone loses to concurrent requests.
+reservationSchema.index(
+  { trip: 1, passenger: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: activeStatuses } } }
+);
+
+reservationSchema.statics.activeStatuses = activeStatuses;
+
+export default mongoose.model("Reservation", reservationSchema);
@@ -0,0 +1,24 @@
+// SecurityEvent model: audit trail of security-relevant events, starting with login lockouts.
+import mongoose from "mongoose";
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["login_lockout"], required: true },
+    // Email as typed at login (may not belong to any account).
+    email: { type: String, lowercase: true, trim: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    failedAttempts: { type: Number, default: 0 },
+    // Consecutive lockouts in the current streak; drives the progressive duration.
+    lockoutLevel: { type: Number, default: 1 },
+    lockedUntil: { type: Date, default: null }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+securityEventSchema.statics.types = ["login_lockout"];
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+
+export default mongoose.model("SecurityEvent", securityEventSchema);
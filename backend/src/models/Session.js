@@ -0,0 +1,27 @@
+// Session model: one signed-in device. Holds the hash of its current refresh token (rotated on every use)
+// and the hashes it replaced, so presenting an old one is detected as token reuse.
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    // Most recent rotated-out hashes (bounded); kept until the session expires.
+    previousTokenHashes: { type: [String], default: [] },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    // logout | logout_all | password_reset | reuse_detected | account_deleted | account_banned
+    revokedReason: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+// Mongo drops sessions once they can no longer be refreshed.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
@@ -1,7 +1,8 @@
 // Trip model for ride offers: origin, destination, timing, capacity, and booking state.
 import mongoose from "mongoose";
+import { toGeoLineString, toGeoMultiPoint, toGeoPoint } from "../utils/geo.js";
 
-const pickupPointSchema = new mongoose.Schema(
+export const pickupPointSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
     description: { type: String },
@@ -29,25 +30,8 @@ const pickupSuggestionSchema = new mongoose.Schema(
   { _id: true, timestamps: true }
 );
 
-const reservationSchema = new mongoose.Schema(
-  {
-    passenger: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-    seats: { type: Number, required: true, min: 1 },
-    pickupPoints: [{ type: pickupPointSchema, required: true }],
-    paymentMethod: { type: String, enum: ["cash", "nequi"], default: "cash" },
-    status: {
-      type: String,
-      enum: ["pending", "confirmed", "cancelled", "rejected"],
-      default: "pending"
-    },
-    decisionAt: { type: Date }
-  },
-  { _id: true, timestamps: true }
-);
-
-
 // Polyline waypoint schema for route drawing
-const polylinePointSchema = new mongoose.Schema(
+export const polylinePointSchema = new mongoose.Schema(
   {
     lat: { type: Number, required: true },
     lng: { type: Number, required: true }
@@ -55,6 +39,17 @@ const polylinePointSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// GeoJSON geometry derived from the lat/lng fields above; only used for 2dsphere search, never sent to clients.
+function geoJsonSchema(type, coordinates) {
+  return new mongoose.Schema(
+    {
+      type: { type: String, enum: [type], required: true },
+      coordinates: { type: coordinates, required: true }
+    },
+    { _id: false }
+  );
+}
+
 const tripSchema = new mongoose.Schema(
   {
     // Driver who created the trip.
@@ -105,15 +100,75 @@ const tripSchema = new mongoose.Schema(
       default: "scheduled"
     },
 
-    // Embedded reservations for quick lookup. For large scale, move to separate collection.
-    reservations: [reservationSchema],
+    // Set by the worker once the pre-departure reminder went out, so it is sent only once.
+    reminderSentAt: { type: Date },
+
+    // Last driver-initiated time change (PUT /trips/:id/reschedule); passengers answer on their reservation.
+    reschedule: {
+      previousDepartureAt: { type: Date },
+      requestedAt: { type: Date },
+      reason: { type: String, trim: true }
+    },
+
+    // Set when the trip was materialised from a recurring TripTemplate.
+    template: { type: mongoose.Schema.Types.ObjectId, ref: "TripTemplate" },
+
+    // Reservations live in their own collection (see models/Reservation.js).
 
     // Pickup suggestions submitted by passengers when booking.
-    pickupSuggestions: [pickupSuggestionSchema]
+    pickupSuggestions: [pickupSuggestionSchema],
+
+    // Search geometry kept in sync by the pre-validate hook (see GET /trips `near` / `dest_near`).
+    routeLine: { type: geoJsonSchema("LineString", [[Number]]), select: false },
+    pickupLocations: { type: geoJsonSchema("MultiPoint", [[Number]]), select: false },
+    destinationLocation: { type: geoJsonSchema("Point", [Number]), select: false }
   },
   { timestamps: true }
 );
 
+// One trip per template occurrence, so re-running the generator never duplicates a commute.
+tripSchema.index(
+  { template: 1, departureAt: 1 },
+  { unique: true, partialFilterExpression: { template: { $exists: true } } }
+);
+
+tripSchema.index({ routeLine: "2dsphere" });
+tripSchema.index({ pickupLocations: "2dsphere" });
+tripSchema.index({ destinationLocation: "2dsphere" });
+
+/**
+ * tripGeometry - search geometry for a trip: its polyline, the places a passenger can board
+ * (origin stop plus active pickup points) and where it ends.
+ */
+export function tripGeometry(trip) {
+  const boardingPoints = [
+    { lat: trip.originStopLat, lng: trip.originStopLng },
+    ...(trip.pickupPoints || []).filter((point) => (point.status || "active") === "active")
+  ];
+  const route = trip.route || [];
+  const destination =
+    toGeoPoint({ lat: trip.destinationStopLat, lng: trip.destinationStopLng }) || toGeoPoint(route[route.length - 1]);
+  return {
+    routeLine: toGeoLineString(route),
+    pickupLocations: toGeoMultiPoint(boardingPoints),
+    destinationLocation: destination
+  };
+}
+
+const GEOMETRY_SOURCE_PATHS = [
+  "route",
+  "pickupPoints",
+  "originStopLat",
+  "originStopLng",
+  "destinationStopLat",
+  "destinationStopLng"
+];
+
+tripSchema.pre("validate", function syncGeometry() {
+  if (!this.isNew && !GEOMETRY_SOURCE_PATHS.some((path) => this.isModified(path))) return;
+  this.set(tripGeometry(this));
+});
+
 tripSchema.pre("validate", function handleSeatConsistency() {
   if (typeof this.seatsTotal === "number" && this.seatsTotal >= 0) {
     if (this.seatsAvailable == null) {
@@ -0,0 +1,52 @@
+// TripTemplate model: a driver's recurring commute (weekdays + time) used to generate concrete trips ahead of time.
+import mongoose from "mongoose";
+import { pickupPointSchema, polylinePointSchema } from "./Trip.js";
+
+const tripTemplateSchema = new mongoose.Schema(
+  {
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: "Vehicle", required: true },
+
+    // Label shown to the driver, e.g. "Chía → Sabana mañanas".
+    name: { type: String, trim: true },
+
+    // Same route fields as Trip so generated trips look exactly like hand-made ones.
+    origin: { type: String, required: true, trim: true },
+    destination: { type: String, required: true, trim: true },
+    routeDescription: { type: String, trim: true },
+    originStopId: { type: String, trim: true },
+    originStopName: { type: String, trim: true },
+    originStopLat: { type: Number },
+    originStopLng: { type: Number },
+    destinationStopId: { type: String, trim: true },
+    destinationStopName: { type: String, trim: true },
+    destinationStopLat: { type: Number },
+    destinationStopLng: { type: Number },
+    route: [polylinePointSchema],
+    pickupPoints: [pickupPointSchema],
+
+    seatsTotal: { type: Number, required: true, min: 1 },
+    pricePerSeat: { type: Number, required: true, min: 0 },
+    distanceKm: { type: Number },
+    durationMinutes: { type: Number },
+
+    // Recurrence: weekdays use Date#getDay numbering (0 = domingo) and time is local Bogotá time "HH:mm".
+    weekdays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      validate: (value) => Array.isArray(value) && value.length > 0
+    },
+    departureTime: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+
+    // Paused templates are kept but the generator ignores them.
+    active: { type: Boolean, default: true },
+
+    // Last day (exclusive) the worker already generated trips for.
+    generatedUntil: { type: Date }
+  },
+  { timestamps: true }
+);
+
+tripTemplateSchema.index({ driver: 1, createdAt: -1 });
+tripTemplateSchema.index({ active: 1, generatedUntil: 1 });
+
+export default mongoose.model("TripTemplate", tripTemplateSchema);
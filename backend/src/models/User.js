@@ -1,7 +1,27 @@
 // User model representing authenticated platform users (students/drivers).
 import mongoose from "mongoose";
+import { encryptedFields } from "../utils/fieldEncryption.js";
 
-const allowedRoles = ["passenger", "driver"];
+// "admin" is granted manually (never through registration or /auth/role) and unlocks back-office tools.
+const allowedRoles = ["passenger", "driver", "admin"];
+const switchableRoles = ["passenger", "driver"];
+
+// active → warned (can still use the app) → suspended (temporary) → banned (permanent).
+const accountStates = ["active", "warned", "suspended", "banned"];
+
+const accountStatusSchema = new mongoose.Schema(
+  {
+    state: { type: String, enum: accountStates, default: "active" },
+    reason: { type: String, trim: true },
+    // When a warning or suspension lapses; null means it lasts until changed.
+    until: { type: Date, default: null },
+    // "automatic" comes from the reputation rule; "admin" overrides it until cleared or expired.
+    source: { type: String, enum: ["automatic", "admin"], default: "automatic" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedAt: { type: Date, default: null }
+  },
+  { _id: false }
+);
 
 const emergencyContactSchema = new mongoose.Schema(
   {
@@ -11,15 +31,37 @@ const emergencyContactSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Optional TOTP second factor. `pendingSecret` waits for the first valid code before it becomes `secret`
+// (both are encrypted at rest); `lastUsedStep` stops a code from being replayed; recovery codes are stored
+// as SHA-256 hashes.
+const twoFactorSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null },
+    lastUsedStep: { type: Number, default: 0 },
+    recoveryCodeHashes: { type: [String], default: [] },
+    enabledAt: { type: Date, default: null }
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
   {
     // Unique institutional email used as the primary identifier for login.
     email: { type: String, unique: true, required: true, lowercase: true, trim: true },
+    // Set to false at registration until the emailed link is used. Accounts created before
+    // verification existed have no value and are treated as verified (see isEmailVerified).
+    emailVerified: { type: Boolean },
+    emailVerifiedAt: { type: Date, default: null },
 
     // Core identity fields required by registration flows.
     firstName: { type: String, required: true, trim: true },
     lastName: { type: String, required: true, trim: true },
+    // universityId, phone and the emergency contact are encrypted at rest (see the plugin below).
     universityId: { type: String, required: true, trim: true },
+    // Blind index of universityId: the only way to search it, and what keeps it unique.
+    universityIdHash: { type: String, unique: true, sparse: true },
     phone: { type: String, required: true, trim: true },
 
     // Optional avatar stored in object storage (S3, Cloudinary, etc.).
@@ -41,6 +83,9 @@ const userSchema = new mongoose.Schema(
     // Hashed password (bcrypt). Never store plaintext passwords for security.
     passwordHash: { type: String, required: true },
 
+    // Second factor required at login once enabled (see services/twoFactorService.js).
+    twoFactor: { type: twoFactorSchema, default: () => ({}) },
+
     // Roles that the user is allowed to assume in the app.
     roles: {
       type: [String],
@@ -53,7 +98,17 @@ const userSchema = new mongoose.Schema(
     },
 
     // Current role selected by the user (passenger/driver).
-    activeRole: { type: String, enum: allowedRoles, default: "passenger" }
+    activeRole: { type: String, enum: switchableRoles, default: "passenger" },
+
+    // Moderation state; suspended and banned users cannot publish trips or book seats.
+    accountStatus: { type: accountStatusSchema, default: () => ({}) },
+
+    // Set by DELETE /users/me. Signing in again before `scheduledFor` cancels it; after that the worker
+    // erases the account (see services/accountDeletionService.js).
+    deletion: {
+      requestedAt: { type: Date, default: null },
+      scheduledFor: { type: Date, default: null }
+    }
   },
   { timestamps: true } // Adds createdAt/updatedAt for auditing and sorting.
 );
@@ -61,8 +116,25 @@ const userSchema = new mongoose.Schema(
 // Ensure activeRole is always part of roles to avoid inconsistent state.
 userSchema.pre("validate", function ensureActiveRole() {
   if (!this.roles?.includes(this.activeRole)) {
-    this.activeRole = this.roles?.[0] || "passenger";
+    this.activeRole = this.roles?.find((role) => switchableRoles.includes(role)) || "passenger";
   }
 });
 
+userSchema.plugin(encryptedFields, {
+  fields: [
+    "universityId",
+    "phone",
+    "emergencyContact.name",
+    "emergencyContact.phone",
+    "twoFactor.secret",
+    "twoFactor.pendingSecret"
+  ],
+  blindIndexes: { universityId: "universityIdHash" }
+});
+
+// The worker looks up accounts whose deletion grace period is over.
+userSchema.index({ "deletion.scheduledFor": 1 });
+
+userSchema.statics.accountStates = accountStates;
+
 export default mongoose.model("User", userSchema);
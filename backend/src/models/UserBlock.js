@@ -0,0 +1,17 @@
+// UserBlock model: one user blocking another after a bad experience, so they are never matched again.
+import mongoose from "mongoose";
+
+const userBlockSchema = new mongoose.Schema(
+  {
+    // User who created the block (the only one who can lift it).
+    blocker: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    blocked: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }
+  },
+  { timestamps: true }
+);
+
+// One block per pair and direction; the second index serves "who blocked me" lookups.
+userBlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+userBlockSchema.index({ blocked: 1 });
+
+export default mongoose.model("UserBlock", userBlockSchema);
@@ -1,5 +1,6 @@
 // Vehicle model linking driver ownership, capacity, and document evidence.
 import mongoose from "mongoose";
+import { encryptedFields } from "../utils/fieldEncryption.js";
 
 const verificationStatuses = ["pending", "under_review", "verified", "rejected", "needs_update"];
 
@@ -25,6 +26,7 @@ const vehicleSchema = new mongoose.Schema(
 
     // Regulatory compliance metadata.
     soatExpiration: { type: Date, required: true },
+    // Encrypted at rest (see the plugin below).
     licenseNumber: { type: String, required: true, trim: true },
     licenseExpiration: { type: Date, required: true },
 
@@ -51,6 +53,8 @@ const vehicleSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+vehicleSchema.plugin(encryptedFields, { fields: ["licenseNumber"] });
+
 vehicleSchema.statics.verificationStatuses = verificationStatuses;
 
 export default mongoose.model("Vehicle", vehicleSchema);
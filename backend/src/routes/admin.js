@@ -0,0 +1,216 @@
+// Back-office endpoints reserved for users holding the "admin" role: vehicle verification, rating moderation
+// and account states.
+import { Router } from "express";
+import { existsSync } from "fs";
+import mongoose from "mongoose";
+import { requireAuth, requireAdmin } from "../middlewares/auth.js";
+import Vehicle from "../models/Vehicle.js";
+import { listModerationQueue, moderateRating, RatingServiceError } from "../services/ratingService.js";
+import {
+  AccountStatusError,
+  clearAccountOverride,
+  listAccounts,
+  setAccountStatus
+} from "../services/accountStatusService.js";
+import { resolveStoredFilePath } from "../utils/fileStorage.js";
+import { decorateVehicle, VERIFICATION_STATUSES } from "../utils/vehiclePresenter.js";
+
+const router = Router();
+
+const verificationStatuses = Vehicle.verificationStatuses || VERIFICATION_STATUSES;
+
+// Decision keyword → resulting vehicle status.
+const REVIEW_DECISIONS = {
+  approve: "verified",
+  reject: "rejected",
+  needs_update: "needs_update"
+};
+
+// Document kind accepted by the preview endpoint → Vehicle field holding its path/URL.
+const DOCUMENT_FIELDS = {
+  vehiclePhoto: "vehiclePhotoUrl",
+  soat: "soatPhotoUrl",
+  license: "licensePhotoUrl"
+};
+
+const MAX_NOTES_LENGTH = 1000;
+const OWNER_FIELDS = "firstName lastName email phone photoUrl";
+// New vehicles start as "pending" and resubmissions move to "under_review"; both wait on an admin.
+const REVIEW_QUEUE_STATUSES = ["pending", "under_review"];
+
+router.use(requireAuth, requireAdmin);
+
+// GET /admin/vehicles?status=queue: verification queue, oldest requests first.
+router.get("/vehicles", async (req, res) => {
+  const { status = "queue" } = req.query || {};
+  const criteria = {};
+  if (status === "queue") {
+    criteria.status = { $in: REVIEW_QUEUE_STATUSES };
+  } else if (status !== "all") {
+    if (!verificationStatuses.includes(status)) {
+      return res.status(400).json({ error: "Estado de verificación inválido" });
+    }
+    criteria.status = status;
+  }
+
+  const list = await Vehicle.find(criteria)
+    .populate("owner", OWNER_FIELDS)
+    .populate("reviewedBy", "firstName lastName email")
+    .sort({ requestedReviewAt: 1, createdAt: 1 })
+    .limit(200)
+    .lean();
+
+  res.json({ vehicles: list.map((vehicle) => decorateVehicle(vehicle)) });
+});
+
+// GET /admin/vehicles/:id: full vehicle record with owner contact data for the reviewer.
+router.get("/vehicles/:id", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Vehículo no encontrado" });
+  }
+  const vehicle = await Vehicle.findById(req.params.id)
+    .populate("owner", OWNER_FIELDS)
+    .populate("reviewedBy", "firstName lastName email")
+    .lean();
+  if (!vehicle) return res.status(404).json({ error: "Vehículo no encontrado" });
+
+  res.json({ vehicle: decorateVehicle(vehicle) });
+});
+
+// GET /admin/vehicles/:id/documents/:kind: stream an uploaded document (or redirect to its external URL).
+router.get("/vehicles/:id/documents/:kind", async (req, res) => {
+  const field = DOCUMENT_FIELDS[req.params.kind];
+  if (!field) return res.status(400).json({ error: "Tipo de documento inválido" });
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Vehículo no encontrado" });
+  }
+
+  const vehicle = await Vehicle.findById(req.params.id).select(field).lean();
+  if (!vehicle) return res.status(404).json({ error: "Vehículo no encontrado" });
+
+  const storedPath = vehicle[field];
+  if (!storedPath) return res.status(404).json({ error: "Documento no cargado" });
+
+  if (/^https?:\/\//i.test(storedPath)) {
+    return res.redirect(storedPath);
+  }
+
+  const absolutePath = await resolveStoredFilePath(storedPath);
+  if (!absolutePath || !existsSync(absolutePath)) {
+    return res.status(404).json({ error: "Documento no encontrado" });
+  }
+  res.set("Cache-Control", "private, no-store");
+  return res.sendFile(absolutePath);
+});
+
+// POST /admin/vehicles/:id/decision: approve, reject or request updates, recording notes and reviewer.
+router.post("/vehicles/:id/decision", async (req, res) => {
+  const { decision, notes } = req.body || {};
+  const nextStatus = REVIEW_DECISIONS[decision];
+  if (!nextStatus) {
+    return res.status(400).json({ error: "Decisión inválida. Usa approve, reject o needs_update" });
+  }
+
+  const trimmedNotes = typeof notes === "string" ? notes.trim() : "";
+  if (decision !== "approve" && !trimmedNotes) {
+    return res.status(400).json({ error: "Incluye observaciones para el conductor" });
+  }
+  if (trimmedNotes.length > MAX_NOTES_LENGTH) {
+    return res.status(400).json({ error: `Las observaciones superan ${MAX_NOTES_LENGTH} caracteres` });
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Vehículo no encontrado" });
+  }
+  const vehicle = await Vehicle.findById(req.params.id);
+  if (!vehicle) return res.status(404).json({ error: "Vehículo no encontrado" });
+
+  const now = new Date();
+  if (decision === "approve" && (vehicle.soatExpiration < now || vehicle.licenseExpiration < now)) {
+    return res.status(400).json({ error: "No puedes aprobar un vehículo con documentos vencidos" });
+  }
+
+  vehicle.status = nextStatus;
+  vehicle.statusUpdatedAt = now;
+  vehicle.reviewedAt = now;
+  vehicle.reviewedBy = req.user.sub;
+  vehicle.verificationNotes = trimmedNotes || undefined;
+  await vehicle.save();
+
+  await vehicle.populate([
+    { path: "owner", select: OWNER_FIELDS },
+    { path: "reviewedBy", select: "firstName lastName email" }
+  ]);
+
+  return res.json({ vehicle: decorateVehicle(vehicle.toObject()) });
+});
+
+function sendModerationError(res, err) {
+  if (err instanceof RatingServiceError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error("rating moderation error", err);
+  return res.status(500).json({ error: "No se pudo procesar la moderación" });
+}
+
+// GET /admin/ratings?status=queue: held and reported comments, oldest first.
+router.get("/ratings", async (req, res) => {
+  try {
+    const ratings = await listModerationQueue({ status: req.query?.status || "queue" });
+    res.json({ ratings });
+  } catch (err) {
+    sendModerationError(res, err);
+  }
+});
+
+// POST /admin/ratings/:id/decision: publish (approve) or hide a comment, closing its open reports.
+router.post("/ratings/:id/decision", async (req, res) => {
+  const { decision, notes } = req.body || {};
+  try {
+    const rating = await moderateRating({ ratingId: req.params.id, adminId: req.user.sub, decision, notes });
+    res.json({ rating });
+  } catch (err) {
+    sendModerationError(res, err);
+  }
+});
+
+function sendAccountError(res, err) {
+  if (err instanceof AccountStatusError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error("account status error", err);
+  return res.status(500).json({ error: "No se pudo actualizar el estado de la cuenta" });
+}
+
+// GET /admin/users?state=restricted: warned, suspended and banned accounts with their rating stats.
+router.get("/users", async (req, res) => {
+  try {
+    const users = await listAccounts({ state: req.query?.state || "restricted" });
+    res.json({ users });
+  } catch (err) {
+    sendAccountError(res, err);
+  }
+});
+
+// PUT /admin/users/:id/account-status: override the automatic rule (warn, suspend, ban or reinstate).
+router.put("/users/:id/account-status", async (req, res) => {
+  const { state, reason, until } = req.body || {};
+  try {
+    const user = await setAccountStatus({ userId: req.params.id, adminId: req.user.sub, state, reason, until });
+    res.json({ user });
+  } catch (err) {
+    sendAccountError(res, err);
+  }
+});
+
+// DELETE /admin/users/:id/account-status: drop the override and let the automatic rule decide again.
+router.delete("/users/:id/account-status", async (req, res) => {
+  try {
+    const user = await clearAccountOverride({ userId: req.params.id, adminId: req.user.sub });
+    res.json({ user });
+  } catch (err) {
+    sendAccountError(res, err);
+  }
+});
+
+export default router;
@@ -1,59 +1,97 @@
-// Authentication routes: register, login, and user profile retrieval.
+// Authentication routes: register, login, sessions, two-factor and password recovery.
 import { Router } from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Vehicle from "../models/Vehicle.js";
 import PasswordReset from "../models/PasswordReset.js";
 import { requireAuth } from "../middlewares/auth.js";
+import { byBodyEmail, byIp, rateLimit, tooManyRequests } from "../middlewares/rateLimit.js";
 import { revokeToken } from "../utils/tokenBlacklist.js";
 import { sendEmail } from "../services/emailService.js";
+import { deprecatedRoute } from "../middlewares/deprecated.js";
+import { accountRestriction } from "../services/accountStatusService.js";
+import {
+  EmailVerificationError,
+  resendVerification,
+  sendVerificationEmail,
+  verifyEmail
+} from "../services/emailVerificationService.js";
+import {
+  createSession,
+  listSessions,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+  SessionServiceError
+} from "../services/sessionService.js";
+import {
+  clearFailedLogins,
+  lockoutMessage,
+  loginLockRemainingMs,
+  recordFailedLogin
+} from "../services/loginLockoutService.js";
+import {
+  createLoginChallenge,
+  disableTwoFactor,
+  enableTwoFactor,
+  isTwoFactorEnabled,
+  readLoginChallenge,
+  recoveryCodesLeft,
+  regenerateRecoveryCodes,
+  setupTwoFactor,
+  TwoFactorError,
+  verifyLoginCode
+} from "../services/twoFactorService.js";
+import { restoreAccount } from "../services/accountDeletionService.js";
+import { toPublicUser } from "../services/profileService.js";
+import profileRoutes from "./profile.js";
 
 const router = Router();
 const RESET_TOKEN_TTL_MS = Number(process.env.PASSWORD_RESET_TTL_MS || 1000 * 60 * 15);
 
+// Every /auth endpoint is throttled per IP; credential endpoints also per email.
+router.use(rateLimit({ name: "auth", envPrefix: "AUTH_RATE_LIMIT", max: 300, windowSeconds: 15 * 60 }));
+const loginRateLimit = rateLimit({
+  name: "login",
+  envPrefix: "LOGIN_RATE_LIMIT",
+  max: 30,
+  windowSeconds: 15 * 60,
+  keys: { ip: byIp, email: byBodyEmail }
+});
+const forgotPasswordRateLimit = rateLimit({
+  name: "forgot-password",
+  envPrefix: "FORGOT_PASSWORD_RATE_LIMIT",
+  max: 10,
+  windowSeconds: 60 * 60,
+  keys: { ip: byIp, email: byBodyEmail }
+});
+
 // Helper to check Mongo connection state: 1 means connected/ready.
 // Prevents ambiguous behavior when DB is down (surface 503 early).
 function isDbReady() {
   return mongoose.connection?.readyState === 1;
 }
 
-function toPublicUser(user) {
-  if (!user) return null;
-  const {
-    _id,
-    email,
-    firstName,
-    lastName,
-    universityId,
-    phone,
-    photoUrl,
-    emergencyContact,
-    preferredPaymentMethod,
-    roles,
-    activeRole,
-    activeVehicle,
-    createdAt,
-    updatedAt
-  } = user;
-  return {
-    id: _id,
-    email,
-    firstName,
-    lastName,
-    universityId,
-    phone,
-    photoUrl,
-    emergencyContact,
-    preferredPaymentMethod,
-    roles,
-    activeRole,
-    activeVehicle,
-    createdAt,
-    updatedAt
-  };
+function clientInfo(req) {
+  return { userAgent: req.get("user-agent"), ip: req.ip };
+}
+
+function sendSessionError(res, err, fallback) {
+  if (err instanceof SessionServiceError) {
+    return res.status(err.statusCode).json(err.body || { error: err.message });
+  }
+  console.error("session error", err);
+  return res.status(500).json({ error: fallback });
+}
+
+function sendTwoFactorError(res, err, fallback) {
+  if (err instanceof TwoFactorError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error("two-factor error", err);
+  return res.status(500).json({ error: fallback });
 }
 
 function validateInstitutionalEmail(email) {
@@ -71,6 +109,8 @@ function validateInstitutionalEmail(email) {
 
 // POST /auth/register: create a new account using institutional email.
 // Validates domain, hashes password, captures role-specific data, and returns profile + optional vehicle.
+// The account starts unverified; the welcome email carries the verification link.
+// The profile photo is uploaded afterwards (POST /users/me/photo); a photoUrl in the body is ignored.
 router.post("/register", async (req, res) => {
   if (!isDbReady()) return res.status(503).json({ error: "DB no disponible. Configura MONGO_URI o levanta Mongo." });
 
@@ -81,7 +121,6 @@ router.post("/register", async (req, res) => {
     lastName,
     universityId,
     phone,
-    photoUrl,
     emergencyContact,
     preferredPaymentMethod,
     role = "passenger",
@@ -144,12 +183,12 @@ router.post("/register", async (req, res) => {
       lastName,
       universityId,
       phone,
-      photoUrl,
       emergencyContact: emergencyContact || null,
       preferredPaymentMethod: preferredPaymentMethod || undefined,
       passwordHash,
       roles,
-      activeRole
+      activeRole,
+      emailVerified: false
     });
 
     let createdVehicle;
@@ -181,11 +220,7 @@ router.post("/register", async (req, res) => {
       createdUser.activeVehicle = createdVehicle._id;
       await createdUser.save();
 
-      await sendEmail({
-        to: createdUser.email,
-        subject: "Bienvenido a Wheels Sabana",
-        html: `<p>Hola <strong>${createdUser.firstName}</strong>,</p><p>Tu cuenta de Wheels Sabana está lista. Ingresa y reserva tus viajes.</p>`
-      });
+      await sendVerificationEmail(createdUser);
 
       return res.status(201).json({
         user: toPublicUser(createdUser),
@@ -193,11 +228,7 @@ router.post("/register", async (req, res) => {
       });
     }
 
-    await sendEmail({
-      to: createdUser.email,
-      subject: "Bienvenido a Wheels Sabana",
-      html: `<p>Hola <strong>${createdUser.firstName}</strong>,</p><p>Tu cuenta de Wheels Sabana está lista. Ingresa y reserva tus viajes.</p>`
-    });
+    await sendVerificationEmail(createdUser);
 
     return res.status(201).json({ user: toPublicUser(createdUser), vehicle: null });
   } catch (e) {
@@ -210,6 +241,9 @@ router.post("/register", async (req, res) => {
       if (duplicatedField === "email") {
         return res.status(409).json({ error: "Email ya registrado" });
       }
+      if (duplicatedField === "universityIdHash") {
+        return res.status(409).json({ error: "Código universitario ya registrado" });
+      }
       if (duplicatedField === "plate") {
         return res.status(409).json({ error: "Placa ya registrada" });
       }
@@ -223,102 +257,142 @@ router.post("/register", async (req, res) => {
   }
 });
 
-// POST /auth/login: authenticate credentials and return a signed JWT for stateless sessions.
-router.post("/login", async (req, res) => {
+// POST /auth/login: authenticate credentials and open a session (short-lived JWT + refresh token).
+// With two-factor authentication on, a correct password only yields an "mfa_required" challenge.
+router.post("/login", loginRateLimit, async (req, res) => {
   try {
     if (!isDbReady()) return res.status(503).json({ error: "DB no disponible. Configura MONGO_URI o levanta Mongo." });
 
     const { email, password } = req.body || {};
     const normEmail = String(email || "").trim().toLowerCase();
 
-  const user = await User.findOne({ email: normEmail });
-  if (!user) return res.status(401).json({ error: "Credenciales inválidas" });
+    // Locked emails are refused before checking the password, so guesses during a lockout are useless.
+    const lockedMs = await loginLockRemainingMs(normEmail);
+    if (lockedMs > 0) return tooManyRequests(res, lockedMs / 1000, lockoutMessage(lockedMs));
 
+    const user = await User.findOne({ email: normEmail });
     // Compare provided password with stored hash. Timing-safe by design in bcrypt.
-    const ok = await bcrypt.compare(password || "", user.passwordHash || "");
-  if (!ok) return res.status(401).json({ error: "Credenciales inválidas" });
+    const ok = user ? await bcrypt.compare(password || "", user.passwordHash || "") : false;
+    if (!ok) {
+      const lockMs = await recordFailedLogin({
+        email: normEmail,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        userId: user?._id
+      });
+      if (lockMs > 0) return tooManyRequests(res, lockMs / 1000, lockoutMessage(lockMs));
+      return res.status(401).json({ error: "Credenciales inválidas" });
+    }
 
-    // Issue a JWT including subject and email; 7d expiry balances UX and security for dev.
-    const token = jwt.sign({ sub: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: "7d" });
-  return res.json({ token, user: toPublicUser(user) });
+    // Banned accounts cannot sign in at all; suspended ones can, to see why and when it ends.
+    const restriction = accountRestriction(user);
+    if (restriction?.accountStatus.state === "banned") return res.status(403).json(restriction);
+
+    // The failure streak is only cleared once the second factor passes, or wrong codes would never lock.
+    if (isTwoFactorEnabled(user)) {
+      return res.json({ code: "mfa_required", ...createLoginChallenge(user) });
+    }
+    await clearFailedLogins(normEmail);
+
+    // Signing in during the deletion grace period keeps the account.
+    const accountRestored = await restoreAccount(user);
+
+    // The access token only lives a few minutes; the client renews it with the refresh token.
+    const { token, refreshToken } = await createSession(user, clientInfo(req));
+    return res.json({ token, refreshToken, user: toPublicUser(user), ...(accountRestored && { accountRestored }) });
   } catch {
     return res.status(500).json({ error: "Error de autenticación" });
   }
 });
 
-// GET /auth/me: return the authenticated user's profile.
-// Uses requireAuth middleware to verify and attach req.user (JWT claims).
-router.get("/me", requireAuth, async (req, res) => {
+// POST /auth/login/verify: second login step; trade the challenge plus a TOTP or recovery code for a session.
+// Wrong codes count as failed logins for the email, so the progressive lockout applies here too.
+router.post("/login/verify", loginRateLimit, async (req, res) => {
   try {
-    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
-    const user = await User.findById(req.user.sub).lean();
-    return res.json({ user: toPublicUser(user) });
-  } catch {
-    return res.status(500).json({ error: "Error cargando perfil" });
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible. Configura MONGO_URI o levanta Mongo." });
+    const { userId, email } = readLoginChallenge(req.body?.mfaToken);
+
+    const lockedMs = await loginLockRemainingMs(email);
+    if (lockedMs > 0) return tooManyRequests(res, lockedMs / 1000, lockoutMessage(lockedMs));
+
+    let user;
+    try {
+      ({ user } = await verifyLoginCode(userId, req.body?.code));
+    } catch (err) {
+      if (!(err instanceof TwoFactorError) || err.code !== "invalid_code") throw err;
+      const lockMs = await recordFailedLogin({ email, ip: req.ip, userAgent: req.get("user-agent"), userId });
+      if (lockMs > 0) return tooManyRequests(res, lockMs / 1000, lockoutMessage(lockMs));
+      throw err;
+    }
+    await clearFailedLogins(email);
+
+    const restriction = accountRestriction(user);
+    if (restriction?.accountStatus.state === "banned") return res.status(403).json(restriction);
+
+    const accountRestored = await restoreAccount(user);
+    const { token, refreshToken } = await createSession(user, clientInfo(req));
+    return res.json({ token, refreshToken, user: toPublicUser(user), ...(accountRestored && { accountRestored }) });
+  } catch (err) {
+    return sendTwoFactorError(res, err, "Error de autenticación");
   }
 });
 
-// PUT /auth/me: update partial profile fields for the authenticated user.
-router.put("/me", requireAuth, async (req, res) => {
+// GET /auth/2fa: whether two-factor authentication is on and how many recovery codes remain.
+router.get("/2fa", requireAuth, async (req, res) => {
   try {
     if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
-    const {
-      firstName,
-      lastName,
-      phone,
-      photoUrl,
-      emergencyContact,
-      preferredPaymentMethod
-    } = req.body || {};
-
-    const updates = {};
-
-    if (firstName !== undefined) updates.firstName = String(firstName).trim();
-    if (lastName !== undefined) updates.lastName = String(lastName).trim();
-    if (phone !== undefined) updates.phone = String(phone).trim();
-    if (photoUrl !== undefined) updates.photoUrl = photoUrl || "";
-
-    if (preferredPaymentMethod !== undefined) {
-      if (preferredPaymentMethod && !["cash", "nequi"].includes(preferredPaymentMethod)) {
-        return res.status(400).json({ error: "Método de pago preferido inválido" });
-      }
-      updates.preferredPaymentMethod = preferredPaymentMethod || "cash";
-    }
-
-    if (emergencyContact !== undefined) {
-      if (emergencyContact === null || emergencyContact === "") {
-        updates.emergencyContact = null;
-      } else if (
-        typeof emergencyContact === "object" &&
-        (emergencyContact.name || emergencyContact.phone)
-      ) {
-        updates.emergencyContact = {
-          name: emergencyContact.name ? String(emergencyContact.name).trim() : undefined,
-          phone: emergencyContact.phone ? String(emergencyContact.phone).trim() : undefined
-        };
-      } else {
-        return res.status(400).json({ error: "Contacto de emergencia inválido" });
-      }
-    }
+    const user = await User.findById(req.user.sub).select("twoFactor").lean();
+    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+    return res.json({ enabled: isTwoFactorEnabled(user), recoveryCodesLeft: recoveryCodesLeft(user) });
+  } catch (err) {
+    return sendTwoFactorError(res, err, "No se pudo consultar la verificación en dos pasos");
+  }
+});
 
-    if (Object.keys(updates).length === 0) {
-      return res.status(400).json({ error: "No hay cambios para actualizar" });
-    }
+// POST /auth/2fa/setup: new secret as otpauth URI and QR code; nothing changes until /2fa/enable.
+router.post("/2fa/setup", requireAuth, async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    return res.json(await setupTwoFactor(req.user.sub));
+  } catch (err) {
+    return sendTwoFactorError(res, err, "No se pudo configurar la verificación en dos pasos");
+  }
+});
 
-    const user = await User.findByIdAndUpdate(req.user.sub, updates, {
-      new: true,
-      runValidators: true
-    });
+// POST /auth/2fa/enable: confirm the setup with a code from the app; returns the recovery codes once.
+router.post("/2fa/enable", requireAuth, async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    return res.json(await enableTwoFactor(req.user.sub, req.body?.code));
+  } catch (err) {
+    return sendTwoFactorError(res, err, "No se pudo activar la verificación en dos pasos");
+  }
+});
 
-    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+// POST /auth/2fa/disable: turn it off with the password and a current (or recovery) code.
+router.post("/2fa/disable", requireAuth, async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    await disableTwoFactor(req.user.sub, { password: req.body?.password, code: req.body?.code });
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendTwoFactorError(res, err, "No se pudo desactivar la verificación en dos pasos");
+  }
+});
 
-    return res.json({ user: toPublicUser(user) });
+// POST /auth/2fa/recovery-codes: replace the recovery codes (requires a current code).
+router.post("/2fa/recovery-codes", requireAuth, async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    return res.json(await regenerateRecoveryCodes(req.user.sub, req.body?.code));
   } catch (err) {
-    console.error("profile update", err);
-    return res.status(500).json({ error: "No se pudo actualizar el perfil" });
+    return sendTwoFactorError(res, err, "No se pudieron generar nuevos códigos de recuperación");
   }
 });
 
+// GET/PUT /auth/me: deprecated aliases of /users/me (routes/profile.js), kept for older clients.
+router.use("/me", deprecatedRoute("/users/me"), profileRoutes);
+
 // PUT /auth/role: update active role if the user has the capability.
 router.put("/role", requireAuth, async (req, res) => {
   try {
@@ -356,14 +430,92 @@ router.put("/role", requireAuth, async (req, res) => {
   }
 });
 
-// POST /auth/logout: revoke current JWT so it cannot be reused.
-router.post("/logout", requireAuth, (req, res) => {
-  revokeToken(req.token, req.user?.exp);
+function sendVerificationError(res, err, fallback) {
+  if (err instanceof EmailVerificationError) {
+    if (err.retryAfterSeconds) res.set("Retry-After", String(err.retryAfterSeconds));
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error("email verification error", err);
+  return res.status(500).json({ error: fallback });
+}
+
+// POST /auth/verify-email: consume the emailed token and mark the account as verified.
+router.post("/verify-email", async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    const user = await verifyEmail(req.body?.token);
+    return res.json({ ok: true, user: toPublicUser(user) });
+  } catch (err) {
+    return sendVerificationError(res, err, "No se pudo verificar el correo");
+  }
+});
+
+// POST /auth/resend-verification: email a new verification link (throttled).
+router.post("/resend-verification", requireAuth, async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    await resendVerification(req.user.sub);
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendVerificationError(res, err, "No se pudo reenviar el correo de verificación");
+  }
+});
+
+// POST /auth/refresh: rotate the refresh token and issue a new access token.
+router.post("/refresh", async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    const { token, refreshToken } = await refreshSession(req.body?.refreshToken, clientInfo(req));
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return sendSessionError(res, err, "No se pudo renovar la sesión");
+  }
+});
+
+// POST /auth/logout: revoke current JWT and close its session so the refresh token stops working too.
+router.post("/logout", requireAuth, async (req, res) => {
+  await revokeToken(req.token, req.user);
+  if (req.user?.sid) {
+    await revokeSession({ userId: req.user.sub, sessionId: req.user.sid }).catch(() => {});
+  }
   return res.json({ ok: true });
 });
 
+// GET /auth/sessions: devices where the user is signed in.
+router.get("/sessions", requireAuth, async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    return res.json({ sessions: await listSessions(req.user.sub, req.user.sid) });
+  } catch (err) {
+    return sendSessionError(res, err, "No se pudieron cargar las sesiones");
+  }
+});
+
+// DELETE /auth/sessions: log out everywhere, including the current device.
+router.delete("/sessions", requireAuth, async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    const revoked = await revokeAllSessions(req.user.sub);
+    await revokeToken(req.token, req.user);
+    return res.json({ revoked });
+  } catch (err) {
+    return sendSessionError(res, err, "No se pudieron cerrar las sesiones");
+  }
+});
+
+// DELETE /auth/sessions/:id: close a single session (e.g. a lost phone).
+router.delete("/sessions/:id", requireAuth, async (req, res) => {
+  try {
+    if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
+    await revokeSession({ userId: req.user.sub, sessionId: req.params.id });
+    return res.json({ ok: true });
+  } catch (err) {
+    return sendSessionError(res, err, "No se pudo cerrar la sesión");
+  }
+});
+
 // POST /auth/forgot-password: create a one-time token and (mock) send a reset link.
-router.post("/forgot-password", async (req, res) => {
+router.post("/forgot-password", forgotPasswordRateLimit, async (req, res) => {
   try {
     if (!isDbReady()) return res.status(503).json({ error: "DB no disponible" });
     const { email } = req.body || {};
@@ -455,6 +607,8 @@ router.post("/reset-password", async (req, res) => {
     await pr.save();
 
   await PasswordReset.updateMany({ userId: user._id, used: false }, { used: true });
+    // Whoever knew the old password may still hold a session.
+    await revokeAllSessions(user._id, "password_reset");
 
     return res.json({ ok: true });
   } catch (e) {
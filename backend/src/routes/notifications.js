@@ -0,0 +1,53 @@
+// In-app notification center: list, unread counter and read receipts for the authenticated user.
+import { Router } from "express";
+import mongoose from "mongoose";
+import { requireAuth } from "../middlewares/auth.js";
+import Notification from "../models/Notification.js";
+
+const router = Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+router.use(requireAuth);
+
+// GET /notifications?unread=true&limit=20: newest first, plus the unread counter for the bell badge.
+router.get("/", async (req, res) => {
+  const criteria = { user: req.user.sub };
+  if (req.query?.unread === "true") criteria.readAt = null;
+
+  const requestedLimit = Number(req.query?.limit);
+  const limit =
+    Number.isInteger(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, MAX_LIMIT) : DEFAULT_LIMIT;
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(criteria).sort({ createdAt: -1 }).limit(limit).lean(),
+    Notification.countDocuments({ user: req.user.sub, readAt: null })
+  ]);
+
+  res.json({ notifications, unreadCount });
+});
+
+// PUT /notifications/read-all: mark every unread notification as read.
+router.put("/read-all", async (req, res) => {
+  const result = await Notification.updateMany({ user: req.user.sub, readAt: null }, { $set: { readAt: new Date() } });
+  res.json({ updated: result.modifiedCount, unreadCount: 0 });
+});
+
+// PUT /notifications/:id/read: mark a single notification as read (idempotent).
+router.put("/:id/read", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Notificación no encontrada" });
+  }
+  const notification = await Notification.findOne({ _id: req.params.id, user: req.user.sub });
+  if (!notification) return res.status(404).json({ error: "Notificación no encontrada" });
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  const unreadCount = await Notification.countDocuments({ user: req.user.sub, readAt: null });
+  res.json({ notification: notification.toObject({ versionKey: false }), unreadCount });
+});
+
+export default router;
@@ -0,0 +1,90 @@
+// Profile routes for the signed-in user, mounted at /users/me and at the deprecated /auth/me.
+import { Router } from "express";
+import multer from "multer";
+import { requireAuth } from "../middlewares/auth.js";
+import {
+  getProfile,
+  ProfileError,
+  removeProfilePhoto,
+  setProfilePhoto,
+  updateProfile
+} from "../services/profileService.js";
+
+const router = Router();
+
+const allowedPhotoTypes = new Set(["image/jpeg", "image/png", "image/webp"]);
+const maxUploadMb = Number(process.env.UPLOAD_MAX_SIZE_MB || 5);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxUploadMb * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    if (allowedPhotoTypes.has(file.mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error("Tipo de archivo no permitido. Usa una imagen JPG, PNG o WebP.");
+      error.code = "UNSUPPORTED_FILE";
+      cb(error);
+    }
+  }
+});
+
+function handlePhotoUpload(req, res, next) {
+  upload.single("photo")(req, res, (err) => {
+    if (!err) return next();
+    const message =
+      err.code === "LIMIT_FILE_SIZE"
+        ? `El archivo supera el tamaño permitido (máx. ${maxUploadMb} MB).`
+        : err.message || "No se pudo procesar el archivo";
+    return res.status(400).json({ error: message });
+  });
+}
+
+function sendProfileError(res, err, fallback) {
+  if (err instanceof ProfileError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error("profile error", err);
+  return res.status(500).json({ error: fallback });
+}
+
+// GET /users/me: profile plus associated vehicle (if any).
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    return res.json(await getProfile(req.user.sub));
+  } catch (err) {
+    return sendProfileError(res, err, "Error cargando perfil");
+  }
+});
+
+// PUT /users/me: partial update of the editable fields (see utils/profileValidation.js).
+// Older clients of PUT /auth/me still send photoUrl: the alias ignores it instead of failing.
+router.put("/", requireAuth, async (req, res) => {
+  try {
+    const options = { ignorePhotoUrl: Boolean(res.locals.deprecatedRoute) };
+    return res.json({ user: await updateProfile(req.user.sub, req.body, options) });
+  } catch (err) {
+    return sendProfileError(res, err, "No se pudo actualizar el perfil");
+  }
+});
+
+// POST /users/me/photo: multipart upload (field `photo`) replacing the current profile photo.
+router.post("/photo", requireAuth, handlePhotoUpload, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "Selecciona una imagen" });
+  try {
+    return res.json({ user: await setProfilePhoto(req.user.sub, req.file) });
+  } catch (err) {
+    return sendProfileError(res, err, "No se pudo guardar la foto");
+  }
+});
+
+// DELETE /users/me/photo: remove the profile photo.
+router.delete("/photo", requireAuth, async (req, res) => {
+  try {
+    return res.json({ user: await removeProfilePhoto(req.user.sub) });
+  } catch (err) {
+    return sendProfileError(res, err, "No se pudo eliminar la foto");
+  }
+});
+
+export default router;
@@ -2,18 +2,60 @@
 import { Router } from "express";
 import { requireAuth } from "../middlewares/auth.js";
 import Rating from "../models/Rating.js";
+import { applyReputationRule } from "../services/accountStatusService.js";
+import {
+  createTripRating,
+  listPendingRatings,
+  PUBLISHED_RATING_CRITERIA,
+  RatingServiceError,
+  reportRating
+} from "../services/ratingService.js";
 
 const router = Router();
 
-// POST /ratings: authenticated users can rate others (drivers/passengers).
+function sendRatingError(res, err) {
+  if (err instanceof RatingServiceError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error("rating error", err);
+  return res.status(500).json({ error: "No se pudo guardar la calificación" });
+}
+
+// POST /ratings: participants of a completed trip rate each other (driver ⇄ passenger), once per trip.
 router.post("/", requireAuth, async (req, res) => {
-  const r = await Rating.create({ ...req.body, from: req.user.sub });
-  res.json(r);
+  const { tripId, to, score, comment } = req.body || {};
+  try {
+    const rating = await createTripRating({ tripId, raterId: req.user.sub, rateeId: to, score, comment });
+    // A failure in the low-reputation rule must not turn a stored rating into an error.
+    await applyReputationRule(rating.to).catch((err) => console.error("reputation rule", err));
+    res.status(201).json(rating);
+  } catch (err) {
+    sendRatingError(res, err);
+  }
+});
+
+// GET /ratings/pending: completed trips where the authenticated user can still rate someone.
+router.get("/pending", requireAuth, async (req, res) => {
+  const pending = await listPendingRatings(req.user.sub);
+  res.json({ pending });
+});
+
+// POST /ratings/:id/report: flag a comment for the admin moderation queue.
+router.post("/:id/report", requireAuth, async (req, res) => {
+  try {
+    const rating = await reportRating({ ratingId: req.params.id, reporterId: req.user.sub, reason: req.body?.reason });
+    res.status(201).json({ reported: true, status: rating.status });
+  } catch (err) {
+    sendRatingError(res, err);
+  }
 });
 
 // GET /ratings/:userId: list ratings received by a specific user (public).
+// Comments held for review or hidden by an admin are left out.
 router.get("/:userId", async (req, res) => {
-  const list = await Rating.find({ to: req.params.userId }).lean();
+  const list = await Rating.find({ to: req.params.userId, ...PUBLISHED_RATING_CRITERIA })
+    .select("-reports -openReports -moderationFlags -moderatedBy -moderationNotes")
+    .lean();
   res.json(list);
 });
 
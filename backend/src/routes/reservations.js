@@ -0,0 +1,118 @@
+// Reservation endpoints for passengers and drivers, backed by the standalone Reservation collection.
+import { Router } from "express";
+import mongoose from "mongoose";
+import { requireAuth } from "../middlewares/auth.js";
+import Reservation from "../models/Reservation.js";
+import {
+  cancelReservation,
+  confirmReservation,
+  rejectReservation,
+  respondToReschedule,
+  sanitizeReservation,
+  sanitizeTrip,
+  sendReservationError
+} from "../services/reservationService.js";
+
+const router = Router();
+
+const reservationStatuses = Reservation.schema.path("status").enumValues;
+
+router.use(requireAuth);
+
+// GET /reservations/mine?status=pending,confirmed: passenger's reservations with trip, driver and vehicle details.
+router.get("/mine", async (req, res) => {
+  const criteria = { passenger: req.user.sub };
+  if (req.query?.status) {
+    const statuses = String(req.query.status)
+      .split(",")
+      .map((status) => status.trim())
+      .filter(Boolean);
+    if (statuses.some((status) => !reservationStatuses.includes(status))) {
+      return res.status(400).json({ error: "Estado de reserva inválido" });
+    }
+    criteria.status = { $in: statuses };
+  }
+
+  const reservations = await Reservation.find(criteria)
+    .populate({
+      path: "trip",
+      select: "-pickupSuggestions",
+      populate: [
+        { path: "driver", select: "firstName lastName photoUrl" },
+        { path: "vehicle", select: "brand model plate color" }
+      ]
+    })
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .lean();
+
+  res.json({ reservations });
+});
+
+// GET /reservations/:id: visible to the passenger who booked it and to the trip driver.
+router.get("/:id", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Reserva no encontrada" });
+  }
+  const reservation = await Reservation.findById(req.params.id)
+    .populate("trip", "-pickupSuggestions")
+    .populate("passenger", "firstName lastName photoUrl")
+    .lean();
+  if (!reservation) return res.status(404).json({ error: "Reserva no encontrada" });
+
+  const allowed = [reservation.passenger?._id, reservation.driver].some((id) => id?.toString() === req.user.sub);
+  if (!allowed) return res.status(404).json({ error: "Reserva no encontrada" });
+
+  res.json({ reservation });
+});
+
+// PUT /reservations/:id/confirm: trip driver accepts a pending reservation.
+router.put("/:id/confirm", async (req, res) => {
+  try {
+    const { reservation, trip } = await confirmReservation({ reservationId: req.params.id, driverId: req.user.sub });
+    res.json({ reservation: sanitizeReservation(reservation), trip: sanitizeTrip(trip) });
+  } catch (err) {
+    sendReservationError(res, err);
+  }
+});
+
+// PUT /reservations/:id/reject: trip driver declines a pending reservation, releasing its seats.
+router.put("/:id/reject", async (req, res) => {
+  try {
+    const { reservation, trip } = await rejectReservation({ reservationId: req.params.id, driverId: req.user.sub });
+    res.json({ reservation: sanitizeReservation(reservation), trip: sanitizeTrip(trip) });
+  } catch (err) {
+    sendReservationError(res, err);
+  }
+});
+
+// PUT /reservations/:id/cancel: passenger or driver cancels an active reservation, releasing its seats.
+router.put("/:id/cancel", async (req, res) => {
+  try {
+    const { reservation, trip } = await cancelReservation({ reservationId: req.params.id, userId: req.user.sub });
+    res.json({ reservation: sanitizeReservation(reservation), trip: sanitizeTrip(trip) });
+  } catch (err) {
+    sendReservationError(res, err);
+  }
+});
+
+async function answerReschedule(req, res, accept) {
+  try {
+    const { reservation, trip } = await respondToReschedule({
+      reservationId: req.params.id,
+      passengerId: req.user.sub,
+      accept
+    });
+    res.json({ reservation: sanitizeReservation(reservation), trip: sanitizeTrip(trip) });
+  } catch (err) {
+    sendReservationError(res, err);
+  }
+}
+
+// PUT /reservations/:id/reschedule/accept: passenger keeps the seat at the trip's new departure time.
+router.put("/:id/reschedule/accept", (req, res) => answerReschedule(req, res, true));
+
+// PUT /reservations/:id/reschedule/decline: passenger drops the reservation, releasing its seats like /cancel.
+router.put("/:id/reschedule/decline", (req, res) => answerReschedule(req, res, false));
+
+export default router;
@@ -0,0 +1,112 @@
+// Recurring trip templates: drivers save a weekly commute once and let the generator publish the trips.
+import { Router } from "express";
+import mongoose from "mongoose";
+import { requireActiveAccount, requireAuth, requireVerifiedEmail } from "../middlewares/auth.js";
+import TripTemplate from "../models/TripTemplate.js";
+import User from "../models/User.js";
+import {
+  buildTemplateFields,
+  DEFAULT_DAYS_AHEAD,
+  generateTripsFromTemplate,
+  generationHorizon,
+  MAX_DAYS_AHEAD,
+  TripTemplateServiceError
+} from "../services/tripTemplateService.js";
+
+const router = Router();
+
+router.use(requireAuth);
+
+function sendTemplateError(res, err) {
+  if (err instanceof TripTemplateServiceError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error("trip template error", err);
+  return res.status(500).json({ error: "No se pudo procesar la plantilla" });
+}
+
+async function findOwnTemplate(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return TripTemplate.findOne({ _id: req.params.id, driver: req.user.sub });
+}
+
+// GET /trip-templates: the driver's templates, newest first.
+router.get("/", async (req, res) => {
+  const templates = await TripTemplate.find({ driver: req.user.sub })
+    .populate("vehicle", "brand model plate capacity")
+    .sort({ createdAt: -1 })
+    .lean();
+  res.json({ templates });
+});
+
+// POST /trip-templates: save a recurring trip (weekdays + departureTime) for the authenticated driver.
+router.post("/", requireVerifiedEmail, requireActiveAccount, async (req, res) => {
+  const user = await User.findById(req.user.sub).select("roles").lean();
+  if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+  if (!user.roles?.includes("driver")) {
+    return res.status(403).json({ error: "Activa el modo conductor para publicar viajes" });
+  }
+
+  try {
+    const fields = await buildTemplateFields(req.body, { driverId: req.user.sub });
+    const template = await TripTemplate.create({ ...fields, driver: req.user.sub });
+    res.status(201).json({ template });
+  } catch (err) {
+    sendTemplateError(res, err);
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  const template = await findOwnTemplate(req);
+  if (!template) return res.status(404).json({ error: "Plantilla no encontrada" });
+  res.json({ template });
+});
+
+// PUT /trip-templates/:id: partial update; trips already generated keep their own data.
+router.put("/:id", requireVerifiedEmail, requireActiveAccount, async (req, res) => {
+  const template = await findOwnTemplate(req);
+  if (!template) return res.status(404).json({ error: "Plantilla no encontrada" });
+
+  try {
+    const fields = await buildTemplateFields(req.body, { driverId: req.user.sub, current: template });
+    template.set(fields);
+    await template.save();
+    res.json({ template });
+  } catch (err) {
+    sendTemplateError(res, err);
+  }
+});
+
+// DELETE /trip-templates/:id: stop generating; published trips stay and are cancelled like any other trip.
+router.delete("/:id", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Plantilla no encontrada" });
+  }
+  const template = await TripTemplate.findOneAndDelete({ _id: req.params.id, driver: req.user.sub });
+  if (!template) return res.status(404).json({ error: "Plantilla no encontrada" });
+  res.json({ ok: true });
+});
+
+// POST /trip-templates/:id/generate: publish the template's trips for the next `days` days right away.
+router.post("/:id/generate", requireVerifiedEmail, requireActiveAccount, async (req, res) => {
+  const template = await findOwnTemplate(req);
+  if (!template) return res.status(404).json({ error: "Plantilla no encontrada" });
+  if (!template.active) {
+    return res.status(400).json({ error: "Activa la plantilla antes de generar viajes" });
+  }
+
+  const requestedDays = req.body?.days ?? DEFAULT_DAYS_AHEAD;
+  const days = Number(requestedDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS_AHEAD) {
+    return res.status(400).json({ error: `Los días deben estar entre 1 y ${MAX_DAYS_AHEAD}` });
+  }
+
+  const now = new Date();
+  const { created, skipped } = await generateTripsFromTemplate(template, {
+    now,
+    until: generationHorizon(now, days)
+  });
+  res.json({ trips: created, skipped });
+});
+
+export default router;
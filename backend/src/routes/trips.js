@@ -1,45 +1,68 @@
 // Trip endpoints for creation, discovery, and seat booking with atomic updates.
 import mongoose from "mongoose";
 import { Router } from "express";
-import { requireAuth } from "../middlewares/auth.js";
-import Trip from "../models/Trip.js";
+import { optionalAuth, requireActiveAccount, requireAuth, requireVerifiedEmail } from "../middlewares/auth.js";
+import { byIp, byUserEmail, rateLimit } from "../middlewares/rateLimit.js";
+import Trip, { tripGeometry } from "../models/Trip.js";
 import Vehicle from "../models/Vehicle.js";
 import User from "../models/User.js";
-import Rating from "../models/Rating.js";
+import Reservation from "../models/Reservation.js";
 import { suggestTariff, validateTariffInputs } from "../services/tariffService.js";
+import {
+  areVehicleDocumentsValid,
+  normalizePickupPayload,
+  pickupPointKey,
+  validateSeatsForVehicle
+} from "../utils/tripValidation.js";
+import {
+  centerSphere,
+  circlePolygon,
+  DEFAULT_WALKING_RADIUS_METERS,
+  MAX_WALKING_RADIUS_METERS,
+  nearestPoint,
+  parseLatLng
+} from "../utils/geo.js";
+import { afterCursorCriteria, decodeCursor, encodeCursor, parseLimit } from "../utils/pagination.js";
 import { sendEmail } from "../services/emailService.js";
+import {
+  ACTIVE_RESERVATION_STATUSES,
+  cancelReservation,
+  cancelTripReservations,
+  confirmReservation,
+  createReservation,
+  rejectReservation,
+  requestRescheduleConsent,
+  sanitizeReservation,
+  sanitizeTrip,
+  sendReservationError
+} from "../services/reservationService.js";
+import { emitTripCancelled, emitTripUpdated } from "../services/realtimeService.js";
+import { describeConflict, findDriverConflict } from "../services/tripOverlapService.js";
+import { driverRatingStatsByUser } from "../services/reputationService.js";
+import { blockedUserIds } from "../services/userBlockService.js";
+import {
+  notifyPickupSuggestion,
+  notifyTripCancelled,
+  notifyTripRescheduled
+} from "../services/notificationService.js";
 
 const router = Router();
 
-function sanitizeTrip(trip) {
-  if (!trip) return null;
-  const obj = trip.toObject ? trip.toObject({ versionKey: false }) : trip;
-  return obj;
-}
-
-function normalizePickupPayload(rawPoint = {}) {
-  const name = rawPoint?.name?.trim();
-  if (!name) {
-    return { error: "Ingresa un nombre para el punto" };
-  }
-  const description = rawPoint?.description?.trim();
-  const lat = Number(rawPoint?.lat);
-  const lng = Number(rawPoint?.lng);
-  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-    return { error: "Latitud y longitud deben ser numéricas" };
-  }
-  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
-    return { error: "Coordenadas fuera de rango" };
-  }
-  return {
-    value: {
-      name,
-      description: description || undefined,
-      lat,
-      lng
-    }
-  };
-}
+// Booking endpoints are throttled per IP and per signed-in account.
+const reservationRateLimit = rateLimit({
+  name: "reservations",
+  envPrefix: "RESERVATION_RATE_LIMIT",
+  max: 30,
+  windowSeconds: 10 * 60,
+  keys: { ip: byIp, email: byUserEmail }
+});
+const pickupSuggestionRateLimit = rateLimit({
+  name: "pickup-suggestions",
+  envPrefix: "PICKUP_SUGGESTION_RATE_LIMIT",
+  max: 20,
+  windowSeconds: 10 * 60,
+  keys: { ip: byIp, email: byUserEmail }
+});
 
 // POST /trips: create a new trip authored by the authenticated driver.
 
@@ -73,7 +96,7 @@ async function generatePickupSuggestionsFromPolyline(route, stops) {
   return snapped;
 }
 
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, requireVerifiedEmail, requireActiveAccount, async (req, res) => {
   const {
     vehicleId,
     origin,
@@ -125,9 +148,13 @@ router.post("/", requireAuth, async (req, res) => {
   }
 
   const now = new Date();
-  if (vehicle.soatExpiration < now || vehicle.licenseExpiration < now) {
+  if (!areVehicleDocumentsValid(vehicle, now)) {
     return res.status(400).json({ error: "Actualiza los documentos del vehículo antes de crear viajes" });
   }
+  // Only a vehicle an admin approved can carry passengers (see /admin/vehicles).
+  if (vehicle.status !== "verified") {
+    return res.status(403).json({ error: "Tu vehículo debe ser verificado por un administrador antes de publicar viajes", code: "vehicle_not_verified" });
+  }
 
   const departureDate = new Date(departureAt);
   if (Number.isNaN(departureDate.getTime())) {
@@ -137,12 +164,9 @@ router.post("/", requireAuth, async (req, res) => {
     return res.status(400).json({ error: "La fecha de salida debe ser futura" });
   }
 
-  const seatsNumber = Number(seatsTotal);
-  if (!Number.isInteger(seatsNumber) || seatsNumber < 1) {
-    return res.status(400).json({ error: "Cantidad de puestos inválida" });
-  }
-  if (seatsNumber > vehicle.capacity) {
-    return res.status(400).json({ error: "Los puestos superan la capacidad del vehículo" });
+  const { value: seatsNumber, error: seatsError } = validateSeatsForVehicle(seatsTotal, vehicle);
+  if (seatsError) {
+    return res.status(400).json({ error: seatsError });
   }
 
   const priceNumber = Number(pricePerSeat);
@@ -226,15 +250,272 @@ router.post("/", requireAuth, async (req, res) => {
 
   Object.keys(tripPayload).forEach((key) => tripPayload[key] === undefined && delete tripPayload[key]);
 
+  const conflictingTrip = await findDriverConflict({
+    driverId: req.user.sub,
+    departureAt: departureDate,
+    durationMinutes: tripPayload.durationMinutes
+  });
+  if (conflictingTrip) {
+    return res.status(409).json({
+      error: "Ya tienes un viaje activo que se cruza con este horario",
+      conflict: describeConflict(conflictingTrip)
+    });
+  }
+
   const trip = await Trip.create(tripPayload);
   res.status(201).json({ trip: sanitizeTrip(trip) });
 });
 
-// GET /trips: list all trips with optional filters for passengers.
-router.get("/", async (req, res) => {
-  const { departure_point, min_seats, max_price, start_time, end_time } = req.query || {};
+const EDITABLE_TRIP_FIELDS = ["routeDescription", "pricePerSeat", "seatsTotal", "pickupPoints"];
+const CONFIRMED_PRICE_ERROR = "No puedes cambiar el precio: ya hay reservas confirmadas";
+
+// PUT /trips/:id: driver fixes non-structural details. Route, vehicle and time stay as published
+// (the time changes through /reschedule) so passengers are never moved to a different trip.
+router.put("/:id", requireAuth, requireVerifiedEmail, requireActiveAccount, async (req, res) => {
+  const body = req.body || {};
+  const fields = Object.keys(body);
+  if (!fields.length) {
+    return res.status(400).json({ error: "No hay cambios para guardar" });
+  }
+  if (fields.some((field) => !EDITABLE_TRIP_FIELDS.includes(field))) {
+    return res
+      .status(400)
+      .json({ error: "Solo puedes editar la descripción, el precio, los puestos y los puntos de recogida" });
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Viaje no encontrado" });
+  }
+  const trip = await Trip.findOne({ _id: req.params.id, driver: req.user.sub });
+  if (!trip) return res.status(404).json({ error: "Viaje no encontrado" });
+  if (!["scheduled", "full"].includes(trip.status)) {
+    return res.status(400).json({ error: "Solo puedes editar viajes activos" });
+  }
+
+  const changes = {};
+
+  if ("routeDescription" in body) {
+    if (body.routeDescription != null && typeof body.routeDescription !== "string") {
+      return res.status(400).json({ error: "Descripción de la ruta inválida" });
+    }
+    changes.routeDescription = body.routeDescription?.trim() || "";
+  }
+
+  if ("pricePerSeat" in body) {
+    const priceNumber = Number(body.pricePerSeat);
+    if (body.pricePerSeat == null || Number.isNaN(priceNumber) || priceNumber < 0) {
+      return res.status(400).json({ error: "Precio por puesto inválido" });
+    }
+    if (priceNumber !== trip.pricePerSeat) {
+      const hasConfirmed = await Reservation.exists({ trip: trip._id, status: "confirmed" });
+      if (hasConfirmed) {
+        return res.status(409).json({ error: CONFIRMED_PRICE_ERROR });
+      }
+      changes.pricePerSeat = priceNumber;
+    }
+  }
+
+  let seatsNumber;
+  if ("seatsTotal" in body) {
+    const vehicle = await Vehicle.findById(trip.vehicle).select("capacity").lean();
+    if (!vehicle) return res.status(404).json({ error: "Vehículo no encontrado" });
+    const { value, error: seatsError } = validateSeatsForVehicle(body.seatsTotal, vehicle);
+    if (seatsError) {
+      return res.status(400).json({ error: seatsError });
+    }
+    const booked = trip.seatsTotal - trip.seatsAvailable;
+    if (value < booked) {
+      return res.status(409).json({ error: `Ya hay ${booked} puestos reservados; no puedes ofrecer menos` });
+    }
+    seatsNumber = value;
+  }
+
+  if ("pickupPoints" in body) {
+    if (!Array.isArray(body.pickupPoints)) {
+      return res.status(400).json({ error: "pickupPoints debe ser una lista" });
+    }
+    const normalized = [];
+    for (const point of body.pickupPoints) {
+      const { value, error } = normalizePickupPayload(point);
+      if (error) return res.status(400).json({ error });
+      normalized.push(value);
+    }
+
+    const nextKeys = new Set(normalized.map(pickupPointKey));
+    const removed = (trip.pickupPoints || []).filter((point) => !nextKeys.has(pickupPointKey(point)));
+    if (removed.length) {
+      const removedKeys = new Map(removed.map((point) => [pickupPointKey(point), point]));
+      const active = await Reservation.find({ trip: trip._id, status: { $in: ACTIVE_RESERVATION_STATUSES } })
+        .select("pickupPoints")
+        .lean();
+      const inUse = active
+        .flatMap((reservation) => reservation.pickupPoints || [])
+        .find((point) => removedKeys.has(pickupPointKey(point)));
+      if (inUse) {
+        const { name } = removedKeys.get(pickupPointKey(inUse));
+        return res.status(409).json({ error: `El punto "${name}" tiene reservas y no se puede quitar` });
+      }
+    }
+
+    // Points kept from the current list preserve who proposed them and when.
+    const currentByKey = new Map((trip.pickupPoints || []).map((point) => [pickupPointKey(point), point]));
+    changes.pickupPoints = normalized.map((value) => {
+      const current = currentByKey.get(pickupPointKey(value));
+      if (current) return { ...current.toObject(), ...value };
+      return {
+        ...value,
+        source: "driver",
+        status: "active",
+        requestedBy: new mongoose.Types.ObjectId(req.user.sub),
+        createdAt: new Date()
+      };
+    });
+  }
+
+  if (!Object.keys(changes).length && seatsNumber === undefined) {
+    return res.json({ trip: sanitizeTrip(trip) });
+  }
+
+  const filter = { _id: trip._id, driver: req.user.sub, status: { $in: ["scheduled", "full"] } };
+
+  // Confirmations live in the Reservation collection, out of reach of the trip update below, so the
+  // new price is written first and the check repeated: a confirmation that landed in between puts
+  // the old price back before anything else changes.
+  const restorePrice = () =>
+    Trip.updateOne(
+      { _id: trip._id, pricePerSeat: changes.pricePerSeat },
+      { $set: { pricePerSeat: trip.pricePerSeat } }
+    );
+  if (changes.pricePerSeat !== undefined) {
+    const repriced = await Trip.updateOne(
+      { ...filter, pricePerSeat: trip.pricePerSeat },
+      { $set: { pricePerSeat: changes.pricePerSeat } }
+    );
+    if (!repriced.modifiedCount) {
+      return res.status(409).json({ error: "El viaje cambió mientras lo editabas, actualiza e intenta de nuevo" });
+    }
+    if (await Reservation.exists({ trip: trip._id, status: "confirmed" })) {
+      await restorePrice();
+      return res.status(409).json({ error: CONFIRMED_PRICE_ERROR });
+    }
+  }
+
+  // Single conditional update so a booking that lands meanwhile can never leave seatsAvailable negative.
+  const pipeline = [];
+  if (Object.keys(changes).length) {
+    pipeline.push({
+      $set: Object.fromEntries(Object.entries(changes).map(([field, value]) => [field, { $literal: value }]))
+    });
+  }
+  // Pipeline updates skip the model hooks, so keep the search geometry in sync by hand.
+  if (changes.pickupPoints) {
+    const { pickupLocations } = tripGeometry({ ...trip.toObject(), pickupPoints: changes.pickupPoints });
+    pipeline.push(
+      pickupLocations ? { $set: { pickupLocations: { $literal: pickupLocations } } } : { $unset: "pickupLocations" }
+    );
+  }
+  if (seatsNumber !== undefined) {
+    filter.$expr = { $lte: [{ $subtract: ["$seatsTotal", "$seatsAvailable"] }, seatsNumber] };
+    pipeline.push(
+      {
+        $set: {
+          seatsAvailable: { $subtract: [seatsNumber, { $subtract: ["$seatsTotal", "$seatsAvailable"] }] },
+          seatsTotal: seatsNumber
+        }
+      },
+      { $set: { status: { $cond: [{ $gt: ["$seatsAvailable", 0] }, "scheduled", "full"] } } }
+    );
+  }
+
+  const updated = await Trip.findOneAndUpdate(filter, pipeline, { new: true });
+  if (!updated) {
+    if (changes.pricePerSeat !== undefined) await restorePrice();
+    return res.status(409).json({ error: "El viaje cambió mientras lo editabas, actualiza e intenta de nuevo" });
+  }
+  emitTripUpdated(updated);
+  res.json({ trip: sanitizeTrip(updated) });
+});
+
+// Sort options of GET /trips: the stored (or computed) field and its default direction.
+const TRIP_SORTS = {
+  departure: { field: "departureAt", order: "asc" },
+  price: { field: "pricePerSeat", order: "asc" },
+  rating: { field: "driverRatingAverage", order: "desc" }
+};
+const TRIP_PAGE_SIZE = { fallback: 20, max: 50 };
+// Internal fields never sent with the listing (aggregations ignore `select: false`).
+const TRIP_LIST_HIDDEN_FIELDS = ["pickupSuggestions", "routeLine", "pickupLocations", "destinationLocation"];
+
+// GET /trips: one page of active trips with optional filters for passengers.
+// Signed-in users never see trips of drivers they blocked or who blocked them.
+router.get("/", optionalAuth, async (req, res) => {
+  const {
+    departure_point,
+    min_seats,
+    max_price,
+    start_time,
+    end_time,
+    near,
+    dest_near,
+    radiusMeters,
+    driver,
+    limit: limitParam,
+    cursor: cursorParam,
+    sort = "departure",
+    order: orderParam
+  } = req.query || {};
   const criteria = { status: { $in: ["scheduled", "full"] } };
 
+  const sortOption = TRIP_SORTS[sort];
+  if (!sortOption) {
+    return res.status(400).json({ error: `sort debe ser uno de: ${Object.keys(TRIP_SORTS).join(", ")}` });
+  }
+  const order = orderParam || sortOption.order;
+  if (!["asc", "desc"].includes(order)) {
+    return res.status(400).json({ error: "order debe ser asc o desc" });
+  }
+  const limit = parseLimit(limitParam, TRIP_PAGE_SIZE);
+  if (!limit) {
+    return res.status(400).json({ error: `limit debe estar entre 1 y ${TRIP_PAGE_SIZE.max}` });
+  }
+  const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+  if (cursorParam && (!cursor || cursor.sort !== sort || cursor.order !== order)) {
+    return res.status(400).json({ error: "Cursor inválido, vuelve a cargar la primera página" });
+  }
+
+  if (driver) {
+    if (!mongoose.isValidObjectId(driver)) {
+      return res.status(400).json({ error: "Conductor inválido" });
+    }
+    criteria.driver = new mongoose.Types.ObjectId(driver);
+  }
+  const hiddenDrivers = req.user ? await blockedUserIds(req.user.sub) : [];
+  if (hiddenDrivers.length) {
+    criteria.driver = criteria.driver ? { $eq: criteria.driver, $nin: hiddenDrivers } : { $nin: hiddenDrivers };
+  }
+
+  // Geo search: `near` matches trips whose route or boarding points pass within walking distance,
+  // `dest_near` trips ending within the same radius.
+  const nearPoint = near ? parseLatLng(near) : null;
+  if (near && !nearPoint) {
+    return res.status(400).json({ error: "Parámetro near inválido, usa lat,lng" });
+  }
+  const destinationPoint = dest_near ? parseLatLng(dest_near) : null;
+  if (dest_near && !destinationPoint) {
+    return res.status(400).json({ error: "Parámetro dest_near inválido, usa lat,lng" });
+  }
+  const radius = radiusMeters === undefined ? DEFAULT_WALKING_RADIUS_METERS : Number(radiusMeters);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_WALKING_RADIUS_METERS) {
+    return res.status(400).json({ error: `radiusMeters debe estar entre 1 y ${MAX_WALKING_RADIUS_METERS}` });
+  }
+  if (nearPoint) {
+    const area = { $geoIntersects: { $geometry: circlePolygon(nearPoint, radius) } };
+    criteria.$or = [{ routeLine: area }, { pickupLocations: area }];
+  }
+  if (destinationPoint) {
+    criteria.destinationLocation = { $geoWithin: { $centerSphere: centerSphere(destinationPoint, radius) } };
+  }
+
   if (departure_point) {
     criteria.origin = { $regex: departure_point, $options: "i" };
   }
@@ -266,12 +547,51 @@ router.get("/", async (req, res) => {
     }
   }
 
-  const list = await Trip.find(criteria)
-    .select("-pickupSuggestions")
-    .populate("driver", "firstName lastName photoUrl roles")
-    .populate("vehicle", "brand model plate color")
-    .sort({ departureAt: 1 })
-    .lean();
+  // Keyset pagination on (sort field, _id): stable while trips are published or booked between pages.
+  const direction = order === "asc" ? 1 : -1;
+  const pipeline = [{ $match: criteria }];
+  let ratingsByDriver = null;
+  if (sort === "rating") {
+    // One indexed aggregate for the drivers that match the filters; the averages go into the pipeline as
+    // literals instead of re-reading each driver's rating history for every trip.
+    const candidateDrivers = await Trip.distinct("driver", criteria);
+    ratingsByDriver = await driverRatingStatsByUser(candidateDrivers);
+    const ratedDrivers = candidateDrivers.filter((id) => ratingsByDriver.has(id.toString()));
+    const averages = ratedDrivers.map((id) => ratingsByDriver.get(id.toString()).average);
+    pipeline.push({
+      $set: {
+        driverRatingAverage: {
+          $let: {
+            vars: { index: { $indexOfArray: [{ $literal: ratedDrivers }, "$driver"] } },
+            // Unrated drivers sort as -1 so the keyset comparison never has to deal with nulls.
+            in: { $cond: [{ $gte: ["$$index", 0] }, { $arrayElemAt: [{ $literal: averages }, "$$index"] }, -1] }
+          }
+        }
+      }
+    });
+  }
+  if (cursor) {
+    pipeline.push({ $match: afterCursorCriteria(sortOption.field, direction, cursor) });
+  }
+  pipeline.push(
+    { $sort: { [sortOption.field]: direction, _id: 1 } },
+    { $limit: limit + 1 },
+    { $project: Object.fromEntries(TRIP_LIST_HIDDEN_FIELDS.map((field) => [field, 0])) }
+  );
+
+  const [page, total] = await Promise.all([Trip.aggregate(pipeline), Trip.countDocuments(criteria)]);
+  const hasMore = page.length > limit;
+  const list = page.slice(0, limit);
+  const last = list[list.length - 1];
+  const nextCursor =
+    hasMore && last ? encodeCursor({ sort, order, value: last[sortOption.field], id: last._id }) : null;
+  // The rating sort key only exists for the cursor; clients get driverStats instead.
+  list.forEach((trip) => delete trip.driverRatingAverage);
+
+  await Trip.populate(list, [
+    { path: "driver", select: "firstName lastName photoUrl roles" },
+    { path: "vehicle", select: "brand model plate color" }
+  ]);
 
   const driverIds = Array.from(
     new Set(
@@ -281,39 +601,63 @@ router.get("/", async (req, res) => {
     )
   );
 
-  let ratingMap = new Map();
-  if (driverIds.length) {
-    const driverObjectIds = driverIds.map((id) => new mongoose.Types.ObjectId(id));
-    const ratingStats = await Rating.aggregate([
-      { $match: { to: { $in: driverObjectIds } } },
-      {
-        $group: {
-          _id: "$to",
-          average: { $avg: "$score" },
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-    ratingMap = new Map(
-      ratingStats.map((stat) => [stat._id.toString(), { average: stat.average, count: stat.count }])
-    );
-  }
+  const ratingMap = ratingsByDriver || (await driverRatingStatsByUser(driverIds));
 
   const enrichedTrips = list.map((trip) => {
     const driverId = trip.driver?._id?.toString();
-    const stats = driverId ? ratingMap.get(driverId) : null;
-    return {
+    const enriched = {
       ...trip,
-      driverStats: stats
-        ? {
-            average: Number(stats.average?.toFixed(2)) || null,
-            ratingsCount: stats.count
-          }
-        : null
+      driverStats: (driverId && ratingMap.get(driverId)) || null
     };
+    if (nearPoint) {
+      const activePoints = (trip.pickupPoints || []).filter((point) => (point.status || "active") === "active");
+      const nearest = nearestPoint(nearPoint, activePoints);
+      enriched.nearestPickup = nearest && {
+        name: nearest.point.name,
+        lat: nearest.point.lat,
+        lng: nearest.point.lng,
+        distanceMeters: nearest.distanceMeters
+      };
+    }
+    return enriched;
   });
 
-  res.json({ trips: enrichedTrips });
+  res.json({ trips: enrichedTrips, total, nextCursor });
+});
+
+// GET /trips/:id: trip detail behind the shareable /trips/:id page.
+// Only the driver's public profile is included; other passengers' data never leaves the server.
+router.get("/:id", requireAuth, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Viaje no encontrado" });
+  }
+  const trip = await Trip.findById(req.params.id)
+    .select("-__v")
+    .populate("driver", "firstName lastName photoUrl createdAt")
+    .populate("vehicle", "brand model plate color capacity vehiclePhotoUrl")
+    .lean();
+  if (!trip) return res.status(404).json({ error: "Viaje no encontrado" });
+
+  const isDriver = trip.driver?._id?.toString() === req.user.sub;
+  const driverStats = trip.driver
+    ? (await driverRatingStatsByUser([trip.driver._id])).get(trip.driver._id.toString())
+    : null;
+  // The caller's latest reservation on this trip, whatever its status, so the page can show "ya reservaste".
+  const myReservation = isDriver
+    ? null
+    : await Reservation.findOne({ trip: trip._id, passenger: req.user.sub }).sort({ createdAt: -1 }).lean();
+
+  const { pickupSuggestions, ...fields } = trip;
+  const detail = {
+    ...fields,
+    pickupPoints: (trip.pickupPoints || [])
+      .filter((point) => isDriver || (point.status || "active") === "active")
+      .map(({ requestedBy, ...point }) => (isDriver ? { ...point, requestedBy } : point)),
+    driverStats: driverStats || null
+  };
+  if (isDriver) detail.pickupSuggestions = pickupSuggestions || [];
+
+  res.json({ trip: detail, myReservation: sanitizeReservation(myReservation), isDriver });
 });
 
 router.post("/tariff/suggest", (req, res) => {
@@ -327,7 +671,7 @@ router.post("/tariff/suggest", (req, res) => {
 });
 
 // POST /trips/:id/reservations: passenger books one or more seats selecting pickup points.
-router.post("/:id/reservations", requireAuth, async (req, res) => {
+router.post("/:id/reservations", requireAuth, reservationRateLimit, requireVerifiedEmail, requireActiveAccount, async (req, res) => {
   const { seats, pickupPoints, paymentMethod } = req.body || {};
   const seatsRequested = Number(seats);
   if (!Number.isInteger(seatsRequested) || seatsRequested < 1) {
@@ -349,64 +693,43 @@ router.post("/:id/reservations", requireAuth, async (req, res) => {
   if (paymentMethod && !["cash", "nequi"].includes(paymentMethod)) {
     return res.status(400).json({ error: "Método de pago inválido" });
   }
-  const reservationDoc = {
-    passenger: req.user.sub,
-    seats: seatsRequested,
-    pickupPoints: normalizedReservationPoints,
-    paymentMethod: paymentMethod || "cash",
-    status: "pending"
-  };
 
-  const trip = await Trip.findOneAndUpdate(
-    {
-      _id: req.params.id,
-      seatsAvailable: { $gte: seatsRequested },
-      status: { $in: ["scheduled", "full"] },
-      driver: { $ne: req.user.sub },
-      reservations: {
-        $not: {
-          $elemMatch: { passenger: req.user.sub, status: { $in: ["pending", "confirmed"] } }
-        }
-      }
-    },
-    {
-      $inc: { seatsAvailable: -seatsRequested },
-      $push: { reservations: reservationDoc }
-    },
-    { new: true }
-  );
+  try {
+    const { reservation, trip } = await createReservation({
+      tripId: req.params.id,
+      passengerId: req.user.sub,
+      seats: seatsRequested,
+      pickupPoints: normalizedReservationPoints,
+      paymentMethod: paymentMethod || "cash"
+    });
+    res.status(201).json({ reservation: sanitizeReservation(reservation), trip: sanitizeTrip(trip) });
+  } catch (err) {
+    sendReservationError(res, err);
+  }
+});
 
-  if (!trip) {
-    const existingTrip = await Trip.findById(req.params.id);
-    if (!existingTrip) return res.status(404).json({ error: "Viaje no encontrado" });
-    if (existingTrip.driver.toString() === req.user.sub) {
-      return res.status(400).json({ error: "No puedes reservar tu propio viaje" });
-    }
-    if (existingTrip.status === "cancelled" || existingTrip.status === "completed") {
-      return res.status(400).json({ error: "El viaje no está disponible" });
-    }
-    if (existingTrip.seatsAvailable < seatsRequested) {
-      return res.status(400).json({ error: "Sin cupos suficientes" });
-    }
-    const hasReservation = existingTrip.reservations?.some(
-      (r) => r.passenger.toString() === req.user.sub && r.status === "confirmed"
-    );
-    if (hasReservation) {
-      return res.status(400).json({ error: "Ya tienes una reserva activa en este viaje" });
-    }
-    return res.status(400).json({ error: "No se pudo crear la reserva" });
+// GET /trips/:id/reservations: the driver sees every reservation of the trip, passengers only their own.
+router.get("/:id/reservations", requireAuth, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Viaje no encontrado" });
   }
+  const trip = await Trip.findById(req.params.id).select("driver").lean();
+  if (!trip) return res.status(404).json({ error: "Viaje no encontrado" });
 
-  if (trip.seatsAvailable === 0 && trip.status !== "full") {
-    trip.status = "full";
-    await trip.save();
+  const criteria = { trip: trip._id };
+  if (trip.driver.toString() !== req.user.sub) {
+    criteria.passenger = req.user.sub;
   }
+  const reservations = await Reservation.find(criteria)
+    .populate("passenger", "firstName lastName photoUrl")
+    .sort({ createdAt: 1 })
+    .lean();
 
-  res.status(201).json({ trip: sanitizeTrip(trip) });
+  res.json({ reservations });
 });
 
 // POST /trips/:id/pickup-suggestions: passengers propose new pickup points as part of bookings.
-router.post("/:id/pickup-suggestions", requireAuth, async (req, res) => {
+router.post("/:id/pickup-suggestions", requireAuth, pickupSuggestionRateLimit, async (req, res) => {
   const { value, error } = normalizePickupPayload(req.body || {});
   if (error) {
     return res.status(400).json({ error });
@@ -446,86 +769,48 @@ router.post("/:id/pickup-suggestions", requireAuth, async (req, res) => {
   await trip.save();
 
   const suggestion = trip.pickupSuggestions[trip.pickupSuggestions.length - 1];
+  await notifyPickupSuggestion(trip, suggestion);
   return res.status(201).json({ suggestion, pickupPoint, trip: sanitizeTrip(trip) });
 });
 
-function adjustTripCapacity(trip) {
-  if (trip.seatsAvailable === 0 && trip.status === "scheduled") {
-    trip.status = "full";
-  }
-  if (trip.seatsAvailable > 0 && trip.status === "full") {
-    trip.status = "scheduled";
-  }
-}
-
+// Legacy trip-scoped aliases of PUT /reservations/:id/confirm|reject|cancel.
 router.put("/:tripId/reservations/:reservationId/confirm", requireAuth, async (req, res) => {
-  const { tripId, reservationId } = req.params;
-  const trip = await Trip.findOne({ _id: tripId, driver: req.user.sub });
-  if (!trip) return res.status(404).json({ error: "Viaje no encontrado" });
-
-  const reservation = trip.reservations.id(reservationId);
-  if (!reservation) return res.status(404).json({ error: "Reserva no encontrada" });
-  if (reservation.status === "rejected" || reservation.status === "cancelled") {
-    return res.status(400).json({ error: "La reserva ya fue cancelada" });
-  }
-  if (reservation.status === "confirmed") {
-    return res.json({ trip: sanitizeTrip(trip) });
-  }
-  if (reservation.status !== "pending") {
-    return res.status(400).json({ error: "Reserva en estado inválido" });
+  try {
+    const { reservation, trip } = await confirmReservation({
+      reservationId: req.params.reservationId,
+      tripId: req.params.tripId,
+      driverId: req.user.sub
+    });
+    res.json({ reservation: sanitizeReservation(reservation), trip: sanitizeTrip(trip) });
+  } catch (err) {
+    sendReservationError(res, err);
   }
-
-  reservation.status = "confirmed";
-  reservation.decisionAt = new Date();
-
-  adjustTripCapacity(trip);
-  await trip.save();
-  return res.json({ trip: sanitizeTrip(trip) });
 });
 
 router.put("/:tripId/reservations/:reservationId/reject", requireAuth, async (req, res) => {
-  const { tripId, reservationId } = req.params;
-  const trip = await Trip.findOne({ _id: tripId, driver: req.user.sub });
-  if (!trip) return res.status(404).json({ error: "Viaje no encontrado" });
-
-  const reservation = trip.reservations.id(reservationId);
-  if (!reservation) return res.status(404).json({ error: "Reserva no encontrada" });
-  if (reservation.status === "rejected" || reservation.status === "cancelled") {
-    return res.json({ trip: sanitizeTrip(trip) });
-  }
-  if (reservation.status !== "pending") {
-    return res.status(400).json({ error: "Solo reservas pendientes pueden rechazarse" });
+  try {
+    const { reservation, trip } = await rejectReservation({
+      reservationId: req.params.reservationId,
+      tripId: req.params.tripId,
+      driverId: req.user.sub
+    });
+    res.json({ reservation: sanitizeReservation(reservation), trip: sanitizeTrip(trip) });
+  } catch (err) {
+    sendReservationError(res, err);
   }
-
-  reservation.status = "rejected";
-  reservation.decisionAt = new Date();
-  trip.seatsAvailable = Math.min(trip.seatsAvailable + reservation.seats, trip.seatsTotal);
-  adjustTripCapacity(trip);
-  await trip.save();
-  return res.json({ trip: sanitizeTrip(trip) });
 });
 
 router.put("/:tripId/reservations/:reservationId/cancel", requireAuth, async (req, res) => {
-  const { tripId, reservationId } = req.params;
-  const trip = await Trip.findOne({ _id: tripId, "reservations._id": reservationId });
-  if (!trip) return res.status(404).json({ error: "Reserva no encontrada" });
-
-  const reservation = trip.reservations.id(reservationId);
-  const isDriver = trip.driver.toString() === req.user.sub;
-  const isPassenger = reservation.passenger?.toString() === req.user.sub;
-  if (!isDriver && !isPassenger) {
-    return res.status(403).json({ error: "No autorizado" });
-  }
-  if (reservation.status === "cancelled" || reservation.status === "rejected") {
-    return res.json({ trip: sanitizeTrip(trip) });
+  try {
+    const { reservation, trip } = await cancelReservation({
+      reservationId: req.params.reservationId,
+      tripId: req.params.tripId,
+      userId: req.user.sub
+    });
+    res.json({ reservation: sanitizeReservation(reservation), trip: sanitizeTrip(trip) });
+  } catch (err) {
+    sendReservationError(res, err);
   }
-
-  reservation.status = "cancelled";
-  reservation.decisionAt = new Date();
-  trip.seatsAvailable = Math.min(trip.seatsAvailable + reservation.seats, trip.seatsTotal);
-  adjustTripCapacity(trip);
-  await trip.save();
-  return res.json({ trip: sanitizeTrip(trip) });
 });
 
 // PUT /trips/:id/cancel: driver cancels trip and frees seats.
@@ -535,21 +820,20 @@ router.put("/:id/cancel", requireAuth, async (req, res) => {
 
   trip.status = "cancelled";
   trip.seatsAvailable = 0;
-  trip.reservations = trip.reservations.map((reservation) => ({
-    ...(reservation?.toObject ? reservation.toObject() : reservation),
-    status: "cancelled"
-  }));
-
   await trip.save();
 
+  const cancelledReservations = await cancelTripReservations(trip._id);
+  emitTripCancelled(trip);
+  await notifyTripCancelled(trip, cancelledReservations);
+
   // Notify passengers by email (non-blocking)
   try {
-    const passengerIds = (trip.reservations || []).map((r) => r.passenger).filter(Boolean);
+    const passengerIds = cancelledReservations.map((r) => r.passenger).filter(Boolean);
     if (passengerIds.length) {
       const users = await User.find({ _id: { $in: passengerIds } }).select("email firstName").lean();
       const userById = new Map(users.map((u) => [u._id.toString(), u]));
 
-      const emailPromises = (trip.reservations || []).map((reservation) => {
+      const emailPromises = cancelledReservations.map((reservation) => {
         const pid = reservation.passenger?.toString();
         const user = pid ? userById.get(pid) : null;
         if (user && user.email) {
@@ -576,14 +860,73 @@ router.put("/:id/cancel", requireAuth, async (req, res) => {
   res.json({ trip: sanitizeTrip(trip) });
 });
 
+// PUT /trips/:id/reschedule: driver moves the departure time; booked passengers must accept or decline it.
+router.put("/:id/reschedule", requireAuth, async (req, res) => {
+  const { departureAt, reason } = req.body || {};
+  const newDeparture = departureAt ? new Date(departureAt) : null;
+  if (!newDeparture || Number.isNaN(newDeparture.getTime())) {
+    return res.status(400).json({ error: "Fecha de salida inválida" });
+  }
+  if (newDeparture <= new Date()) {
+    return res.status(400).json({ error: "La nueva fecha de salida debe ser futura" });
+  }
+  if (reason !== undefined && (typeof reason !== "string" || reason.length > 300)) {
+    return res.status(400).json({ error: "Motivo inválido (máximo 300 caracteres)" });
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Viaje no encontrado" });
+  }
+  const trip = await Trip.findOne({ _id: req.params.id, driver: req.user.sub });
+  if (!trip) return res.status(404).json({ error: "Viaje no encontrado" });
+  if (!["scheduled", "full"].includes(trip.status)) {
+    return res.status(400).json({ error: "Solo puedes reprogramar viajes activos" });
+  }
+  if (trip.departureAt.getTime() === newDeparture.getTime()) {
+    return res.status(400).json({ error: "La nueva hora es igual a la actual" });
+  }
+
+  const conflictingTrip = await findDriverConflict({
+    driverId: req.user.sub,
+    departureAt: newDeparture,
+    durationMinutes: trip.durationMinutes,
+    excludeTripId: trip._id
+  });
+  if (conflictingTrip) {
+    return res.status(409).json({
+      error: "Ya tienes un viaje activo que se cruza con el nuevo horario",
+      conflict: describeConflict(conflictingTrip)
+    });
+  }
+
+  trip.reschedule = {
+    previousDepartureAt: trip.departureAt,
+    requestedAt: new Date(),
+    reason: reason?.trim() || undefined
+  };
+  trip.departureAt = newDeparture;
+  // The reminder window moved with the departure, so the worker has to send it again.
+  trip.reminderSentAt = undefined;
+  await trip.save();
+
+  const affectedReservations = await requestRescheduleConsent(trip);
+  emitTripUpdated(trip);
+  await notifyTripRescheduled(trip, affectedReservations);
+
+  res.json({ trip: sanitizeTrip(trip), affectedReservations: affectedReservations.length });
+});
+
 // GET /trips/:id/passengers: driver views confirmed passengers and pickup points.
 router.get("/:id/passengers", requireAuth, async (req, res) => {
-  const trip = await Trip.findOne({ _id: req.params.id, driver: req.user.sub })
-    .populate("reservations.passenger", "firstName lastName phone email")
-    .lean();
+  const trip = await Trip.findOne({ _id: req.params.id, driver: req.user.sub }).select("_id").lean();
   if (!trip) return res.status(404).json({ error: "Viaje no encontrado" });
 
-  const passengers = (trip.reservations || []).map((r) => ({
+  const reservations = await Reservation.find({ trip: trip._id })
+    .populate("passenger", "firstName lastName phone email")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const passengers = reservations.map((r) => ({
     id: r._id,
     passenger: r.passenger,
     seats: r.seats,
@@ -1,26 +1,37 @@
 // User profile routes: viewing and updating personal information.
 import { Router } from "express";
 import { requireAuth } from "../middlewares/auth.js";
+import { byIp, byUserEmail, rateLimit, tooManyRequests } from "../middlewares/rateLimit.js";
 import User from "../models/User.js";
 import Vehicle from "../models/Vehicle.js";
 import { evaluateDriverReadiness } from "../utils/vehiclePresenter.js";
+import { getPublicProfile } from "../services/reputationService.js";
+import { buildDataExport, pipeDataExportZip } from "../services/dataExportService.js";
+import { AccountDeletionError, requestAccountDeletion } from "../services/accountDeletionService.js";
+import { lockoutMessage, loginLockRemainingMs, recordFailedLogin } from "../services/loginLockoutService.js";
+import profileRoutes from "./profile.js";
+import { blockUser, hasBlocked, listBlocks, unblockUser, UserBlockServiceError } from "../services/userBlockService.js";
 
 const router = Router();
-
-function toPublicUser(user) {
-  if (!user) return null;
-  const { _id, email, firstName, lastName, universityId, phone, photoUrl, roles, activeRole, createdAt, updatedAt } = user;
-  return { id: _id, email, firstName, lastName, universityId, phone, photoUrl, roles, activeRole, createdAt, updatedAt };
-}
-
-// GET /users/me: return profile information plus associated vehicle (if any).
-router.get("/me", requireAuth, async (req, res) => {
-  const user = await User.findById(req.user.sub).lean();
-  if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
-  const vehicle = await Vehicle.findOne({ owner: user._id }).lean();
-  res.json({ user: toPublicUser(user), vehicle });
+// Exports read every collection, so they are throttled per account.
+const exportRateLimit = rateLimit({
+  name: "data-export",
+  envPrefix: "DATA_EXPORT_RATE_LIMIT",
+  max: 5,
+  windowSeconds: 60 * 60,
+  keys: { ip: byIp, email: byUserEmail }
+});
+const accountDeletionRateLimit = rateLimit({
+  name: "account-deletion",
+  envPrefix: "ACCOUNT_DELETION_RATE_LIMIT",
+  max: 5,
+  windowSeconds: 15 * 60,
+  keys: { ip: byIp, email: byUserEmail }
 });
 
+// GET/PUT /users/me and the profile photo live in routes/profile.js.
+router.use("/me", profileRoutes);
+
 router.get("/me/driver-readiness", requireAuth, async (req, res) => {
   const user = await User.findById(req.user.sub).lean();
   if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
@@ -41,19 +52,99 @@ router.get("/me/driver-readiness", requireAuth, async (req, res) => {
   });
 });
 
-// PUT /users/me: update editable profile fields.
-router.put("/me", requireAuth, async (req, res) => {
-  const { firstName, lastName, phone, photoUrl } = req.body || {};
-  const updates = { firstName, lastName, phone, photoUrl };
-  Object.keys(updates).forEach((key) => updates[key] === undefined && delete updates[key]);
+// GET /users/me/export: Habeas Data copy of the user's data; `?format=zip` adds the uploaded documents.
+router.get("/me/export", requireAuth, exportRateLimit, async (req, res) => {
+  try {
+    const bundle = await buildDataExport(req.user.sub);
+    if (!bundle) return res.status(404).json({ error: "Usuario no encontrado" });
+    const fileName = `wheels-mis-datos-${bundle.exportedAt.toISOString().slice(0, 10)}`;
+    if (req.query.format === "zip") {
+      res.attachment(`${fileName}.zip`);
+      return await pipeDataExportZip(bundle, res);
+    }
+    res.attachment(`${fileName}.json`);
+    res.json(bundle);
+  } catch (err) {
+    console.error("data export", err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: "No se pudo exportar tus datos" });
+  }
+});
+
+// DELETE /users/me: schedule the account for deletion (password, plus a code with 2FA, required).
+// Wrong passwords or codes count as failed logins for the account email, so the progressive lockout applies.
+router.delete("/me", requireAuth, accountDeletionRateLimit, async (req, res) => {
+  try {
+    const lockedMs = await loginLockRemainingMs(req.user.email);
+    if (lockedMs > 0) return tooManyRequests(res, lockedMs / 1000, lockoutMessage(lockedMs));
+
+    const { password, code } = req.body || {};
+    let result;
+    try {
+      result = await requestAccountDeletion(req.user.sub, { password, code });
+    } catch (err) {
+      if (!(err instanceof AccountDeletionError) || err.code !== "invalid_credentials") throw err;
+      const lockMs = await recordFailedLogin({
+        email: req.user.email,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        userId: req.user.sub
+      });
+      if (lockMs > 0) return tooManyRequests(res, lockMs / 1000, lockoutMessage(lockMs));
+      throw err;
+    }
+    const { scheduledFor, cancelledTrips, cancelledReservations } = result;
+    res.json({ scheduledFor, cancelledTrips, cancelledReservations });
+  } catch (err) {
+    if (err instanceof AccountDeletionError) return res.status(err.statusCode).json({ error: err.message });
+    console.error("account deletion", err);
+    res.status(500).json({ error: "No se pudo eliminar la cuenta" });
+  }
+});
+
+function sendBlockError(res, err) {
+  if (err instanceof UserBlockServiceError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  console.error("user block error", err);
+  return res.status(500).json({ error: "No se pudo actualizar el bloqueo" });
+}
+
+// GET /users/me/blocks: users the authenticated user has blocked.
+router.get("/me/blocks", requireAuth, async (req, res) => {
+  const blocks = await listBlocks(req.user.sub);
+  res.json({ blocks });
+});
+
+// POST /users/:id/block: stop being matched with that user (their trips disappear and bookings are refused).
+router.post("/:id/block", requireAuth, async (req, res) => {
+  try {
+    const { block, created } = await blockUser({ blockerId: req.user.sub, blockedId: req.params.id });
+    res.status(created ? 201 : 200).json({ blocked: true, blockedAt: block.createdAt });
+  } catch (err) {
+    sendBlockError(res, err);
+  }
+});
+
+// DELETE /users/:id/block: lift a block created by the authenticated user.
+router.delete("/:id/block", requireAuth, async (req, res) => {
+  try {
+    await unblockUser({ blockerId: req.user.sub, blockedId: req.params.id });
+    res.json({ blocked: false });
+  } catch (err) {
+    sendBlockError(res, err);
+  }
+});
 
+// GET /users/:id/public: reputation summary shown on profile pages and trip cards.
+router.get("/:id/public", requireAuth, async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(req.user.sub, updates, { new: true, runValidators: true }).lean();
-    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
-    res.json({ user: toPublicUser(user) });
+    const profile = await getPublicProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: "Usuario no encontrado" });
+    res.json({ profile, blockedByMe: await hasBlocked(req.user.sub, profile.id) });
   } catch (err) {
-    console.error("update profile", err);
-    res.status(500).json({ error: "No se pudo actualizar el perfil" });
+    console.error("public profile", err);
+    res.status(500).json({ error: "No se pudo cargar el perfil" });
   }
 });
 
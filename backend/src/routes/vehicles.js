@@ -206,10 +206,11 @@ router.post("/", requireAuth, maybeHandleUpload, async (req, res) => {
       licenseExpiration: licenseExpDate,
       year: Number.isFinite(yearNumber) ? yearNumber : undefined,
       color: trimmedColor || undefined,
-      status: "verified",
+      // New vehicles wait for an admin decision (see routes/admin.js); owners cannot self-verify.
+      status: "pending",
       statusUpdatedAt: now,
       requestedReviewAt: null,
-      reviewedAt: now
+      reviewedAt: null
     });
 
     const user = await User.findById(req.user.sub);
@@ -482,10 +483,11 @@ router.put("/:id", requireAuth, maybeHandleUpload, async (req, res) => {
     if (reviewTriggered) {
       const nowReview = new Date();
       const docsOk = vehicle.soatExpiration >= nowReview && vehicle.licenseExpiration >= nowReview;
-      vehicle.status = docsOk ? "verified" : "needs_update";
+      // Any reviewed change voids the previous admin decision, even an approval.
+      vehicle.status = docsOk ? "pending" : "needs_update";
       vehicle.statusUpdatedAt = nowReview;
       vehicle.requestedReviewAt = null;
-      vehicle.reviewedAt = docsOk ? nowReview : null;
+      vehicle.reviewedAt = null;
       vehicle.reviewedBy = null;
       vehicle.verificationNotes = undefined;
     }
@@ -573,11 +575,7 @@ router.put("/:id/activate", requireAuth, async (req, res) => {
   if (!user.roles.includes("driver")) {
     user.roles.push("driver");
   }
-  vehicle.status = "verified";
-  vehicle.statusUpdatedAt = now;
-  vehicle.requestedReviewAt = null;
-  vehicle.reviewedAt = now;
-  await Promise.all([user.save(), vehicle.save()]);
+  await user.save();
 
   return res.json({
     user: { id: user._id, activeVehicle: user.activeVehicle },
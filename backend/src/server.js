@@ -1,5 +1,6 @@
 // Loads the Express app instance (configured in app.js) and environment variables.
 import app from "./app.js";
+import { attachRealtime } from "./services/realtimeService.js";
 import dotenv from "dotenv";
 
 // Load environment variables from .env into process.env early in the lifecycle,
@@ -12,6 +13,11 @@ if (!process.env.JWT_SECRET) {
   console.warn("WARNING: JWT_SECRET not set. Using development fallback. Do not use in production.");
 }
 
+// Personal data is encrypted with a development key unless PII_ENCRYPTION_KEYS is configured.
+if (!process.env.PII_ENCRYPTION_KEYS || !process.env.PII_BLIND_INDEX_KEY) {
+  console.warn("WARNING: PII_ENCRYPTION_KEYS or PII_BLIND_INDEX_KEY not set. Using development keys.");
+}
+
 // Read the port/host from the environment with safe defaults.
 // Using 0.0.0.0 allows binding on all interfaces (required inside Docker).
 const port = process.env.PORT || 4000;
@@ -25,6 +31,9 @@ const server = app.listen(port, host, () => {
   console.log(`Health: http://localhost:${port}/health  |  Swagger: http://localhost:${port}/api-docs`);
 });
 
+// Socket.IO shares the HTTP server so clients receive seat and reservation updates on the same port.
+attachRealtime(server);
+
 // Centralized server error handling to provide actionable messages instead of silent failures.
 // This is important in dev/containers where ports may be occupied or permissions limited.
 server.on("error", (err) => {
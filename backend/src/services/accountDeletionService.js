@@ -0,0 +1,181 @@
+// Account deletion (Habeas Data). DELETE /users/me takes the account out of circulation right away: future
+// trips and reservations are cancelled through the usual notifications, templates paused and sessions
+// closed. The data itself is erased by the worker once ACCOUNT_DELETION_GRACE_DAYS pass; signing in again
+// before then cancels the request.
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+import Trip from "../models/Trip.js";
+import TripTemplate from "../models/TripTemplate.js";
+import Reservation from "../models/Reservation.js";
+import Rating from "../models/Rating.js";
+import Notification from "../models/Notification.js";
+import Session from "../models/Session.js";
+import UserBlock from "../models/UserBlock.js";
+import EmailVerification from "../models/EmailVerification.js";
+import PasswordReset from "../models/PasswordReset.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import { removeStoredFile } from "../utils/fileStorage.js";
+import { notifyTripCancelled } from "./notificationService.js";
+import { emitTripCancelled } from "./realtimeService.js";
+import { ACTIVE_RESERVATION_STATUSES, cancelReservation, cancelTripReservations } from "./reservationService.js";
+import { revokeAllSessions } from "./sessionService.js";
+import { checkSecondFactor, isTwoFactorEnabled } from "./twoFactorService.js";
+import { storedDocuments } from "./dataExportService.js";
+
+export class AccountDeletionError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "AccountDeletionError";
+    this.statusCode = options.statusCode || 400;
+    // "invalid_credentials" marks a wrong password or second factor (counted as a failed login).
+    this.code = options.code;
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 50;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * deletionGraceMs - time between the request and the erasure, ACCOUNT_DELETION_GRACE_DAYS (30).
+ */
+export function deletionGraceMs() {
+  return numberFromEnv("ACCOUNT_DELETION_GRACE_DAYS", 30) * DAY;
+}
+
+export function isPendingDeletion(user) {
+  return Boolean(user?.deletion?.scheduledFor);
+}
+
+// Driver side: every upcoming trip is cancelled exactly like PUT /trips/:id/cancel does.
+async function cancelUpcomingTrips(userId, now) {
+  const trips = await Trip.find({ driver: userId, status: { $in: ["scheduled", "full"] }, departureAt: { $gt: now } });
+  for (const trip of trips) {
+    trip.status = "cancelled";
+    trip.seatsAvailable = 0;
+    await trip.save();
+    const cancelledReservations = await cancelTripReservations(trip._id);
+    emitTripCancelled(trip);
+    await notifyTripCancelled(trip, cancelledReservations);
+  }
+  return trips.length;
+}
+
+// Passenger side: active reservations on trips that have not left yet; the driver is notified.
+async function cancelUpcomingReservations(userId, now) {
+  const reservations = await Reservation.find({ passenger: userId, status: { $in: ACTIVE_RESERVATION_STATUSES } })
+    .populate({ path: "trip", select: "departureAt" })
+    .lean();
+  const upcoming = reservations.filter((reservation) => reservation.trip?.departureAt > now);
+  for (const reservation of upcoming) {
+    await cancelReservation({
+      reservationId: reservation._id,
+      userId: userId.toString(),
+      tripId: reservation.trip._id
+    });
+  }
+  return upcoming.length;
+}
+
+/**
+ * requestAccountDeletion - confirm with the password (and a second factor when enabled), then schedule
+ * the erasure and cancel everything still pending.
+ * @returns {Promise<{scheduledFor: Date, cancelledTrips: number, cancelledReservations: number}>}
+ * @throws {AccountDeletionError} 404 unknown user, 400 wrong password/code (code "invalid_credentials") or
+ * already scheduled
+ */
+export async function requestAccountDeletion(userId, { password, code } = {}, now = new Date()) {
+  const user = await User.findById(userId);
+  if (!user) throw new AccountDeletionError("Usuario no encontrado", { statusCode: 404 });
+  if (isPendingDeletion(user)) throw new AccountDeletionError("La eliminación de tu cuenta ya está programada");
+  if (!(await bcrypt.compare(String(password || ""), user.passwordHash || ""))) {
+    throw new AccountDeletionError("Contraseña incorrecta", { code: "invalid_credentials" });
+  }
+  if (isTwoFactorEnabled(user) && !(await checkSecondFactor(user, code))) {
+    throw new AccountDeletionError("Código de verificación inválido", { code: "invalid_credentials" });
+  }
+
+  const scheduledFor = new Date(now.getTime() + deletionGraceMs());
+  await User.updateOne({ _id: user._id }, { $set: { deletion: { requestedAt: now, scheduledFor } } });
+
+  const cancelledTrips = await cancelUpcomingTrips(user._id, now);
+  const cancelledReservations = await cancelUpcomingReservations(user._id, now);
+  await TripTemplate.updateMany({ driver: user._id }, { $set: { active: false } });
+  await revokeAllSessions(user._id, "account_deleted");
+
+  return { scheduledFor, cancelledTrips, cancelledReservations };
+}
+
+/**
+ * restoreAccount - drop a pending deletion (called when the user signs in during the grace period).
+ * Cancelled trips and paused templates stay as they are.
+ * @returns {Promise<boolean>} whether a deletion was cancelled
+ */
+export async function restoreAccount(user) {
+  if (!isPendingDeletion(user)) return false;
+  await User.updateOne({ _id: user._id }, { $set: { deletion: { requestedAt: null, scheduledFor: null } } });
+  user.deletion = { requestedAt: null, scheduledFor: null };
+  return true;
+}
+
+/**
+ * eraseAccount - hard delete. Uploaded files and data only about the user go away; ratings they wrote keep
+ * their score under an id that matches nobody, and so do the reservations they made (without their pickup
+ * points) so drivers keep their trip history. Trips they drove stay pointing at an account that no longer exists.
+ */
+export async function eraseAccount(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) return false;
+
+  const vehicles = await Vehicle.find({ owner: user._id }).lean();
+  await Promise.all(storedDocuments(user, vehicles).map((document) => removeStoredFile(document.path)));
+
+  const anonymousId = new mongoose.Types.ObjectId();
+  await Rating.updateMany({ from: user._id }, { $set: { from: anonymousId, anonymized: true } });
+  await Rating.updateMany(
+    { "reports.by": user._id },
+    { $set: { "reports.$[report].by": anonymousId } },
+    { arrayFilters: [{ "report.by": user._id }] }
+  );
+  await Reservation.updateMany(
+    { passenger: user._id },
+    { $set: { passenger: anonymousId, pickupPoints: [] } }
+  );
+
+  await Promise.all([
+    Rating.deleteMany({ to: user._id }),
+    Vehicle.deleteMany({ owner: user._id }),
+    TripTemplate.deleteMany({ driver: user._id }),
+    Notification.deleteMany({ user: user._id }),
+    Session.deleteMany({ user: user._id }),
+    UserBlock.deleteMany({ $or: [{ blocker: user._id }, { blocked: user._id }] }),
+    EmailVerification.deleteMany({ userId: user._id }),
+    PasswordReset.deleteMany({ userId: user._id }),
+    SecurityEvent.deleteMany({ $or: [{ user: user._id }, { email: user.email }] })
+  ]);
+  await User.deleteOne({ _id: user._id });
+  return true;
+}
+
+/**
+ * purgeExpiredDeletions - worker job: erase accounts whose grace period is over.
+ * @param {Date} now
+ * @returns {Promise<number>} accounts erased
+ */
+export async function purgeExpiredDeletions(now) {
+  const due = await User.find({ "deletion.scheduledFor": { $ne: null, $lte: now } })
+    .select("_id")
+    .limit(PURGE_BATCH_SIZE)
+    .lean();
+  let erased = 0;
+  for (const { _id } of due) {
+    if (await eraseAccount(_id)) erased += 1;
+  }
+  return erased;
+}
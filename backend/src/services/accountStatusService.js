@@ -0,0 +1,232 @@
+// Account states (active, warned, suspended, banned): the automatic low-reputation rule, admin overrides
+// and the checks that keep restricted users from publishing trips or booking seats.
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { ratingStatsByUser } from "./reputationService.js";
+import { notifyAccountStatus } from "./notificationService.js";
+import { revokeAllSessions } from "./sessionService.js";
+
+export class AccountStatusError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "AccountStatusError";
+    this.statusCode = options.statusCode || 400;
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+export const RESTRICTED_STATES = ["suspended", "banned"];
+export const MAX_REASON_LENGTH = 500;
+const ACTIVE_STATUS = { state: "active", reason: null, until: null };
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * reputationThresholds - automatic rule settings. Nothing happens until a user has `minRatings` ratings;
+ * below `warnBelow` they are warned and below `suspendBelow` suspended for `suspensionDays`.
+ */
+export function reputationThresholds() {
+  return {
+    minRatings: numberFromEnv("REPUTATION_MIN_RATINGS", 5),
+    warnBelow: numberFromEnv("REPUTATION_WARN_BELOW", 3),
+    suspendBelow: numberFromEnv("REPUTATION_SUSPEND_BELOW", 2),
+    suspensionDays: numberFromEnv("REPUTATION_SUSPENSION_DAYS", 14)
+  };
+}
+
+/**
+ * effectiveAccountStatus - the stored status, or active once its expiry has passed.
+ * @returns {{state: string, reason: string|null, until: Date|null, source: string}}
+ */
+export function effectiveAccountStatus(user, now = new Date()) {
+  const status = user?.accountStatus;
+  if (!status?.state || status.state === "active") return { ...ACTIVE_STATUS, source: status?.source || "automatic" };
+  if (status.until && new Date(status.until) <= now) return { ...ACTIVE_STATUS, source: "automatic" };
+  return {
+    state: status.state,
+    reason: status.reason || null,
+    until: status.until || null,
+    source: status.source || "automatic"
+  };
+}
+
+/**
+ * accountStatusMessage - user-facing explanation shown by the frontend.
+ */
+export function accountStatusMessage(status) {
+  const until = status.until
+    ? new Date(status.until).toLocaleDateString("es-CO", { day: "numeric", month: "long", year: "numeric" })
+    : null;
+  switch (status.state) {
+    case "banned":
+      return "Tu cuenta fue bloqueada de forma permanente";
+    case "suspended":
+      return until ? `Tu cuenta está suspendida hasta el ${until}` : "Tu cuenta está suspendida";
+    case "warned":
+      return "Tu cuenta tiene una advertencia por baja reputación";
+    default:
+      return "Tu cuenta está activa";
+  }
+}
+
+/**
+ * accountRestriction - 403 payload when the user may not publish trips or book seats, otherwise null.
+ * `code` lets the frontend tell this apart from other 403s.
+ */
+export function accountRestriction(user, now = new Date()) {
+  const status = effectiveAccountStatus(user, now);
+  if (!RESTRICTED_STATES.includes(status.state)) return null;
+  return {
+    error: accountStatusMessage(status),
+    code: `account_${status.state}`,
+    accountStatus: { state: status.state, reason: status.reason, until: status.until }
+  };
+}
+
+/**
+ * findAccountRestriction - load the user and return its restriction payload (null when allowed).
+ */
+export async function findAccountRestriction(userId, now = new Date()) {
+  const user = await User.findById(userId).select("accountStatus").lean();
+  return accountRestriction(user, now);
+}
+
+function reputationTarget(stats, current, thresholds, now) {
+  if (!stats || stats.ratingsCount < thresholds.minRatings) return { ...ACTIVE_STATUS };
+  if (stats.average < thresholds.suspendBelow) {
+    // Keep the running suspension instead of pushing its end date on every new rating.
+    if (current.state === "suspended") return { state: "suspended", reason: current.reason, until: current.until };
+    return {
+      state: "suspended",
+      reason: `Calificación promedio de ${stats.average.toFixed(1)} en ${stats.ratingsCount} calificaciones`,
+      until: new Date(now.getTime() + thresholds.suspensionDays * DAY)
+    };
+  }
+  if (stats.average < thresholds.warnBelow) {
+    return {
+      state: "warned",
+      reason: `Calificación promedio de ${stats.average.toFixed(1)} en ${stats.ratingsCount} calificaciones`,
+      until: null
+    };
+  }
+  return { ...ACTIVE_STATUS };
+}
+
+/**
+ * applyReputationRule - re-evaluate a user after a new rating.
+ * Admin overrides and bans are never touched, and an automatic suspension runs until it expires.
+ * @returns {Promise<object|null>} the new status when it changed, otherwise null
+ */
+export async function applyReputationRule(userId, { now = new Date() } = {}) {
+  const user = await User.findById(userId).select("accountStatus").lean();
+  if (!user) return null;
+  const current = effectiveAccountStatus(user, now);
+  if (current.source === "admin" || current.state === "banned") return null;
+
+  const stats = (await ratingStatsByUser([user._id])).get(user._id.toString());
+  const target = reputationTarget(stats, current, reputationThresholds(), now);
+  if (current.state === "suspended" && target.state !== "suspended") return null;
+  if (target.state === current.state && target.reason === current.reason) return null;
+
+  const accountStatus = { ...target, source: "automatic", updatedBy: null, updatedAt: now };
+  await User.updateOne({ _id: user._id }, { $set: { accountStatus } });
+  if (target.state !== current.state && target.state !== "active") {
+    await notifyAccountStatus(user._id, accountStatus, accountStatusMessage(target));
+  }
+  return accountStatus;
+}
+
+/**
+ * setAccountStatus - admin override; it sticks until an admin clears it or `until` passes.
+ * @throws {AccountStatusError}
+ */
+export async function setAccountStatus({ userId, adminId, state, reason, until, now = new Date() }) {
+  if (!User.accountStates.includes(state)) {
+    throw new AccountStatusError("Estado de cuenta inválido. Usa active, warned, suspended o banned");
+  }
+  const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+  if (state !== "active" && !trimmedReason) {
+    throw new AccountStatusError("Indica el motivo del cambio de estado");
+  }
+  if (trimmedReason.length > MAX_REASON_LENGTH) {
+    throw new AccountStatusError(`El motivo no puede superar ${MAX_REASON_LENGTH} caracteres`);
+  }
+  let untilDate = null;
+  if (until != null && until !== "") {
+    untilDate = new Date(until);
+    if (Number.isNaN(untilDate.getTime()) || untilDate <= now) {
+      throw new AccountStatusError("La fecha de vencimiento debe ser futura");
+    }
+  }
+  if (state === "banned" && untilDate) {
+    throw new AccountStatusError("Un bloqueo permanente no tiene fecha de vencimiento; usa suspended");
+  }
+  if (userId?.toString() === adminId?.toString()) {
+    throw new AccountStatusError("No puedes cambiar el estado de tu propia cuenta", { statusCode: 403 });
+  }
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new AccountStatusError("Usuario no encontrado", { statusCode: 404 });
+  }
+
+  const accountStatus = {
+    state,
+    reason: trimmedReason || null,
+    until: untilDate,
+    source: "admin",
+    updatedBy: adminId,
+    updatedAt: now
+  };
+  const user = await User.findByIdAndUpdate(userId, { $set: { accountStatus } }, { new: true })
+    .select("firstName lastName email roles accountStatus")
+    .lean();
+  if (!user) throw new AccountStatusError("Usuario no encontrado", { statusCode: 404 });
+  // A ban takes effect right away: open sessions (and their sockets) are closed, not left to expire.
+  if (state === "banned") await revokeAllSessions(user._id, "account_banned");
+  if (state !== "active") await notifyAccountStatus(user._id, accountStatus, accountStatusMessage(accountStatus));
+  return user;
+}
+
+/**
+ * clearAccountOverride - hand the user back to the automatic rule and re-evaluate it right away.
+ * @throws {AccountStatusError}
+ */
+export async function clearAccountOverride({ userId, adminId, now = new Date() }) {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new AccountStatusError("Usuario no encontrado", { statusCode: 404 });
+  }
+  const result = await User.updateOne(
+    { _id: userId },
+    { $set: { accountStatus: { ...ACTIVE_STATUS, source: "automatic", updatedBy: adminId, updatedAt: now } } }
+  );
+  if (!result.matchedCount) throw new AccountStatusError("Usuario no encontrado", { statusCode: 404 });
+  await applyReputationRule(userId, { now });
+  return User.findById(userId).select("firstName lastName email roles accountStatus").lean();
+}
+
+/**
+ * listAccounts - admin listing of users in a given state (default: every non-active one).
+ * @throws {AccountStatusError} on an unknown state filter
+ */
+export async function listAccounts({ state = "restricted" } = {}) {
+  let criteria;
+  if (state === "restricted") {
+    criteria = { "accountStatus.state": { $in: ["warned", ...RESTRICTED_STATES] } };
+  } else if (User.accountStates.includes(state)) {
+    // Users created before account states existed have no accountStatus and count as active.
+    criteria = { "accountStatus.state": state === "active" ? { $in: ["active", null] } : state };
+  } else {
+    throw new AccountStatusError("Estado de cuenta inválido");
+  }
+
+  const users = await User.find(criteria)
+    .select("firstName lastName email roles accountStatus createdAt")
+    .populate("accountStatus.updatedBy", "firstName lastName email")
+    .sort({ "accountStatus.updatedAt": -1 })
+    .limit(200)
+    .lean();
+  const stats = await ratingStatsByUser(users.map((user) => user._id));
+  return users.map((user) => ({ ...user, ratingStats: stats.get(user._id.toString()) || null }));
+}
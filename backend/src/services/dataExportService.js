@@ -0,0 +1,106 @@
+// Habeas Data export (Ley 1581 de 2012): everything the platform stores about a user, as a JSON bundle or
+// as a ZIP holding that JSON plus the documents they uploaded. Other people's personal data is left out:
+// received ratings come without their author and the driver's trips without passenger suggestions.
+import { existsSync } from "fs";
+import path from "path";
+import archiver from "archiver";
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+import Trip from "../models/Trip.js";
+import TripTemplate from "../models/TripTemplate.js";
+import Reservation from "../models/Reservation.js";
+import Rating from "../models/Rating.js";
+import Notification from "../models/Notification.js";
+import Session from "../models/Session.js";
+import UserBlock from "../models/UserBlock.js";
+import { resolveStoredFilePath } from "../utils/fileStorage.js";
+
+const DOCUMENT_FIELDS = {
+  vehiclePhotoUrl: "vehiculo",
+  soatPhotoUrl: "soat",
+  licensePhotoUrl: "licencia"
+};
+
+function isStoredFile(value) {
+  return typeof value === "string" && value.startsWith("/uploads/");
+}
+
+/**
+ * storedDocuments - files a user uploaded: vehicle evidence plus a profile photo kept in local storage.
+ * @returns {Array<{kind: string, path: string, vehicle?: object, plate?: string}>}
+ */
+export function storedDocuments(user, vehicles) {
+  const documents = [];
+  if (isStoredFile(user?.photoUrl)) documents.push({ kind: "foto-perfil", path: user.photoUrl });
+  for (const vehicle of vehicles || []) {
+    for (const [field, kind] of Object.entries(DOCUMENT_FIELDS)) {
+      if (isStoredFile(vehicle[field])) {
+        documents.push({ kind, path: vehicle[field], vehicle: vehicle._id, plate: vehicle.plate });
+      }
+    }
+  }
+  return documents;
+}
+
+function exportedProfile(user) {
+  const { passwordHash, universityIdHash, twoFactor, __v, ...profile } = user;
+  return { ...profile, twoFactor: { enabled: Boolean(twoFactor?.enabled), enabledAt: twoFactor?.enabledAt || null } };
+}
+
+/**
+ * buildDataExport - the JSON bundle for GET /users/me/export, or null when the user does not exist.
+ */
+export async function buildDataExport(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const [vehicles, tripTemplates, trips, reservations, ratingsGiven, ratingsReceived, notifications, sessions, blocks] =
+    await Promise.all([
+      Vehicle.find({ owner: user._id }).select("-__v").lean(),
+      TripTemplate.find({ driver: user._id }).select("-__v").lean(),
+      Trip.find({ driver: user._id }).select("-__v -pickupSuggestions").sort({ departureAt: -1 }).lean(),
+      Reservation.find({ passenger: user._id }).select("-__v").sort({ createdAt: -1 }).lean(),
+      Rating.find({ from: user._id }).select("to trip score comment raterRole status createdAt").lean(),
+      Rating.find({ to: user._id }).select("trip score comment raterRole status createdAt").lean(),
+      Notification.find({ user: user._id }).select("-__v").sort({ createdAt: -1 }).lean(),
+      Session.find({ user: user._id, revokedAt: null })
+        .select("userAgent ip createdAt lastUsedAt expiresAt")
+        .lean(),
+      UserBlock.find({ blocker: user._id }).select("blocked createdAt").lean()
+    ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: exportedProfile(user),
+    vehicles,
+    documents: storedDocuments(user, vehicles),
+    tripTemplates,
+    trips,
+    reservations,
+    ratings: { given: ratingsGiven, received: ratingsReceived },
+    notifications,
+    sessions,
+    blockedUsers: blocks.map(({ blocked, createdAt }) => ({ user: blocked, blockedAt: createdAt }))
+  };
+}
+
+/**
+ * pipeDataExportZip - stream a ZIP with `datos.json` and a `documentos/` folder into `output`.
+ * Documents whose file is gone are listed in the JSON but skipped in the archive.
+ */
+export async function pipeDataExportZip(bundle, output) {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("warning", (err) => console.warn("data export archive", err.message || err));
+  archive.pipe(output);
+
+  archive.append(JSON.stringify(bundle, null, 2), { name: "datos.json" });
+  for (const [index, document] of bundle.documents.entries()) {
+    const absolutePath = await resolveStoredFilePath(document.path);
+    if (!absolutePath || !existsSync(absolutePath)) continue;
+    const prefix = document.plate ? `${document.plate}-` : "";
+    archive.file(absolutePath, {
+      name: `documentos/${index + 1}-${prefix}${document.kind}${path.extname(absolutePath)}`
+    });
+  }
+  await archive.finalize();
+}
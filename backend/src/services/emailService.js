@@ -1,10 +1,16 @@
 import { Resend } from 'resend';
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Created on first send so modules that only import sendEmail load without RESEND_API_KEY.
+let resend = null;
+
+function resendClient() {
+  if (!resend) resend = new Resend(process.env.RESEND_API_KEY);
+  return resend;
+}
 
 export async function sendEmail({ to, subject, html }) {
   try {
-    const result = await resend.emails.send({
+    const result = await resendClient().emails.send({
       from: "onboarding@resend.dev",
       to,
       subject,
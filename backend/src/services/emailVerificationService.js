@@ -0,0 +1,180 @@
+// Institutional email verification: a hashed one-time token is emailed at registration (and on demand),
+// and publishing trips or booking seats waits until the user follows the link.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import EmailVerification from "../models/EmailVerification.js";
+import { sendEmail } from "./emailService.js";
+
+export class EmailVerificationError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "EmailVerificationError";
+    this.statusCode = options.statusCode || 400;
+    this.retryAfterSeconds = options.retryAfterSeconds;
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * verificationSettings - token lifetime (EMAIL_VERIFICATION_TTL_HOURS, 24) and resend throttle:
+ * EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS (60) between emails, EMAIL_VERIFICATION_MAX_PER_DAY (5).
+ */
+export function verificationSettings() {
+  return {
+    ttlMs: numberFromEnv("EMAIL_VERIFICATION_TTL_HOURS", 24) * HOUR,
+    cooldownMs: numberFromEnv("EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS", 60) * 1000,
+    maxPerDay: numberFromEnv("EMAIL_VERIFICATION_MAX_PER_DAY", 5)
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * isEmailVerified - only accounts explicitly marked unverified are held back.
+ */
+export function isEmailVerified(user) {
+  return user?.emailVerified !== false;
+}
+
+/**
+ * emailVerificationRestriction - 403 body for unverified accounts, or null.
+ */
+export function emailVerificationRestriction(user) {
+  if (isEmailVerified(user)) return null;
+  return {
+    error: "Debes verificar tu correo institucional antes de publicar viajes o reservar cupos",
+    code: "email_not_verified"
+  };
+}
+
+export async function findEmailVerificationRestriction(userId) {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  const user = await User.findById(userId).select("emailVerified").lean();
+  return emailVerificationRestriction(user);
+}
+
+function verificationEmailHtml(user, link, expiresInHours) {
+  return `
+    <table style="max-width:480px;width:100%;font-family:Helvetica,Arial,sans-serif;color:#0f172a">
+      <tr>
+        <td style="padding:24px 24px 8px;font-size:20px;font-weight:600;">Hola ${user.firstName || ""},</td>
+      </tr>
+      <tr>
+        <td style="padding:0 24px 16px;font-size:15px;line-height:1.5;color:#1e293b;">
+          Tu cuenta de Wheels Sabana está casi lista. Confirma que este correo institucional es tuyo para publicar viajes y reservar cupos.
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:0 24px 24px;">
+          <a href="${link}" style="display:inline-block;padding:12px 24px;border-radius:999px;background:#02A0C6;color:#fff;text-decoration:none;font-weight:600;">Verificar mi correo</a>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:0 24px 24px;font-size:13px;line-height:1.6;color:#64748b;">
+          Este enlace vence en ${expiresInHours} horas. Si no creaste esta cuenta, ignora este mensaje.
+        </td>
+      </tr>
+    </table>
+  `;
+}
+
+/**
+ * sendVerificationEmail - invalidate earlier tokens, store a new hashed one and email the link.
+ * Email delivery errors are logged: the user can ask for another email.
+ */
+export async function sendVerificationEmail(user) {
+  const { ttlMs } = verificationSettings();
+  await EmailVerification.updateMany({ userId: user._id, used: false }, { used: true });
+
+  const tokenRaw = crypto.randomBytes(32).toString("hex");
+  await EmailVerification.create({
+    userId: user._id,
+    token: hashToken(tokenRaw),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  const frontend = process.env.FRONTEND_URL || "http://localhost:5173";
+  const link = `${frontend}/verify-email?token=${tokenRaw}`;
+  await sendEmail({
+    to: user.email,
+    subject: "Verifica tu correo de Wheels Sabana",
+    html: verificationEmailHtml(user, link, Math.max(1, Math.round(ttlMs / HOUR)))
+  }).catch((err) => {
+    console.error("send verification email failed", err);
+  });
+
+  // The link is a live credential: print it only when explicitly enabled for local development.
+  if (process.env.EMAIL_VERIFICATION_LOG_LINKS === "true" && process.env.NODE_ENV !== "production") {
+    console.log(`Email verification link for ${user.email}: ${link}`);
+  }
+}
+
+/**
+ * resendVerification - send a fresh link, at most once per cooldown and `maxPerDay` times a day.
+ * @throws {EmailVerificationError} 400 already verified, 404 unknown user, 429 throttled (retryAfterSeconds)
+ */
+export async function resendVerification(userId) {
+  const user = await User.findById(userId);
+  if (!user) throw new EmailVerificationError("Usuario no encontrado", { statusCode: 404 });
+  if (isEmailVerified(user)) throw new EmailVerificationError("Tu correo ya está verificado");
+
+  const { cooldownMs, maxPerDay } = verificationSettings();
+  const now = Date.now();
+  const recent = await EmailVerification.find({ userId: user._id, createdAt: { $gt: new Date(now - DAY) } })
+    .select("createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  let retryAt = null;
+  if (recent.length > 0 && recent[0].createdAt.getTime() + cooldownMs > now) {
+    retryAt = recent[0].createdAt.getTime() + cooldownMs;
+  }
+  if (recent.length >= maxPerDay) {
+    // The oldest email of the window has to age out first.
+    retryAt = Math.max(retryAt || 0, recent[maxPerDay - 1].createdAt.getTime() + DAY);
+  }
+  if (retryAt) {
+    throw new EmailVerificationError("Espera un momento antes de pedir otro correo de verificación", {
+      statusCode: 429,
+      retryAfterSeconds: Math.max(1, Math.ceil((retryAt - now) / 1000))
+    });
+  }
+
+  await sendVerificationEmail(user);
+}
+
+/**
+ * verifyEmail - consume a token and mark the owner's email as verified.
+ * @returns {Promise<object>} the updated user
+ * @throws {EmailVerificationError} 400 when the token is unknown, used or expired
+ */
+export async function verifyEmail(tokenRaw) {
+  if (!tokenRaw || typeof tokenRaw !== "string") {
+    throw new EmailVerificationError("Token inválido o expirado");
+  }
+  const record = await EmailVerification.findOneAndUpdate(
+    { token: hashToken(tokenRaw), used: false, expiresAt: { $gt: new Date() } },
+    { used: true },
+    { new: true }
+  );
+  if (!record) throw new EmailVerificationError("Token inválido o expirado");
+
+  const user = await User.findByIdAndUpdate(
+    record.userId,
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  );
+  if (!user) throw new EmailVerificationError("Usuario no encontrado", { statusCode: 404 });
+  await EmailVerification.updateMany({ userId: user._id, used: false }, { used: true });
+  return user;
+}
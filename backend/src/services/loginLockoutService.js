@@ -0,0 +1,117 @@
+// Progressive lockout against password guessing: after LOGIN_LOCKOUT_THRESHOLD failed logins for an email
+// within the failure window, that email is locked; each further lockout in the same streak doubles the
+// duration (up to LOGIN_LOCKOUT_MAX_SECONDS). A successful login ends the streak. Every lockout is audited.
+import SecurityEvent from "../models/SecurityEvent.js";
+import { getRateLimitStore, withStoreTimeout } from "../utils/rateLimitStore.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * lockoutSettings - LOGIN_LOCKOUT_THRESHOLD (5) failures within LOGIN_FAILURE_WINDOW_MINUTES (15) lock the
+ * email for LOGIN_LOCKOUT_BASE_SECONDS (60), doubling per lockout; the streak is forgotten after
+ * LOGIN_LOCKOUT_RESET_HOURS (24) without lockouts.
+ */
+export function lockoutSettings() {
+  return {
+    threshold: numberFromEnv("LOGIN_LOCKOUT_THRESHOLD", 5),
+    failureWindowMs: numberFromEnv("LOGIN_FAILURE_WINDOW_MINUTES", 15) * MINUTE,
+    baseMs: numberFromEnv("LOGIN_LOCKOUT_BASE_SECONDS", 60) * 1000,
+    maxMs: numberFromEnv("LOGIN_LOCKOUT_MAX_SECONDS", 3600) * 1000,
+    streakMs: numberFromEnv("LOGIN_LOCKOUT_RESET_HOURS", 24) * HOUR
+  };
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase() || null;
+}
+
+const keysFor = (email) => ({
+  failures: `login:fail:${email}`,
+  lock: `login:lock:${email}`,
+  level: `login:level:${email}`
+});
+
+export function lockoutMessage(remainingMs) {
+  const minutes = Math.max(1, Math.ceil(remainingMs / MINUTE));
+  return `Demasiados intentos fallidos. Intenta de nuevo en ${minutes} ${minutes === 1 ? "minuto" : "minutos"}`;
+}
+
+/**
+ * loginLockRemainingMs - how long the email stays locked (0 when it is not). Fails open.
+ */
+export async function loginLockRemainingMs(email) {
+  const normEmail = normalizeEmail(email);
+  if (!normEmail) return 0;
+  try {
+    const lock = await withStoreTimeout(getRateLimitStore().get(keysFor(normEmail).lock));
+    return lock ? lock.resetMs : 0;
+  } catch (err) {
+    console.error("login lockout unavailable", err.message);
+    return 0;
+  }
+}
+
+/**
+ * recordFailedLogin - count a failed attempt (unknown emails too, so lockouts do not reveal accounts).
+ * @returns {Promise<number>} lockout duration in ms when this attempt triggered one, otherwise 0
+ */
+export async function recordFailedLogin({ email, ip, userAgent, userId = null }) {
+  const normEmail = normalizeEmail(email);
+  if (!normEmail) return 0;
+  const settings = lockoutSettings();
+  const keys = keysFor(normEmail);
+  const store = getRateLimitStore();
+
+  let lockMs;
+  let level;
+  let failedAttempts;
+  try {
+    ({ count: failedAttempts } = await withStoreTimeout(store.increment(keys.failures, settings.failureWindowMs)));
+    if (failedAttempts < settings.threshold) return 0;
+
+    level = ((await withStoreTimeout(store.get(keys.level)))?.value || 0) + 1;
+    lockMs = Math.min(settings.baseMs * 2 ** (level - 1), settings.maxMs);
+    await withStoreTimeout(
+      Promise.all([
+        store.set(keys.lock, 1, lockMs),
+        store.set(keys.level, level, settings.streakMs),
+        store.delete(keys.failures)
+      ])
+    );
+  } catch (err) {
+    console.error("login lockout unavailable", err.message);
+    return 0;
+  }
+
+  await SecurityEvent.create({
+    type: "login_lockout",
+    email: normEmail,
+    user: userId,
+    ip: ip || "",
+    userAgent: String(userAgent || "").slice(0, 300),
+    failedAttempts,
+    lockoutLevel: level,
+    lockedUntil: new Date(Date.now() + lockMs)
+  }).catch((err) => console.error("lockout audit failed", err));
+  return lockMs;
+}
+
+/**
+ * clearFailedLogins - a successful login ends the failure count and the lockout streak.
+ */
+export async function clearFailedLogins(email) {
+  const normEmail = normalizeEmail(email);
+  if (!normEmail) return;
+  const keys = keysFor(normEmail);
+  try {
+    await withStoreTimeout(getRateLimitStore().delete(keys.failures, keys.level));
+  } catch (err) {
+    console.error("login lockout unavailable", err.message);
+  }
+}
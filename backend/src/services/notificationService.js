@@ -0,0 +1,193 @@
+// Persists in-app notifications and pushes them to the recipient's socket room.
+// Notification failures are logged and swallowed: they must never undo the reservation or trip change.
+import Notification from "../models/Notification.js";
+import { emitToUser } from "./realtimeService.js";
+
+function tripLabel(trip) {
+  if (!trip) return "tu viaje";
+  const route = [trip.origin, trip.destination].filter(Boolean).join(" → ");
+  return route ? `el viaje ${route}` : "tu viaje";
+}
+
+function seatsLabel(seats) {
+  return seats === 1 ? "1 cupo" : `${seats} cupos`;
+}
+
+/**
+ * createNotifications - store one notification per recipient and emit `notification.created` to each.
+ * @param {Array<{user: string, type: string, title: string, message?: string, trip?: string, reservation?: string}>} entries
+ */
+export async function createNotifications(entries) {
+  const valid = (entries || []).filter((entry) => entry?.user);
+  if (!valid.length) return [];
+  try {
+    const created = await Notification.insertMany(valid);
+    for (const notification of created) {
+      emitToUser(notification.user, "notification.created", {
+        notification: notification.toObject({ versionKey: false })
+      });
+    }
+    return created;
+  } catch (err) {
+    console.error("Error creating notifications", err && err.message ? err.message : err);
+    return [];
+  }
+}
+
+/**
+ * notifyReservationEvent - tell the other party about a reservation change.
+ * @param {"created"|"confirmed"|"rejected"|"cancelled"|"expired"} action
+ * @param {object} reservation
+ * @param {object} trip
+ * @param {string} [actorId] user who triggered the change (decides who is notified on cancellations)
+ */
+export function notifyReservationEvent(action, reservation, trip, actorId) {
+  if (!reservation) return Promise.resolve([]);
+  const passenger = reservation.passenger?.toString();
+  const driver = reservation.driver?.toString();
+  const base = { trip: reservation.trip, reservation: reservation._id, type: `reservation.${action}` };
+  const label = tripLabel(trip);
+
+  switch (action) {
+    case "created":
+      return createNotifications([
+        {
+          ...base,
+          user: driver,
+          title: "Nueva reserva",
+          message: `Un pasajero solicitó ${seatsLabel(reservation.seats)} en ${label}.`
+        }
+      ]);
+    case "confirmed":
+      return createNotifications([
+        { ...base, user: passenger, title: "Reserva confirmada", message: `El conductor confirmó tu reserva en ${label}.` }
+      ]);
+    case "rejected":
+      return createNotifications([
+        { ...base, user: passenger, title: "Reserva rechazada", message: `El conductor rechazó tu reserva en ${label}.` }
+      ]);
+    case "cancelled": {
+      const cancelledByDriver = actorId && actorId.toString() === driver;
+      return createNotifications([
+        cancelledByDriver
+          ? { ...base, user: passenger, title: "Reserva cancelada", message: `El conductor canceló tu reserva en ${label}.` }
+          : {
+              ...base,
+              user: driver,
+              title: "Reserva cancelada",
+              message: `Un pasajero canceló ${seatsLabel(reservation.seats)} en ${label}.`
+            }
+      ]);
+    }
+    case "expired":
+      return createNotifications([
+        {
+          ...base,
+          user: passenger,
+          title: "Reserva expirada",
+          message: `El conductor no respondió tu solicitud en ${label}. Liberamos tus cupos.`
+        }
+      ]);
+    default:
+      return Promise.resolve([]);
+  }
+}
+
+// Every passenger whose reservation was still active learns that the driver cancelled the trip.
+export function notifyTripCancelled(trip, reservations) {
+  const passengers = new Set((reservations || []).map((reservation) => reservation.passenger?.toString()).filter(Boolean));
+  return createNotifications(
+    Array.from(passengers).map((user) => ({
+      user,
+      type: "trip.cancelled",
+      trip: trip._id,
+      title: "Viaje cancelado",
+      message: `El conductor canceló ${tripLabel(trip)}.`
+    }))
+  );
+}
+
+function formatDeparture(date) {
+  return new Date(date).toLocaleString("es-CO", {
+    timeZone: "America/Bogota",
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+}
+
+// Booked passengers must accept or decline the new departure time.
+export function notifyTripRescheduled(trip, reservations) {
+  return createNotifications(
+    (reservations || []).map((reservation) => ({
+      user: reservation.passenger?.toString(),
+      type: "trip.rescheduled",
+      trip: trip._id,
+      reservation: reservation._id,
+      title: "Cambio de horario",
+      message: `El conductor movió ${tripLabel(trip)} al ${formatDeparture(trip.departureAt)}. Acepta o rechaza el cambio en Mis reservas.`
+    }))
+  );
+}
+
+export function notifyRescheduleResponse(accepted, reservation, trip) {
+  return createNotifications([
+    {
+      user: reservation.driver?.toString(),
+      type: accepted ? "reservation.reschedule_accepted" : "reservation.reschedule_declined",
+      trip: reservation.trip,
+      reservation: reservation._id,
+      title: accepted ? "Nuevo horario aceptado" : "Nuevo horario rechazado",
+      message: accepted
+        ? `Un pasajero aceptó el nuevo horario de ${tripLabel(trip)}.`
+        : `Un pasajero rechazó el nuevo horario de ${tripLabel(trip)}; liberamos ${seatsLabel(reservation.seats)}.`
+    }
+  ]);
+}
+
+// Pre-departure reminder for the driver and the confirmed passengers.
+export function notifyTripReminder(trip, passengerIds, minutesLeft) {
+  const recipients = new Set([trip.driver?.toString(), ...(passengerIds || []).map((id) => id?.toString())]);
+  return createNotifications(
+    Array.from(recipients)
+      .filter(Boolean)
+      .map((user) => ({
+        user,
+        type: "trip.reminder",
+        trip: trip._id,
+        title: "Tu viaje sale pronto",
+        message: `Recuerda: ${tripLabel(trip)} sale en ${minutesLeft} minutos.`
+      }))
+  );
+}
+
+export function notifyPickupSuggestion(trip, suggestion) {
+  return createNotifications([
+    {
+      user: trip.driver?.toString(),
+      type: "pickup.suggested",
+      trip: trip._id,
+      title: "Nuevo punto de recogida sugerido",
+      message: `Un pasajero sugirió "${suggestion.name}" para ${tripLabel(trip)}.`
+    }
+  ]);
+}
+
+// Warning, suspension or ban applied to the user's account (automatic rule or admin).
+export function notifyAccountStatus(userId, accountStatus, message) {
+  const titles = {
+    warned: "Advertencia en tu cuenta",
+    suspended: "Tu cuenta fue suspendida",
+    banned: "Tu cuenta fue bloqueada"
+  };
+  return createNotifications([
+    {
+      user: userId?.toString(),
+      type: "account.status",
+      title: titles[accountStatus.state] || "Cambio en el estado de tu cuenta",
+      message: accountStatus.reason ? `${message}. Motivo: ${accountStatus.reason}` : message
+    }
+  ]);
+}
@@ -0,0 +1,125 @@
+// The signed-in user's own profile: one public shape and one validated update path behind GET/PUT
+// /users/me (and the deprecated /auth/me aliases), plus profile photos kept in local file storage.
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+import { saveBufferFile, removeStoredFile } from "../utils/fileStorage.js";
+import { validateProfileUpdate } from "../utils/profileValidation.js";
+import { effectiveAccountStatus } from "./accountStatusService.js";
+import { isEmailVerified } from "./emailVerificationService.js";
+import { isTwoFactorEnabled } from "./twoFactorService.js";
+
+export class ProfileError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "ProfileError";
+    this.statusCode = options.statusCode || 400;
+  }
+}
+
+function isStoredFile(value) {
+  return typeof value === "string" && value.startsWith("/uploads/");
+}
+
+/**
+ * toPublicUser - the account holder's view of their profile. universityId, phone and emergencyContact
+ * come back decrypted, so it is only ever sent to the owner; other users get GET /users/:id/public.
+ */
+export function toPublicUser(user) {
+  if (!user) return null;
+  const {
+    _id,
+    email,
+    firstName,
+    lastName,
+    universityId,
+    phone,
+    photoUrl,
+    emergencyContact,
+    preferredPaymentMethod,
+    roles,
+    activeRole,
+    activeVehicle,
+    createdAt,
+    updatedAt
+  } = user;
+  const { state, reason, until } = effectiveAccountStatus(user);
+  return {
+    id: _id,
+    email,
+    firstName,
+    lastName,
+    universityId,
+    phone,
+    photoUrl,
+    emergencyContact,
+    preferredPaymentMethod,
+    roles,
+    activeRole,
+    activeVehicle,
+    emailVerified: isEmailVerified(user),
+    twoFactorEnabled: isTwoFactorEnabled(user),
+    accountStatus: { state, reason, until },
+    createdAt,
+    updatedAt
+  };
+}
+
+/**
+ * getProfile - profile plus the user's vehicle (the first one registered), if any.
+ * @throws {ProfileError} 404 unknown user
+ */
+export async function getProfile(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) throw new ProfileError("Usuario no encontrado", { statusCode: 404 });
+  const vehicle = await Vehicle.findOne({ owner: user._id }).sort({ createdAt: 1 }).lean();
+  return { user: toPublicUser(user), vehicle };
+}
+
+/**
+ * updateProfile - apply a partial update after validateProfileUpdate (same options).
+ * @throws {ProfileError} 400 invalid payload, 404 unknown user
+ */
+export async function updateProfile(userId, body, options) {
+  const validation = validateProfileUpdate(body, options);
+  if (!validation.ok) throw new ProfileError(validation.message);
+
+  const user = await User.findByIdAndUpdate(userId, validation.updates, { new: true, runValidators: true });
+  if (!user) throw new ProfileError("Usuario no encontrado", { statusCode: 404 });
+  return toPublicUser(user);
+}
+
+/**
+ * setProfilePhoto - store an uploaded image (multer memory file) and replace the previous photo.
+ * @throws {ProfileError} 404 unknown user
+ */
+export async function setProfilePhoto(userId, file) {
+  const user = await User.findById(userId);
+  if (!user) throw new ProfileError("Usuario no encontrado", { statusCode: 404 });
+
+  const { relativePath } = await saveBufferFile(file, { subfolder: "profile" });
+  const previous = user.photoUrl;
+  user.photoUrl = relativePath;
+  try {
+    await user.save();
+  } catch (err) {
+    await removeStoredFile(relativePath);
+    throw err;
+  }
+  if (isStoredFile(previous)) await removeStoredFile(previous);
+  return toPublicUser(user);
+}
+
+/**
+ * removeProfilePhoto - drop the photo (and its file when it lives in local storage).
+ * @throws {ProfileError} 404 unknown user
+ */
+export async function removeProfilePhoto(userId) {
+  const user = await User.findById(userId);
+  if (!user) throw new ProfileError("Usuario no encontrado", { statusCode: 404 });
+
+  const previous = user.photoUrl;
+  user.photoUrl = undefined;
+  await user.save();
+  if (isStoredFile(previous)) await removeStoredFile(previous);
+  return toPublicUser(user);
+}
@@ -0,0 +1,308 @@
+// Trip ratings: only the driver and confirmed passengers of a completed trip may rate each other,
+// once per pair and trip, for a limited time after the trip ends.
+import mongoose from "mongoose";
+import Rating from "../models/Rating.js";
+import Reservation from "../models/Reservation.js";
+import Trip from "../models/Trip.js";
+import { tripWindow } from "./tripOverlapService.js";
+import { screenComment } from "../utils/commentFilter.js";
+
+export class RatingServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "RatingServiceError";
+    this.statusCode = options.statusCode || 400;
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+export const MAX_COMMENT_LENGTH = 500;
+const DEFAULT_RATING_WINDOW_DAYS = 7;
+const DEFAULT_REPORTS_TO_HOLD = 3;
+export const MAX_REPORT_REASON_LENGTH = 500;
+
+// Ratings whose comment may be shown to other users. Ratings stored before moderation have no status.
+export const PUBLISHED_RATING_CRITERIA = { status: { $nin: ["pending", "hidden"] } };
+
+const MODERATION_DECISIONS = {
+  approve: "visible",
+  hide: "hidden"
+};
+
+/**
+ * ratingWindowDays - days after a trip ends during which its participants may rate each other
+ * (RATING_WINDOW_DAYS, default 7).
+ */
+export function ratingWindowDays() {
+  const days = Number(process.env.RATING_WINDOW_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RATING_WINDOW_DAYS;
+}
+
+/**
+ * reportsToHold - open reports after which a published comment goes back to the moderation queue
+ * and stops being shown (RATING_REPORTS_TO_HOLD, default 3).
+ */
+export function reportsToHold() {
+  const reports = Number(process.env.RATING_REPORTS_TO_HOLD);
+  return Number.isInteger(reports) && reports > 0 ? reports : DEFAULT_REPORTS_TO_HOLD;
+}
+
+/**
+ * ratingDeadline - last instant a completed trip can be rated.
+ */
+export function ratingDeadline(trip) {
+  return new Date(tripWindow(trip).end.getTime() + ratingWindowDays() * DAY);
+}
+
+async function confirmedPassengerIds(tripId) {
+  const ids = await Reservation.find({ trip: tripId, status: "confirmed" }).distinct("passenger");
+  return ids.map((id) => id.toString());
+}
+
+/**
+ * createTripRating - validate eligibility and store the rating.
+ * @param {object} params
+ * @param {string} params.tripId
+ * @param {string} params.raterId authenticated user
+ * @param {string} params.rateeId user being rated
+ * @param {number} params.score integer from 1 to 5
+ * @param {string} [params.comment]
+ * @param {Date} [params.now]
+ * @throws {RatingServiceError}
+ */
+export async function createTripRating({ tripId, raterId, rateeId, score, comment, now = new Date() }) {
+  const numericScore = Number(score);
+  if (!Number.isInteger(numericScore) || numericScore < 1 || numericScore > 5) {
+    throw new RatingServiceError("La calificación debe ser un número entero entre 1 y 5");
+  }
+  if (comment != null && typeof comment !== "string") {
+    throw new RatingServiceError("El comentario debe ser texto");
+  }
+  const trimmedComment = comment?.trim() || undefined;
+  if (trimmedComment && trimmedComment.length > MAX_COMMENT_LENGTH) {
+    throw new RatingServiceError(`El comentario no puede superar ${MAX_COMMENT_LENGTH} caracteres`);
+  }
+  if (!mongoose.isValidObjectId(tripId)) {
+    throw new RatingServiceError("Indica el viaje que quieres calificar");
+  }
+  if (!mongoose.isValidObjectId(rateeId)) {
+    throw new RatingServiceError("Indica a quién quieres calificar");
+  }
+  if (rateeId.toString() === raterId.toString()) {
+    throw new RatingServiceError("No puedes calificarte a ti mismo");
+  }
+
+  const trip = await Trip.findById(tripId).select("driver status departureAt durationMinutes").lean();
+  if (!trip) throw new RatingServiceError("Viaje no encontrado", { statusCode: 404 });
+  if (trip.status !== "completed") {
+    throw new RatingServiceError("Solo puedes calificar viajes finalizados", { statusCode: 409 });
+  }
+  if (now > ratingDeadline(trip)) {
+    throw new RatingServiceError("El plazo para calificar este viaje terminó", { statusCode: 409 });
+  }
+
+  const driverId = trip.driver.toString();
+  const passengers = await confirmedPassengerIds(trip._id);
+  let raterRole;
+  if (raterId.toString() === driverId) {
+    if (!passengers.includes(rateeId.toString())) {
+      throw new RatingServiceError("Solo puedes calificar a pasajeros confirmados de este viaje", { statusCode: 403 });
+    }
+    raterRole = "driver";
+  } else if (passengers.includes(raterId.toString())) {
+    if (rateeId.toString() !== driverId) {
+      throw new RatingServiceError("Como pasajero solo puedes calificar al conductor del viaje", { statusCode: 403 });
+    }
+    raterRole = "passenger";
+  } else {
+    throw new RatingServiceError("Solo los participantes del viaje pueden calificar", { statusCode: 403 });
+  }
+
+  // Flagged comments wait for an admin; the score counts right away either way.
+  const moderationFlags = screenComment(trimmedComment);
+  try {
+    return await Rating.create({
+      trip: trip._id,
+      from: raterId,
+      to: rateeId,
+      raterRole,
+      score: numericScore,
+      comment: trimmedComment,
+      status: moderationFlags.length ? "pending" : "visible",
+      moderationFlags: moderationFlags.length ? moderationFlags : undefined
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      throw new RatingServiceError("Ya calificaste a esta persona en este viaje", { statusCode: 409 });
+    }
+    throw err;
+  }
+}
+
+/**
+ * listPendingRatings - ratings the user can still leave: completed trips inside the window where
+ * a counterpart has not been rated yet.
+ * @returns {Promise<{trip: object, ratee: object, raterRole: "driver"|"passenger", deadline: Date}[]>}
+ */
+export async function listPendingRatings(userId, { now = new Date() } = {}) {
+  // Trips end at most a few hours after departure, so departures older than the window are out for sure.
+  const earliestDeparture = new Date(now.getTime() - (ratingWindowDays() + 1) * DAY);
+  const passengerTripIds = await Reservation.find({ passenger: userId, status: "confirmed" }).distinct("trip");
+  const trips = await Trip.find({
+    status: "completed",
+    departureAt: { $gte: earliestDeparture },
+    $or: [{ driver: userId }, { _id: { $in: passengerTripIds } }]
+  })
+    .select("driver origin destination departureAt durationMinutes status")
+    .populate("driver", "firstName lastName photoUrl")
+    .sort({ departureAt: -1 })
+    .lean();
+
+  const openTrips = trips.filter((trip) => now <= ratingDeadline(trip));
+  if (!openTrips.length) return [];
+
+  const alreadyRated = new Set(
+    (
+      await Rating.find({ from: userId, trip: { $in: openTrips.map((trip) => trip._id) } })
+        .select("trip to")
+        .lean()
+    ).map((rating) => `${rating.trip}:${rating.to}`)
+  );
+
+  const pending = [];
+  for (const trip of openTrips) {
+    const deadline = ratingDeadline(trip);
+    const tripSummary = {
+      _id: trip._id,
+      origin: trip.origin,
+      destination: trip.destination,
+      departureAt: trip.departureAt
+    };
+    if (trip.driver?._id?.toString() === userId.toString()) {
+      const reservations = await Reservation.find({ trip: trip._id, status: "confirmed" })
+        .populate("passenger", "firstName lastName photoUrl")
+        .select("passenger")
+        .lean();
+      const seen = new Set();
+      for (const { passenger } of reservations) {
+        const key = passenger?._id?.toString();
+        if (!key || seen.has(key) || alreadyRated.has(`${trip._id}:${key}`)) continue;
+        seen.add(key);
+        pending.push({ trip: tripSummary, ratee: passenger, raterRole: "driver", deadline });
+      }
+    } else if (trip.driver && !alreadyRated.has(`${trip._id}:${trip.driver._id}`)) {
+      pending.push({ trip: tripSummary, ratee: trip.driver, raterRole: "passenger", deadline });
+    }
+  }
+  return pending;
+}
+
+/**
+ * reportRating - a user flags a published comment for review.
+ * Enough open reports hold the comment (status "pending") until an admin decides.
+ * @throws {RatingServiceError}
+ */
+export async function reportRating({ ratingId, reporterId, reason }) {
+  if (reason != null && typeof reason !== "string") {
+    throw new RatingServiceError("El motivo debe ser texto");
+  }
+  const trimmedReason = reason?.trim() || undefined;
+  if (trimmedReason && trimmedReason.length > MAX_REPORT_REASON_LENGTH) {
+    throw new RatingServiceError(`El motivo no puede superar ${MAX_REPORT_REASON_LENGTH} caracteres`);
+  }
+  if (!mongoose.isValidObjectId(ratingId)) {
+    throw new RatingServiceError("Calificación no encontrada", { statusCode: 404 });
+  }
+
+  const rating = await Rating.findById(ratingId).select("from comment status reports.by").lean();
+  if (!rating) throw new RatingServiceError("Calificación no encontrada", { statusCode: 404 });
+  if (rating.from.toString() === reporterId.toString()) {
+    throw new RatingServiceError("No puedes reportar tu propia calificación");
+  }
+  if (!rating.comment) {
+    throw new RatingServiceError("Esta calificación no tiene comentario para reportar");
+  }
+  if (rating.status === "hidden") {
+    throw new RatingServiceError("Este comentario ya fue ocultado", { statusCode: 409 });
+  }
+
+  // The reporter condition lives in the filter so concurrent double clicks store a single report.
+  const updated = await Rating.findOneAndUpdate(
+    { _id: rating._id, "reports.by": { $ne: reporterId } },
+    {
+      $push: { reports: { by: reporterId, reason: trimmedReason, createdAt: new Date() } },
+      $inc: { openReports: 1 }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new RatingServiceError("Ya reportaste este comentario", { statusCode: 409 });
+  }
+  if (updated.status === "visible" && updated.openReports >= reportsToHold()) {
+    await Rating.updateOne({ _id: updated._id, status: "visible" }, { $set: { status: "pending" } });
+    updated.status = "pending";
+  }
+  return updated;
+}
+
+/**
+ * listModerationQueue - ratings for the admin review screen.
+ * @param {object} [options]
+ * @param {"queue"|"visible"|"pending"|"hidden"|"all"} [options.status] "queue" (default) means held
+ *   comments plus published ones with unreviewed reports
+ * @throws {RatingServiceError} on an unknown status filter
+ */
+export async function listModerationQueue({ status = "queue" } = {}) {
+  let criteria;
+  if (status === "queue") {
+    criteria = { $or: [{ status: "pending" }, { openReports: { $gt: 0 } }] };
+  } else if (status === "all") {
+    criteria = {};
+  } else if (Rating.moderationStatuses.includes(status)) {
+    criteria = { status };
+  } else {
+    throw new RatingServiceError("Estado de moderación inválido");
+  }
+
+  return Rating.find(criteria)
+    .populate("from", "firstName lastName email")
+    .populate("to", "firstName lastName email")
+    .populate("reports.by", "firstName lastName email")
+    .populate("moderatedBy", "firstName lastName email")
+    .sort({ createdAt: 1 })
+    .limit(200)
+    .lean();
+}
+
+/**
+ * moderateRating - admin decision on a rating comment: approve (publish) or hide.
+ * Either way the open reports are considered reviewed.
+ * @throws {RatingServiceError}
+ */
+export async function moderateRating({ ratingId, adminId, decision, notes }) {
+  const nextStatus = MODERATION_DECISIONS[decision];
+  if (!nextStatus) {
+    throw new RatingServiceError("Decisión inválida. Usa approve o hide");
+  }
+  const trimmedNotes = typeof notes === "string" ? notes.trim() : "";
+  if (trimmedNotes.length > MAX_REPORT_REASON_LENGTH) {
+    throw new RatingServiceError(`Las observaciones superan ${MAX_REPORT_REASON_LENGTH} caracteres`);
+  }
+  if (!mongoose.isValidObjectId(ratingId)) {
+    throw new RatingServiceError("Calificación no encontrada", { statusCode: 404 });
+  }
+
+  const update = {
+    $set: { status: nextStatus, openReports: 0, moderatedBy: adminId, moderatedAt: new Date() }
+  };
+  if (trimmedNotes) update.$set.moderationNotes = trimmedNotes;
+  else update.$unset = { moderationNotes: 1 };
+
+  const rating = await Rating.findByIdAndUpdate(ratingId, update, { new: true })
+    .populate("from", "firstName lastName email")
+    .populate("to", "firstName lastName email")
+    .populate("moderatedBy", "firstName lastName email")
+    .lean();
+  if (!rating) throw new RatingServiceError("Calificación no encontrada", { statusCode: 404 });
+  return rating;
+}
@@ -0,0 +1,117 @@
+// Socket.IO server pushing seat availability and reservation status changes to connected clients.
+// Every socket authenticates with the same JWT used by requireAuth and joins a private "user:<id>" room,
+// plus a "session:<sid>" room so revoking the session (or the token expiring) closes the socket.
+import { Server } from "socket.io";
+import { verifyAccessToken } from "../middlewares/auth.js";
+
+let io = null;
+
+// setTimeout overflows past ~24.8 days; longer-lived tokens are re-checked by reconnecting.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+export function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+export function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+function readHandshakeToken(socket) {
+  const authToken = socket.handshake.auth?.token;
+  if (authToken) return authToken;
+  const hdr = socket.handshake.headers?.authorization || "";
+  return hdr.startsWith("Bearer ") ? hdr.slice(7) : null;
+}
+
+/**
+ * attachRealtime - bind a Socket.IO server to the HTTP server created in server.js.
+ * @param {import("http").Server} httpServer
+ * @returns {Server}
+ */
+export function attachRealtime(httpServer) {
+  io = new Server(httpServer, { cors: { origin: "*" } });
+
+  io.use(async (socket, next) => {
+    const token = readHandshakeToken(socket);
+    if (!token) return next(new Error("No token"));
+    try {
+      socket.data.user = await verifyAccessToken(token);
+      next();
+    } catch {
+      next(new Error("Invalid token"));
+    }
+  });
+
+  io.on("connection", (socket) => {
+    const { sub, sid, exp } = socket.data.user;
+    socket.data.sid = sid;
+    socket.data.exp = exp;
+    socket.join(userRoom(sub));
+    if (sid) socket.join(sessionRoom(sid));
+
+    if (exp) {
+      const remainingMs = Math.min(Math.max(0, exp * 1000 - Date.now()), MAX_TIMER_MS);
+      const timer = setTimeout(() => socket.disconnect(true), remainingMs);
+      socket.once("disconnect", () => clearTimeout(timer));
+    }
+  });
+
+  return io;
+}
+
+export async function closeRealtime() {
+  if (!io) return;
+  const server = io;
+  io = null;
+  await new Promise((resolve) => server.close(() => resolve()));
+}
+
+// Close the sockets opened with any of the given sessions (logout, revoked device, sign-out everywhere).
+export function disconnectSessions(sessionIds) {
+  if (!io || !sessionIds?.length) return;
+  io.in(sessionIds.map((sessionId) => sessionRoom(sessionId.toString()))).disconnectSockets(true);
+}
+
+// Only the fields the trip lists render live; clients keep the rest of the trip they already loaded.
+function tripSnapshot(trip) {
+  const obj = trip?.toObject ? trip.toObject() : trip;
+  return {
+    _id: obj._id?.toString(),
+    status: obj.status,
+    seatsAvailable: obj.seatsAvailable,
+    seatsTotal: obj.seatsTotal,
+    departureAt: obj.departureAt
+  };
+}
+
+// Private event for one user (e.g. notification.created).
+export function emitToUser(userId, event, payload) {
+  if (!io || !userId) return;
+  io.to(userRoom(userId.toString())).emit(event, payload);
+}
+
+// trip.updated goes to every connected client so open trip lists refresh seat counts.
+export function emitTripUpdated(trip) {
+  if (!io || !trip) return;
+  io.emit("trip.updated", { trip: tripSnapshot(trip) });
+}
+
+export function emitTripCancelled(trip) {
+  if (!io || !trip) return;
+  io.emit("trip.cancelled", { trip: tripSnapshot(trip) });
+}
+
+/**
+ * emitReservationEvent - notify the passenger and the driver of a reservation change.
+ * @param {"created"|"confirmed"|"rejected"|"cancelled"|"expired"} action
+ */
+export function emitReservationEvent(action, reservation, trip) {
+  if (!io || !reservation) return;
+  const obj = reservation.toObject ? reservation.toObject({ versionKey: false }) : reservation;
+  const rooms = [obj.passenger, obj.driver].filter(Boolean).map((id) => userRoom(id.toString()));
+  io.to(rooms).emit(`reservation.${action}`, {
+    reservation: obj,
+    trip: trip ? tripSnapshot(trip) : null
+  });
+}
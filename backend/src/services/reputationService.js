@@ -0,0 +1,114 @@
+// Reputation summaries built from received ratings: trip cards, trip detail and public profiles.
+import mongoose from "mongoose";
+import Rating from "../models/Rating.js";
+import Reservation from "../models/Reservation.js";
+import Trip from "../models/Trip.js";
+import User from "../models/User.js";
+import { PUBLISHED_RATING_CRITERIA } from "./ratingService.js";
+
+export const RECENT_COMMENTS_LIMIT = 5;
+// Only the roles other users care about; admin stays private.
+const PUBLIC_ROLES = ["driver", "passenger"];
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+function toStats(group) {
+  return group?.count ? { average: Number(group.average.toFixed(2)), ratingsCount: group.count } : null;
+}
+
+/**
+ * ratingStatsByUser - average score and count of the ratings received, per user. With `raterRole` only the
+ * ratings written from that role count; without it (the reputation rule) every rating does.
+ * @param {Array<string|mongoose.Types.ObjectId>} userIds
+ * @param {{raterRole?: "driver"|"passenger"}} [options]
+ * @returns {Promise<Map<string, {average: number, ratingsCount: number}>>}
+ */
+export async function ratingStatsByUser(userIds, { raterRole } = {}) {
+  if (!userIds?.length) return new Map();
+  const groups = await Rating.aggregate([
+    { $match: { to: { $in: userIds.map(toObjectId) }, ...(raterRole && { raterRole }) } },
+    { $group: { _id: "$to", average: { $avg: "$score" }, count: { $sum: 1 } } }
+  ]);
+  return new Map(groups.map((group) => [group._id.toString(), toStats(group)]));
+}
+
+/**
+ * driverRatingStatsByUser - score as a driver (ratings written by passengers), shown on trip cards and detail.
+ */
+export function driverRatingStatsByUser(driverIds) {
+  return ratingStatsByUser(driverIds, { raterRole: "passenger" });
+}
+
+async function completedTripCounts(userId) {
+  const passengerTripIds = await Reservation.find({ passenger: userId, status: "confirmed" }).distinct("trip");
+  const [asDriver, asPassenger] = await Promise.all([
+    Trip.countDocuments({ driver: userId, status: "completed" }),
+    passengerTripIds.length ? Trip.countDocuments({ _id: { $in: passengerTripIds }, status: "completed" }) : 0
+  ]);
+  return { asDriver, asPassenger };
+}
+
+async function ratingSummary(userId) {
+  const [result] = await Rating.aggregate([
+    { $match: { to: userId } },
+    {
+      $facet: {
+        overall: [{ $group: { _id: null, average: { $avg: "$score" }, count: { $sum: 1 } } }],
+        // Passengers rate the driver and vice versa, so the author's role tells which side was rated.
+        byRole: [{ $group: { _id: "$raterRole", average: { $avg: "$score" }, count: { $sum: 1 } } }],
+        distribution: [{ $group: { _id: "$score", count: { $sum: 1 } } }],
+        recentComments: [
+          { $match: { comment: { $nin: [null, ""] }, ...PUBLISHED_RATING_CRITERIA } },
+          { $sort: { createdAt: -1 } },
+          { $limit: RECENT_COMMENTS_LIMIT },
+          { $project: { _id: 1, score: 1, comment: 1, raterRole: 1, createdAt: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const byRole = new Map(result.byRole.map((group) => [group._id, group]));
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  result.distribution.forEach(({ _id: score, count }) => {
+    if (distribution[score] !== undefined) distribution[score] = count;
+  });
+
+  return {
+    overall: toStats(result.overall[0]),
+    asDriver: toStats(byRole.get("passenger")),
+    asPassenger: toStats(byRole.get("driver")),
+    distribution,
+    recentComments: result.recentComments.map(({ _id, score, comment, raterRole, createdAt }) => ({
+      id: _id,
+      score,
+      comment,
+      // Role of the rated user on that trip, which is what a profile reader wants to know.
+      ratedAs: raterRole === "passenger" ? "driver" : raterRole === "driver" ? "passenger" : null,
+      createdAt
+    }))
+  };
+}
+
+/**
+ * getPublicProfile - what any signed-in user may see about another one.
+ * Contact data (email, phone, university id) and rating authors are never included.
+ * @returns {Promise<object|null>} null when the user does not exist
+ */
+export async function getPublicProfile(userId) {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  const user = await User.findById(userId).select("firstName lastName photoUrl roles createdAt").lean();
+  if (!user) return null;
+
+  const [completedTrips, ratings] = await Promise.all([completedTripCounts(user._id), ratingSummary(user._id)]);
+
+  return {
+    id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    photoUrl: user.photoUrl || null,
+    roles: (user.roles || []).filter((role) => PUBLIC_ROLES.includes(role)),
+    memberSince: user.createdAt,
+    completedTrips,
+    ratings
+  };
+}
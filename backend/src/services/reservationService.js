@@ -0,0 +1,351 @@
+// Reservation lifecycle (create, confirm, reject, cancel, reschedule answers) shared by the trip and reservation routes.
+import mongoose from "mongoose";
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import { emitReservationEvent, emitTripUpdated } from "./realtimeService.js";
+import { notifyReservationEvent, notifyRescheduleResponse } from "./notificationService.js";
+import { describeConflict, findPassengerConflict } from "./tripOverlapService.js";
+import { blockedUserIds } from "./userBlockService.js";
+
+export class ReservationServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "ReservationServiceError";
+    this.statusCode = options.statusCode || 400;
+    // Overlapping trip details for 409s (see tripOverlapService.describeConflict).
+    this.conflict = options.conflict || null;
+  }
+}
+
+/**
+ * sendReservationError - answer a failed reservation action: service errors keep their status
+ * (and 409 conflict details), anything else is logged and becomes a 500.
+ */
+export function sendReservationError(res, err) {
+  if (err instanceof ReservationServiceError) {
+    const payload = { error: err.message };
+    if (err.conflict) payload.conflict = err.conflict;
+    return res.status(err.statusCode).json(payload);
+  }
+  console.error("reservation error", err);
+  return res.status(500).json({ error: "No se pudo procesar la reserva" });
+}
+
+export const ACTIVE_RESERVATION_STATUSES = Reservation.activeStatuses;
+const BOOKABLE_TRIP_STATUSES = ["scheduled", "full"];
+
+export function sanitizeReservation(reservation) {
+  if (!reservation) return null;
+  return reservation.toObject ? reservation.toObject({ versionKey: false }) : reservation;
+}
+
+export function sanitizeTrip(trip) {
+  if (!trip) return null;
+  return trip.toObject ? trip.toObject({ versionKey: false }) : trip;
+}
+
+function notFound() {
+  return new ReservationServiceError("Reserva no encontrada", { statusCode: 404 });
+}
+
+function duplicateReservation() {
+  return new ReservationServiceError("Ya tienes una reserva activa en este viaje");
+}
+
+async function assertNoPassengerOverlap(passengerId, trip, message) {
+  const conflictingTrip = await findPassengerConflict({ passengerId, trip });
+  if (conflictingTrip) {
+    throw new ReservationServiceError(message, { statusCode: 409, conflict: describeConflict(conflictingTrip) });
+  }
+}
+
+async function findReservation(reservationId, tripId) {
+  if (!mongoose.isValidObjectId(reservationId)) throw notFound();
+  const criteria = { _id: reservationId };
+  if (tripId) {
+    if (!mongoose.isValidObjectId(tripId)) throw notFound();
+    criteria.trip = tripId;
+  }
+  const reservation = await Reservation.findOne(criteria);
+  if (!reservation) throw notFound();
+  return reservation;
+}
+
+// Moves a reservation between states only if nobody else changed it first, so seats are never released twice.
+async function transitionReservation(reservation, fromStatuses, toStatus, extraSet = {}) {
+  const updated = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: { $in: fromStatuses } },
+    { $set: { status: toStatus, decisionAt: new Date(), ...extraSet } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ReservationServiceError("La reserva cambió de estado, actualiza e intenta de nuevo", {
+      statusCode: 409
+    });
+  }
+  return updated;
+}
+
+/**
+ * releaseSeats - give seats back to a bookable trip, capped at seatsTotal, reopening it when it was full.
+ * Cancelled or completed trips keep their counters untouched.
+ * @returns {Promise<object|null>} the updated trip document
+ */
+export async function releaseSeats(tripId, seats) {
+  const trip = await Trip.findOneAndUpdate(
+    { _id: tripId, status: { $in: BOOKABLE_TRIP_STATUSES } },
+    [
+      { $set: { seatsAvailable: { $min: [{ $add: ["$seatsAvailable", seats] }, "$seatsTotal"] } } },
+      { $set: { status: { $cond: [{ $gt: ["$seatsAvailable", 0] }, "scheduled", "$status"] } } }
+    ],
+    { new: true }
+  );
+  return trip || Trip.findById(tripId);
+}
+
+/**
+ * createReservation - book seats on a trip. The seat decrement is a single conditional update on the trip,
+ * so concurrent bookings can never oversell it.
+ * @returns {Promise<{reservation: object, trip: object}>}
+ */
+export async function createReservation({ tripId, passengerId, seats, pickupPoints, paymentMethod = "cash" }) {
+  if (!mongoose.isValidObjectId(tripId)) {
+    throw new ReservationServiceError("Viaje no encontrado", { statusCode: 404 });
+  }
+
+  const duplicate = await Reservation.exists({
+    trip: tripId,
+    passenger: passengerId,
+    status: { $in: ACTIVE_RESERVATION_STATUSES }
+  });
+  if (duplicate) throw duplicateReservation();
+
+  const schedule = await Trip.findById(tripId).select("departureAt durationMinutes").lean();
+  if (schedule) {
+    await assertNoPassengerOverlap(
+      passengerId,
+      schedule,
+      "Ya tienes una reserva confirmada en un viaje que se cruza con este horario"
+    );
+  }
+
+  // Blocked pairs are part of the conditional update, so a block is honoured even if the trip changed meanwhile.
+  const blockedDrivers = await blockedUserIds(passengerId);
+  const trip = await Trip.findOneAndUpdate(
+    {
+      _id: tripId,
+      seatsAvailable: { $gte: seats },
+      status: { $in: BOOKABLE_TRIP_STATUSES },
+      driver: { $ne: passengerId, $nin: blockedDrivers }
+    },
+    [
+      { $set: { seatsAvailable: { $subtract: ["$seatsAvailable", seats] } } },
+      { $set: { status: { $cond: [{ $lte: ["$seatsAvailable", 0] }, "full", "$status"] } } }
+    ],
+    { new: true }
+  );
+
+  if (!trip) {
+    const existingTrip = await Trip.findById(tripId).select("driver status seatsAvailable").lean();
+    if (!existingTrip) throw new ReservationServiceError("Viaje no encontrado", { statusCode: 404 });
+    if (existingTrip.driver.toString() === passengerId) {
+      throw new ReservationServiceError("No puedes reservar tu propio viaje");
+    }
+    // Same answer whichever side created the block, so nobody learns they were blocked.
+    if (blockedDrivers.some((id) => id.equals(existingTrip.driver))) {
+      throw new ReservationServiceError("No puedes reservar en este viaje", { statusCode: 403 });
+    }
+    if (!BOOKABLE_TRIP_STATUSES.includes(existingTrip.status)) {
+      throw new ReservationServiceError("El viaje no está disponible");
+    }
+    if (existingTrip.seatsAvailable < seats) {
+      throw new ReservationServiceError("Sin cupos suficientes");
+    }
+    throw new ReservationServiceError("No se pudo crear la reserva");
+  }
+
+  let reservation;
+  try {
+    reservation = await Reservation.create({
+      trip: trip._id,
+      passenger: passengerId,
+      driver: trip.driver,
+      seats,
+      pickupPoints,
+      paymentMethod,
+      status: "pending"
+    });
+  } catch (err) {
+    await releaseSeats(trip._id, seats);
+    // A concurrent request for the same passenger won the unique index race.
+    if (err?.code === 11000) throw duplicateReservation();
+    throw err;
+  }
+
+  emitReservationEvent("created", reservation, trip);
+  emitTripUpdated(trip);
+  await notifyReservationEvent("created", reservation, trip);
+  return { reservation, trip };
+}
+
+// Driver accepts a pending request; seats were already held when the passenger booked.
+export async function confirmReservation({ reservationId, driverId, tripId }) {
+  const reservation = await findReservation(reservationId, tripId);
+  if (reservation.driver.toString() !== driverId) throw notFound();
+  if (reservation.status === "rejected" || reservation.status === "cancelled") {
+    throw new ReservationServiceError("La reserva ya fue cancelada");
+  }
+  if (reservation.status === "confirmed") {
+    return { reservation, trip: await Trip.findById(reservation.trip) };
+  }
+
+  const schedule = await Trip.findById(reservation.trip).select("departureAt durationMinutes").lean();
+  if (schedule) {
+    await assertNoPassengerOverlap(
+      reservation.passenger,
+      schedule,
+      "El pasajero ya tiene una reserva confirmada en otro viaje que se cruza con este horario"
+    );
+  }
+
+  const updated = await transitionReservation(reservation, ["pending"], "confirmed");
+  const trip = await Trip.findById(updated.trip);
+  emitReservationEvent("confirmed", updated, trip);
+  await notifyReservationEvent("confirmed", updated, trip);
+  return { reservation: updated, trip };
+}
+
+// Driver declines a pending request and its seats go back to the trip.
+export async function rejectReservation({ reservationId, driverId, tripId }) {
+  const reservation = await findReservation(reservationId, tripId);
+  if (reservation.driver.toString() !== driverId) throw notFound();
+  if (reservation.status === "rejected" || reservation.status === "cancelled") {
+    return { reservation, trip: await Trip.findById(reservation.trip) };
+  }
+  if (reservation.status !== "pending") {
+    throw new ReservationServiceError("Solo reservas pendientes pueden rechazarse");
+  }
+
+  const updated = await transitionReservation(reservation, ["pending"], "rejected");
+  const trip = await releaseSeats(updated.trip, updated.seats);
+  emitReservationEvent("rejected", updated, trip);
+  emitTripUpdated(trip);
+  await notifyReservationEvent("rejected", updated, trip);
+  return { reservation: updated, trip };
+}
+
+// Either the passenger or the trip driver drops an active reservation, freeing its seats.
+export async function cancelReservation({ reservationId, userId, tripId }) {
+  const reservation = await findReservation(reservationId, tripId);
+  const isDriver = reservation.driver.toString() === userId;
+  const isPassenger = reservation.passenger.toString() === userId;
+  if (!isDriver && !isPassenger) {
+    throw new ReservationServiceError("No autorizado", { statusCode: 403 });
+  }
+  if (!ACTIVE_RESERVATION_STATUSES.includes(reservation.status)) {
+    return { reservation, trip: await Trip.findById(reservation.trip) };
+  }
+
+  const updated = await transitionReservation(reservation, ACTIVE_RESERVATION_STATUSES, "cancelled");
+  const trip = await releaseSeats(updated.trip, updated.seats);
+  emitReservationEvent("cancelled", updated, trip);
+  emitTripUpdated(trip);
+  await notifyReservationEvent("cancelled", updated, trip, userId);
+  return { reservation: updated, trip };
+}
+
+/**
+ * requestRescheduleConsent - flag every active reservation of a rescheduled trip as waiting for the passenger's answer.
+ * @returns {Promise<object[]>} the affected reservations
+ */
+export async function requestRescheduleConsent(trip) {
+  const active = await Reservation.find({ trip: trip._id, status: { $in: ACTIVE_RESERVATION_STATUSES } }).lean();
+  if (!active.length) return [];
+  await Reservation.updateMany(
+    { _id: { $in: active.map((reservation) => reservation._id) } },
+    { $set: { reschedule: { status: "pending", proposedDepartureAt: trip.departureAt } } }
+  );
+  return active;
+}
+
+/**
+ * respondToReschedule - passenger keeps the seat at the new time or declines it.
+ * Declining cancels the reservation and releases its seats exactly like cancelReservation.
+ */
+export async function respondToReschedule({ reservationId, passengerId, accept }) {
+  const reservation = await findReservation(reservationId);
+  if (reservation.passenger.toString() !== passengerId) throw notFound();
+  if (reservation.reschedule?.status !== "pending" || !ACTIVE_RESERVATION_STATUSES.includes(reservation.status)) {
+    throw new ReservationServiceError("No hay un cambio de horario pendiente para esta reserva");
+  }
+
+  const respondedAt = new Date();
+  if (accept) {
+    if (reservation.status === "confirmed") {
+      const schedule = await Trip.findById(reservation.trip).select("departureAt durationMinutes").lean();
+      if (schedule) {
+        await assertNoPassengerOverlap(
+          passengerId,
+          schedule,
+          "El nuevo horario se cruza con otra reserva confirmada; rechaza el cambio o cancela esa reserva"
+        );
+      }
+    }
+    const updated = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, "reschedule.status": "pending", status: { $in: ACTIVE_RESERVATION_STATUSES } },
+      { $set: { "reschedule.status": "accepted", "reschedule.respondedAt": respondedAt } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ReservationServiceError("La reserva cambió de estado, actualiza e intenta de nuevo", {
+        statusCode: 409
+      });
+    }
+    const trip = await Trip.findById(updated.trip);
+    await notifyRescheduleResponse(true, updated, trip);
+    return { reservation: updated, trip };
+  }
+
+  const updated = await transitionReservation(reservation, ACTIVE_RESERVATION_STATUSES, "cancelled", {
+    "reschedule.status": "declined",
+    "reschedule.respondedAt": respondedAt
+  });
+  const trip = await releaseSeats(updated.trip, updated.seats);
+  emitReservationEvent("cancelled", updated, trip);
+  emitTripUpdated(trip);
+  await notifyRescheduleResponse(false, updated, trip);
+  return { reservation: updated, trip };
+}
+
+/**
+ * expireReservation - used by the worker when a pending request got no answer from the driver in time.
+ * @returns {Promise<{reservation: object, trip: object}|null>} null when the reservation was no longer pending
+ */
+export async function expireReservation(reservationId, { now = new Date() } = {}) {
+  const updated = await Reservation.findOneAndUpdate(
+    { _id: reservationId, status: "pending" },
+    { $set: { status: "expired", decisionAt: now } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const trip = await releaseSeats(updated.trip, updated.seats);
+  emitReservationEvent("expired", updated, trip);
+  emitTripUpdated(trip);
+  await notifyReservationEvent("expired", updated, trip);
+  return { reservation: updated, trip };
+}
+
+/**
+ * cancelTripReservations - mark every active reservation of a trip as cancelled (used when the trip itself is cancelled).
+ * @returns {Promise<object[]>} the reservations that were active before the update
+ */
+export async function cancelTripReservations(tripId) {
+  const active = await Reservation.find({ trip: tripId, status: { $in: ACTIVE_RESERVATION_STATUSES } }).lean();
+  if (!active.length) return [];
+  await Reservation.updateMany(
+    { _id: { $in: active.map((reservation) => reservation._id) }, status: { $in: ACTIVE_RESERVATION_STATUSES } },
+    { $set: { status: "cancelled", decisionAt: new Date() } }
+  );
+  return active;
+}
@@ -0,0 +1,172 @@
+// Signed-in sessions: short-lived access JWTs plus rotating refresh tokens stored (hashed) server-side.
+// Every refresh swaps the refresh token; presenting a token that was already swapped out means it leaked,
+// so the whole session is revoked.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { accountRestriction } from "./accountStatusService.js";
+import { disconnectSessions } from "./realtimeService.js";
+import { revokeSessionTokens } from "../utils/tokenBlacklist.js";
+
+export class SessionServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "SessionServiceError";
+    this.statusCode = options.statusCode || 400;
+    this.body = options.body;
+  }
+}
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const PREVIOUS_HASHES_KEPT = 20;
+const MAX_USER_AGENT_LENGTH = 300;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * sessionTtls - access tokens last ACCESS_TOKEN_TTL_MINUTES (15), refresh tokens REFRESH_TOKEN_TTL_DAYS (30).
+ */
+export function sessionTtls() {
+  return {
+    accessMs: numberFromEnv("ACCESS_TOKEN_TTL_MINUTES", 15) * MINUTE,
+    refreshMs: numberFromEnv("REFRESH_TOKEN_TTL_DAYS", 30) * DAY
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
+function signAccessToken(user, sessionId) {
+  const { accessMs } = sessionTtls();
+  return jwt.sign({ sub: user._id, email: user.email, sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: Math.round(accessMs / 1000),
+    jwtid: crypto.randomUUID()
+  });
+}
+
+function clientInfo({ userAgent, ip } = {}) {
+  return {
+    userAgent: String(userAgent || "").slice(0, MAX_USER_AGENT_LENGTH),
+    ip: String(ip || "")
+  };
+}
+
+/**
+ * createSession - open a session for a user who just proved their credentials.
+ * @returns {Promise<{token: string, refreshToken: string, session: object}>}
+ */
+export async function createSession(user, client) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...clientInfo(client),
+    expiresAt: new Date(Date.now() + sessionTtls().refreshMs)
+  });
+  return { token: signAccessToken(user, session._id), refreshToken, session };
+}
+
+async function revokeSessions(criteria, reason) {
+  const sessions = await Session.find({ ...criteria, revokedAt: null }).select("_id").lean();
+  if (sessions.length === 0) return 0;
+  await Session.updateMany(
+    { _id: { $in: sessions.map((session) => session._id) }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  const { accessMs } = sessionTtls();
+  await Promise.all(sessions.map((session) => revokeSessionTokens(session._id, accessMs)));
+  disconnectSessions(sessions.map((session) => session._id));
+  return sessions.length;
+}
+
+/**
+ * refreshSession - trade a refresh token for a new access token and a new refresh token.
+ * @throws {SessionServiceError} 400 without token, 401 when unknown/expired/reused, 403 for banned accounts
+ */
+export async function refreshSession(refreshToken, client) {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw new SessionServiceError("Refresh token requerido");
+  }
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: hashToken(nextToken), lastUsedAt: now, ...clientInfo(client) },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -PREVIOUS_HASHES_KEPT } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token coming back means someone else holds a copy: close that session.
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash }).select("_id").lean();
+    if (reused) await revokeSessions({ _id: reused._id }, "reuse_detected");
+    throw new SessionServiceError("Sesión inválida o expirada", { statusCode: 401 });
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSessions({ _id: session._id }, "logout");
+    throw new SessionServiceError("Sesión inválida o expirada", { statusCode: 401 });
+  }
+  const restriction = accountRestriction(user);
+  if (restriction?.accountStatus.state === "banned") {
+    await revokeSessions({ user: user._id }, "logout_all");
+    throw new SessionServiceError(restriction.error, { statusCode: 403, body: restriction });
+  }
+
+  return { token: signAccessToken(user, session._id), refreshToken: nextToken, user };
+}
+
+/**
+ * listSessions - the user's open sessions, most recently used first; `current` marks the caller's.
+ */
+export async function listSessions(userId, currentSessionId) {
+  const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+  return sessions.map((session) => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId)
+  }));
+}
+
+/**
+ * revokeSession - close one of the user's sessions.
+ * @throws {SessionServiceError} 404 when it does not exist, belongs to someone else or is already closed
+ */
+export async function revokeSession({ userId, sessionId, reason = "logout" }) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new SessionServiceError("Sesión no encontrada", { statusCode: 404 });
+  }
+  const revoked = await revokeSessions({ _id: sessionId, user: userId }, reason);
+  if (!revoked) throw new SessionServiceError("Sesión no encontrada", { statusCode: 404 });
+}
+
+/**
+ * revokeAllSessions - log a user out everywhere (also used after a password reset).
+ * @returns {Promise<number>} sessions closed
+ */
+export function revokeAllSessions(userId, reason = "logout_all") {
+  return revokeSessions({ user: userId }, reason);
+}
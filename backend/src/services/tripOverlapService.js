@@ -0,0 +1,103 @@
+// Time-overlap rules: a driver cannot run two active trips at once and a passenger cannot hold
+// confirmed seats on two trips that overlap.
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+
+const MINUTE = 60 * 1000;
+const ACTIVE_TRIP_STATUSES = ["scheduled", "full"];
+
+// Window assumed for trips without durationMinutes (also used by the worker to decide when a trip is over).
+export const DEFAULT_TRIP_DURATION_MINUTES = 60;
+
+function durationOf(durationMinutes) {
+  const minutes = Number(durationMinutes);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TRIP_DURATION_MINUTES;
+}
+
+/**
+ * tripEndExpression - aggregation expression for `departureAt + duration`, with the same fallback as
+ * tripWindow, so overlap checks and the scheduler agree on when a trip is over.
+ */
+export const tripEndExpression = {
+  $add: [
+    "$departureAt",
+    {
+      $multiply: [
+        { $cond: [{ $gt: ["$durationMinutes", 0] }, "$durationMinutes", DEFAULT_TRIP_DURATION_MINUTES] },
+        MINUTE
+      ]
+    }
+  ]
+};
+
+/**
+ * tripWindow - the interval a trip occupies, [departureAt, departureAt + duration).
+ * @returns {{start: Date, end: Date}}
+ */
+export function tripWindow({ departureAt, durationMinutes }) {
+  const start = new Date(departureAt);
+  return { start, end: new Date(start.getTime() + durationOf(durationMinutes) * MINUTE) };
+}
+
+// Mongo criteria for active trips whose window intersects [start, end).
+function overlapCriteria({ start, end }) {
+  return {
+    status: { $in: ACTIVE_TRIP_STATUSES },
+    departureAt: { $lt: end },
+    $expr: { $gt: [tripEndExpression, start] }
+  };
+}
+
+/**
+ * describeConflict - the `conflict` payload sent along with 409 responses so clients can name the other trip.
+ */
+export function describeConflict(trip) {
+  if (!trip) return null;
+  const { start, end } = tripWindow(trip);
+  return {
+    trip: {
+      _id: trip._id.toString(),
+      origin: trip.origin,
+      destination: trip.destination,
+      departureAt: start,
+      endsAt: end,
+      status: trip.status
+    }
+  };
+}
+
+/**
+ * findDriverConflict - another active trip of the same driver overlapping the given schedule.
+ * @param {object} params
+ * @param {string} params.driverId
+ * @param {Date|string} params.departureAt
+ * @param {number} [params.durationMinutes]
+ * @param {string} [params.excludeTripId] the trip being rescheduled
+ * @returns {Promise<object|null>}
+ */
+export async function findDriverConflict({ driverId, departureAt, durationMinutes, excludeTripId }) {
+  const criteria = { driver: driverId, ...overlapCriteria(tripWindow({ departureAt, durationMinutes })) };
+  if (excludeTripId) criteria._id = { $ne: excludeTripId };
+  return Trip.findOne(criteria)
+    .select("origin destination departureAt durationMinutes status")
+    .sort({ departureAt: 1 })
+    .lean();
+}
+
+/**
+ * findPassengerConflict - a trip the passenger already has a confirmed seat on that overlaps `trip`.
+ * @returns {Promise<object|null>}
+ */
+export async function findPassengerConflict({ passengerId, trip }) {
+  const confirmedTripIds = await Reservation.find({
+    passenger: passengerId,
+    status: "confirmed",
+    trip: { $ne: trip._id }
+  }).distinct("trip");
+  if (!confirmedTripIds.length) return null;
+
+  return Trip.findOne({ _id: { $in: confirmedTripIds }, ...overlapCriteria(tripWindow(trip)) })
+    .select("origin destination departureAt durationMinutes status")
+    .sort({ departureAt: 1 })
+    .lean();
+}
@@ -0,0 +1,180 @@
+// Background jobs for trips: pre-departure reminders, auto-completion, expiry of unanswered reservations
+// and generation of trips from recurring templates. The same run erases accounts whose deletion grace
+// period is over.
+// Every job receives `now` from the scheduler clock so tests can drive it with a fake clock.
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import { notifyTripReminder } from "./notificationService.js";
+import { expireReservation } from "./reservationService.js";
+import { DEFAULT_TRIP_DURATION_MINUTES, tripEndExpression } from "./tripOverlapService.js";
+import { DEFAULT_DAYS_AHEAD, generateUpcomingTrips } from "./tripTemplateService.js";
+import { purgeExpiredDeletions } from "./accountDeletionService.js";
+
+const MINUTE = 60 * 1000;
+const LOCK_NAME = "trip-scheduler";
+const BATCH_SIZE = 200;
+
+// Reminders go out when departure is between 30 and 60 minutes away.
+export const REMINDER_WINDOW_MINUTES = { from: 30, to: 60 };
+// Used to decide when a trip is over if the driver did not record durationMinutes.
+export { DEFAULT_TRIP_DURATION_MINUTES };
+
+function readPositiveEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * sendDepartureReminders - notify the driver and confirmed passengers of trips leaving in 30–60 minutes.
+ * @param {Date} now
+ * @returns {Promise<number>} trips reminded
+ */
+export async function sendDepartureReminders(now) {
+  const windowStart = new Date(now.getTime() + REMINDER_WINDOW_MINUTES.from * MINUTE);
+  const windowEnd = new Date(now.getTime() + REMINDER_WINDOW_MINUTES.to * MINUTE);
+  const candidates = await Trip.find({
+    status: { $in: ["scheduled", "full"] },
+    departureAt: { $gte: windowStart, $lte: windowEnd },
+    reminderSentAt: null
+  })
+    .select("_id")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let reminded = 0;
+  for (const { _id } of candidates) {
+    // Claim the trip before notifying so overlapping runs never send the same reminder twice.
+    const trip = await Trip.findOneAndUpdate(
+      { _id, reminderSentAt: null },
+      { $set: { reminderSentAt: now } },
+      { new: true }
+    ).lean();
+    if (!trip) continue;
+
+    const passengerIds = await Reservation.find({ trip: _id, status: "confirmed" }).distinct("passenger");
+    const minutesLeft = Math.max(0, Math.round((trip.departureAt.getTime() - now.getTime()) / MINUTE));
+    await notifyTripReminder(trip, passengerIds, minutesLeft);
+    reminded += 1;
+  }
+  return reminded;
+}
+
+/**
+ * expirePendingReservations - release seats held by requests the driver never answered: either older than
+ * RESERVATION_PENDING_TTL_MINUTES (default 180) or attached to a trip that already departed.
+ * @param {Date} now
+ * @returns {Promise<number>} reservations expired
+ */
+export async function expirePendingReservations(now) {
+  const ttlMinutes = readPositiveEnv("RESERVATION_PENDING_TTL_MINUTES", 180);
+  const createdCutoff = new Date(now.getTime() - ttlMinutes * MINUTE);
+  // Older departed trips are already covered by the TTL (their reservations were created before departure).
+  const departedTripIds = await Trip.find({
+    departureAt: { $lte: now, $gte: new Date(now.getTime() - ttlMinutes * MINUTE) }
+  }).distinct("_id");
+
+  const stale = await Reservation.find({
+    status: "pending",
+    $or: [{ createdAt: { $lte: createdCutoff } }, { trip: { $in: departedTripIds } }]
+  })
+    .select("_id")
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  for (const { _id } of stale) {
+    const result = await expireReservation(_id, { now });
+    if (result) expired += 1;
+  }
+  return expired;
+}
+
+/**
+ * completeFinishedTrips - mark trips completed once departureAt + durationMinutes has passed.
+ * @param {Date} now
+ * @returns {Promise<number>} trips completed
+ */
+export async function completeFinishedTrips(now) {
+  const result = await Trip.updateMany(
+    {
+      status: { $in: ["scheduled", "full"] },
+      departureAt: { $lte: now },
+      $expr: { $lte: [tripEndExpression, now] }
+    },
+    { $set: { status: "completed" } }
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * generateTemplateTrips - publish trips from active templates TRIP_TEMPLATE_DAYS_AHEAD days ahead (default 7).
+ * @param {Date} now
+ * @returns {Promise<number>} trips created
+ */
+export function generateTemplateTrips(now) {
+  const days = Math.floor(readPositiveEnv("TRIP_TEMPLATE_DAYS_AHEAD", DEFAULT_DAYS_AHEAD));
+  return generateUpcomingTrips(now, { days });
+}
+
+/**
+ * createTripScheduler - run the trip jobs every `intervalMs`, guarded by a distributed lock.
+ * @param {object} [options]
+ * @param {() => Date} [options.clock] current time source (inject a fake clock in tests)
+ * @param {{acquire: Function, release: Function}} [options.lock] see utils/jobLock.js; omit to run unlocked
+ * @param {number} [options.intervalMs]
+ */
+export function createTripScheduler({ clock = () => new Date(), lock = null, intervalMs = MINUTE, logger = console } = {}) {
+  let timer = null;
+  let running = null;
+
+  async function runOnce() {
+    const now = clock();
+    if (lock) {
+      const acquired = await lock.acquire(LOCK_NAME, { now, ttlMs: intervalMs * 2 });
+      if (!acquired) return { skipped: true };
+    }
+    try {
+      const reminders = await sendDepartureReminders(now);
+      const expired = await expirePendingReservations(now);
+      const completed = await completeFinishedTrips(now);
+      const generated = await generateTemplateTrips(now);
+      const erasedAccounts = await purgeExpiredDeletions(now);
+      return { skipped: false, reminders, expired, completed, generated, erasedAccounts };
+    } finally {
+      if (lock) await lock.release(LOCK_NAME);
+    }
+  }
+
+  function tick() {
+    if (running) return;
+    running = runOnce()
+      .then((summary) => {
+        const { reminders, expired, completed, generated, erasedAccounts } = summary;
+        if (!summary.skipped && (reminders || expired || completed || generated || erasedAccounts)) {
+          logger.log(
+            `Trip scheduler: ${reminders} reminders, ${expired} expired reservations, ` +
+              `${completed} completed trips, ${generated} trips generated from templates, ` +
+              `${erasedAccounts} deleted accounts erased`
+          );
+        }
+      })
+      .catch((err) => logger.error("Trip scheduler run failed", err && err.message ? err.message : err))
+      .finally(() => {
+        running = null;
+      });
+  }
+
+  return {
+    runOnce,
+    start() {
+      if (timer) return;
+      tick();
+      timer = setInterval(tick, intervalMs);
+    },
+    async stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      if (running) await running;
+    }
+  };
+}
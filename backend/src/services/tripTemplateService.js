@@ -0,0 +1,283 @@
+// Recurring trip templates: payload validation and the generator that materialises concrete trips ahead of time.
+import mongoose from "mongoose";
+import Trip from "../models/Trip.js";
+import TripTemplate from "../models/TripTemplate.js";
+import Vehicle from "../models/Vehicle.js";
+import { findDriverConflict } from "./tripOverlapService.js";
+import { findAccountRestriction } from "./accountStatusService.js";
+import { findEmailVerificationRestriction } from "./emailVerificationService.js";
+import {
+  areVehicleDocumentsValid,
+  normalizePickupPayload,
+  validateSeatsForVehicle
+} from "../utils/tripValidation.js";
+
+export class TripTemplateServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "TripTemplateServiceError";
+    this.statusCode = options.statusCode || 400;
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+// Colombia has no daylight saving time, so Bogotá wall-clock time is always UTC-5.
+const BOGOTA_OFFSET_MS = -5 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const DEFAULT_DAYS_AHEAD = 7;
+export const MAX_DAYS_AHEAD = 30;
+
+const ROUTE_FIELDS = [
+  "originStopId",
+  "originStopName",
+  "originStopLat",
+  "originStopLng",
+  "destinationStopId",
+  "destinationStopName",
+  "destinationStopLat",
+  "destinationStopLng"
+];
+
+/**
+ * generationHorizon - end (exclusive) of the Bogotá day `days` days after `now`.
+ * Day granularity lets the worker generate each template once per day instead of on every tick.
+ */
+export function generationHorizon(now, days = DEFAULT_DAYS_AHEAD) {
+  const local = new Date(now.getTime() + BOGOTA_OFFSET_MS);
+  const localMidnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  return new Date(localMidnight - BOGOTA_OFFSET_MS + (days + 1) * DAY);
+}
+
+/**
+ * templateOccurrences - departure instants of a template strictly after `from` and before `until`.
+ * @returns {Date[]}
+ */
+export function templateOccurrences(template, { from, until }) {
+  const [hours, minutes] = template.departureTime.split(":").map(Number);
+  const weekdays = new Set(template.weekdays);
+  const local = new Date(from.getTime() + BOGOTA_OFFSET_MS);
+
+  const occurrences = [];
+  for (let offset = 0; ; offset += 1) {
+    // Build the Bogotá wall-clock date with UTC getters, then shift back to the real instant.
+    const wallClock = new Date(
+      Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + offset, hours, minutes)
+    );
+    const departureAt = new Date(wallClock.getTime() - BOGOTA_OFFSET_MS);
+    if (departureAt >= until) break;
+    if (departureAt > from && weekdays.has(wallClock.getUTCDay())) {
+      occurrences.push(departureAt);
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * buildTemplateFields - validate a create/update payload and return the fields to store.
+ * @param {object} body request payload
+ * @param {object} options
+ * @param {string} options.driverId
+ * @param {object} [options.current] existing template when updating (missing fields fall back to it)
+ * @throws {TripTemplateServiceError}
+ */
+export async function buildTemplateFields(body, { driverId, current = null }) {
+  const payload = body || {};
+  const fields = {};
+  const has = (key) => payload[key] !== undefined;
+
+  if (!current || has("vehicleId")) {
+    if (!payload.vehicleId) throw new TripTemplateServiceError("Selecciona el vehículo del viaje");
+  }
+  const vehicleId = has("vehicleId") ? payload.vehicleId : current?.vehicle;
+  if (!mongoose.isValidObjectId(vehicleId)) {
+    throw new TripTemplateServiceError("Vehículo no encontrado", { statusCode: 404 });
+  }
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, owner: driverId }).select("capacity").lean();
+  if (!vehicle) throw new TripTemplateServiceError("Vehículo no encontrado", { statusCode: 404 });
+  fields.vehicle = vehicle._id;
+
+  for (const key of ["name", "routeDescription"]) {
+    if (has(key)) {
+      if (payload[key] !== null && typeof payload[key] !== "string") {
+        throw new TripTemplateServiceError(`Valor inválido para ${key}`);
+      }
+      fields[key] = payload[key]?.trim() || "";
+    }
+  }
+
+  for (const key of ROUTE_FIELDS) {
+    if (has(key)) fields[key] = payload[key];
+  }
+  if (has("route")) {
+    const isPoint = (point) => Number.isFinite(Number(point?.lat)) && Number.isFinite(Number(point?.lng));
+    if (!Array.isArray(payload.route) || !payload.route.every(isPoint)) {
+      throw new TripTemplateServiceError("La ruta debe ser una lista de coordenadas");
+    }
+    fields.route = payload.route.map((point) => ({ lat: Number(point.lat), lng: Number(point.lng) }));
+  }
+
+  // Stop names double as origin/destination, like new-style trips.
+  const origin = (has("origin") ? payload.origin : null) ?? fields.originStopName ?? current?.origin;
+  const destination =
+    (has("destination") ? payload.destination : null) ?? fields.destinationStopName ?? current?.destination;
+  if (!origin?.trim() || !destination?.trim()) {
+    throw new TripTemplateServiceError("Indica el origen y el destino");
+  }
+  fields.origin = origin.trim();
+  fields.destination = destination.trim();
+
+  if (!current || has("seatsTotal") || has("vehicleId")) {
+    const seats = has("seatsTotal") ? payload.seatsTotal : current?.seatsTotal;
+    const { value, error } = validateSeatsForVehicle(seats, vehicle);
+    if (error) throw new TripTemplateServiceError(error);
+    fields.seatsTotal = value;
+  }
+
+  if (!current || has("pricePerSeat")) {
+    const price = Number(payload.pricePerSeat);
+    if (payload.pricePerSeat == null || Number.isNaN(price) || price < 0) {
+      throw new TripTemplateServiceError("Precio por puesto inválido");
+    }
+    fields.pricePerSeat = price;
+  }
+
+  for (const key of ["distanceKm", "durationMinutes"]) {
+    if (has(key)) {
+      const number = payload[key] === null ? null : Number(payload[key]);
+      if (number !== null && (Number.isNaN(number) || number < 0)) {
+        throw new TripTemplateServiceError(key === "distanceKm" ? "Distancia inválida" : "Duración inválida");
+      }
+      fields[key] = number ?? undefined;
+    }
+  }
+
+  if (has("pickupPoints")) {
+    if (!Array.isArray(payload.pickupPoints)) throw new TripTemplateServiceError("pickupPoints debe ser una lista");
+    fields.pickupPoints = payload.pickupPoints.map((point) => {
+      const { value, error } = normalizePickupPayload(point);
+      if (error) throw new TripTemplateServiceError(error);
+      return { ...value, source: "driver", status: "active", requestedBy: driverId };
+    });
+  }
+
+  if (!current || has("weekdays")) {
+    const weekdays = Array.isArray(payload.weekdays) ? [...new Set(payload.weekdays.map(Number))] : [];
+    if (!weekdays.length || weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new TripTemplateServiceError("Selecciona al menos un día de la semana (0 = domingo … 6 = sábado)");
+    }
+    fields.weekdays = weekdays.sort();
+  }
+
+  if (!current || has("departureTime")) {
+    if (typeof payload.departureTime !== "string" || !TIME_PATTERN.test(payload.departureTime)) {
+      throw new TripTemplateServiceError("Hora de salida inválida (usa HH:mm)");
+    }
+    fields.departureTime = payload.departureTime;
+  }
+
+  if (has("active")) fields.active = Boolean(payload.active);
+
+  // Any change to the schedule or route must be picked up by the next worker run.
+  fields.generatedUntil = null;
+  return fields;
+}
+
+function tripFromTemplate(template, departureAt) {
+  const trip = {
+    driver: template.driver,
+    vehicle: template.vehicle,
+    template: template._id,
+    origin: template.origin,
+    destination: template.destination,
+    routeDescription: template.routeDescription,
+    route: template.route,
+    pickupPoints: (template.pickupPoints || []).map((point) => ({ ...point, createdAt: new Date() })),
+    departureAt,
+    seatsTotal: template.seatsTotal,
+    seatsAvailable: template.seatsTotal,
+    pricePerSeat: template.pricePerSeat,
+    distanceKm: template.distanceKm,
+    durationMinutes: template.durationMinutes
+  };
+  for (const key of ROUTE_FIELDS) trip[key] = template[key];
+  Object.keys(trip).forEach((key) => trip[key] == null && delete trip[key]);
+  return trip;
+}
+
+/**
+ * generateTripsFromTemplate - create the template's trips between `now` and `until`.
+ * Dates where the vehicle's SOAT or license is expired, or that overlap another trip of the driver, are skipped.
+ * Already generated dates are left untouched, so the call is idempotent.
+ * Suspended or banned drivers get every date skipped with reason "account_restricted", drivers
+ * whose email is not verified yet with reason "email_not_verified", and vehicles an admin has not
+ * verified with reason "vehicle_not_verified".
+ * @returns {Promise<{created: object[], skipped: {departureAt: Date, reason: string}[]}>} reason is
+ *   "documents_expired", "vehicle_not_verified", "overlap", "account_restricted" or "email_not_verified"
+ */
+export async function generateTripsFromTemplate(template, { now = new Date(), until }) {
+  const source = template.toObject ? template.toObject() : template;
+  const vehicle = await Vehicle.findById(source.vehicle).select("soatExpiration licenseExpiration status").lean();
+
+  const created = [];
+  const skipped = [];
+  let blockedReason = null;
+  if (await findAccountRestriction(source.driver, now)) blockedReason = "account_restricted";
+  else if (await findEmailVerificationRestriction(source.driver)) blockedReason = "email_not_verified";
+  else if (vehicle && vehicle.status !== "verified") blockedReason = "vehicle_not_verified";
+  if (blockedReason) {
+    for (const departureAt of templateOccurrences(source, { from: now, until })) {
+      skipped.push({ departureAt, reason: blockedReason });
+    }
+    return { created, skipped };
+  }
+  for (const departureAt of templateOccurrences(source, { from: now, until })) {
+    if (await Trip.exists({ template: source._id, departureAt })) continue;
+
+    if (!areVehicleDocumentsValid(vehicle, departureAt)) {
+      skipped.push({ departureAt, reason: "documents_expired" });
+      continue;
+    }
+    const conflict = await findDriverConflict({
+      driverId: source.driver,
+      departureAt,
+      durationMinutes: source.durationMinutes
+    });
+    if (conflict) {
+      skipped.push({ departureAt, reason: "overlap" });
+      continue;
+    }
+
+    try {
+      created.push(await Trip.create(tripFromTemplate(source, departureAt)));
+    } catch (err) {
+      // Another worker generated the same occurrence first (unique template + departureAt index).
+      if (err?.code === 11000) continue;
+      throw err;
+    }
+  }
+  return { created, skipped };
+}
+
+/**
+ * generateUpcomingTrips - worker job: materialise every active template up to `days` days ahead.
+ * @param {Date} now
+ * @returns {Promise<number>} trips created
+ */
+export async function generateUpcomingTrips(now, { days = DEFAULT_DAYS_AHEAD, batchSize = 100 } = {}) {
+  const until = generationHorizon(now, days);
+  const templates = await TripTemplate.find({
+    active: true,
+    $or: [{ generatedUntil: null }, { generatedUntil: { $lt: until } }]
+  })
+    .limit(batchSize)
+    .lean();
+
+  let generated = 0;
+  for (const template of templates) {
+    const { created } = await generateTripsFromTemplate(template, { now, until });
+    generated += created.length;
+    await TripTemplate.updateOne({ _id: template._id }, { $set: { generatedUntil: until } });
+  }
+  return generated;
+}
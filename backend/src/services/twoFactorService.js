@@ -0,0 +1,241 @@
+// Optional two-factor authentication with TOTP authenticator apps. Setup stores a pending secret that only
+// becomes active once the user proves their app produces valid codes; from then on the password alone
+// yields a short-lived login challenge that a TOTP code (or a one-time recovery code) completes.
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import { decryptField } from "../utils/fieldEncryption.js";
+import { generateTotpSecret, otpauthUri, verifyTotp } from "../utils/totp.js";
+
+export class TwoFactorError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "TwoFactorError";
+    this.statusCode = options.statusCode || 400;
+    // "invalid_code" marks a wrong second factor (counted as a failed login at /auth/login/verify).
+    this.code = options.code;
+  }
+}
+
+const MINUTE = 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Challenges are signed with a key derived from JWT_SECRET, so they can never pass as access tokens.
+function challengeSecret() {
+  return crypto.createHmac("sha256", String(process.env.JWT_SECRET)).update("login-mfa-challenge").digest();
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[\s-]/g, "");
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+function newRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+export function isTwoFactorEnabled(user) {
+  return Boolean(user?.twoFactor?.enabled);
+}
+
+async function findUser(userId) {
+  const user = await User.findById(userId);
+  if (!user) throw new TwoFactorError("Usuario no encontrado", { statusCode: 404 });
+  return user;
+}
+
+/**
+ * checkSecondFactor - accept a TOTP code (each time step only once) or burn one recovery code.
+ * Both paths are single atomic updates, so two requests cannot use the same code.
+ * @returns {Promise<"totp"|"recovery"|null>}
+ */
+export async function checkSecondFactor(user, code) {
+  const { secret } = user.twoFactor || {};
+  if (!secret) return null;
+
+  const step = verifyTotp(secret, code);
+  if (step !== null) {
+    const updated = await User.updateOne(
+      { _id: user._id, "twoFactor.enabled": true, "twoFactor.lastUsedStep": { $lt: step } },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return updated.modifiedCount === 1 ? "totp" : null;
+  }
+
+  if (!normalizeRecoveryCode(code)) return null;
+  const codeHash = hashRecoveryCode(code);
+  const updated = await User.updateOne(
+    { _id: user._id, "twoFactor.enabled": true, "twoFactor.recoveryCodeHashes": codeHash },
+    { $pull: { "twoFactor.recoveryCodeHashes": codeHash } }
+  );
+  return updated.modifiedCount === 1 ? "recovery" : null;
+}
+
+/**
+ * setupTwoFactor - start (or restart) enrolment with a fresh secret.
+ * @returns {Promise<{secret: string, otpauthUri: string, qrCode: string}>} `qrCode` is a PNG data URL
+ * @throws {TwoFactorError} 400 when two-factor authentication is already on
+ */
+export async function setupTwoFactor(userId) {
+  const user = await findUser(userId);
+  if (isTwoFactorEnabled(user)) {
+    throw new TwoFactorError("La verificación en dos pasos ya está activa");
+  }
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { "twoFactor.pendingSecret": secret } });
+
+  const uri = otpauthUri({
+    secret,
+    account: user.email,
+    issuer: process.env.TOTP_ISSUER || "Wheels Sabana"
+  });
+  return { secret, otpauthUri: uri, qrCode: await QRCode.toDataURL(uri) };
+}
+
+/**
+ * enableTwoFactor - confirm enrolment with a code from the app and hand out the recovery codes.
+ * The plain recovery codes are only ever returned here.
+ * @returns {Promise<{recoveryCodes: string[]}>}
+ * @throws {TwoFactorError} 400 without a pending setup, already enabled, or with a wrong code
+ */
+export async function enableTwoFactor(userId, code) {
+  const user = await findUser(userId);
+  if (isTwoFactorEnabled(user)) {
+    throw new TwoFactorError("La verificación en dos pasos ya está activa");
+  }
+  // The secret is encrypted with a random IV, so the guard below must match the stored ciphertext, not the
+  // plaintext: a setup restarted meanwhile changes it and makes this confirmation fail.
+  const stored = await User.collection.findOne({ _id: user._id }, { projection: { "twoFactor.pendingSecret": 1 } });
+  const storedSecret = stored?.twoFactor?.pendingSecret;
+  if (!storedSecret) throw new TwoFactorError("Primero inicia la configuración de la verificación en dos pasos");
+  const secret = decryptField(storedSecret);
+
+  const step = verifyTotp(secret, code);
+  if (step === null) throw new TwoFactorError("Código de verificación inválido", { code: "invalid_code" });
+
+  const recoveryCodes = newRecoveryCodes();
+  const updated = await User.updateOne(
+    { _id: user._id, "twoFactor.pendingSecret": storedSecret, "twoFactor.enabled": { $ne: true } },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": secret,
+        "twoFactor.pendingSecret": null,
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.recoveryCodeHashes": recoveryCodes.map(hashRecoveryCode),
+        "twoFactor.enabledAt": new Date()
+      }
+    }
+  );
+  if (updated.modifiedCount !== 1) {
+    throw new TwoFactorError("Primero inicia la configuración de la verificación en dos pasos");
+  }
+  return { recoveryCodes };
+}
+
+/**
+ * disableTwoFactor - turn the second factor off; needs the password and a current or recovery code.
+ * Wrong credentials are a 400, not a 401: the caller's session itself is fine.
+ * @throws {TwoFactorError} 400 when it is not enabled or on a wrong password or code
+ */
+export async function disableTwoFactor(userId, { password, code } = {}) {
+  const user = await findUser(userId);
+  if (!isTwoFactorEnabled(user)) throw new TwoFactorError("La verificación en dos pasos no está activa");
+  if (!(await bcrypt.compare(String(password || ""), user.passwordHash || ""))) {
+    throw new TwoFactorError("Contraseña incorrecta");
+  }
+  if (!(await checkSecondFactor(user, code))) {
+    throw new TwoFactorError("Código de verificación inválido", { code: "invalid_code" });
+  }
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.enabled": false,
+        "twoFactor.secret": null,
+        "twoFactor.pendingSecret": null,
+        "twoFactor.lastUsedStep": 0,
+        "twoFactor.recoveryCodeHashes": [],
+        "twoFactor.enabledAt": null
+      }
+    }
+  );
+}
+
+/**
+ * regenerateRecoveryCodes - replace every recovery code (the old ones stop working).
+ * @returns {Promise<{recoveryCodes: string[]}>}
+ * @throws {TwoFactorError} 400 when it is not enabled or on a wrong code
+ */
+export async function regenerateRecoveryCodes(userId, code) {
+  const user = await findUser(userId);
+  if (!isTwoFactorEnabled(user)) throw new TwoFactorError("La verificación en dos pasos no está activa");
+  if (!(await checkSecondFactor(user, code))) {
+    throw new TwoFactorError("Código de verificación inválido", { code: "invalid_code" });
+  }
+  const recoveryCodes = newRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.recoveryCodeHashes": recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return { recoveryCodes };
+}
+
+/**
+ * recoveryCodesLeft - how many unused recovery codes the user still has.
+ */
+export function recoveryCodesLeft(user) {
+  return isTwoFactorEnabled(user) ? user.twoFactor.recoveryCodeHashes?.length || 0 : 0;
+}
+
+/**
+ * createLoginChallenge - after a correct password, the token the client sends back with the code.
+ * Lives MFA_CHALLENGE_TTL_MINUTES (5).
+ */
+export function createLoginChallenge(user) {
+  const expiresIn = Math.round(numberFromEnv("MFA_CHALLENGE_TTL_MINUTES", 5) * MINUTE / 1000);
+  const mfaToken = jwt.sign({ sub: String(user._id), email: user.email }, challengeSecret(), { expiresIn });
+  return { mfaToken, expiresIn };
+}
+
+/**
+ * readLoginChallenge - decode a challenge created by createLoginChallenge.
+ * @returns {{userId: string, email: string}}
+ * @throws {TwoFactorError} 401 when it is missing, tampered with or expired
+ */
+export function readLoginChallenge(mfaToken) {
+  try {
+    const claims = jwt.verify(String(mfaToken || ""), challengeSecret());
+    return { userId: claims.sub, email: claims.email };
+  } catch {
+    throw new TwoFactorError("La verificación expiró, inicia sesión de nuevo", { statusCode: 401 });
+  }
+}
+
+/**
+ * verifyLoginCode - second login step for the challenged user.
+ * @returns {Promise<{user: object, method: "totp"|"recovery"}>}
+ * @throws {TwoFactorError} 401 on a wrong, reused or missing code
+ */
+export async function verifyLoginCode(userId, code) {
+  const user = await User.findById(userId);
+  if (!user || !isTwoFactorEnabled(user)) {
+    throw new TwoFactorError("La verificación expiró, inicia sesión de nuevo", { statusCode: 401 });
+  }
+  const method = await checkSecondFactor(user, code);
+  if (!method) throw new TwoFactorError("Código de verificación inválido", { statusCode: 401, code: "invalid_code" });
+  return { user, method };
+}
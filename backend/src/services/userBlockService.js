@@ -0,0 +1,93 @@
+// User-to-user blocking. A block works both ways for matching: neither user sees the other's trips
+// or can book a seat with them, but only the blocker sees the block and can lift it.
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import UserBlock from "../models/UserBlock.js";
+
+export class UserBlockServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "UserBlockServiceError";
+    this.statusCode = options.statusCode || 400;
+  }
+}
+
+/**
+ * blockedUserIds - users the given one must not be matched with (blocked by them or blocking them).
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+export async function blockedUserIds(userId) {
+  if (!mongoose.isValidObjectId(userId)) return [];
+  const blocks = await UserBlock.find({ $or: [{ blocker: userId }, { blocked: userId }] })
+    .select("blocker blocked")
+    .lean();
+  const ids = new Map();
+  for (const { blocker, blocked } of blocks) {
+    const other = blocker.toString() === userId.toString() ? blocked : blocker;
+    ids.set(other.toString(), other);
+  }
+  return Array.from(ids.values());
+}
+
+/**
+ * hasBlocked - whether `blockerId` blocked `blockedId` (one direction only).
+ */
+export async function hasBlocked(blockerId, blockedId) {
+  if (!mongoose.isValidObjectId(blockedId)) return false;
+  return Boolean(await UserBlock.exists({ blocker: blockerId, blocked: blockedId }));
+}
+
+/**
+ * blockUser - idempotent; blocking someone twice keeps the original block.
+ * @returns {Promise<{block: object, created: boolean}>}
+ * @throws {UserBlockServiceError}
+ */
+export async function blockUser({ blockerId, blockedId }) {
+  if (!mongoose.isValidObjectId(blockedId)) {
+    throw new UserBlockServiceError("Usuario no encontrado", { statusCode: 404 });
+  }
+  if (blockedId.toString() === blockerId.toString()) {
+    throw new UserBlockServiceError("No puedes bloquearte a ti mismo");
+  }
+  if (!(await User.exists({ _id: blockedId }))) {
+    throw new UserBlockServiceError("Usuario no encontrado", { statusCode: 404 });
+  }
+
+  const result = await UserBlock.findOneAndUpdate(
+    { blocker: blockerId, blocked: blockedId },
+    { $setOnInsert: { blocker: blockerId, blocked: blockedId } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  return { block: result.value, created: !result.lastErrorObject?.updatedExisting };
+}
+
+/**
+ * unblockUser - lift a block created by `blockerId`; lifting a missing block is not an error.
+ */
+export async function unblockUser({ blockerId, blockedId }) {
+  if (!mongoose.isValidObjectId(blockedId)) {
+    throw new UserBlockServiceError("Usuario no encontrado", { statusCode: 404 });
+  }
+  await UserBlock.deleteOne({ blocker: blockerId, blocked: blockedId });
+}
+
+/**
+ * listBlocks - users blocked by `blockerId`, newest first, with public profile fields only.
+ */
+export async function listBlocks(blockerId) {
+  const blocks = await UserBlock.find({ blocker: blockerId })
+    .populate("blocked", "firstName lastName photoUrl")
+    .sort({ createdAt: -1 })
+    .lean();
+  return blocks
+    .filter((block) => block.blocked)
+    .map(({ blocked, createdAt }) => ({
+      user: {
+        id: blocked._id,
+        firstName: blocked.firstName,
+        lastName: blocked.lastName,
+        photoUrl: blocked.photoUrl || null
+      },
+      blockedAt: createdAt
+    }));
+}
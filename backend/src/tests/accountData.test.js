@@ -0,0 +1,240 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import fs from "fs/promises";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import Rating from "../models/Rating.js";
+import Notification from "../models/Notification.js";
+import Session from "../models/Session.js";
+import { saveBufferFile, resolveStoredFilePath } from "../utils/fileStorage.js";
+import { clearRateLimits } from "../utils/rateLimitStore.js";
+import { purgeExpiredDeletions } from "../services/accountDeletionService.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const password = "ClaveSegura123";
+const pickup = { name: "Portería principal", lat: 4.861, lng: -74.032 };
+
+async function registerAndLogin(prefix, { asDriver = false } = {}) {
+  const email = `${prefix}-${Date.now()}@unisabana.edu.co`;
+  await request(app)
+    .post("/auth/register")
+    .send({
+      email,
+      password,
+      firstName: prefix,
+      lastName: "Tester",
+      universityId: `A${Math.floor(Math.random() * 100000)}`,
+      phone: "3001234567"
+    })
+    .expect(201);
+  await User.updateOne({ email }, { emailVerified: true, ...(asDriver && { $addToSet: { roles: "driver" } }) });
+  const { body } = await request(app).post("/auth/login").send({ email, password }).expect(200);
+  return { token: body.token, userId: body.user.id, email };
+}
+
+async function createVehicle(ownerId) {
+  const { relativePath } = await saveBufferFile(
+    { buffer: Buffer.from("soat"), originalname: "soat.pdf" },
+    { subfolder: "vehicles" }
+  );
+  return Vehicle.create({
+    owner: ownerId,
+    plate: `DEL${Math.floor(Math.random() * 900 + 100)}`,
+    brand: "Renault",
+    model: "Logan",
+    capacity: 4,
+    soatPhotoUrl: relativePath,
+    soatExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 120),
+    licenseNumber: "LIC123",
+    licenseExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 150),
+    status: "verified"
+  });
+}
+
+async function createTrip(driver, vehicle) {
+  const res = await request(app)
+    .post("/trips")
+    .set("Authorization", `Bearer ${driver.token}`)
+    .send({
+      vehicleId: vehicle._id,
+      origin: "Campus Puente del Común",
+      destination: "Chía",
+      departureAt: new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString(),
+      seatsTotal: 3,
+      pricePerSeat: 6000
+    })
+    .expect(201);
+  return res.body.trip;
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all(
+    [User, Vehicle, Trip, Reservation, Rating, Notification, Session].map((model) => model.deleteMany({}))
+  );
+  await clearRateLimits();
+});
+
+describe("Habeas Data export", () => {
+  it("returns the user's data without secrets or other people's identities", async () => {
+    const driver = await registerAndLogin("exporta", { asDriver: true });
+    const passenger = await registerAndLogin("pasajero");
+    const vehicle = await createVehicle(driver.userId);
+    const trip = await createTrip(driver, vehicle);
+    await Rating.create({ from: passenger.userId, to: driver.userId, trip: trip._id, score: 5, raterRole: "passenger" });
+
+    const res = await request(app).get("/users/me/export").set("Authorization", `Bearer ${driver.token}`).expect(200);
+    expect(res.headers["content-disposition"]).toMatch(/attachment; filename="wheels-mis-datos-.*\.json"/);
+    expect(res.body.profile.email).toBe(driver.email);
+    expect(res.body.profile.passwordHash).toBeUndefined();
+    expect(res.body.profile.twoFactor).toEqual({ enabled: false, enabledAt: null });
+    expect(res.body.vehicles).toHaveLength(1);
+    expect(res.body.documents).toEqual([
+      expect.objectContaining({ kind: "soat", path: vehicle.soatPhotoUrl, plate: vehicle.plate })
+    ]);
+    expect(res.body.trips).toHaveLength(1);
+    expect(res.body.ratings.received).toHaveLength(1);
+    expect(res.body.ratings.received[0].from).toBeUndefined();
+  });
+
+  it("bundles the JSON and the uploaded documents as a ZIP", async () => {
+    const driver = await registerAndLogin("zip", { asDriver: true });
+    await createVehicle(driver.userId);
+
+    const res = await request(app)
+      .get("/users/me/export?format=zip")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("end", () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(res.headers["content-type"]).toBe("application/zip");
+    expect(res.body.subarray(0, 2).toString()).toBe("PK");
+    expect(res.body.includes(Buffer.from("datos.json"))).toBe(true);
+    expect(res.body.includes(Buffer.from("documentos/1-"))).toBe(true);
+  });
+});
+
+describe("Account deletion", () => {
+  it("cancels upcoming trips and reservations, closes sessions and restores on sign-in", async () => {
+    const driver = await registerAndLogin("borra", { asDriver: true });
+    const passenger = await registerAndLogin("viajero");
+    const trip = await createTrip(driver, await createVehicle(driver.userId));
+    await request(app)
+      .post(`/trips/${trip._id}/reservations`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .send({ seats: 1, pickupPoints: [pickup] })
+      .expect(201);
+
+    await request(app)
+      .delete("/users/me")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send({ password: "ClaveEquivocada1" })
+      .expect(400);
+
+    const res = await request(app)
+      .delete("/users/me")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send({ password })
+      .expect(200);
+    expect(res.body.cancelledTrips).toBe(1);
+    expect(new Date(res.body.scheduledFor).getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+    expect((await Trip.findById(trip._id).lean()).status).toBe("cancelled");
+    expect(await Reservation.countDocuments({ trip: trip._id, status: "cancelled" })).toBe(1);
+    expect(await Notification.countDocuments({ user: passenger.userId, type: "trip.cancelled" })).toBe(1);
+    await request(app).get("/users/me").set("Authorization", `Bearer ${driver.token}`).expect(401);
+
+    const login = await request(app).post("/auth/login").send({ email: driver.email, password }).expect(200);
+    expect(login.body.accountRestored).toBe(true);
+    expect((await User.findById(driver.userId).lean()).deletion.scheduledFor).toBeNull();
+  });
+
+  it("erases the account after the grace period and anonymises the ratings it wrote", async () => {
+    const driver = await registerAndLogin("conductor", { asDriver: true });
+    const passenger = await registerAndLogin("seva");
+    const trip = await createTrip(driver, await createVehicle(driver.userId));
+    const passengerVehicle = await createVehicle(passenger.userId);
+    const rating = await Rating.create({
+      from: passenger.userId,
+      to: driver.userId,
+      trip: trip._id,
+      score: 4,
+      raterRole: "passenger"
+    });
+    await Rating.create({ from: driver.userId, to: passenger.userId, trip: trip._id, score: 5, raterRole: "driver" });
+    const { body: booked } = await request(app)
+      .post(`/trips/${trip._id}/reservations`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .send({ seats: 1, pickupPoints: [pickup] })
+      .expect(201);
+
+    await request(app)
+      .delete("/users/me")
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .send({ password })
+      .expect(200);
+    expect(await purgeExpiredDeletions(new Date())).toBe(0);
+
+    const documentPath = await resolveStoredFilePath(passengerVehicle.soatPhotoUrl);
+    expect(await purgeExpiredDeletions(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000))).toBe(1);
+
+    expect(await User.exists({ _id: passenger.userId })).toBeNull();
+    expect(await Vehicle.exists({ owner: passenger.userId })).toBeNull();
+    await expect(fs.access(documentPath)).rejects.toThrow();
+
+    const kept = await Rating.findById(rating._id).lean();
+    expect(kept.anonymized).toBe(true);
+    expect(kept.from.toString()).not.toBe(passenger.userId);
+    expect(kept.score).toBe(4);
+    expect(await Rating.countDocuments({ to: passenger.userId })).toBe(0);
+
+    const reservation = await Reservation.findById(booked.reservation._id).lean();
+    expect(reservation.passenger.toString()).toBe(kept.from.toString());
+    expect(reservation.pickupPoints).toEqual([]);
+    expect(await Reservation.exists({ passenger: passenger.userId })).toBeNull();
+  });
+
+  it("counts wrong passwords on deletion towards the login lockout", async () => {
+    const user = await registerAndLogin("adivina");
+    const attempts = [];
+    for (let i = 0; i < 5; i += 1) {
+      attempts.push(
+        await request(app)
+          .delete("/users/me")
+          .set("Authorization", `Bearer ${user.token}`)
+          .send({ password: `ClaveEquivocada${i}` })
+      );
+    }
+    expect(attempts.slice(0, 4).map((res) => res.status)).toEqual([400, 400, 400, 400]);
+    expect(attempts[4].status).toBe(429);
+    expect(attempts[4].body.error).toMatch(/Demasiados intentos fallidos/);
+
+    await request(app).post("/auth/login").send({ email: user.email, password }).expect(429);
+    expect((await User.findById(user.userId).lean()).deletion?.scheduledFor ?? null).toBeNull();
+  });
+});
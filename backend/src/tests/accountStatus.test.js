@@ -0,0 +1,214 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import Rating from "../models/Rating.js";
+import Notification from "../models/Notification.js";
+import Session from "../models/Session.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+async function registerAndLogin({ prefix = "user", admin = false } = {}) {
+  const email = `${prefix}-${Date.now()}@unisabana.edu.co`;
+  const password = "ClaveSegura123";
+  await request(app)
+    .post("/auth/register")
+    .send({
+      email,
+      password,
+      firstName: prefix,
+      lastName: "Tester",
+      universityId: `A${Math.floor(Math.random() * 100000)}`,
+      phone: "3000000000"
+    })
+    .expect(201);
+  await User.updateOne({ email }, { emailVerified: true });
+  if (admin) {
+    await User.updateOne({ email }, { $addToSet: { roles: "admin" } });
+  }
+  const loginRes = await request(app).post("/auth/login").send({ email, password }).expect(200);
+  return {
+    token: loginRes.body.token,
+    refreshToken: loginRes.body.refreshToken,
+    userId: loginRes.body.user?.id,
+    email,
+    password
+  };
+}
+
+function setStatus(admin, userId, body) {
+  return request(app)
+    .put(`/admin/users/${userId}/account-status`)
+    .set("Authorization", `Bearer ${admin.token}`)
+    .send(body);
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+  process.env.REPUTATION_MIN_RATINGS = "2";
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  delete process.env.REPUTATION_MIN_RATINGS;
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Trip.deleteMany({}),
+    Reservation.deleteMany({}),
+    Rating.deleteMany({}),
+    Notification.deleteMany({})
+  ]);
+});
+
+describe("Account states", () => {
+  it("blocks suspended users from publishing trips and booking seats until the override is cleared", async () => {
+    const admin = await registerAndLogin({ prefix: "status-admin", admin: true });
+    const user = await registerAndLogin({ prefix: "status-user" });
+
+    const missingReason = await setStatus(admin, user.userId, { state: "suspended" });
+    expect(missingReason.status).toBe(400);
+
+    const until = new Date(Date.now() + 3 * DAY).toISOString();
+    const suspended = await setStatus(admin, user.userId, { state: "suspended", reason: "Reportes de acoso", until });
+    expect(suspended.status).toBe(200);
+    expect(suspended.body.user.accountStatus.source).toBe("admin");
+
+    const createTrip = await request(app).post("/trips").set("Authorization", `Bearer ${user.token}`).send({});
+    expect(createTrip.status).toBe(403);
+    expect(createTrip.body.code).toBe("account_suspended");
+    expect(createTrip.body.accountStatus).toEqual({ state: "suspended", reason: "Reportes de acoso", until });
+
+    const editTrip = await request(app)
+      .put(`/trips/${new mongoose.Types.ObjectId()}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ routeDescription: "Salgo puntual" });
+    expect(editTrip.status).toBe(403);
+    expect(editTrip.body.code).toBe("account_suspended");
+
+    const createTemplate = await request(app)
+      .post("/trip-templates")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({});
+    expect(createTemplate.status).toBe(403);
+    expect(createTemplate.body.code).toBe("account_suspended");
+    const editTemplate = await request(app)
+      .put(`/trip-templates/${new mongoose.Types.ObjectId()}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ active: false });
+    expect(editTemplate.status).toBe(403);
+
+    const reserve = await request(app)
+      .post(`/trips/${new mongoose.Types.ObjectId()}/reservations`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ seats: 1 });
+    expect(reserve.status).toBe(403);
+
+    const me = await request(app).get("/users/me").set("Authorization", `Bearer ${user.token}`).expect(200);
+    expect(me.body.user.accountStatus.state).toBe("suspended");
+    expect(await Notification.countDocuments({ user: user.userId, type: "account.status" })).toBe(1);
+
+    const listed = await request(app).get("/admin/users").set("Authorization", `Bearer ${admin.token}`).expect(200);
+    expect(listed.body.users.map((item) => item._id)).toEqual([user.userId]);
+
+    await request(app)
+      .delete(`/admin/users/${user.userId}/account-status`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .expect(200);
+    const afterClear = await request(app).post("/trips").set("Authorization", `Bearer ${user.token}`).send({});
+    expect(afterClear.status).not.toBe(403);
+  });
+
+  it("treats expired suspensions as active and keeps banned users from signing in", async () => {
+    const admin = await registerAndLogin({ prefix: "ban-admin", admin: true });
+    const user = await registerAndLogin({ prefix: "ban-user" });
+
+    await User.updateOne(
+      { _id: user.userId },
+      { $set: { accountStatus: { state: "suspended", reason: "Vencida", until: new Date(Date.now() - HOUR) } } }
+    );
+    const me = await request(app).get("/users/me").set("Authorization", `Bearer ${user.token}`).expect(200);
+    expect(me.body.user.accountStatus.state).toBe("active");
+
+    expect((await setStatus(admin, admin.userId, { state: "banned", reason: "Prueba" })).status).toBe(403);
+    await setStatus(admin, user.userId, { state: "banned", reason: "Suplantación" }).expect(200);
+    const login = await request(app).post("/auth/login").send({ email: user.email, password: user.password });
+    expect(login.status).toBe(403);
+    expect(login.body.code).toBe("account_banned");
+
+    // The ban revoked the session, so the old token no longer authenticates at all.
+    await request(app).get("/admin/users").set("Authorization", `Bearer ${user.token}`).expect(401);
+  });
+
+  it("closes every session of a banned user right away", async () => {
+    const admin = await registerAndLogin({ prefix: "ban-sessions-admin", admin: true });
+    const user = await registerAndLogin({ prefix: "ban-sessions-user" });
+    await request(app).post("/auth/login").send({ email: user.email, password: user.password }).expect(200);
+
+    await setStatus(admin, user.userId, { state: "banned", reason: "Suplantación" }).expect(200);
+
+    const sessions = await Session.find({ user: user.userId }).lean();
+    expect(sessions).toHaveLength(2);
+    expect(sessions.every((session) => session.revokedAt && session.revokedReason === "account_banned")).toBe(true);
+    await request(app).post("/auth/refresh").send({ refreshToken: user.refreshToken }).expect(401);
+  });
+
+  it("suspends users automatically when their average drops below the threshold", async () => {
+    const driver = await registerAndLogin({ prefix: "auto-driver" });
+    const first = await registerAndLogin({ prefix: "auto-first" });
+    const second = await registerAndLogin({ prefix: "auto-second" });
+    const trip = await Trip.create({
+      driver: driver.userId,
+      vehicle: new mongoose.Types.ObjectId(),
+      origin: "Campus",
+      destination: "Chía",
+      departureAt: new Date(Date.now() - 3 * HOUR),
+      seatsTotal: 3,
+      seatsAvailable: 1,
+      pricePerSeat: 5000,
+      status: "completed"
+    });
+    for (const passenger of [first, second]) {
+      await Reservation.create({
+        trip: trip._id,
+        passenger: passenger.userId,
+        driver: driver.userId,
+        seats: 1,
+        pickupPoints: [{ name: "Portería", lat: 4.86, lng: -74.03 }],
+        status: "confirmed"
+      });
+    }
+
+    for (const passenger of [first, second]) {
+      await request(app)
+        .post("/ratings")
+        .set("Authorization", `Bearer ${passenger.token}`)
+        .send({ tripId: trip._id, to: driver.userId, score: 1 })
+        .expect(201);
+    }
+
+    const user = await User.findById(driver.userId).lean();
+    expect(user.accountStatus.state).toBe("suspended");
+    expect(user.accountStatus.source).toBe("automatic");
+    expect(user.accountStatus.until.getTime()).toBeGreaterThan(Date.now() + 13 * DAY);
+    const createTrip = await request(app).post("/trips").set("Authorization", `Bearer ${driver.token}`).send({});
+    expect(createTrip.status).toBe(403);
+  });
+});
@@ -0,0 +1,199 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+async function registerAndLogin({ prefix = "user", admin = false } = {}) {
+  const email = `${prefix}-${Date.now()}@unisabana.edu.co`;
+  const password = "ClaveSegura123";
+
+  await request(app)
+    .post("/auth/register")
+    .send({
+      email,
+      password,
+      firstName: prefix,
+      lastName: "Tester",
+      universityId: `A${Math.floor(Math.random() * 100000)}`,
+      phone: "3000000000"
+    })
+    .expect(201);
+
+  if (admin) {
+    await User.updateOne({ email }, { $addToSet: { roles: "admin" } });
+  }
+
+  const loginRes = await request(app).post("/auth/login").send({ email, password }).expect(200);
+  return { token: loginRes.body.token, userId: loginRes.body.user?.id, email };
+}
+
+function buildVehiclePayload(overrides = {}) {
+  return {
+    plate: `ADM${Math.floor(Math.random() * 900 + 100)}`,
+    brand: "Chevrolet",
+    model: "Spark",
+    capacity: 4,
+    soatExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 90).toISOString(),
+    licenseNumber: `LIC${Math.floor(Math.random() * 900 + 100)}`,
+    licenseExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 180).toISOString(),
+    vehiclePhotoUrl: "https://example.com/vehicle.jpg",
+    soatPhotoUrl: "https://example.com/soat.pdf",
+    licensePhotoUrl: "https://example.com/license.pdf",
+    ...overrides
+  };
+}
+
+async function createVehicleUnderReview(token) {
+  const createRes = await request(app)
+    .post("/vehicles")
+    .set("Authorization", `Bearer ${token}`)
+    .send(buildVehiclePayload())
+    .expect(201);
+
+  await request(app)
+    .post(`/vehicles/${createRes.body._id}/request-review`)
+    .set("Authorization", `Bearer ${token}`)
+    .send()
+    .expect(200);
+
+  return createRes.body;
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), Vehicle.deleteMany({})]);
+});
+
+describe("Admin vehicle verification", () => {
+  it("no longer lets drivers verify their own vehicles", async () => {
+    const driver = await registerAndLogin({ prefix: "selfverify" });
+    const created = await request(app)
+      .post("/vehicles")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send(buildVehiclePayload())
+      .expect(201);
+
+    expect(created.body.status).toBe("pending");
+
+    await request(app)
+      .put(`/vehicles/${created.body._id}/activate`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send()
+      .expect(200);
+
+    const stored = await Vehicle.findById(created.body._id).lean();
+    expect(stored.status).toBe("pending");
+    expect(stored.reviewedBy).toBeNull();
+  });
+
+  it("rejects non-admin users", async () => {
+    const driver = await registerAndLogin({ prefix: "notadmin" });
+    const res = await request(app).get("/admin/vehicles").set("Authorization", `Bearer ${driver.token}`);
+    expect(res.status).toBe(403);
+  });
+
+  it("lists the review queue and records approvals with the reviewer", async () => {
+    const driver = await registerAndLogin({ prefix: "queue-driver" });
+    const admin = await registerAndLogin({ prefix: "queue-admin", admin: true });
+    const vehicle = await createVehicleUnderReview(driver.token);
+
+    const queueRes = await request(app)
+      .get("/admin/vehicles")
+      .set("Authorization", `Bearer ${admin.token}`)
+      .expect(200);
+
+    expect(queueRes.body.vehicles).toHaveLength(1);
+    expect(queueRes.body.vehicles[0].owner.email).toBe(driver.email);
+
+    const decisionRes = await request(app)
+      .post(`/admin/vehicles/${vehicle._id}/decision`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ decision: "approve", notes: "Documentos legibles" })
+      .expect(200);
+
+    expect(decisionRes.body.vehicle.status).toBe("verified");
+    expect(String(decisionRes.body.vehicle.reviewedBy._id)).toBe(admin.userId);
+    expect(decisionRes.body.vehicle.verificationNotes).toBe("Documentos legibles");
+    expect(decisionRes.body.vehicle.reviewedAt).toBeTruthy();
+  });
+
+  it("queues newly registered vehicles next to the ones sent back to review", async () => {
+    const driver = await registerAndLogin({ prefix: "pending-driver" });
+    const admin = await registerAndLogin({ prefix: "pending-admin", admin: true });
+    const pending = await request(app)
+      .post("/vehicles")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send(buildVehiclePayload({ plate: "PND123" }))
+      .expect(201);
+    const underReview = await createVehicleUnderReview(driver.token);
+
+    const queueRes = await request(app)
+      .get("/admin/vehicles")
+      .set("Authorization", `Bearer ${admin.token}`)
+      .expect(200);
+    const queuedIds = queueRes.body.vehicles.map((vehicle) => String(vehicle._id));
+    expect(queuedIds).toHaveLength(2);
+    expect(queuedIds).toEqual(expect.arrayContaining([pending.body._id, underReview._id]));
+
+    const underReviewRes = await request(app)
+      .get("/admin/vehicles?status=under_review")
+      .set("Authorization", `Bearer ${admin.token}`)
+      .expect(200);
+    expect(underReviewRes.body.vehicles.map((vehicle) => String(vehicle._id))).toEqual([underReview._id]);
+  });
+
+  it("requires notes when rejecting or asking for updates", async () => {
+    const driver = await registerAndLogin({ prefix: "notes-driver" });
+    const admin = await registerAndLogin({ prefix: "notes-admin", admin: true });
+    const vehicle = await createVehicleUnderReview(driver.token);
+
+    const missingNotes = await request(app)
+      .post(`/admin/vehicles/${vehicle._id}/decision`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ decision: "reject" });
+    expect(missingNotes.status).toBe(400);
+
+    const needsUpdate = await request(app)
+      .post(`/admin/vehicles/${vehicle._id}/decision`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ decision: "needs_update", notes: "La foto del SOAT está borrosa" })
+      .expect(200);
+
+    expect(needsUpdate.body.vehicle.status).toBe("needs_update");
+    const stored = await Vehicle.findById(vehicle._id).lean();
+    expect(stored.verificationNotes).toMatch(/SOAT/);
+  });
+
+  it("redirects document previews hosted externally", async () => {
+    const driver = await registerAndLogin({ prefix: "doc-driver" });
+    const admin = await registerAndLogin({ prefix: "doc-admin", admin: true });
+    const vehicle = await createVehicleUnderReview(driver.token);
+
+    const res = await request(app)
+      .get(`/admin/vehicles/${vehicle._id}/documents/soat`)
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe("https://example.com/soat.pdf");
+  });
+});
@@ -0,0 +1,144 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import EmailVerification from "../models/EmailVerification.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const credentials = { email: "verifica@unisabana.edu.co", password: "ClaveSegura123" };
+
+// Registers with a predictable verification token ("e" * 64) and logs in.
+// Only the 32-byte token draw is replaced; bcrypt salts keep using real randomness.
+async function registerAndLogin() {
+  const realRandomBytes = crypto.randomBytes;
+  let tokenDrawn = false;
+  const randomSpy = jest.spyOn(crypto, "randomBytes").mockImplementation((size, ...rest) => {
+    if (size === 32 && !tokenDrawn) {
+      tokenDrawn = true;
+      return Buffer.from("e".repeat(64), "hex");
+    }
+    return realRandomBytes.call(crypto, size, ...rest);
+  });
+  try {
+    await request(app)
+      .post("/auth/register")
+      .send({ ...credentials, firstName: "Vera", lastName: "Tester", universityId: "A00088888", phone: "3002223333" })
+      .expect(201);
+  } finally {
+    randomSpy.mockRestore();
+  }
+  const loginRes = await request(app).post("/auth/login").send(credentials).expect(200);
+  return { token: loginRes.body.token, userId: loginRes.body.user?.id, user: loginRes.body.user };
+}
+
+// Moves every verification email of the user back in time (createdAt is immutable through Mongoose).
+function ageVerificationEmails(userId, ms) {
+  return EmailVerification.collection.updateMany(
+    { userId: new mongoose.Types.ObjectId(userId) },
+    [{ $set: { createdAt: { $subtract: ["$createdAt", ms] } } }]
+  );
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), EmailVerification.deleteMany({})]);
+});
+
+describe("Email verification", () => {
+  it("blocks trips and reservations until the emailed token is used", async () => {
+    const { token, userId, user } = await registerAndLogin();
+    const auth = { Authorization: `Bearer ${token}` };
+    expect(user.emailVerified).toBe(false);
+
+    const stored = await EmailVerification.find({ userId }).lean();
+    expect(stored).toHaveLength(1);
+    expect(stored[0].token).toBe(crypto.createHash("sha256").update("e".repeat(64)).digest("hex"));
+
+    const createTrip = await request(app).post("/trips").set(auth).send({});
+    expect(createTrip.status).toBe(403);
+    expect(createTrip.body.code).toBe("email_not_verified");
+    const reserve = await request(app).post(`/trips/${new mongoose.Types.ObjectId()}/reservations`).set(auth).send({});
+    expect(reserve.status).toBe(403);
+    expect(reserve.body.code).toBe("email_not_verified");
+    const editTrip = await request(app).put(`/trips/${new mongoose.Types.ObjectId()}`).set(auth).send({});
+    expect(editTrip.status).toBe(403);
+    expect(editTrip.body.code).toBe("email_not_verified");
+    const createTemplate = await request(app).post("/trip-templates").set(auth).send({});
+    expect(createTemplate.status).toBe(403);
+    expect(createTemplate.body.code).toBe("email_not_verified");
+    const editTemplate = await request(app).put(`/trip-templates/${new mongoose.Types.ObjectId()}`).set(auth).send({});
+    expect(editTemplate.status).toBe(403);
+
+    await request(app).post("/auth/verify-email").send({ token: "f".repeat(64) }).expect(400);
+    const verified = await request(app).post("/auth/verify-email").send({ token: "e".repeat(64) }).expect(200);
+    expect(verified.body.user.emailVerified).toBe(true);
+    expect((await User.findById(userId).lean()).emailVerifiedAt).toBeTruthy();
+
+    const again = await request(app).post("/auth/verify-email").send({ token: "e".repeat(64) });
+    expect(again.status).toBe(400);
+    expect(again.body.error).toBe("Token inválido o expirado");
+
+    // Past the verification check, the request now fails on the trip payload instead.
+    const afterVerify = await request(app).post("/trips").set(auth).send({});
+    expect(afterVerify.status).not.toBe(403);
+  });
+
+  it("rejects expired tokens", async () => {
+    const { userId } = await registerAndLogin();
+    await EmailVerification.updateMany({ userId }, { expiresAt: new Date(Date.now() - 1000) });
+
+    await request(app).post("/auth/verify-email").send({ token: "e".repeat(64) }).expect(400);
+    expect((await User.findById(userId).lean()).emailVerified).toBe(false);
+  });
+
+  it("throttles resending and invalidates earlier links", async () => {
+    const { token, userId } = await registerAndLogin();
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const tooSoon = await request(app).post("/auth/resend-verification").set(auth);
+    expect(tooSoon.status).toBe(429);
+    expect(Number(tooSoon.headers["retry-after"])).toBeGreaterThan(0);
+
+    await ageVerificationEmails(userId, 2 * 60 * 1000);
+    await request(app).post("/auth/resend-verification").set(auth).expect(200);
+    await request(app).post("/auth/verify-email").send({ token: "e".repeat(64) }).expect(400);
+
+    // Five emails within a day is the cap, whatever the cooldown.
+    for (let sent = 2; sent < 5; sent += 1) {
+      await ageVerificationEmails(userId, 2 * 60 * 1000);
+      await request(app).post("/auth/resend-verification").set(auth).expect(200);
+    }
+    await ageVerificationEmails(userId, 2 * 60 * 1000);
+    const capped = await request(app).post("/auth/resend-verification").set(auth);
+    expect(capped.status).toBe(429);
+    expect(Number(capped.headers["retry-after"])).toBeGreaterThan(60 * 60);
+  });
+
+  it("does not resend to verified accounts", async () => {
+    const { token } = await registerAndLogin();
+    await request(app).post("/auth/verify-email").send({ token: "e".repeat(64) }).expect(200);
+
+    const res = await request(app).post("/auth/resend-verification").set("Authorization", `Bearer ${token}`);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Tu correo ya está verificado");
+  });
+});
@@ -0,0 +1,108 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import SecurityEvent from "../models/SecurityEvent.js";
+import { clearRateLimits, getRateLimitStore } from "../utils/rateLimitStore.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const credentials = { email: "candado@unisabana.edu.co", password: "ClaveSegura123" };
+
+function login(password, email = credentials.email) {
+  return request(app).post("/auth/login").send({ email, password });
+}
+
+async function failTimes(times, email) {
+  for (let attempt = 0; attempt < times; attempt += 1) {
+    await login("ClaveEquivocada1", email);
+  }
+}
+
+// Lets the current lock expire without waiting (the streak level is kept).
+function expireLock(email = credentials.email) {
+  return getRateLimitStore().delete(`login:lock:${email}`);
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), SecurityEvent.deleteMany({})]);
+  await clearRateLimits();
+  await request(app)
+    .post("/auth/register")
+    .send({ ...credentials, firstName: "Candado", lastName: "Tester", universityId: "A00099999", phone: "3004445555" })
+    .expect(201);
+});
+
+describe("Login lockout", () => {
+  it("locks the email after repeated failures, even for the right password", async () => {
+    await failTimes(4);
+    const fifth = await login("ClaveEquivocada1");
+    expect(fifth.status).toBe(429);
+    expect(fifth.headers["retry-after"]).toBe("60");
+    expect(fifth.body.error).toBe("Demasiados intentos fallidos. Intenta de nuevo en 1 minuto");
+
+    const correct = await login(credentials.password);
+    expect(correct.status).toBe(429);
+    expect(Number(correct.headers["retry-after"])).toBeGreaterThan(0);
+
+    const [event] = await SecurityEvent.find({ type: "login_lockout" }).lean();
+    expect(event.email).toBe(credentials.email);
+    expect(event.user).toBeTruthy();
+    expect(event.failedAttempts).toBe(5);
+    expect(event.lockoutLevel).toBe(1);
+    expect(event.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("doubles the lockout on each new streak and resets after a successful login", async () => {
+    await failTimes(5);
+    await expireLock();
+    await failTimes(4);
+    const second = await login("ClaveEquivocada1");
+    expect(second.headers["retry-after"]).toBe("120");
+
+    await expireLock();
+    await login(credentials.password).expect(200);
+
+    await failTimes(4);
+    const afterSuccess = await login("ClaveEquivocada1");
+    expect(afterSuccess.headers["retry-after"]).toBe("60");
+    expect(await SecurityEvent.countDocuments({ type: "login_lockout" })).toBe(3);
+  });
+
+  it("treats unknown emails the same way", async () => {
+    await failTimes(4, "nadie@unisabana.edu.co");
+    const res = await login("ClaveEquivocada1", "nadie@unisabana.edu.co");
+    expect(res.status).toBe(429);
+
+    const event = await SecurityEvent.findOne({ email: "nadie@unisabana.edu.co" }).lean();
+    expect(event.user).toBeNull();
+    await login(credentials.password).expect(200);
+  });
+
+  it("throttles password recovery per email", async () => {
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      await request(app).post("/auth/forgot-password").send({ email: credentials.email }).expect(200);
+    }
+    const res = await request(app).post("/auth/forgot-password").send({ email: credentials.email });
+    expect(res.status).toBe(429);
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+  });
+});
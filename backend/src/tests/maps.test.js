@@ -29,6 +29,21 @@ class MockSchema {
     this.preHooks.set(event, handler);
     return this;
   }
+
+  // Models register field encryption plugins and indexes at import time; neither matters here.
+  plugin() {
+    return this;
+  }
+
+  index() {
+    return this;
+  }
+
+  // Routes read enum values (e.g. Reservation statuses) from the schema when they load.
+  path(name) {
+    const field = this.definition?.[name];
+    return { enumValues: field?.enum || [] };
+  }
 }
 MockSchema.Types = { ObjectId: class MockObjectId {} };
 
@@ -52,6 +67,7 @@ const mockedMongoose = {
       Model.create = jest.fn();
       Model.deleteMany = jest.fn();
       Model.prototype.save = jest.fn();
+      Model.schema = schema;
       modelRegistry.set(name, Model);
       return Model;
     }
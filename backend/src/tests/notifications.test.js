@@ -0,0 +1,203 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import Notification from "../models/Notification.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const pickup = { name: "Portería principal", lat: 4.861, lng: -74.032 };
+
+function futureDate(hours = 6) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+
+async function registerAndLogin({ prefix = "user", asDriver = false } = {}) {
+  const email = `${prefix}-${Date.now()}@unisabana.edu.co`;
+  const password = "ClaveSegura123";
+
+  await request(app)
+    .post("/auth/register")
+    .send({
+      email,
+      password,
+      firstName: prefix,
+      lastName: "Tester",
+      universityId: `A${Math.floor(Math.random() * 100000)}`,
+      phone: "3000000000"
+    })
+    .expect(201);
+  await User.updateOne({ email }, { emailVerified: true });
+
+  if (asDriver) {
+    await User.updateOne({ email }, { $addToSet: { roles: "driver" } });
+  }
+
+  const loginRes = await request(app).post("/auth/login").send({ email, password }).expect(200);
+  return { token: loginRes.body.token, userId: loginRes.body.user?.id, email };
+}
+
+async function createTrip(driver, overrides = {}) {
+  const vehicle = await Vehicle.create({
+    owner: driver.userId,
+    plate: `RSV${Math.floor(Math.random() * 900 + 100)}`,
+    brand: "Renault",
+    model: "Logan",
+    capacity: 4,
+    soatExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 120),
+    licenseNumber: `LIC${Math.floor(Math.random() * 900 + 100)}`,
+    licenseExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 150),
+    status: "verified"
+  });
+
+  const res = await request(app)
+    .post("/trips")
+    .set("Authorization", `Bearer ${driver.token}`)
+    .send({
+      vehicleId: vehicle._id,
+      origin: "Campus Puente del Común",
+      destination: "Chía",
+      departureAt: futureDate(),
+      seatsTotal: 2,
+      pricePerSeat: 6000,
+      ...overrides
+    })
+    .expect(201);
+  return res.body.trip;
+}
+
+function reserve(token, tripId, seats = 1) {
+  return request(app)
+    .post(`/trips/${tripId}/reservations`)
+    .set("Authorization", `Bearer ${token}`)
+    .send({ seats, pickupPoints: Array.from({ length: seats }, () => pickup) });
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Vehicle.deleteMany({}),
+    Trip.deleteMany({}),
+    Reservation.deleteMany({}),
+    Notification.deleteMany({})
+  ]);
+});
+
+function listNotifications(token, query = "") {
+  return request(app).get(`/notifications${query}`).set("Authorization", `Bearer ${token}`).expect(200);
+}
+
+describe("Notification center", () => {
+  it("notifies the driver of new reservations and the passenger of decisions", async () => {
+    const driver = await registerAndLogin({ prefix: "notif-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "notif-passenger" });
+    const trip = await createTrip(driver);
+
+    const created = await reserve(passenger.token, trip._id).expect(201);
+
+    const driverInbox = await listNotifications(driver.token);
+    expect(driverInbox.body.unreadCount).toBe(1);
+    expect(driverInbox.body.notifications[0].type).toBe("reservation.created");
+
+    await request(app)
+      .put(`/reservations/${created.body.reservation._id}/confirm`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+
+    const passengerInbox = await listNotifications(passenger.token);
+    expect(passengerInbox.body.notifications.map((n) => n.type)).toEqual(["reservation.confirmed"]);
+  });
+
+  it("tells the driver when the passenger cancels and passengers when the trip is cancelled", async () => {
+    const driver = await registerAndLogin({ prefix: "notif-cancel-driver", asDriver: true });
+    const first = await registerAndLogin({ prefix: "notif-cancel-first" });
+    const second = await registerAndLogin({ prefix: "notif-cancel-second" });
+    const trip = await createTrip(driver);
+
+    const firstRes = await reserve(first.token, trip._id).expect(201);
+    await reserve(second.token, trip._id).expect(201);
+
+    await request(app)
+      .put(`/reservations/${firstRes.body.reservation._id}/cancel`)
+      .set("Authorization", `Bearer ${first.token}`)
+      .expect(200);
+
+    const driverInbox = await listNotifications(driver.token);
+    expect(driverInbox.body.notifications[0].type).toBe("reservation.cancelled");
+
+    await request(app)
+      .put(`/trips/${trip._id}/cancel`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+
+    const secondInbox = await listNotifications(second.token);
+    expect(secondInbox.body.notifications[0].type).toBe("trip.cancelled");
+    const firstInbox = await listNotifications(first.token);
+    expect(firstInbox.body.notifications).toHaveLength(0);
+  });
+
+  it("notifies the driver about pickup suggestions", async () => {
+    const driver = await registerAndLogin({ prefix: "notif-pickup-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "notif-pickup-passenger" });
+    const trip = await createTrip(driver);
+
+    await request(app)
+      .post(`/trips/${trip._id}/pickup-suggestions`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .send({ name: "Centro Chía", lat: 4.86, lng: -74.05 })
+      .expect(201);
+
+    const driverInbox = await listNotifications(driver.token);
+    expect(driverInbox.body.notifications[0]).toMatchObject({ type: "pickup.suggested" });
+  });
+
+  it("marks notifications as read individually and in bulk", async () => {
+    const driver = await registerAndLogin({ prefix: "notif-read-driver", asDriver: true });
+    const first = await registerAndLogin({ prefix: "notif-read-first" });
+    const second = await registerAndLogin({ prefix: "notif-read-second" });
+    const trip = await createTrip(driver);
+    await reserve(first.token, trip._id).expect(201);
+    await reserve(second.token, trip._id).expect(201);
+
+    const inbox = await listNotifications(driver.token);
+    expect(inbox.body.unreadCount).toBe(2);
+
+    const readOne = await request(app)
+      .put(`/notifications/${inbox.body.notifications[0]._id}/read`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+    expect(readOne.body.notification.readAt).toBeTruthy();
+    expect(readOne.body.unreadCount).toBe(1);
+
+    await request(app)
+      .put(`/notifications/${inbox.body.notifications[0]._id}/read`)
+      .set("Authorization", `Bearer ${first.token}`)
+      .expect(404);
+
+    await request(app).put("/notifications/read-all").set("Authorization", `Bearer ${driver.token}`).expect(200);
+    const unread = await listNotifications(driver.token, "?unread=true");
+    expect(unread.body.notifications).toHaveLength(0);
+    expect(unread.body.unreadCount).toBe(0);
+  });
+});
@@ -0,0 +1,102 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+import { blindIndex, isEncrypted } from "../utils/fieldEncryption.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const profile = {
+  password: "ClaveSegura123",
+  firstName: "Cifra",
+  lastName: "Tester",
+  universityId: "A00043210",
+  phone: "3001234567",
+  emergencyContact: { name: "Ana Tester", phone: "3109876543" }
+};
+
+function register(email, overrides = {}) {
+  return request(app)
+    .post("/auth/register")
+    .send({ ...profile, email, ...overrides });
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+  await User.syncIndexes();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), Vehicle.deleteMany({})]);
+});
+
+describe("PII encryption at rest", () => {
+  it("stores contact fields encrypted and returns them decrypted to the owner", async () => {
+    const email = "cifrado@unisabana.edu.co";
+    const res = await register(email).expect(201);
+    expect(res.body.user.universityId).toBe("A00043210");
+    expect(res.body.user.universityIdHash).toBeUndefined();
+
+    const raw = await User.collection.findOne({ email });
+    expect(isEncrypted(raw.universityId)).toBe(true);
+    expect(isEncrypted(raw.phone)).toBe(true);
+    expect(isEncrypted(raw.emergencyContact.name)).toBe(true);
+    expect(isEncrypted(raw.emergencyContact.phone)).toBe(true);
+    expect(raw.universityIdHash).toBe(blindIndex("A00043210"));
+
+    const login = await request(app).post("/auth/login").send({ email, password: profile.password }).expect(200);
+    const auth = { Authorization: `Bearer ${login.body.token}` };
+    const me = await request(app).get("/auth/me").set(auth).expect(200);
+    expect(me.body.user).toMatchObject({ phone: "3001234567", emergencyContact: profile.emergencyContact });
+    const usersMe = await request(app).get("/users/me").set(auth).expect(200);
+    expect(usersMe.body.user.phone).toBe("3001234567");
+
+    await request(app).put("/auth/me").set(auth).send({ phone: "3005550000" }).expect(200);
+    expect(isEncrypted((await User.collection.findOne({ email })).phone)).toBe(true);
+    expect((await User.findOne({ email }).lean()).phone).toBe("3005550000");
+  });
+
+  it("rejects a second account with the same university id through the blind index", async () => {
+    await register("primera@unisabana.edu.co").expect(201);
+    const res = await register("segunda@unisabana.edu.co", { universityId: " a00043210 " }).expect(409);
+    expect(res.body.error).toBe("Código universitario ya registrado");
+  });
+
+  it("encrypts the driver's license number", async () => {
+    const res = await register("conductor-cifrado@unisabana.edu.co", {
+      universityId: "A00043211",
+      role: "driver",
+      vehicle: {
+        plate: "CIF123",
+        brand: "Mazda",
+        model: "2",
+        capacity: 4,
+        vehiclePhotoUrl: "https://example.com/car.jpg",
+        soatPhotoUrl: "https://example.com/soat.jpg",
+        soatExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 120).toISOString(),
+        licenseNumber: "LIC-445566",
+        licenseExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 150).toISOString()
+      }
+    }).expect(201);
+    expect(res.body.vehicle.licenseNumber).toBe("LIC-445566");
+
+    const raw = await Vehicle.collection.findOne({ plate: "CIF123" });
+    expect(isEncrypted(raw.licenseNumber)).toBe(true);
+    expect((await Vehicle.findById(raw._id)).licenseNumber).toBe("LIC-445566");
+  });
+});
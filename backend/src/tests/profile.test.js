@@ -0,0 +1,139 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import fs from "fs/promises";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { resolveStoredFilePath } from "../utils/fileStorage.js";
+import { clearRateLimits } from "../utils/rateLimitStore.js";
+
+let app;
+let mongoServer;
+let auth;
+
+jest.setTimeout(30000);
+
+const credentials = { email: "perfil@unisabana.edu.co", password: "ClaveSegura123" };
+// Smallest valid PNG (1x1 transparent pixel).
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64"
+);
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), Session.deleteMany({})]);
+  await clearRateLimits();
+  await request(app)
+    .post("/auth/register")
+    .send({
+      ...credentials,
+      firstName: "Perfil",
+      lastName: "Tester",
+      universityId: "A00061616",
+      phone: "3001234567",
+      emergencyContact: { name: "Ana", phone: "3109876543" },
+      photoUrl: "https://example.com/avatar.png"
+    })
+    .expect(201);
+  const { body } = await request(app).post("/auth/login").send(credentials).expect(200);
+  auth = { Authorization: `Bearer ${body.token}` };
+});
+
+describe("Profile API", () => {
+  it("returns the same profile from /users/me and the deprecated /auth/me", async () => {
+    const current = await request(app).get("/users/me").set(auth).expect(200);
+    expect(current.headers.deprecation).toBeUndefined();
+    expect(current.body.user).toMatchObject({
+      email: credentials.email,
+      emergencyContact: { name: "Ana", phone: "3109876543" },
+      preferredPaymentMethod: "cash",
+      activeVehicle: null
+    });
+    expect(current.body.user.photoUrl).toBeUndefined();
+    expect(current.body.vehicle).toBeNull();
+
+    const legacy = await request(app).get("/auth/me").set(auth).expect(200);
+    expect(legacy.headers.deprecation).toBe("true");
+    expect(legacy.headers.link).toBe('</users/me>; rel="successor-version"');
+    expect(legacy.body).toEqual(current.body);
+  });
+
+  it("validates updates the same way on both routes", async () => {
+    const updated = await request(app)
+      .put("/users/me")
+      .set(auth)
+      .send({ firstName: " Laura ", phone: "300 555 0000", preferredPaymentMethod: "nequi", email: "x@y.co" })
+      .expect(200);
+    expect(updated.body.user).toMatchObject({
+      firstName: "Laura",
+      phone: "300 555 0000",
+      preferredPaymentMethod: "nequi",
+      email: credentials.email
+    });
+
+    const invalidPhone = await request(app).put("/auth/me").set(auth).send({ phone: "abc" }).expect(400);
+    expect(invalidPhone.body.error).toBe("Teléfono inválido");
+    await request(app).put("/users/me").set(auth).send({ lastName: "" }).expect(400);
+    await request(app).put("/users/me").set(auth).send({ emergencyContact: "Ana" }).expect(400);
+    const photo = await request(app).put("/users/me").set(auth).send({ photoUrl: "https://x.co/a.png" }).expect(400);
+    expect(photo.body.error).toMatch(/POST \/users\/me\/photo/);
+
+    const legacy = await request(app)
+      .put("/auth/me")
+      .set(auth)
+      .send({ photoUrl: "https://x.co/a.png", lastName: "Gómez" })
+      .expect(200);
+    expect(legacy.headers.deprecation).toBe("true");
+    expect(legacy.body.user.lastName).toBe("Gómez");
+    expect(legacy.body.user.photoUrl).toBeUndefined();
+  });
+
+  it("uploads, replaces and removes the profile photo", async () => {
+    const first = await request(app)
+      .post("/users/me/photo")
+      .set(auth)
+      .attach("photo", PNG, { filename: "yo.png", contentType: "image/png" })
+      .expect(200);
+    expect(first.body.user.photoUrl).toMatch(/^\/uploads\/profile\/yo-.*\.png$/);
+    const firstPath = await resolveStoredFilePath(first.body.user.photoUrl);
+    await fs.access(firstPath);
+
+    const second = await request(app)
+      .post("/users/me/photo")
+      .set(auth)
+      .attach("photo", PNG, { filename: "nueva.png", contentType: "image/png" })
+      .expect(200);
+    await expect(fs.access(firstPath)).rejects.toThrow();
+
+    const removed = await request(app).delete("/users/me/photo").set(auth).expect(200);
+    expect(removed.body.user.photoUrl).toBeUndefined();
+    await expect(fs.access(await resolveStoredFilePath(second.body.user.photoUrl))).rejects.toThrow();
+  });
+
+  it("rejects uploads that are not images or carry no file", async () => {
+    const pdf = await request(app)
+      .post("/users/me/photo")
+      .set(auth)
+      .attach("photo", Buffer.from("%PDF-1.4"), { filename: "cv.pdf", contentType: "application/pdf" })
+      .expect(400);
+    expect(pdf.body.error).toMatch(/Tipo de archivo no permitido/);
+
+    const empty = await request(app).post("/users/me/photo").set(auth).expect(400);
+    expect(empty.body.error).toBe("Selecciona una imagen");
+  });
+});
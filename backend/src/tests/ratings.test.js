@@ -0,0 +1,288 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import Rating from "../models/Rating.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const HOUR = 60 * 60 * 1000;
+
+async function registerAndLogin(prefix) {
+  const email = `${prefix}-${Date.now()}@unisabana.edu.co`;
+  const password = "ClaveSegura123";
+  await request(app)
+    .post("/auth/register")
+    .send({
+      email,
+      password,
+      firstName: prefix,
+      lastName: "Tester",
+      universityId: `A${Math.floor(Math.random() * 100000)}`,
+      phone: "3000000000"
+    })
+    .expect(201);
+  await User.updateOne({ email }, { emailVerified: true });
+  const loginRes = await request(app).post("/auth/login").send({ email, password }).expect(200);
+  return { token: loginRes.body.token, userId: loginRes.body.user?.id };
+}
+
+async function completedTrip(driverId, { hoursAgo = 3, status = "completed" } = {}) {
+  return Trip.create({
+    driver: driverId,
+    vehicle: new mongoose.Types.ObjectId(),
+    origin: "Campus Puente del Común",
+    destination: "Chía",
+    departureAt: new Date(Date.now() - hoursAgo * HOUR),
+    seatsTotal: 3,
+    seatsAvailable: 2,
+    pricePerSeat: 6000,
+    status
+  });
+}
+
+function seat(trip, passengerId, status = "confirmed") {
+  return Reservation.create({
+    trip: trip._id,
+    passenger: passengerId,
+    driver: trip.driver,
+    seats: 1,
+    pickupPoints: [{ name: "Portería", lat: 4.86, lng: -74.03 }],
+    status
+  });
+}
+
+function rate(token, body) {
+  return request(app).post("/ratings").set("Authorization", `Bearer ${token}`).send(body);
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+  await Rating.syncIndexes();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), Trip.deleteMany({}), Reservation.deleteMany({}), Rating.deleteMany({})]);
+});
+
+describe("Trip ratings", () => {
+  it("lets the driver and a confirmed passenger rate each other once per trip", async () => {
+    const driver = await registerAndLogin("rating-driver");
+    const passenger = await registerAndLogin("rating-passenger");
+    const trip = await completedTrip(driver.userId);
+    await seat(trip, passenger.userId);
+
+    const byPassenger = await rate(passenger.token, {
+      tripId: trip._id,
+      to: driver.userId,
+      score: 5,
+      comment: " Puntual "
+    });
+    expect(byPassenger.status).toBe(201);
+    expect(byPassenger.body.raterRole).toBe("passenger");
+    expect(byPassenger.body.comment).toBe("Puntual");
+
+    const byDriver = await rate(driver.token, { tripId: trip._id, to: passenger.userId, score: 4 });
+    expect(byDriver.status).toBe(201);
+    expect(byDriver.body.raterRole).toBe("driver");
+
+    const duplicate = await rate(passenger.token, { tripId: trip._id, to: driver.userId, score: 1 });
+    expect(duplicate.status).toBe(409);
+    expect(await Rating.countDocuments({ trip: trip._id })).toBe(2);
+  });
+
+  it("rejects non participants, self ratings, unfinished trips and expired windows", async () => {
+    const driver = await registerAndLogin("rules-driver");
+    const passenger = await registerAndLogin("rules-passenger");
+    const outsider = await registerAndLogin("rules-outsider");
+    const pendingPassenger = await registerAndLogin("rules-pending");
+    const trip = await completedTrip(driver.userId);
+    await seat(trip, passenger.userId);
+    await seat(trip, pendingPassenger.userId, "pending");
+
+    expect((await rate(outsider.token, { tripId: trip._id, to: driver.userId, score: 3 })).status).toBe(403);
+    expect((await rate(pendingPassenger.token, { tripId: trip._id, to: driver.userId, score: 3 })).status).toBe(403);
+    expect((await rate(driver.token, { tripId: trip._id, to: outsider.userId, score: 3 })).status).toBe(403);
+    expect((await rate(driver.token, { tripId: trip._id, to: driver.userId, score: 3 })).status).toBe(400);
+    expect((await rate(passenger.token, { tripId: trip._id, to: driver.userId, score: 6 })).status).toBe(400);
+    expect((await rate(passenger.token, { tripId: trip._id, to: driver.userId, score: 4.5 })).status).toBe(400);
+    expect((await rate(passenger.token, { to: driver.userId, score: 4 })).status).toBe(400);
+
+    const upcoming = await completedTrip(driver.userId, { hoursAgo: -5, status: "scheduled" });
+    await seat(upcoming, passenger.userId);
+    expect((await rate(passenger.token, { tripId: upcoming._id, to: driver.userId, score: 4 })).status).toBe(409);
+
+    const old = await completedTrip(driver.userId, { hoursAgo: 24 * 10 });
+    await seat(old, passenger.userId);
+    const late = await rate(passenger.token, { tripId: old._id, to: driver.userId, score: 4 });
+    expect(late.status).toBe(409);
+    expect(late.body.error).toMatch(/plazo/);
+  });
+
+  it("lists who each participant can still rate", async () => {
+    const driver = await registerAndLogin("pending-driver");
+    const first = await registerAndLogin("pending-first");
+    const second = await registerAndLogin("pending-second");
+    const trip = await completedTrip(driver.userId);
+    await seat(trip, first.userId);
+    await seat(trip, second.userId);
+    await rate(driver.token, { tripId: trip._id, to: first.userId, score: 5 }).expect(201);
+
+    const forDriver = await request(app)
+      .get("/ratings/pending")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+    expect(forDriver.body.pending).toHaveLength(1);
+    expect(forDriver.body.pending[0].ratee._id).toBe(second.userId);
+    expect(forDriver.body.pending[0].raterRole).toBe("driver");
+
+    const forPassenger = await request(app)
+      .get("/ratings/pending")
+      .set("Authorization", `Bearer ${first.token}`)
+      .expect(200);
+    expect(forPassenger.body.pending).toHaveLength(1);
+    expect(forPassenger.body.pending[0].ratee._id).toBe(driver.userId);
+    expect(forPassenger.body.pending[0].ratee.email).toBeUndefined();
+  });
+});
+
+describe("Public profile", () => {
+  it("summarises completed trips and ratings by role without contact data or rating authors", async () => {
+    const driver = await registerAndLogin("profile-driver");
+    const first = await registerAndLogin("profile-first");
+    const second = await registerAndLogin("profile-second");
+    const trip = await completedTrip(driver.userId);
+    await seat(trip, first.userId);
+    await seat(trip, second.userId);
+    await completedTrip(driver.userId, { hoursAgo: -5, status: "scheduled" });
+    await rate(first.token, { tripId: trip._id, to: driver.userId, score: 5, comment: "Muy puntual" }).expect(201);
+    await rate(second.token, { tripId: trip._id, to: driver.userId, score: 4 }).expect(201);
+
+    const asPassengerTrip = await completedTrip(first.userId);
+    await seat(asPassengerTrip, driver.userId);
+    await rate(first.token, { tripId: asPassengerTrip._id, to: driver.userId, score: 2, comment: "Llegó tarde" }).expect(
+      201
+    );
+
+    const res = await request(app)
+      .get(`/users/${driver.userId}/public`)
+      .set("Authorization", `Bearer ${second.token}`)
+      .expect(200);
+    const { profile } = res.body;
+    expect(profile.firstName).toBe("profile-driver");
+    expect(profile.email).toBeUndefined();
+    expect(profile.phone).toBeUndefined();
+    expect(profile.memberSince).toBeDefined();
+    expect(profile.completedTrips).toEqual({ asDriver: 1, asPassenger: 1 });
+    expect(profile.ratings.overall).toEqual({ average: 3.67, ratingsCount: 3 });
+    expect(profile.ratings.asDriver).toEqual({ average: 4.5, ratingsCount: 2 });
+    expect(profile.ratings.asPassenger).toEqual({ average: 2, ratingsCount: 1 });
+    expect(profile.ratings.distribution).toEqual({ 1: 0, 2: 1, 3: 0, 4: 1, 5: 1 });
+    expect(profile.ratings.recentComments.map((item) => item.comment)).toEqual(["Llegó tarde", "Muy puntual"]);
+    expect(profile.ratings.recentComments[0].ratedAs).toBe("passenger");
+    expect(profile.ratings.recentComments[0].from).toBeUndefined();
+
+    await request(app)
+      .get(`/users/${new mongoose.Types.ObjectId()}/public`)
+      .set("Authorization", `Bearer ${second.token}`)
+      .expect(404);
+  });
+});
+
+describe("Rating moderation", () => {
+  async function ratedTrip() {
+    const driver = await registerAndLogin("mod-driver");
+    const first = await registerAndLogin("mod-first");
+    const second = await registerAndLogin("mod-second");
+    const trip = await completedTrip(driver.userId);
+    await seat(trip, first.userId);
+    await seat(trip, second.userId);
+    return { driver, first, second, trip };
+  }
+
+  it("holds comments flagged by the pre-filter until an admin publishes them", async () => {
+    const { driver, first, second, trip } = await ratedTrip();
+    const admin = await registerAndLogin("mod-admin");
+    await User.updateOne({ _id: admin.userId }, { $addToSet: { roles: "admin" } });
+
+    const flagged = await rate(first.token, {
+      tripId: trip._id,
+      to: driver.userId,
+      score: 1,
+      comment: "Escríbeme al 310 555 1234"
+    }).expect(201);
+    expect(flagged.body.status).toBe("pending");
+    await rate(second.token, { tripId: trip._id, to: driver.userId, score: 5, comment: "Excelente" }).expect(201);
+
+    const publicList = await request(app).get(`/ratings/${driver.userId}`).expect(200);
+    expect(publicList.body.map((rating) => rating.comment)).toEqual(["Excelente"]);
+
+    await request(app).get("/admin/ratings").set("Authorization", `Bearer ${first.token}`).expect(403);
+    const queue = await request(app).get("/admin/ratings").set("Authorization", `Bearer ${admin.token}`).expect(200);
+    expect(queue.body.ratings).toHaveLength(1);
+    expect(queue.body.ratings[0].moderationFlags).toEqual(["phone"]);
+
+    const decision = await request(app)
+      .post(`/admin/ratings/${flagged.body._id}/decision`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ decision: "approve" })
+      .expect(200);
+    expect(decision.body.rating.status).toBe("visible");
+    expect(String(decision.body.rating.moderatedBy._id)).toBe(admin.userId);
+    expect((await request(app).get(`/ratings/${driver.userId}`)).body).toHaveLength(2);
+  });
+
+  it("lets users report comments and hides them after an admin review", async () => {
+    const { driver, first, trip } = await ratedTrip();
+    const admin = await registerAndLogin("report-admin");
+    await User.updateOne({ _id: admin.userId }, { $addToSet: { roles: "admin" } });
+    const rating = await rate(first.token, {
+      tripId: trip._id,
+      to: driver.userId,
+      score: 2,
+      comment: "Manejó rápido"
+    }).expect(201);
+
+    const report = (token, body = {}) =>
+      request(app).post(`/ratings/${rating.body._id}/report`).set("Authorization", `Bearer ${token}`).send(body);
+
+    expect((await report(first.token)).status).toBe(400);
+    const reported = await report(driver.token, { reason: "No es cierto" });
+    expect(reported.status).toBe(201);
+    expect(reported.body.status).toBe("visible");
+    expect((await report(driver.token)).status).toBe(409);
+
+    const queue = await request(app).get("/admin/ratings").set("Authorization", `Bearer ${admin.token}`).expect(200);
+    expect(queue.body.ratings.map((item) => item._id)).toEqual([rating.body._id]);
+    expect(queue.body.ratings[0].reports[0].reason).toBe("No es cierto");
+
+    await request(app)
+      .post(`/admin/ratings/${rating.body._id}/decision`)
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ decision: "hide", notes: "Comentario no verificable" })
+      .expect(200);
+    expect((await request(app).get(`/ratings/${driver.userId}`)).body).toEqual([]);
+    const afterReview = await request(app)
+      .get("/admin/ratings")
+      .set("Authorization", `Bearer ${admin.token}`)
+      .expect(200);
+    expect(afterReview.body.ratings).toEqual([]);
+    expect((await report(admin.token)).status).toBe(409);
+  });
+});
@@ -0,0 +1,115 @@
+import http from "http";
+import jwt from "jsonwebtoken";
+import { jest } from "@jest/globals";
+import { io as connectClient } from "socket.io-client";
+import {
+  attachRealtime,
+  closeRealtime,
+  disconnectSessions,
+  emitReservationEvent,
+  emitTripUpdated
+} from "../services/realtimeService.js";
+
+jest.setTimeout(15000);
+
+let server;
+let baseUrl;
+const clients = [];
+
+function signToken(sub, { sid, expiresIn = "1h" } = {}) {
+  return jwt.sign({ sub, email: `${sub}@unisabana.edu.co`, sid }, process.env.JWT_SECRET, { expiresIn });
+}
+
+function connect(token) {
+  const client = connectClient(baseUrl, { auth: { token }, transports: ["websocket"], reconnection: false });
+  clients.push(client);
+  return client;
+}
+
+function waitFor(client, event) {
+  return new Promise((resolve, reject) => {
+    client.once(event, resolve);
+    client.once("connect_error", reject);
+  });
+}
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+  server = http.createServer();
+  attachRealtime(server);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => {
+  while (clients.length) clients.pop().disconnect();
+});
+
+afterAll(async () => {
+  await closeRealtime();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe("Realtime events", () => {
+  it("rejects sockets without a valid JWT", async () => {
+    const client = connect("not-a-token");
+    const error = await new Promise((resolve) => client.once("connect_error", resolve));
+    expect(error.message).toBe("Invalid token");
+  });
+
+  it("broadcasts seat availability to every connected client", async () => {
+    const client = connect(signToken("viewer-1"));
+    await waitFor(client, "connect");
+
+    const received = waitFor(client, "trip.updated");
+    emitTripUpdated({ _id: "trip-1", status: "full", seatsAvailable: 0, seatsTotal: 3, departureAt: new Date() });
+
+    const payload = await received;
+    expect(payload.trip).toMatchObject({ _id: "trip-1", status: "full", seatsAvailable: 0 });
+  });
+
+  it("sends reservation events only to the passenger and the driver", async () => {
+    const passenger = connect(signToken("passenger-1"));
+    const driver = connect(signToken("driver-1"));
+    const outsider = connect(signToken("outsider-1"));
+    await Promise.all([passenger, driver, outsider].map((client) => waitFor(client, "connect")));
+
+    const leaked = jest.fn();
+    outsider.on("reservation.confirmed", leaked);
+
+    const passengerEvent = waitFor(passenger, "reservation.confirmed");
+    const driverEvent = waitFor(driver, "reservation.confirmed");
+    emitReservationEvent(
+      "confirmed",
+      { _id: "res-1", passenger: "passenger-1", driver: "driver-1", status: "confirmed", seats: 1 },
+      { _id: "trip-1", status: "scheduled", seatsAvailable: 2, seatsTotal: 3 }
+    );
+
+    const [toPassenger, toDriver] = await Promise.all([passengerEvent, driverEvent]);
+    expect(toPassenger.reservation.status).toBe("confirmed");
+    expect(toDriver.trip.seatsAvailable).toBe(2);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(leaked).not.toHaveBeenCalled();
+  });
+
+  it("disconnects the sockets of a revoked session only", async () => {
+    const revoked = connect(signToken("multi-device", { sid: "session-a" }));
+    const other = connect(signToken("multi-device", { sid: "session-b" }));
+    await Promise.all([revoked, other].map((client) => waitFor(client, "connect")));
+
+    const closed = waitFor(revoked, "disconnect");
+    disconnectSessions(["session-a"]);
+
+    expect(await closed).toBe("io server disconnect");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(other.connected).toBe(true);
+  });
+
+  it("disconnects the socket when its access token expires", async () => {
+    const client = connect(signToken("short-lived", { sid: "session-c", expiresIn: 1 }));
+    await waitFor(client, "connect");
+
+    expect(await waitFor(client, "disconnect")).toBe("io server disconnect");
+  });
+});
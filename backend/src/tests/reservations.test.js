@@ -0,0 +1,315 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import Notification from "../models/Notification.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const pickup = { name: "Portería principal", lat: 4.861, lng: -74.032 };
+
+function futureDate(hours = 6) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+
+async function registerAndLogin({ prefix = "user", asDriver = false } = {}) {
+  const email = `${prefix}-${Date.now()}@unisabana.edu.co`;
+  const password = "ClaveSegura123";
+
+  await request(app)
+    .post("/auth/register")
+    .send({
+      email,
+      password,
+      firstName: prefix,
+      lastName: "Tester",
+      universityId: `A${Math.floor(Math.random() * 100000)}`,
+      phone: "3000000000"
+    })
+    .expect(201);
+  await User.updateOne({ email }, { emailVerified: true });
+
+  if (asDriver) {
+    await User.updateOne({ email }, { $addToSet: { roles: "driver" } });
+  }
+
+  const loginRes = await request(app).post("/auth/login").send({ email, password }).expect(200);
+  return { token: loginRes.body.token, userId: loginRes.body.user?.id, email };
+}
+
+async function createTrip(driver, overrides = {}) {
+  const vehicle = await Vehicle.create({
+    owner: driver.userId,
+    plate: `RSV${Math.floor(Math.random() * 900 + 100)}`,
+    brand: "Renault",
+    model: "Logan",
+    capacity: 4,
+    soatExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 120),
+    licenseNumber: `LIC${Math.floor(Math.random() * 900 + 100)}`,
+    licenseExpiration: new Date(Date.now() + 1000 * 60 * 60 * 24 * 150),
+    status: "verified"
+  });
+
+  const res = await request(app)
+    .post("/trips")
+    .set("Authorization", `Bearer ${driver.token}`)
+    .send({
+      vehicleId: vehicle._id,
+      origin: "Campus Puente del Común",
+      destination: "Chía",
+      departureAt: futureDate(),
+      seatsTotal: 2,
+      pricePerSeat: 6000,
+      ...overrides
+    })
+    .expect(201);
+  return res.body.trip;
+}
+
+function reserve(token, tripId, seats = 1) {
+  return request(app)
+    .post(`/trips/${tripId}/reservations`)
+    .set("Authorization", `Bearer ${token}`)
+    .send({ seats, pickupPoints: Array.from({ length: seats }, () => pickup) });
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Vehicle.deleteMany({}),
+    Trip.deleteMany({}),
+    Reservation.deleteMany({}),
+    Notification.deleteMany({})
+  ]);
+});
+
+describe("Reservations collection", () => {
+  it("stores reservations outside the trip and lists them for the passenger", async () => {
+    const driver = await registerAndLogin({ prefix: "rsv-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "rsv-passenger" });
+    const trip = await createTrip(driver);
+
+    const created = await reserve(passenger.token, trip._id).expect(201);
+    expect(created.body.reservation.status).toBe("pending");
+    expect(created.body.trip.seatsAvailable).toBe(1);
+    expect(created.body.trip.reservations).toBeUndefined();
+
+    const stored = await Reservation.findById(created.body.reservation._id).lean();
+    expect(String(stored.driver)).toBe(driver.userId);
+
+    const mine = await request(app)
+      .get("/reservations/mine")
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .expect(200);
+    expect(mine.body.reservations).toHaveLength(1);
+    expect(mine.body.reservations[0].trip.origin).toBe("Campus Puente del Común");
+  });
+
+  it("rejects a second active reservation on the same trip", async () => {
+    const driver = await registerAndLogin({ prefix: "dup-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "dup-passenger" });
+    const trip = await createTrip(driver);
+
+    await reserve(passenger.token, trip._id).expect(201);
+    const second = await reserve(passenger.token, trip._id);
+    expect(second.status).toBe(400);
+    expect(await Reservation.countDocuments({ trip: trip._id })).toBe(1);
+  });
+
+  it("keeps one active reservation and returns the seats when the same passenger books twice at once", async () => {
+    await Reservation.init();
+    const driver = await registerAndLogin({ prefix: "dup-race-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "dup-race-passenger" });
+    const trip = await createTrip(driver);
+
+    const results = await Promise.all([reserve(passenger.token, trip._id), reserve(passenger.token, trip._id)]);
+    expect(results.map((res) => res.status).sort()).toEqual([201, 400]);
+    expect(results.find((res) => res.status === 400).body.error).toBe("Ya tienes una reserva activa en este viaje");
+
+    expect(await Reservation.countDocuments({ trip: trip._id })).toBe(1);
+    const storedTrip = await Trip.findById(trip._id).lean();
+    expect(storedTrip.seatsAvailable).toBe(1);
+    expect(storedTrip.status).toBe("scheduled");
+  });
+
+  it("never oversells seats under concurrent bookings", async () => {
+    const driver = await registerAndLogin({ prefix: "race-driver", asDriver: true });
+    const passengers = [];
+    for (let i = 0; i < 4; i += 1) {
+      passengers.push(await registerAndLogin({ prefix: `race-passenger-${i}` }));
+    }
+    const trip = await createTrip(driver);
+
+    const results = await Promise.all(passengers.map((passenger) => reserve(passenger.token, trip._id)));
+    expect(results.filter((res) => res.status === 201)).toHaveLength(2);
+
+    const storedTrip = await Trip.findById(trip._id).lean();
+    expect(storedTrip.seatsAvailable).toBe(0);
+    expect(storedTrip.status).toBe("full");
+  });
+
+  it("lets only the driver see every reservation of a trip", async () => {
+    const driver = await registerAndLogin({ prefix: "list-driver", asDriver: true });
+    const first = await registerAndLogin({ prefix: "list-first" });
+    const second = await registerAndLogin({ prefix: "list-second" });
+    const trip = await createTrip(driver);
+
+    await reserve(first.token, trip._id).expect(201);
+    await reserve(second.token, trip._id).expect(201);
+
+    const driverView = await request(app)
+      .get(`/trips/${trip._id}/reservations`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+    expect(driverView.body.reservations).toHaveLength(2);
+
+    const passengerView = await request(app)
+      .get(`/trips/${trip._id}/reservations`)
+      .set("Authorization", `Bearer ${first.token}`)
+      .expect(200);
+    expect(passengerView.body.reservations).toHaveLength(1);
+  });
+
+  it("releases seats when the driver rejects or the passenger cancels", async () => {
+    const driver = await registerAndLogin({ prefix: "life-driver", asDriver: true });
+    const first = await registerAndLogin({ prefix: "life-first" });
+    const second = await registerAndLogin({ prefix: "life-second" });
+    const trip = await createTrip(driver);
+
+    const firstRes = await reserve(first.token, trip._id).expect(201);
+    const secondRes = await reserve(second.token, trip._id).expect(201);
+    expect(secondRes.body.trip.status).toBe("full");
+
+    const rejected = await request(app)
+      .put(`/reservations/${firstRes.body.reservation._id}/reject`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+    expect(rejected.body.reservation.status).toBe("rejected");
+    expect(rejected.body.trip.seatsAvailable).toBe(1);
+    expect(rejected.body.trip.status).toBe("scheduled");
+
+    await request(app)
+      .put(`/reservations/${secondRes.body.reservation._id}/confirm`)
+      .set("Authorization", `Bearer ${first.token}`)
+      .expect(404);
+
+    const cancelled = await request(app)
+      .put(`/reservations/${secondRes.body.reservation._id}/cancel`)
+      .set("Authorization", `Bearer ${second.token}`)
+      .expect(200);
+    expect(cancelled.body.trip.seatsAvailable).toBe(2);
+
+    // Cancelling twice must not hand the seats back again.
+    await request(app)
+      .put(`/reservations/${secondRes.body.reservation._id}/cancel`)
+      .set("Authorization", `Bearer ${second.token}`)
+      .expect(200);
+    const storedTrip = await Trip.findById(trip._id).lean();
+    expect(storedTrip.seatsAvailable).toBe(2);
+  });
+
+  it("cancels active reservations when the driver cancels the trip", async () => {
+    const driver = await registerAndLogin({ prefix: "cancel-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "cancel-passenger" });
+    const trip = await createTrip(driver);
+
+    const created = await reserve(passenger.token, trip._id).expect(201);
+
+    await request(app)
+      .put(`/trips/${trip._id}/cancel`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+
+    const stored = await Reservation.findById(created.body.reservation._id).lean();
+    expect(stored.status).toBe("cancelled");
+  });
+});
+
+describe("Trip reschedule", () => {
+  function reschedule(token, tripId, body) {
+    return request(app).put(`/trips/${tripId}/reschedule`).set("Authorization", `Bearer ${token}`).send(body);
+  }
+
+  it("moves the departure and asks every active passenger to answer", async () => {
+    const driver = await registerAndLogin({ prefix: "resch-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "resch-passenger" });
+    const trip = await createTrip(driver);
+    const created = await reserve(passenger.token, trip._id).expect(201);
+
+    await reschedule(passenger.token, trip._id, { departureAt: futureDate(8) }).expect(404);
+    await reschedule(driver.token, trip._id, { departureAt: new Date(Date.now() - 60000).toISOString() }).expect(400);
+
+    const newDeparture = futureDate(9);
+    const res = await reschedule(driver.token, trip._id, { departureAt: newDeparture, reason: "Pico y placa" });
+    expect(res.status).toBe(200);
+    expect(new Date(res.body.trip.departureAt).toISOString()).toBe(newDeparture);
+    expect(new Date(res.body.trip.reschedule.previousDepartureAt).toISOString()).toBe(
+      new Date(trip.departureAt).toISOString()
+    );
+    expect(res.body.affectedReservations).toBe(1);
+
+    const stored = await Reservation.findById(created.body.reservation._id).lean();
+    expect(stored.reschedule.status).toBe("pending");
+    expect(await Notification.countDocuments({ user: passenger.userId, type: "trip.rescheduled" })).toBe(1);
+
+    const accepted = await request(app)
+      .put(`/reservations/${created.body.reservation._id}/reschedule/accept`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .expect(200);
+    expect(accepted.body.reservation.status).toBe("pending");
+    expect(accepted.body.reservation.reschedule.status).toBe("accepted");
+
+    // Nothing left to answer once the passenger replied.
+    await request(app)
+      .put(`/reservations/${created.body.reservation._id}/reschedule/decline`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .expect(400);
+  });
+
+  it("releases the seats when the passenger declines the new time", async () => {
+    const driver = await registerAndLogin({ prefix: "decl-driver", asDriver: true });
+    const first = await registerAndLogin({ prefix: "decl-first" });
+    const second = await registerAndLogin({ prefix: "decl-second" });
+    const trip = await createTrip(driver);
+    const firstRes = await reserve(first.token, trip._id).expect(201);
+    await reserve(second.token, trip._id).expect(201);
+
+    await reschedule(driver.token, trip._id, { departureAt: futureDate(10) }).expect(200);
+
+    await request(app)
+      .put(`/reservations/${firstRes.body.reservation._id}/reschedule/decline`)
+      .set("Authorization", `Bearer ${second.token}`)
+      .expect(404);
+
+    const declined = await request(app)
+      .put(`/reservations/${firstRes.body.reservation._id}/reschedule/decline`)
+      .set("Authorization", `Bearer ${first.token}`)
+      .expect(200);
+    expect(declined.body.reservation.status).toBe("cancelled");
+    expect(declined.body.reservation.reschedule.status).toBe("declined");
+    expect(declined.body.trip.seatsAvailable).toBe(1);
+    expect(declined.body.trip.status).toBe("scheduled");
+    expect(await Notification.countDocuments({ user: driver.userId, type: "reservation.reschedule_declined" })).toBe(1);
+  });
+});
@@ -0,0 +1,124 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { clearRevokedTokens } from "../utils/tokenBlacklist.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const credentials = { email: "sesiones@unisabana.edu.co", password: "ClaveSegura123" };
+
+function login(userAgent = "jest") {
+  return request(app).post("/auth/login").set("User-Agent", userAgent).send(credentials).expect(200);
+}
+
+function refresh(refreshToken) {
+  return request(app).post("/auth/refresh").send({ refreshToken });
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), Session.deleteMany({})]);
+  await clearRevokedTokens();
+  await request(app)
+    .post("/auth/register")
+    .send({ ...credentials, firstName: "Sesión", lastName: "Tester", universityId: "A00077777", phone: "3001112222" })
+    .expect(201);
+});
+
+describe("Sessions", () => {
+  it("issues short-lived access tokens and rotates refresh tokens", async () => {
+    const loginRes = await login();
+    const claims = jwt.decode(loginRes.body.token);
+    expect(claims.sid).toBeDefined();
+    expect(claims.exp - claims.iat).toBe(15 * 60);
+    expect(loginRes.body.refreshToken).toEqual(expect.any(String));
+
+    const stored = await Session.findById(claims.sid).lean();
+    expect(stored.refreshTokenHash).not.toBe(loginRes.body.refreshToken);
+
+    const first = await refresh(loginRes.body.refreshToken).expect(200);
+    expect(first.body.refreshToken).not.toBe(loginRes.body.refreshToken);
+    expect(jwt.decode(first.body.token).sid).toBe(claims.sid);
+
+    await request(app).get("/auth/me").set("Authorization", `Bearer ${first.body.token}`).expect(200);
+    await refresh(first.body.refreshToken).expect(200);
+    await refresh("desconocido").expect(401);
+    await refresh(undefined).expect(400);
+  });
+
+  it("revokes the whole session when a rotated refresh token is reused", async () => {
+    const loginRes = await login();
+    const rotated = await refresh(loginRes.body.refreshToken).expect(200);
+
+    const reuse = await refresh(loginRes.body.refreshToken);
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.error).toBe("Sesión inválida o expirada");
+
+    const session = await Session.findById(jwt.decode(loginRes.body.token).sid).lean();
+    expect(session.revokedReason).toBe("reuse_detected");
+    await refresh(rotated.body.refreshToken).expect(401);
+    await request(app).get("/auth/me").set("Authorization", `Bearer ${rotated.body.token}`).expect(401);
+  });
+
+  it("lists devices and closes one or all of them", async () => {
+    const laptop = await login("Laptop");
+    const phone = await login("Phone");
+    const tablet = await login("Tablet");
+    const auth = { Authorization: `Bearer ${laptop.body.token}` };
+
+    const list = await request(app).get("/auth/sessions").set(auth).expect(200);
+    expect(list.body.sessions).toHaveLength(3);
+    expect(list.body.sessions.find((session) => session.current).userAgent).toBe("Laptop");
+
+    const phoneSid = jwt.decode(phone.body.token).sid;
+    await request(app).delete(`/auth/sessions/${phoneSid}`).set(auth).expect(200);
+    await request(app).delete(`/auth/sessions/${phoneSid}`).set(auth).expect(404);
+    await request(app).get("/auth/me").set("Authorization", `Bearer ${phone.body.token}`).expect(401);
+    await refresh(phone.body.refreshToken).expect(401);
+
+    const everywhere = await request(app).delete("/auth/sessions").set(auth).expect(200);
+    expect(everywhere.body.revoked).toBe(2);
+    await request(app).get("/auth/me").set("Authorization", `Bearer ${tablet.body.token}`).expect(401);
+    await request(app).get("/auth/me").set(auth).expect(401);
+    await refresh(tablet.body.refreshToken).expect(401);
+  });
+
+  it("closes the session on logout", async () => {
+    const loginRes = await login();
+    await request(app).post("/auth/logout").set("Authorization", `Bearer ${loginRes.body.token}`).expect(200);
+    await refresh(loginRes.body.refreshToken).expect(401);
+  });
+
+  it("does not refresh banned accounts", async () => {
+    const loginRes = await login();
+    await User.updateOne(
+      { email: credentials.email },
+      { accountStatus: { state: "banned", reason: "Fraude", source: "admin" } }
+    );
+
+    const res = await refresh(loginRes.body.refreshToken);
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("account_banned");
+    expect(await Session.countDocuments({ revokedAt: null })).toBe(0);
+  });
+});
@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import Notification from "../models/Notification.js";
+import JobLock from "../models/JobLock.js";
+import { createTripScheduler } from "../services/tripScheduler.js";
+import { createMongoLock } from "../utils/jobLock.js";
+
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const MINUTE = 60 * 1000;
+const start = new Date("2030-03-04T12:00:00.000Z");
+
+function createFakeClock(initial) {
+  let current = new Date(initial);
+  return {
+    now: () => new Date(current),
+    advance: (minutes) => {
+      current = new Date(current.getTime() + minutes * MINUTE);
+    }
+  };
+}
+
+function buildTrip(overrides = {}) {
+  return Trip.create({
+    driver: new mongoose.Types.ObjectId(),
+    vehicle: new mongoose.Types.ObjectId(),
+    origin: "Campus Puente del Común",
+    destination: "Chía",
+    departureAt: new Date(start.getTime() + 45 * MINUTE),
+    seatsTotal: 3,
+    seatsAvailable: 3,
+    pricePerSeat: 6000,
+    durationMinutes: 40,
+    ...overrides
+  });
+}
+
+async function book(trip, { status = "pending", seats = 1, createdAt = start } = {}) {
+  await Trip.updateOne({ _id: trip._id }, { $inc: { seatsAvailable: -seats } });
+  const reservation = await Reservation.create({
+    trip: trip._id,
+    passenger: new mongoose.Types.ObjectId(),
+    driver: trip.driver,
+    seats,
+    pickupPoints: [{ name: "Portería", lat: 4.86, lng: -74.03 }],
+    status
+  });
+  // Timestamps are set from the real clock; pin them to the fake one.
+  await Reservation.collection.updateOne({ _id: reservation._id }, { $set: { createdAt } });
+  return reservation;
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri(), { dbName: "wheels" });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Trip.deleteMany({}),
+    Reservation.deleteMany({}),
+    Notification.deleteMany({}),
+    JobLock.deleteMany({})
+  ]);
+});
+
+describe("Trip scheduler", () => {
+  it("sends a single reminder to the driver and confirmed passengers inside the 30–60 minute window", async () => {
+    const clock = createFakeClock(new Date(start.getTime() - 30 * MINUTE));
+    const scheduler = createTripScheduler({ clock: clock.now });
+    const trip = await buildTrip();
+    const confirmed = await book(trip, { status: "confirmed" });
+
+    // 75 minutes before departure: too early.
+    expect((await scheduler.runOnce()).reminders).toBe(0);
+
+    clock.advance(30);
+    expect((await scheduler.runOnce()).reminders).toBe(1);
+    clock.advance(5);
+    expect((await scheduler.runOnce()).reminders).toBe(0);
+
+    const reminders = await Notification.find({ type: "trip.reminder" }).lean();
+    expect(reminders.map((n) => String(n.user)).sort()).toEqual(
+      [String(trip.driver), String(confirmed.passenger)].sort()
+    );
+  });
+
+  it("marks trips completed once departure plus duration has passed", async () => {
+    const clock = createFakeClock(start);
+    const scheduler = createTripScheduler({ clock: clock.now });
+    const trip = await buildTrip({ departureAt: new Date(start.getTime() + 10 * MINUTE) });
+    const withoutDuration = await buildTrip({
+      departureAt: new Date(start.getTime() + 10 * MINUTE),
+      durationMinutes: undefined
+    });
+    // A non-positive duration falls back to the default window, as in the overlap checks.
+    const zeroDuration = await buildTrip({ departureAt: new Date(start.getTime() + 10 * MINUTE) });
+    await Trip.collection.updateOne({ _id: zeroDuration._id }, { $set: { durationMinutes: 0 } });
+
+    clock.advance(10 + 39);
+    expect((await scheduler.runOnce()).completed).toBe(0);
+
+    clock.advance(1);
+    expect((await scheduler.runOnce()).completed).toBe(1);
+    expect((await Trip.findById(trip._id).lean()).status).toBe("completed");
+    expect((await Trip.findById(withoutDuration._id).lean()).status).toBe("scheduled");
+    expect((await Trip.findById(zeroDuration._id).lean()).status).toBe("scheduled");
+
+    clock.advance(20);
+    await scheduler.runOnce();
+    expect((await Trip.findById(withoutDuration._id).lean()).status).toBe("completed");
+    expect((await Trip.findById(zeroDuration._id).lean()).status).toBe("completed");
+  });
+
+  it("expires pending reservations the driver never answered and releases their seats", async () => {
+    process.env.RESERVATION_PENDING_TTL_MINUTES = "120";
+    const clock = createFakeClock(start);
+    const scheduler = createTripScheduler({ clock: clock.now });
+    const trip = await buildTrip({ departureAt: new Date(start.getTime() + 24 * 60 * MINUTE) });
+    const pending = await book(trip, { seats: 2 });
+    const confirmed = await book(trip, { status: "confirmed" });
+
+    clock.advance(119);
+    expect((await scheduler.runOnce()).expired).toBe(0);
+
+    clock.advance(1);
+    expect((await scheduler.runOnce()).expired).toBe(1);
+
+    expect((await Reservation.findById(pending._id).lean()).status).toBe("expired");
+    expect((await Reservation.findById(confirmed._id).lean()).status).toBe("confirmed");
+    expect((await Trip.findById(trip._id).lean()).seatsAvailable).toBe(2);
+    const notice = await Notification.findOne({ type: "reservation.expired" }).lean();
+    expect(String(notice.user)).toBe(String(pending.passenger));
+    delete process.env.RESERVATION_PENDING_TTL_MINUTES;
+  });
+
+  it("expires pending reservations when the trip departs without an answer", async () => {
+    const clock = createFakeClock(start);
+    const scheduler = createTripScheduler({ clock: clock.now });
+    const trip = await buildTrip({ departureAt: new Date(start.getTime() + 20 * MINUTE) });
+    const pending = await book(trip);
+
+    clock.advance(20);
+    await scheduler.runOnce();
+    expect((await Reservation.findById(pending._id).lean()).status).toBe("expired");
+  });
+
+  it("skips the run while another worker holds the lock", async () => {
+    const clock = createFakeClock(start);
+    const holder = createMongoLock({ owner: "worker-a" });
+    const scheduler = createTripScheduler({ clock: clock.now, lock: createMongoLock({ owner: "worker-b" }) });
+
+    expect(await holder.acquire("trip-scheduler", { now: clock.now(), ttlMs: 2 * MINUTE })).toBe(true);
+    expect((await scheduler.runOnce()).skipped).toBe(true);
+
+    // The lease expires on the scheduler clock, so a stalled holder cannot block forever.
+    clock.advance(3);
+    expect((await scheduler.runOnce()).skipped).toBe(false);
+    expect(await JobLock.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,182 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Vehicle from "../models/Vehicle.js";
+import Trip from "../models/Trip.js";
+import TripTemplate from "../models/TripTemplate.js";
+import { generateUpcomingTrips } from "../services/tripTemplateService.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function registerDriver(prefix) {
+  const email = `${prefix}-${Date.now()}@unisabana.edu.co`;
+  const password = "ClaveSegura123";
+  await request(app)
+    .post("/auth/register")
+    .send({
+      email,
+      password,
+      firstName: prefix,
+      lastName: "Tester",
+      universityId: `A${Math.floor(Math.random() * 100000)}`,
+      phone: "3000000000"
+    })
+    .expect(201);
+  await User.updateOne({ email }, { emailVerified: true });
+  await User.updateOne({ email }, { $addToSet: { roles: "driver" } });
+  const loginRes = await request(app).post("/auth/login").send({ email, password }).expect(200);
+  return { token: loginRes.body.token, userId: loginRes.body.user?.id };
+}
+
+function createVehicle(ownerId, { soatDays = 120, licenseDays = 150, status = "verified" } = {}) {
+  return Vehicle.create({
+    owner: ownerId,
+    plate: `TPL${Math.floor(Math.random() * 900 + 100)}`,
+    brand: "Renault",
+    model: "Logan",
+    capacity: 4,
+    soatExpiration: new Date(Date.now() + soatDays * DAY),
+    licenseNumber: `LIC${Math.floor(Math.random() * 900 + 100)}`,
+    licenseExpiration: new Date(Date.now() + licenseDays * DAY),
+    status
+  });
+}
+
+function templatePayload(vehicleId, overrides = {}) {
+  return {
+    vehicleId,
+    name: "Chía → Sabana",
+    origin: "Chía",
+    destination: "Universidad de La Sabana",
+    weekdays: [0, 1, 2, 3, 4, 5, 6],
+    departureTime: "06:30",
+    seatsTotal: 3,
+    pricePerSeat: 5000,
+    durationMinutes: 40,
+    pickupPoints: [{ name: "Parque de Chía", lat: 4.862, lng: -74.058 }],
+    ...overrides
+  };
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+  await Trip.syncIndexes();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Vehicle.deleteMany({}),
+    Trip.deleteMany({}),
+    TripTemplate.deleteMany({})
+  ]);
+});
+
+describe("Trip templates", () => {
+  it("validates the recurrence and the vehicle capacity", async () => {
+    const driver = await registerDriver("tpl-validate");
+    const vehicle = await createVehicle(driver.userId);
+
+    const noDays = await request(app)
+      .post("/trip-templates")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send(templatePayload(vehicle._id, { weekdays: [] }));
+    expect(noDays.status).toBe(400);
+
+    const overCapacity = await request(app)
+      .post("/trip-templates")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send(templatePayload(vehicle._id, { seatsTotal: 6 }));
+    expect(overCapacity.status).toBe(400);
+
+    const created = await request(app)
+      .post("/trip-templates")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send(templatePayload(vehicle._id));
+    expect(created.status).toBe(201);
+
+    const updated = await request(app)
+      .put(`/trip-templates/${created.body.template._id}`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send({ departureTime: "07:15", weekdays: [1, 3] });
+    expect(updated.status).toBe(200);
+    expect(updated.body.template.weekdays).toEqual([1, 3]);
+
+    const list = await request(app).get("/trip-templates").set("Authorization", `Bearer ${driver.token}`).expect(200);
+    expect(list.body.templates).toHaveLength(1);
+  });
+
+  it("generates trips ahead, skipping dates after the SOAT expires, without duplicates", async () => {
+    const driver = await registerDriver("tpl-generate");
+    const vehicle = await createVehicle(driver.userId, { soatDays: 3 });
+    const created = await request(app)
+      .post("/trip-templates")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send(templatePayload(vehicle._id))
+      .expect(201);
+
+    const generated = await request(app)
+      .post(`/trip-templates/${created.body.template._id}/generate`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send({ days: 7 });
+    expect(generated.status).toBe(200);
+    expect(generated.body.trips.length).toBeGreaterThan(0);
+    expect(generated.body.skipped.length).toBeGreaterThan(0);
+    expect(generated.body.skipped.every((item) => item.reason === "documents_expired")).toBe(true);
+
+    const soatExpiration = vehicle.soatExpiration.getTime();
+    generated.body.trips.forEach((trip) => {
+      expect(new Date(trip.departureAt).getTime()).toBeLessThanOrEqual(soatExpiration);
+      expect(trip.template).toBe(created.body.template._id);
+      expect(trip.seatsAvailable).toBe(3);
+    });
+
+    const again = await request(app)
+      .post(`/trip-templates/${created.body.template._id}/generate`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send({ days: 7 })
+      .expect(200);
+    expect(again.body.trips).toHaveLength(0);
+    expect(await Trip.countDocuments({ template: created.body.template._id })).toBe(generated.body.trips.length);
+
+    // The worker job only creates what is still missing.
+    expect(await generateUpcomingTrips(new Date(), { days: 7 })).toBe(0);
+  });
+
+  it("skips every date while the vehicle is not verified", async () => {
+    const driver = await registerDriver("tpl-unverified");
+    const vehicle = await createVehicle(driver.userId, { status: "under_review" });
+    const created = await request(app)
+      .post("/trip-templates")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send(templatePayload(vehicle._id))
+      .expect(201);
+
+    const generated = await request(app)
+      .post(`/trip-templates/${created.body.template._id}/generate`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send({ days: 7 })
+      .expect(200);
+    expect(generated.body.trips).toHaveLength(0);
+    expect(generated.body.skipped.length).toBeGreaterThan(0);
+    expect(generated.body.skipped.every((item) => item.reason === "vehicle_not_verified")).toBe(true);
+    expect(await Trip.countDocuments({ template: created.body.template._id })).toBe(0);
+  });
+});
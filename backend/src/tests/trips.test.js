@@ -5,6 +5,8 @@ import { MongoMemoryServer } from "mongodb-memory-server";
 import User from "../models/User.js";
 import Vehicle from "../models/Vehicle.js";
 import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import Rating from "../models/Rating.js";
 
 let app;
 let mongoServer;
@@ -28,6 +30,7 @@ async function registerAndLogin({ prefix = "user", asDriver = false } = {}) {
   };
 
   await request(app).post("/auth/register").send(registerPayload).expect(201);
+  await User.updateOne({ email }, { emailVerified: true });
   const userDoc = await User.findOne({ email }).lean();
   if (!userDoc) throw new Error("User not persisted");
   if (asDriver) {
@@ -91,7 +94,12 @@ afterAll(async () => {
 });
 
 beforeEach(async () => {
-  await Promise.all([User.deleteMany({}), Vehicle.deleteMany({}), Trip.deleteMany({})]);
+  await Promise.all([
+    User.deleteMany({}),
+    Vehicle.deleteMany({}),
+    Trip.deleteMany({}),
+    Reservation.deleteMany({})
+  ]);
 });
 
 describe("Trip pickup suggestions", () => {
@@ -164,3 +172,431 @@ describe("Trip pickup suggestions", () => {
     expect(res.body?.error).toMatch(/conductores/i);
   });
 });
+
+describe("Trip edit", () => {
+  const portal = { name: "Portal Norte", lat: 4.754, lng: -74.046 };
+  const calle = { name: "Calle 170", lat: 4.755, lng: -74.045 };
+
+  function editTrip(token, tripId, body) {
+    return request(app).put(`/trips/${tripId}`).set("Authorization", `Bearer ${token}`).send(body);
+  }
+
+  function reserve(token, tripId, seats, point) {
+    return request(app)
+      .post(`/trips/${tripId}/reservations`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ seats, pickupPoints: Array.from({ length: seats }, () => point) });
+  }
+
+  it("updates description, price and seats within the vehicle capacity", async () => {
+    const driver = await registerAndLogin({ prefix: "edit-driver", asDriver: true });
+    const vehicle = await createVehicle(driver.userId);
+    const trip = await createTripForDriver({ driverToken: driver.token, vehicleId: vehicle._id.toString() });
+
+    const res = await editTrip(driver.token, trip._id, {
+      routeDescription: "Por la Autopista Norte",
+      pricePerSeat: 7000,
+      seatsTotal: 4
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.trip.routeDescription).toBe("Por la Autopista Norte");
+    expect(res.body.trip.pricePerSeat).toBe(7000);
+    expect(res.body.trip.seatsTotal).toBe(4);
+    expect(res.body.trip.seatsAvailable).toBe(4);
+
+    const overCapacity = await editTrip(driver.token, trip._id, { seatsTotal: 5 });
+    expect(overCapacity.status).toBe(400);
+    expect(overCapacity.body?.error).toMatch(/capacidad/i);
+
+    const structural = await editTrip(driver.token, trip._id, { destination: "Cajicá" });
+    expect(structural.status).toBe(400);
+  });
+
+  it("protects booked seats, confirmed prices and pickup points in use", async () => {
+    const driver = await registerAndLogin({ prefix: "guard-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "guard-passenger" });
+    const vehicle = await createVehicle(driver.userId);
+    const trip = await createTripForDriver({
+      driverToken: driver.token,
+      vehicleId: vehicle._id.toString(),
+      overrides: { pickupPoints: [portal, calle] }
+    });
+
+    const booked = await reserve(passenger.token, trip._id, 2, portal);
+    expect(booked.status).toBe(201);
+
+    const tooFewSeats = await editTrip(driver.token, trip._id, { seatsTotal: 1 });
+    expect(tooFewSeats.status).toBe(409);
+
+    const shrunk = await editTrip(driver.token, trip._id, { seatsTotal: 2 });
+    expect(shrunk.status).toBe(200);
+    expect(shrunk.body.trip.seatsAvailable).toBe(0);
+    expect(shrunk.body.trip.status).toBe("full");
+
+    const removeUsed = await editTrip(driver.token, trip._id, { pickupPoints: [calle] });
+    expect(removeUsed.status).toBe(409);
+    expect(removeUsed.body?.error).toMatch(/Portal Norte/);
+
+    const removeUnused = await editTrip(driver.token, trip._id, { pickupPoints: [portal] });
+    expect(removeUnused.status).toBe(200);
+    expect(removeUnused.body.trip.pickupPoints).toHaveLength(1);
+
+    await request(app)
+      .put(`/reservations/${booked.body.reservation._id}/confirm`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+    const priceChange = await editTrip(driver.token, trip._id, { pricePerSeat: 8000 });
+    expect(priceChange.status).toBe(409);
+  });
+
+  it("puts the old price back when a reservation is confirmed while the price is being edited", async () => {
+    const driver = await registerAndLogin({ prefix: "race-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "race-passenger" });
+    const vehicle = await createVehicle(driver.userId);
+    const trip = await createTripForDriver({
+      driverToken: driver.token,
+      vehicleId: vehicle._id.toString(),
+      overrides: { pickupPoints: [portal] }
+    });
+    const booked = await reserve(passenger.token, trip._id, 1, portal);
+    await request(app)
+      .put(`/reservations/${booked.body.reservation._id}/confirm`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+
+    // The first check runs before the confirmation lands; only the re-check after the write sees it.
+    const existsSpy = jest.spyOn(Reservation, "exists").mockResolvedValueOnce(null);
+    try {
+      const res = await editTrip(driver.token, trip._id, { pricePerSeat: 9000, routeDescription: "Por la Séptima" });
+      expect(res.status).toBe(409);
+      expect(res.body?.error).toMatch(/reservas confirmadas/i);
+    } finally {
+      existsSpy.mockRestore();
+    }
+
+    const stored = await Trip.findById(trip._id).lean();
+    expect(stored.pricePerSeat).toBe(trip.pricePerSeat);
+    expect(stored.routeDescription).not.toBe("Por la Séptima");
+  });
+});
+
+describe("Trip overlap rules", () => {
+  it("returns a 409 naming the driver's overlapping trip, using a fallback window without duration", async () => {
+    const driver = await registerAndLogin({ prefix: "overlap-driver", asDriver: true });
+    const vehicle = await createVehicle(driver.userId);
+    const first = await createTripForDriver({
+      driverToken: driver.token,
+      vehicleId: vehicle._id.toString(),
+      overrides: { departureAt: futureDate(6) }
+    });
+
+    const clash = await request(app)
+      .post("/trips")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send({
+        vehicleId: vehicle._id.toString(),
+        origin: "Chía",
+        destination: "Campus Puente del Común",
+        departureAt: futureDate(6.5),
+        seatsTotal: 3,
+        pricePerSeat: 6000
+      });
+    expect(clash.status).toBe(409);
+    expect(clash.body.conflict.trip._id).toBe(first._id);
+    expect(clash.body.conflict.trip.endsAt).toBeDefined();
+
+    // One hour after departure the fallback window is over.
+    await createTripForDriver({
+      driverToken: driver.token,
+      vehicleId: vehicle._id.toString(),
+      overrides: { departureAt: futureDate(7.5) }
+    });
+  });
+
+  it("keeps passengers from booking a trip that overlaps a confirmed reservation", async () => {
+    const firstDriver = await registerAndLogin({ prefix: "overlap-first", asDriver: true });
+    const secondDriver = await registerAndLogin({ prefix: "overlap-second", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "overlap-passenger" });
+    const pickup = { name: "Portería principal", lat: 4.861, lng: -74.032 };
+
+    const firstTrip = await createTripForDriver({
+      driverToken: firstDriver.token,
+      vehicleId: (await createVehicle(firstDriver.userId))._id.toString(),
+      overrides: { departureAt: futureDate(6), durationMinutes: 90 }
+    });
+    const secondTrip = await createTripForDriver({
+      driverToken: secondDriver.token,
+      vehicleId: (await createVehicle(secondDriver.userId))._id.toString(),
+      overrides: { departureAt: futureDate(7) }
+    });
+
+    const booked = await request(app)
+      .post(`/trips/${firstTrip._id}/reservations`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .send({ seats: 1, pickupPoints: [pickup] });
+    expect(booked.status).toBe(201);
+    await request(app)
+      .put(`/reservations/${booked.body.reservation._id}/confirm`)
+      .set("Authorization", `Bearer ${firstDriver.token}`)
+      .expect(200);
+
+    const clash = await request(app)
+      .post(`/trips/${secondTrip._id}/reservations`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .send({ seats: 1, pickupPoints: [pickup] });
+    expect(clash.status).toBe(409);
+    expect(clash.body.conflict.trip._id).toBe(firstTrip._id);
+
+    const storedTrip = await Trip.findById(secondTrip._id).lean();
+    expect(storedTrip.seatsAvailable).toBe(3);
+  });
+});
+
+describe("Trip geo search", () => {
+  const porteria = { name: "Portería principal", lat: 4.861, lng: -74.032 };
+  const portal80 = { name: "Portal de la 80", lat: 4.7103, lng: -74.1114 };
+
+  it("matches trips whose pickup points or route pass near the passenger", async () => {
+    const driver = await registerAndLogin({ prefix: "geo-driver", asDriver: true });
+    const vehicle = await createVehicle(driver.userId);
+    const nearby = await createTripForDriver({
+      driverToken: driver.token,
+      vehicleId: vehicle._id.toString(),
+      overrides: { departureAt: futureDate(20), pickupPoints: [portal80, porteria] }
+    });
+    const faraway = await createTripForDriver({
+      driverToken: driver.token,
+      vehicleId: vehicle._id.toString(),
+      overrides: { departureAt: futureDate(22), pickupPoints: [portal80] }
+    });
+    // Only the polyline passes by campus: no pickup point within walking distance.
+    const byRoute = await Trip.create({
+      driver: driver.userId,
+      vehicle: vehicle._id,
+      origin: "Portal Norte",
+      destination: "Chía",
+      departureAt: futureDate(24),
+      seatsTotal: 3,
+      pricePerSeat: 5000,
+      route: [
+        { lat: 4.755, lng: -74.046 },
+        { lat: 4.87, lng: -74.03 }
+      ],
+      pickupPoints: [portal80]
+    });
+
+    const res = await request(app).get("/trips").query({ near: "4.8612,-74.0322", radiusMeters: 500 }).expect(200);
+    const ids = res.body.trips.map((trip) => trip._id);
+    expect(ids).toEqual(expect.arrayContaining([nearby._id, byRoute._id.toString()]));
+    expect(ids).not.toContain(faraway._id);
+
+    const match = res.body.trips.find((trip) => trip._id === nearby._id);
+    expect(match.nearestPickup.name).toBe(porteria.name);
+    expect(match.nearestPickup.distanceMeters).toBeLessThan(50);
+    expect(match.routeLine).toBeUndefined();
+    expect(match.pickupLocations).toBeUndefined();
+  });
+
+  it("filters by destination and keeps the geometry in sync when the driver edits pickup points", async () => {
+    const driver = await registerAndLogin({ prefix: "geo-dest", asDriver: true });
+    const vehicle = await createVehicle(driver.userId);
+    const trip = await Trip.create({
+      driver: driver.userId,
+      vehicle: vehicle._id,
+      origin: "Portal de la 80",
+      destination: "Campus",
+      departureAt: futureDate(26),
+      seatsTotal: 3,
+      pricePerSeat: 5000,
+      destinationStopLat: porteria.lat,
+      destinationStopLng: porteria.lng,
+      pickupPoints: [portal80]
+    });
+
+    const byDestination = await request(app).get("/trips").query({ dest_near: "4.8611,-74.0321" }).expect(200);
+    expect(byDestination.body.trips.map((item) => item._id)).toContain(trip._id.toString());
+
+    await request(app)
+      .put(`/trips/${trip._id}`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .send({ pickupPoints: [{ name: "Calle 100", lat: 4.6867, lng: -74.0561 }] })
+      .expect(200);
+
+    const oldSpot = await request(app).get("/trips").query({ near: "4.7103,-74.1114" }).expect(200);
+    expect(oldSpot.body.trips.map((item) => item._id)).not.toContain(trip._id.toString());
+    const newSpot = await request(app).get("/trips").query({ near: "4.6868,-74.0562" }).expect(200);
+    expect(newSpot.body.trips.map((item) => item._id)).toContain(trip._id.toString());
+  });
+
+  it("rejects malformed coordinates and radii", async () => {
+    await request(app).get("/trips").query({ near: "4.86" }).expect(400);
+    await request(app).get("/trips").query({ dest_near: "200,-74" }).expect(400);
+    await request(app).get("/trips").query({ near: "4.86,-74.03", radiusMeters: 100000 }).expect(400);
+  });
+});
+
+describe("Trip listing pagination", () => {
+  it("pages through a driver's trips with a cursor and reports the total", async () => {
+    const driver = await registerAndLogin({ prefix: "page-driver", asDriver: true });
+    const vehicle = await createVehicle(driver.userId);
+    const created = [];
+    for (const [hours, price] of [
+      [30, 7000],
+      [32, 5000],
+      [34, 9000]
+    ]) {
+      created.push(
+        await createTripForDriver({
+          driverToken: driver.token,
+          vehicleId: vehicle._id.toString(),
+          overrides: { departureAt: futureDate(hours), pricePerSeat: price }
+        })
+      );
+    }
+
+    const first = await request(app).get("/trips").query({ driver: driver.userId, limit: 2 }).expect(200);
+    expect(first.body.total).toBe(3);
+    expect(first.body.trips.map((trip) => trip._id)).toEqual([created[0]._id, created[1]._id]);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    const second = await request(app)
+      .get("/trips")
+      .query({ driver: driver.userId, limit: 2, cursor: first.body.nextCursor })
+      .expect(200);
+    expect(second.body.trips.map((trip) => trip._id)).toEqual([created[2]._id]);
+    expect(second.body.nextCursor).toBeNull();
+
+    const byPrice = await request(app)
+      .get("/trips")
+      .query({ driver: driver.userId, sort: "price", order: "desc" })
+      .expect(200);
+    expect(byPrice.body.trips.map((trip) => trip.pricePerSeat)).toEqual([9000, 7000, 5000]);
+
+    // A cursor only makes sense for the sort it was issued for.
+    await request(app)
+      .get("/trips")
+      .query({ driver: driver.userId, sort: "price", cursor: first.body.nextCursor })
+      .expect(400);
+  });
+
+  it("sorts by driver rating, best rated first and unrated last", async () => {
+    const topDriver = await registerAndLogin({ prefix: "page-top", asDriver: true });
+    const newDriver = await registerAndLogin({ prefix: "page-new", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "page-rater" });
+    const startTime = futureDate(40);
+    const topTrip = await createTripForDriver({
+      driverToken: topDriver.token,
+      vehicleId: (await createVehicle(topDriver.userId))._id.toString(),
+      overrides: { departureAt: futureDate(41) }
+    });
+    const newTrip = await createTripForDriver({
+      driverToken: newDriver.token,
+      vehicleId: (await createVehicle(newDriver.userId))._id.toString(),
+      overrides: { departureAt: futureDate(42) }
+    });
+    await Rating.create({
+      from: passenger.userId,
+      to: topDriver.userId,
+      score: 5,
+      trip: topTrip._id,
+      raterRole: "passenger"
+    });
+    // Rated only as a passenger: still an unrated driver.
+    await Rating.create({
+      from: topDriver.userId,
+      to: newDriver.userId,
+      score: 5,
+      trip: newTrip._id,
+      raterRole: "driver"
+    });
+
+    const res = await request(app)
+      .get("/trips")
+      .query({ sort: "rating", start_time: startTime, limit: 1 })
+      .expect(200);
+    expect(res.body.trips[0]._id).toBe(topTrip._id);
+    expect(res.body.trips[0].driverStats).toEqual({ average: 5, ratingsCount: 1 });
+    expect(res.body.trips[0].driverRatingAverage).toBeUndefined();
+
+    let cursor = res.body.nextCursor;
+    const seen = [];
+    while (cursor) {
+      const next = await request(app).get("/trips").query({ sort: "rating", start_time: startTime, limit: 1, cursor });
+      seen.push(...next.body.trips.map((trip) => trip._id));
+      cursor = next.body.nextCursor;
+    }
+    expect(seen).toContain(newTrip._id);
+    expect(seen).not.toContain(topTrip._id);
+  });
+
+  it("rejects unknown sorts and out of range limits", async () => {
+    await request(app).get("/trips").query({ sort: "seats" }).expect(400);
+    await request(app).get("/trips").query({ limit: 500 }).expect(400);
+  });
+});
+
+describe("Trip detail", () => {
+  it("returns the trip with the driver's public profile and only the caller's reservation", async () => {
+    const driver = await registerAndLogin({ prefix: "detail-driver", asDriver: true });
+    const passenger = await registerAndLogin({ prefix: "detail-passenger" });
+    const otherPassenger = await registerAndLogin({ prefix: "detail-other" });
+    const pickup = { name: "Portería principal", lat: 4.861, lng: -74.032 };
+    const trip = await createTripForDriver({
+      driverToken: driver.token,
+      vehicleId: (await createVehicle(driver.userId))._id.toString(),
+      overrides: { departureAt: futureDate(50), pickupPoints: [pickup] }
+    });
+    await Rating.create({ from: passenger.userId, to: driver.userId, score: 4, trip: trip._id, raterRole: "passenger" });
+    // A score the driver got while riding as a passenger does not count towards their driver rating.
+    await Rating.create({ from: otherPassenger.userId, to: driver.userId, score: 1, trip: trip._id, raterRole: "driver" });
+
+    const booked = await request(app)
+      .post(`/trips/${trip._id}/reservations`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .send({ seats: 1, pickupPoints: [pickup] })
+      .expect(201);
+    await request(app)
+      .post(`/trips/${trip._id}/pickup-suggestions`)
+      .set("Authorization", `Bearer ${otherPassenger.token}`)
+      .send({ name: "Calle 170", lat: 4.7525, lng: -74.0363 })
+      .expect(201);
+
+    const mine = await request(app)
+      .get(`/trips/${trip._id}`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .expect(200);
+    expect(mine.body.isDriver).toBe(false);
+    expect(mine.body.myReservation._id).toBe(booked.body.reservation._id);
+    expect(mine.body.trip.driver.firstName).toBe("detail-driver");
+    expect(mine.body.trip.driver.email).toBeUndefined();
+    expect(mine.body.trip.driver.phone).toBeUndefined();
+    expect(mine.body.trip.vehicle.brand).toBe("Renault");
+    expect(mine.body.trip.driverStats).toEqual({ average: 4, ratingsCount: 1 });
+    expect(mine.body.trip.pickupSuggestions).toBeUndefined();
+    expect(mine.body.trip.pickupPoints.every((point) => point.requestedBy === undefined)).toBe(true);
+    expect(mine.body.trip.routeLine).toBeUndefined();
+
+    const other = await request(app)
+      .get(`/trips/${trip._id}`)
+      .set("Authorization", `Bearer ${otherPassenger.token}`)
+      .expect(200);
+    expect(other.body.myReservation).toBeNull();
+
+    const asDriver = await request(app)
+      .get(`/trips/${trip._id}`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+    expect(asDriver.body.isDriver).toBe(true);
+    expect(asDriver.body.trip.pickupSuggestions).toHaveLength(1);
+  });
+
+  it("responds 404 for unknown ids and 401 without a token", async () => {
+    const user = await registerAndLogin({ prefix: "detail-missing" });
+    await request(app)
+      .get(`/trips/${new mongoose.Types.ObjectId()}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .expect(404);
+    await request(app).get("/trips/not-an-id").set("Authorization", `Bearer ${user.token}`).expect(404);
+    await request(app).get(`/trips/${new mongoose.Types.ObjectId()}`).expect(401);
+  });
+});
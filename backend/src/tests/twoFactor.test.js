@@ -0,0 +1,195 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { isEncrypted } from "../utils/fieldEncryption.js";
+import { clearRateLimits } from "../utils/rateLimitStore.js";
+import { totpCode, totpStep } from "../utils/totp.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const credentials = { email: "dospasos@unisabana.edu.co", password: "ClaveSegura123" };
+
+function login() {
+  return request(app).post("/auth/login").send(credentials);
+}
+
+function verify(mfaToken, code) {
+  return request(app).post("/auth/login/verify").send({ mfaToken, code });
+}
+
+// Enrols the user and returns the secret, the recovery codes and an access token for later calls.
+async function enableTwoFactor() {
+  const { body: session } = await login().expect(200);
+  const auth = { Authorization: `Bearer ${session.token}` };
+  const setup = await request(app).post("/auth/2fa/setup").set(auth).expect(200);
+  const enable = await request(app)
+    .post("/auth/2fa/enable")
+    .set(auth)
+    .send({ code: totpCode(setup.body.secret, totpStep()) })
+    .expect(200);
+  return { secret: setup.body.secret, recoveryCodes: enable.body.recoveryCodes, auth };
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), Session.deleteMany({})]);
+  await clearRateLimits();
+  await request(app)
+    .post("/auth/register")
+    .send({ ...credentials, firstName: "Dos", lastName: "Pasos", universityId: "A00012121", phone: "3007778888" })
+    .expect(201);
+});
+
+describe("Two-factor authentication", () => {
+  it("returns an otpauth URI and QR code, and only enables with a valid code", async () => {
+    const { body: session } = await login().expect(200);
+    const auth = { Authorization: `Bearer ${session.token}` };
+    expect(session.user.twoFactorEnabled).toBe(false);
+
+    await request(app).post("/auth/2fa/enable").set(auth).send({ code: "123456" }).expect(400);
+
+    const setup = await request(app).post("/auth/2fa/setup").set(auth).expect(200);
+    expect(setup.body.otpauthUri).toMatch(/^otpauth:\/\/totp\/Wheels%20Sabana%3Adospasos%40unisabana\.edu\.co\?/);
+    expect(setup.body.qrCode).toMatch(/^data:image\/png;base64,/);
+
+    const wrong = await request(app).post("/auth/2fa/enable").set(auth).send({ code: "000000" });
+    expect(wrong.status).toBe(400);
+    expect(wrong.body.error).toBe("Código de verificación inválido");
+
+    const enabled = await request(app)
+      .post("/auth/2fa/enable")
+      .set(auth)
+      .send({ code: totpCode(setup.body.secret, totpStep()) })
+      .expect(200);
+    expect(enabled.body.recoveryCodes).toHaveLength(10);
+
+    const status = await request(app).get("/auth/2fa").set(auth).expect(200);
+    expect(status.body).toEqual({ enabled: true, recoveryCodesLeft: 10 });
+    await request(app).post("/auth/2fa/setup").set(auth).expect(400);
+
+    const stored = await User.findOne({ email: credentials.email }).lean();
+    expect(stored.twoFactor.recoveryCodeHashes).not.toContain(enabled.body.recoveryCodes[0]);
+    expect(stored.twoFactor.secret).toBe(setup.body.secret);
+
+    const raw = await User.collection.findOne({ email: credentials.email });
+    expect(isEncrypted(raw.twoFactor.secret)).toBe(true);
+    expect(raw.twoFactor.pendingSecret).toBeNull();
+  });
+
+  it("confirms only the latest setup when enrolment is restarted", async () => {
+    const { body: session } = await login().expect(200);
+    const auth = { Authorization: `Bearer ${session.token}` };
+    const first = await request(app).post("/auth/2fa/setup").set(auth).expect(200);
+    const raw = await User.collection.findOne({ email: credentials.email });
+    expect(isEncrypted(raw.twoFactor.pendingSecret)).toBe(true);
+
+    const second = await request(app).post("/auth/2fa/setup").set(auth).expect(200);
+    await request(app)
+      .post("/auth/2fa/enable")
+      .set(auth)
+      .send({ code: totpCode(first.body.secret, totpStep()) })
+      .expect(400);
+    await request(app)
+      .post("/auth/2fa/enable")
+      .set(auth)
+      .send({ code: totpCode(second.body.secret, totpStep()) })
+      .expect(200);
+  });
+
+  it("asks for a second factor at login and opens the session once the code checks out", async () => {
+    const { secret } = await enableTwoFactor();
+
+    const first = await login().expect(200);
+    expect(first.body.code).toBe("mfa_required");
+    expect(first.body.token).toBeUndefined();
+    expect(first.body.mfaToken).toEqual(expect.any(String));
+
+    // The challenge cannot be used as an access token.
+    await request(app).get("/auth/me").set("Authorization", `Bearer ${first.body.mfaToken}`).expect(401);
+
+    const bad = await verify(first.body.mfaToken, "000000");
+    expect(bad.status).toBe(401);
+    expect(bad.body.error).toBe("Código de verificación inválido");
+
+    const code = totpCode(secret, totpStep() + 1);
+    const ok = await verify(first.body.mfaToken, code).expect(200);
+    expect(jwt.decode(ok.body.token).sid).toBeDefined();
+    expect(ok.body.refreshToken).toEqual(expect.any(String));
+    expect(ok.body.user.twoFactorEnabled).toBe(true);
+
+    // A code is only good once.
+    const second = await login().expect(200);
+    await verify(second.body.mfaToken, code).expect(401);
+    await verify("manipulado", code).expect(401);
+  });
+
+  it("accepts each recovery code once and lets the user replace them", async () => {
+    const { recoveryCodes, auth } = await enableTwoFactor();
+
+    const challenge = await login().expect(200);
+    await verify(challenge.body.mfaToken, recoveryCodes[0].toUpperCase()).expect(200);
+    await verify(challenge.body.mfaToken, recoveryCodes[0]).expect(401);
+
+    const status = await request(app).get("/auth/2fa").set(auth).expect(200);
+    expect(status.body.recoveryCodesLeft).toBe(9);
+
+    const renewed = await request(app)
+      .post("/auth/2fa/recovery-codes")
+      .set(auth)
+      .send({ code: recoveryCodes[1] })
+      .expect(200);
+    expect(renewed.body.recoveryCodes).toHaveLength(10);
+    await verify(challenge.body.mfaToken, recoveryCodes[2]).expect(401);
+    await verify(challenge.body.mfaToken, renewed.body.recoveryCodes[0]).expect(200);
+  });
+
+  it("counts wrong codes as failed logins", async () => {
+    await enableTwoFactor();
+    const { body } = await login().expect(200);
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      await verify(body.mfaToken, "000000").expect(401);
+    }
+    const locked = await verify(body.mfaToken, "000000");
+    expect(locked.status).toBe(429);
+    await login().expect(429);
+  });
+
+  it("disables two-factor authentication with the password and a code", async () => {
+    const { recoveryCodes, auth } = await enableTwoFactor();
+
+    await request(app)
+      .post("/auth/2fa/disable")
+      .set(auth)
+      .send({ password: "ClaveEquivocada1", code: recoveryCodes[0] })
+      .expect(400);
+    await request(app)
+      .post("/auth/2fa/disable")
+      .set(auth)
+      .send({ password: credentials.password, code: recoveryCodes[0] })
+      .expect(200);
+
+    const { body } = await login().expect(200);
+    expect(body.token).toEqual(expect.any(String));
+    expect(body.user.twoFactorEnabled).toBe(false);
+  });
+});
@@ -0,0 +1,160 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import User from "../models/User.js";
+import Trip from "../models/Trip.js";
+import Reservation from "../models/Reservation.js";
+import UserBlock from "../models/UserBlock.js";
+
+let app;
+let mongoServer;
+
+jest.setTimeout(30000);
+
+const HOUR = 60 * 60 * 1000;
+
+async function registerAndLogin(prefix) {
+  const email = `${prefix}-${Date.now()}@unisabana.edu.co`;
+  const password = "ClaveSegura123";
+  await request(app)
+    .post("/auth/register")
+    .send({
+      email,
+      password,
+      firstName: prefix,
+      lastName: "Tester",
+      universityId: `A${Math.floor(Math.random() * 100000)}`,
+      phone: "3000000000"
+    })
+    .expect(201);
+  await User.updateOne({ email }, { emailVerified: true });
+  const loginRes = await request(app).post("/auth/login").send({ email, password }).expect(200);
+  return { token: loginRes.body.token, userId: loginRes.body.user?.id };
+}
+
+function upcomingTrip(driverId) {
+  return Trip.create({
+    driver: driverId,
+    vehicle: new mongoose.Types.ObjectId(),
+    origin: "Campus Puente del Común",
+    destination: "Portal Norte",
+    departureAt: new Date(Date.now() + 5 * HOUR),
+    seatsTotal: 3,
+    seatsAvailable: 3,
+    pricePerSeat: 6000
+  });
+}
+
+function reserve(token, tripId) {
+  return request(app)
+    .post(`/trips/${tripId}/reservations`)
+    .set("Authorization", `Bearer ${token}`)
+    .send({ seats: 1, pickupPoints: [{ name: "Portería", lat: 4.86, lng: -74.03 }] });
+}
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  process.env.MONGO_URI = mongoServer.getUri();
+
+  const appModule = await import("../app.js");
+  app = appModule.default;
+  await mongoose.connection.asPromise();
+  await UserBlock.syncIndexes();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([User.deleteMany({}), Trip.deleteMany({}), Reservation.deleteMany({}), UserBlock.deleteMany({})]);
+});
+
+describe("User blocking", () => {
+  it("blocks, lists and unblocks users idempotently", async () => {
+    const passenger = await registerAndLogin("block-passenger");
+    const driver = await registerAndLogin("block-driver");
+    const auth = { Authorization: `Bearer ${passenger.token}` };
+
+    await request(app).post(`/users/${passenger.userId}/block`).set(auth).expect(400);
+    await request(app).post(`/users/${new mongoose.Types.ObjectId()}/block`).set(auth).expect(404);
+    await request(app).post(`/users/${driver.userId}/block`).set(auth).expect(201);
+    await request(app).post(`/users/${driver.userId}/block`).set(auth).expect(200);
+
+    const list = await request(app).get("/users/me/blocks").set(auth).expect(200);
+    expect(list.body.blocks).toHaveLength(1);
+    expect(list.body.blocks[0].user.id).toBe(driver.userId);
+    expect(list.body.blocks[0].user.email).toBeUndefined();
+
+    const driverList = await request(app)
+      .get("/users/me/blocks")
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+    expect(driverList.body.blocks).toEqual([]);
+
+    await request(app).delete(`/users/${driver.userId}/block`).set(auth).expect(200);
+    await request(app).delete(`/users/${driver.userId}/block`).set(auth).expect(200);
+    expect(await UserBlock.countDocuments()).toBe(0);
+  });
+
+  it("hides blocked drivers' trips from the listing in both directions", async () => {
+    const passenger = await registerAndLogin("list-passenger");
+    const blockedDriver = await registerAndLogin("list-blocked");
+    const otherDriver = await registerAndLogin("list-other");
+    const hiddenTrip = await upcomingTrip(blockedDriver.userId);
+    const visibleTrip = await upcomingTrip(otherDriver.userId);
+
+    await request(app)
+      .post(`/users/${blockedDriver.userId}/block`)
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .expect(201);
+
+    const forPassenger = await request(app).get("/trips").set("Authorization", `Bearer ${passenger.token}`).expect(200);
+    expect(forPassenger.body.trips.map((trip) => trip._id)).toEqual([visibleTrip._id.toString()]);
+    expect(forPassenger.body.total).toBe(1);
+
+    const byDriver = await request(app)
+      .get("/trips")
+      .query({ driver: blockedDriver.userId })
+      .set("Authorization", `Bearer ${passenger.token}`)
+      .expect(200);
+    expect(byDriver.body.trips).toEqual([]);
+
+    const anonymous = await request(app).get("/trips").expect(200);
+    expect(anonymous.body.trips.map((trip) => trip._id).sort()).toEqual(
+      [hiddenTrip._id.toString(), visibleTrip._id.toString()].sort()
+    );
+
+    // The blocked driver does not see the blocker's trips either.
+    const passengerTrip = await upcomingTrip(passenger.userId);
+    const forBlocked = await request(app)
+      .get("/trips")
+      .set("Authorization", `Bearer ${blockedDriver.token}`)
+      .expect(200);
+    expect(forBlocked.body.trips.map((trip) => trip._id)).not.toContain(passengerTrip._id.toString());
+  });
+
+  it("refuses reservations between blocked users without touching the seats", async () => {
+    const passenger = await registerAndLogin("reserve-passenger");
+    const driver = await registerAndLogin("reserve-driver");
+    const trip = await upcomingTrip(driver.userId);
+
+    await request(app)
+      .post(`/users/${passenger.userId}/block`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(201);
+
+    const refused = await reserve(passenger.token, trip._id);
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe("No puedes reservar en este viaje");
+    expect((await Trip.findById(trip._id).lean()).seatsAvailable).toBe(3);
+
+    await request(app)
+      .delete(`/users/${passenger.userId}/block`)
+      .set("Authorization", `Bearer ${driver.token}`)
+      .expect(200);
+    expect((await reserve(passenger.token, trip._id)).status).toBe(201);
+  });
+});
@@ -25,6 +25,7 @@ async function registerAndLogin({ emailSuffix = "driver", role = "passenger" } =
   };
 
   await request(app).post("/auth/register").send(registerPayload).expect(201);
+  await User.updateOne({ email }, { emailVerified: true });
 
   const loginRes = await request(app)
     .post("/auth/login")
@@ -183,6 +184,16 @@ describe("Vehicles management", () => {
       pricePerSeat: 5000
     };
 
+    const unverifiedRes = await request(app)
+      .post("/trips")
+      .set("Authorization", `Bearer ${token}`)
+      .send(tripPayload);
+
+    expect(unverifiedRes.status).toBe(403);
+    expect(unverifiedRes.body.code).toBe("vehicle_not_verified");
+
+    await Vehicle.findByIdAndUpdate(vehicleId, { status: "verified" });
+
     const tripRes = await request(app)
       .post("/trips")
       .set("Authorization", `Bearer ${token}`)
@@ -360,24 +371,47 @@ describe("Vehicles management", () => {
     expect(userAfter.roles).toContain("driver");
   });
 
-  it("keeps a vehicle verified after editing when documents siguen vigentes", async () => {
-    const { token } = await registerAndLogin({ emailSuffix: "editreview" });
+  it("sends a verified vehicle back to review after editing reviewed fields", async () => {
+    const { token, userId } = await registerAndLogin({ emailSuffix: "editreview" });
     const vehicle = await createVehicleViaApi(token, { plate: "EDI101" });
 
     await Vehicle.findByIdAndUpdate(vehicle._id, {
       status: "verified",
       statusUpdatedAt: new Date(),
-      requestedReviewAt: new Date()
+      requestedReviewAt: new Date(),
+      reviewedAt: new Date(),
+      reviewedBy: userId,
+      verificationNotes: "Documentos en regla"
     });
 
     const updateRes = await request(app)
       .put(`/vehicles/${vehicle._id}`)
       .set("Authorization", `Bearer ${token}`)
-      .send({ brand: "Mazda" })
+      .send({ plate: "EDI102", brand: "Mazda" })
+      .expect(200);
+
+    expect(updateRes.body.status).toBe("pending");
+    expect(updateRes.body.meta.status).toBe("pending");
+
+    const stored = await Vehicle.findById(vehicle._id).lean();
+    expect(stored.status).toBe("pending");
+    expect(stored.reviewedAt).toBeNull();
+    expect(stored.reviewedBy).toBeNull();
+    expect(stored.verificationNotes).toBeUndefined();
+  });
+
+  it("keeps a verified vehicle verified when only pickup points change", async () => {
+    const { token } = await registerAndLogin({ emailSuffix: "editpickup" });
+    const vehicle = await createVehicleViaApi(token, { plate: "EDI103" });
+    await Vehicle.findByIdAndUpdate(vehicle._id, { status: "verified", statusUpdatedAt: new Date() });
+
+    const updateRes = await request(app)
+      .put(`/vehicles/${vehicle._id}`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({ pickupPoints: [] })
       .expect(200);
 
     expect(updateRes.body.status).toBe("verified");
-    expect(updateRes.body.meta.status).toBe("verified");
   });
 
   it("sets vehicle status to needs_update when documents quedan vencidos", async () => {
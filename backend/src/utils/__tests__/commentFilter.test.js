@@ -0,0 +1,24 @@
+import { screenComment } from "../commentFilter.js";
+
+describe("rating comment pre-filter", () => {
+  it("lets regular comments through", () => {
+    expect(screenComment("Muy puntual y amable, el carro estaba limpio")).toEqual([]);
+    expect(screenComment("Salimos a las 7:30 y llegamos en 45 minutos")).toEqual([]);
+    expect(screenComment("")).toEqual([]);
+    expect(screenComment(undefined)).toEqual([]);
+  });
+
+  it("flags offensive terms regardless of accents, case and plurals", () => {
+    expect(screenComment("Es un IMBÉCIL al volante")).toEqual(["offensive"]);
+    expect(screenComment("qué gonorreas de huecos")).toEqual(["offensive"]);
+    // Substrings of longer words are not matched.
+    expect(screenComment("Muy buena música en el camino")).toEqual([]);
+  });
+
+  it("flags phone numbers, emails and social handles", () => {
+    expect(screenComment("Escríbeme al 310 555 1234")).toEqual(["phone"]);
+    expect(screenComment("llama al +57 601-555-1234")).toEqual(["phone"]);
+    expect(screenComment("mi correo es ana.perez@gmail.com")).toEqual(["email"]);
+    expect(screenComment("sígueme en @ana_perez")).toEqual(["handle"]);
+  });
+});
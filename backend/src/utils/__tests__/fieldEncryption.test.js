@@ -0,0 +1,98 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import {
+  blindIndex,
+  decryptField,
+  encryptField,
+  isEncrypted,
+  needsReencryption,
+  transformFields
+} from "../fieldEncryption.js";
+import User from "../../models/User.js";
+
+const oldKey = `2025:${crypto.randomBytes(32).toString("base64")}`;
+const newKey = `2026:${crypto.randomBytes(32).toString("base64")}`;
+
+describe("field encryption", () => {
+  const originalKeys = process.env.PII_ENCRYPTION_KEYS;
+
+  afterEach(() => {
+    if (originalKeys === undefined) delete process.env.PII_ENCRYPTION_KEYS;
+    else process.env.PII_ENCRYPTION_KEYS = originalKeys;
+  });
+
+  it("round-trips values with a fresh IV every time and leaves empty or plaintext values alone", () => {
+    const first = encryptField("3001234567");
+    const second = encryptField("3001234567");
+    expect(isEncrypted(first)).toBe(true);
+    expect(first).not.toBe(second);
+    expect(first).not.toContain("3001234567");
+    expect(decryptField(first)).toBe("3001234567");
+    expect(encryptField(first)).toBe(first);
+    expect(encryptField("")).toBe("");
+    expect(encryptField(null)).toBeNull();
+    expect(decryptField("A00012345")).toBe("A00012345");
+  });
+
+  it("rejects tampered ciphertext", () => {
+    const value = encryptField("A00012345");
+    const tampered = `${value.slice(0, -4)}AAAA`;
+    expect(() => decryptField(tampered)).toThrow();
+  });
+
+  it("encrypts with the first key and still decrypts values written with retired keys", () => {
+    process.env.PII_ENCRYPTION_KEYS = oldKey;
+    const legacy = encryptField("LIC-998877");
+
+    process.env.PII_ENCRYPTION_KEYS = `${newKey},${oldKey}`;
+    expect(decryptField(legacy)).toBe("LIC-998877");
+    expect(needsReencryption(legacy)).toBe(true);
+    expect(needsReencryption("LIC-998877")).toBe(true);
+    const current = encryptField("LIC-998877");
+    expect(current.startsWith("enc:v1:2026:")).toBe(true);
+    expect(needsReencryption(current)).toBe(false);
+
+    process.env.PII_ENCRYPTION_KEYS = newKey;
+    expect(() => decryptField(legacy)).toThrow(/2025/);
+  });
+
+  it("rejects malformed key lists", () => {
+    process.env.PII_ENCRYPTION_KEYS = "sin-separador";
+    expect(() => encryptField("x")).toThrow(/PII_ENCRYPTION_KEYS/);
+    process.env.PII_ENCRYPTION_KEYS = `corta:${crypto.randomBytes(16).toString("base64")}`;
+    expect(() => encryptField("x")).toThrow(/PII_ENCRYPTION_KEYS/);
+  });
+
+  it("builds a deterministic blind index over the normalised value", () => {
+    expect(blindIndex(" a00012345 ")).toBe(blindIndex("A00012345"));
+    expect(blindIndex("A00012345")).not.toBe(blindIndex("A00012346"));
+    expect(blindIndex("A00012345")).toMatch(/^[0-9a-f]{64}$/);
+    expect(blindIndex("  ")).toBeNull();
+  });
+
+  it("transforms nested paths and dotted update keys", () => {
+    const doc = { phone: "1", emergencyContact: { name: "Ana", phone: "2" }, $set: { "emergencyContact.phone": "3" } };
+    transformFields(doc, ["phone", "emergencyContact.name", "emergencyContact.phone"], (value) => `#${value}`);
+    transformFields(doc.$set, ["emergencyContact.phone"], (value) => `#${value}`);
+    expect(doc).toEqual({
+      phone: "#1",
+      emergencyContact: { name: "#Ana", phone: "#2" },
+      $set: { "emergencyContact.phone": "#3" }
+    });
+    const empty = { emergencyContact: null };
+    expect(transformFields(empty, ["emergencyContact.phone"], String)).toEqual({ emergencyContact: null });
+  });
+
+  it("decrypts user documents loaded from the database without marking them modified", () => {
+    const user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      universityId: encryptField("A00012345"),
+      phone: encryptField("3001234567"),
+      emergencyContact: { name: encryptField("Ana"), phone: encryptField("3109876543") }
+    });
+    expect(user.universityId).toBe("A00012345");
+    expect(user.phone).toBe("3001234567");
+    expect(user.emergencyContact.toObject()).toEqual({ name: "Ana", phone: "3109876543" });
+    expect(user.isModified()).toBe(false);
+  });
+});
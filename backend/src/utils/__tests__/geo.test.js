@@ -0,0 +1,61 @@
+import {
+  circlePolygon,
+  distanceMeters,
+  nearestPoint,
+  parseLatLng,
+  toGeoLineString,
+  toGeoMultiPoint
+} from "../geo.js";
+
+describe("geo helpers", () => {
+  it("parses lat,lng query values and rejects malformed ones", () => {
+    expect(parseLatLng("4.861,-74.032")).toEqual({ lat: 4.861, lng: -74.032 });
+    expect(parseLatLng(" 4.861 , -74.032 ")).toEqual({ lat: 4.861, lng: -74.032 });
+    expect(parseLatLng("4.861")).toBeNull();
+    expect(parseLatLng("4.861,")).toBeNull();
+    expect(parseLatLng("95,-74")).toBeNull();
+    expect(parseLatLng(undefined)).toBeNull();
+  });
+
+  it("computes haversine distances in meters", () => {
+    // Portal Norte to the Chía campus is roughly 12 km.
+    const distance = distanceMeters({ lat: 4.7546, lng: -74.0462 }, { lat: 4.861, lng: -74.032 });
+    expect(distance).toBeGreaterThan(11500);
+    expect(distance).toBeLessThan(12500);
+  });
+
+  it("builds GeoJSON in [lng, lat] order, skipping invalid and duplicate points", () => {
+    expect(toGeoMultiPoint([{ lat: 4.8, lng: -74 }, { lat: null, lng: -74 }])).toEqual({
+      type: "MultiPoint",
+      coordinates: [[-74, 4.8]]
+    });
+    expect(toGeoMultiPoint([])).toBeUndefined();
+    expect(
+      toGeoLineString([
+        { lat: 4.8, lng: -74 },
+        { lat: 4.8, lng: -74 },
+        { lat: 4.9, lng: -74.1 }
+      ])
+    ).toEqual({ type: "LineString", coordinates: [[-74, 4.8], [-74.1, 4.9]] });
+    expect(toGeoLineString([{ lat: 4.8, lng: -74 }, { lat: 4.8, lng: -74 }])).toBeUndefined();
+  });
+
+  it("approximates a closed circle whose vertices sit on the radius", () => {
+    const center = { lat: 4.861, lng: -74.032 };
+    const [ring] = circlePolygon(center, 800).coordinates;
+    expect(ring[0]).toEqual(ring[ring.length - 1]);
+    for (const [lng, lat] of ring) {
+      expect(Math.abs(distanceMeters(center, { lat, lng }) - 800)).toBeLessThan(1);
+    }
+  });
+
+  it("finds the closest point of a list", () => {
+    const nearest = nearestPoint({ lat: 4.861, lng: -74.032 }, [
+      { name: "Portal Norte", lat: 4.7546, lng: -74.0462 },
+      { name: "Portería", lat: 4.8612, lng: -74.0322 }
+    ]);
+    expect(nearest.point.name).toBe("Portería");
+    expect(nearest.distanceMeters).toBeLessThan(50);
+    expect(nearestPoint({ lat: 4.861, lng: -74.032 }, [])).toBeNull();
+  });
+});
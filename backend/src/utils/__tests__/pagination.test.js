@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { afterCursorCriteria, decodeCursor, encodeCursor, parseLimit } from "../pagination.js";
+
+describe("pagination helpers", () => {
+  it("parses page sizes within bounds", () => {
+    expect(parseLimit(undefined)).toBe(20);
+    expect(parseLimit("5")).toBe(5);
+    expect(parseLimit("0")).toBeNull();
+    expect(parseLimit("51")).toBeNull();
+    expect(parseLimit("2.5")).toBeNull();
+    expect(parseLimit("abc", { fallback: 10, max: 100 })).toBeNull();
+  });
+
+  it("round-trips cursors, keeping dates as dates", () => {
+    const id = new mongoose.Types.ObjectId();
+    const departureAt = new Date("2026-03-02T12:00:00.000Z");
+    const decoded = decodeCursor(encodeCursor({ sort: "departure", order: "asc", value: departureAt, id }));
+    expect(decoded.sort).toBe("departure");
+    expect(decoded.order).toBe("asc");
+    expect(decoded.value).toEqual(departureAt);
+    expect(decoded.id.equals(id)).toBe(true);
+
+    expect(decodeCursor(encodeCursor({ sort: "price", order: "desc", value: 7000, id })).value).toBe(7000);
+  });
+
+  it("rejects malformed cursors", () => {
+    expect(decodeCursor("not-a-cursor")).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify({ id: "nope" })).toString("base64url"))).toBeNull();
+    expect(decodeCursor("")).toBeNull();
+  });
+
+  it("builds keyset criteria for both directions", () => {
+    const id = new mongoose.Types.ObjectId();
+    expect(afterCursorCriteria("pricePerSeat", 1, { value: 5000, id })).toEqual({
+      $or: [{ pricePerSeat: { $gt: 5000 } }, { pricePerSeat: 5000, _id: { $gt: id } }]
+    });
+    expect(afterCursorCriteria("pricePerSeat", -1, { value: 5000, id }).$or[0]).toEqual({
+      pricePerSeat: { $lt: 5000 }
+    });
+  });
+});
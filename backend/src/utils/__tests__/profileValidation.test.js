@@ -0,0 +1,77 @@
+import { isPhoneValid, validateProfileUpdate } from "../profileValidation.js";
+
+describe("profileValidation helpers", () => {
+  describe("isPhoneValid", () => {
+    it("accepts local and international numbers with spaces or dashes", () => {
+      expect(isPhoneValid("3001234567")).toBe(true);
+      expect(isPhoneValid("+57 300 123 4567")).toBe(true);
+      expect(isPhoneValid("601-555-1234")).toBe(true);
+    });
+
+    it("rejects short, long or non numeric values", () => {
+      expect(isPhoneValid("12345")).toBe(false);
+      expect(isPhoneValid("1234567890123456")).toBe(false);
+      expect(isPhoneValid("llámame")).toBe(false);
+      expect(isPhoneValid("300--1234567")).toBe(false);
+      expect(isPhoneValid(3001234567)).toBe(false);
+    });
+  });
+
+  describe("validateProfileUpdate", () => {
+    it("trims editable fields and ignores the ones that cannot change", () => {
+      const result = validateProfileUpdate({
+        firstName: "  Laura ",
+        phone: " 3001234567 ",
+        preferredPaymentMethod: "",
+        emergencyContact: { name: " Ana ", phone: "3109876543" },
+        email: "otra@unisabana.edu.co",
+        roles: ["admin"]
+      });
+      expect(result).toEqual({
+        ok: true,
+        updates: {
+          firstName: "Laura",
+          phone: "3001234567",
+          preferredPaymentMethod: "cash",
+          emergencyContact: { name: "Ana", phone: "3109876543" }
+        }
+      });
+    });
+
+    it("clears the emergency contact with null", () => {
+      expect(validateProfileUpdate({ emergencyContact: null }).updates).toEqual({ emergencyContact: null });
+    });
+
+    it("returns the first validation error", () => {
+      expect(validateProfileUpdate({ firstName: "   " }).message).toBe("Nombre inválido");
+      expect(validateProfileUpdate({ lastName: "x".repeat(61) }).message).toBe("Apellido inválido");
+      expect(validateProfileUpdate({ phone: "abc" }).message).toBe("Teléfono inválido");
+      expect(validateProfileUpdate({ phone: null }).message).toBe("Teléfono inválido");
+      expect(validateProfileUpdate({ preferredPaymentMethod: "card" }).message).toBe(
+        "Método de pago preferido inválido"
+      );
+      expect(validateProfileUpdate({ emergencyContact: {} }).message).toBe("Contacto de emergencia inválido");
+      expect(validateProfileUpdate({ emergencyContact: ["Ana"] }).message).toBe("Contacto de emergencia inválido");
+      expect(validateProfileUpdate({ emergencyContact: { phone: "12" } }).message).toBe(
+        "Teléfono del contacto de emergencia inválido"
+      );
+    });
+
+    it("rejects free-text photo URLs and empty updates", () => {
+      expect(validateProfileUpdate({ photoUrl: "https://example.com/a.png" }).ok).toBe(false);
+      expect(validateProfileUpdate({}).message).toBe("No hay cambios para actualizar");
+      expect(validateProfileUpdate(undefined).message).toBe("No hay cambios para actualizar");
+    });
+
+    it("drops photoUrl when asked to ignore it", () => {
+      const legacyPayload = { photoUrl: "https://example.com/a.png", phone: "3001234567" };
+      expect(validateProfileUpdate(legacyPayload, { ignorePhotoUrl: true })).toEqual({
+        ok: true,
+        updates: { phone: "3001234567" }
+      });
+      expect(validateProfileUpdate({ photoUrl: "https://example.com/a.png" }, { ignorePhotoUrl: true }).message).toBe(
+        "No hay cambios para actualizar"
+      );
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { jest } from "@jest/globals";
+import { byBodyEmail, byIp, rateLimit } from "../../middlewares/rateLimit.js";
+import { clearRateLimits, createMemoryRateLimitStore, setRateLimitStore } from "../rateLimitStore.js";
+
+function fakeRes() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function hit(limiter, { ip = "10.0.0.1", email } = {}) {
+  const res = fakeRes();
+  const next = jest.fn();
+  await limiter({ ip, body: email ? { email } : {} }, res, next);
+  return { res, passed: next.mock.calls.length === 1 };
+}
+
+describe("rate limit store", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("counts within a window and restarts once it expires", async () => {
+    jest.useFakeTimers({ now: new Date("2026-03-02T12:00:00.000Z") });
+    const store = createMemoryRateLimitStore();
+    expect(await store.increment("k", 1000)).toEqual({ count: 1, resetMs: 1000 });
+    jest.setSystemTime(new Date("2026-03-02T12:00:00.400Z"));
+    expect(await store.increment("k", 1000)).toEqual({ count: 2, resetMs: 600 });
+
+    jest.setSystemTime(new Date("2026-03-02T12:00:01.000Z"));
+    expect(await store.get("k")).toBeNull();
+    expect((await store.increment("k", 1000)).count).toBe(1);
+  });
+});
+
+describe("rateLimit middleware", () => {
+  afterEach(async () => {
+    setRateLimitStore(createMemoryRateLimitStore());
+    await clearRateLimits();
+  });
+
+  it("answers 429 with Retry-After once a key goes over the limit", async () => {
+    const limiter = rateLimit({ name: "test", max: 2, windowSeconds: 60, keys: { ip: byIp, email: byBodyEmail } });
+
+    expect((await hit(limiter, { email: "A@unisabana.edu.co" })).passed).toBe(true);
+    expect((await hit(limiter, { email: "a@unisabana.edu.co" })).passed).toBe(true);
+
+    const blocked = await hit(limiter, { ip: "10.0.0.2", email: "a@unisabana.edu.co " });
+    expect(blocked.passed).toBe(false);
+    expect(blocked.res.statusCode).toBe(429);
+    expect(blocked.res.headers["Retry-After"]).toBe("60");
+    expect(blocked.res.body.retryAfter).toBe(60);
+
+    // Same IP with another email is still over its own per-IP limit.
+    expect((await hit(limiter, { email: "b@unisabana.edu.co" })).passed).toBe(false);
+    expect((await hit(limiter, { ip: "10.0.0.3", email: "b@unisabana.edu.co" })).passed).toBe(true);
+  });
+
+  it("reads limits from the environment", async () => {
+    process.env.TEST_LIMIT_MAX = "1";
+    try {
+      const limiter = rateLimit({ name: "env", envPrefix: "TEST_LIMIT", max: 5, windowSeconds: 60 });
+      expect((await hit(limiter)).passed).toBe(true);
+      expect((await hit(limiter)).passed).toBe(false);
+    } finally {
+      delete process.env.TEST_LIMIT_MAX;
+    }
+  });
+
+  it("lets requests through when the store fails", async () => {
+    const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+    setRateLimitStore({ increment: () => Promise.reject(new Error("down")), clear: async () => {} });
+    const limiter = rateLimit({ name: "down", max: 1, windowSeconds: 60 });
+
+    expect((await hit(limiter)).passed).toBe(true);
+    expect((await hit(limiter)).passed).toBe(true);
+    errorSpy.mockRestore();
+  });
+});
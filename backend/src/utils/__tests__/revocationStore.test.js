@@ -0,0 +1,123 @@
+import { jest } from "@jest/globals";
+import { createMemoryRevocationStore, createRedisRevocationStore } from "../revocationStore.js";
+import {
+  clearRevokedTokens,
+  isTokenRevoked,
+  revokeSessionTokens,
+  revokeToken,
+  setRevocationStore
+} from "../tokenBlacklist.js";
+
+// In-memory stand-in for the node-redis client: only the commands the store uses, with PX expiry.
+function fakeRedisClient() {
+  const keys = new Map();
+  const alive = (key) => keys.has(key) && keys.get(key) > Date.now();
+  return {
+    isOpen: false,
+    keys,
+    async connect() {
+      this.isOpen = true;
+    },
+    async set(key, _value, { PX }) {
+      keys.set(key, Date.now() + PX);
+      return "OK";
+    },
+    async exists(list) {
+      return list.filter(alive).length;
+    },
+    async *scanIterator({ MATCH }) {
+      const prefix = MATCH.replace(/\*$/, "");
+      for (const key of keys.keys()) if (key.startsWith(prefix)) yield key;
+    },
+    async del(list) {
+      list.forEach((key) => keys.delete(key));
+    }
+  };
+}
+
+const inFifteenMinutes = () => Math.floor(Date.now() / 1000) + 15 * 60;
+
+describe("revocation stores", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("forgets memory entries once their TTL passes", async () => {
+    jest.useFakeTimers({ now: new Date("2026-03-02T12:00:00.000Z") });
+    const store = createMemoryRevocationStore();
+    await store.revoke("jti:a", 1000);
+    expect(await store.anyRevoked(["jti:b", "jti:a"])).toBe(true);
+
+    jest.setSystemTime(new Date("2026-03-02T12:00:01.000Z"));
+    expect(await store.anyRevoked(["jti:a"])).toBe(false);
+  });
+
+  it("stores prefixed keys with a millisecond TTL in Redis", async () => {
+    const client = fakeRedisClient();
+    const store = createRedisRevocationStore({ client });
+
+    await store.revoke("jti:a", 1500.4);
+    expect(client.isOpen).toBe(true);
+    expect(client.keys.get("revoked:jti:a") - Date.now()).toBeGreaterThan(1000);
+    expect(await store.anyRevoked(["jti:a"])).toBe(true);
+    expect(await store.anyRevoked(["jti:b"])).toBe(false);
+
+    await store.clear();
+    expect(client.keys.size).toBe(0);
+  });
+});
+
+describe("token blacklist", () => {
+  const originalFailMode = process.env.TOKEN_REVOCATION_FAIL_MODE;
+
+  afterEach(async () => {
+    if (originalFailMode === undefined) delete process.env.TOKEN_REVOCATION_FAIL_MODE;
+    else process.env.TOKEN_REVOCATION_FAIL_MODE = originalFailMode;
+    setRevocationStore(createMemoryRevocationStore());
+    await clearRevokedTokens();
+  });
+
+  it("revokes by jti for the remaining token lifetime", async () => {
+    const client = fakeRedisClient();
+    setRevocationStore(createRedisRevocationStore({ client }));
+    const claims = { jti: "abc", sid: "s1", exp: inFifteenMinutes() };
+
+    expect(await isTokenRevoked("token-1", claims)).toBe(false);
+    await revokeToken("token-1", claims);
+
+    const ttl = client.keys.get("revoked:jti:abc") - Date.now();
+    expect(ttl).toBeGreaterThan(14 * 60 * 1000);
+    expect(ttl).toBeLessThanOrEqual(15 * 60 * 1000);
+    expect(await isTokenRevoked("token-1", claims)).toBe(true);
+    expect(await isTokenRevoked("token-2", { ...claims, jti: "other" })).toBe(false);
+
+    // Tokens that already expired are not stored at all.
+    await revokeToken("old", { jti: "old", exp: Math.floor(Date.now() / 1000) - 1 });
+    expect(client.keys.has("revoked:jti:old")).toBe(false);
+  });
+
+  it("rejects every token of a closed session", async () => {
+    await revokeSessionTokens("s1", 60 * 1000);
+    expect(await isTokenRevoked("token-1", { jti: "a", sid: "s1", exp: inFifteenMinutes() })).toBe(true);
+    expect(await isTokenRevoked("token-2", { jti: "b", sid: "s2", exp: inFifteenMinutes() })).toBe(false);
+  });
+
+  it("fails closed by default and open when configured", async () => {
+    const errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+    setRevocationStore({
+      revoke: () => Promise.reject(new Error("down")),
+      anyRevoked: () => Promise.reject(new Error("down")),
+      clear: async () => {}
+    });
+    const claims = { jti: "abc", exp: inFifteenMinutes() };
+
+    delete process.env.TOKEN_REVOCATION_FAIL_MODE;
+    expect(await isTokenRevoked("token-1", claims)).toBe(true);
+
+    process.env.TOKEN_REVOCATION_FAIL_MODE = "open";
+    expect(await isTokenRevoked("token-1", claims)).toBe(false);
+
+    await expect(revokeToken("token-1", claims)).resolves.toBeUndefined();
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,49 @@
+import {
+  base32Decode,
+  base32Encode,
+  generateTotpSecret,
+  otpauthUri,
+  totpCode,
+  totpStep,
+  verifyTotp
+} from "../totp.js";
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("totp helpers", () => {
+  it("round-trips base32 and ignores spaces, padding and case", () => {
+    const bytes = Buffer.from("12345678901234567890");
+    expect(base32Encode(bytes)).toBe(RFC_SECRET);
+    expect(base32Decode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq==").equals(bytes)).toBe(true);
+    expect(() => base32Decode("GEZ1")).toThrow();
+    expect(base32Decode(generateTotpSecret())).toHaveLength(20);
+  });
+
+  it("matches the RFC 6238 SHA-1 test vectors", () => {
+    expect(totpCode(RFC_SECRET, totpStep(59 * 1000), 8)).toBe("94287082");
+    expect(totpCode(RFC_SECRET, totpStep(1111111109 * 1000))).toBe("081804");
+    expect(totpCode(RFC_SECRET, totpStep(1234567890 * 1000))).toBe("005924");
+    expect(totpCode(RFC_SECRET, totpStep(2000000000 * 1000))).toBe("279037");
+  });
+
+  it("accepts codes one step either side and returns the matching step", () => {
+    const now = 1234567890 * 1000;
+    const step = totpStep(now);
+    expect(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step), { now })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+    expect(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 2), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "12345", { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { now })).toBeNull();
+  });
+
+  it("builds otpauth URIs authenticator apps understand", () => {
+    const uri = otpauthUri({ secret: RFC_SECRET, account: "ana@unisabana.edu.co", issuer: "Wheels Sabana" });
+    expect(uri.startsWith("otpauth://totp/Wheels%20Sabana%3Aana%40unisabana.edu.co?")).toBe(true);
+    const params = new URL(uri).searchParams;
+    expect(params.get("secret")).toBe(RFC_SECRET);
+    expect(params.get("issuer")).toBe("Wheels Sabana");
+    expect(params.get("digits")).toBe("6");
+  });
+});
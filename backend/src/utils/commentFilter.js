@@ -0,0 +1,65 @@
+// Automatic pre-filter for rating comments: flags offensive Spanish terms and contact data (PII)
+// so the comment is held for review instead of being published right away.
+
+// Compared against accent-free, lowercase words; plural forms are matched too.
+const OFFENSIVE_TERMS = [
+  "boba",
+  "bobo",
+  "careverga",
+  "carechimba",
+  "estupida",
+  "estupido",
+  "gonorrea",
+  "guevon",
+  "hijueputa",
+  "hp",
+  "huevon",
+  "idiota",
+  "imbecil",
+  "malparida",
+  "malparido",
+  "marica",
+  "mierda",
+  "pendeja",
+  "pendejo",
+  "perra",
+  "puta",
+  "puto",
+  "zorra"
+];
+const OFFENSIVE_SET = new Set(OFFENSIVE_TERMS);
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+// Seven or more digits, optionally separated by spaces, dots or dashes (landlines, mobiles, +57 prefixes, IDs).
+const PHONE_PATTERN = /(?:\+\s?)?\d(?:[\s.-]?\d){6,}/;
+const HANDLE_PATTERN = /(?:^|\s)@[a-z0-9_.]{3,}/i;
+
+export const COMMENT_FLAGS = ["offensive", "phone", "email", "handle"];
+
+function normalize(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function hasOffensiveTerm(text) {
+  return normalize(text)
+    .split(/[^a-z0-9]+/)
+    .some((word) => OFFENSIVE_SET.has(word) || (word.endsWith("s") && OFFENSIVE_SET.has(word.slice(0, -1))));
+}
+
+/**
+ * screenComment - flags raised by a rating comment.
+ * @param {string} [text]
+ * @returns {string[]} subset of COMMENT_FLAGS; empty when the comment can be published
+ */
+export function screenComment(text) {
+  if (typeof text !== "string" || !text.trim()) return [];
+  const flags = [];
+  if (hasOffensiveTerm(text)) flags.push("offensive");
+  if (PHONE_PATTERN.test(text)) flags.push("phone");
+  if (EMAIL_PATTERN.test(text)) flags.push("email");
+  else if (HANDLE_PATTERN.test(text)) flags.push("handle");
+  return flags;
+}
@@ -0,0 +1,174 @@
+// Field-level encryption for personal data at rest (AES-256-GCM). Values are stored as
+// `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>` so several keys can coexist while they are rotated:
+// PII_ENCRYPTION_KEYS lists `id:base64` keys, the first one encrypts and any of them decrypts.
+// Lookups on an encrypted field go through a keyed HMAC ("blind index") stored next to it.
+import crypto from "crypto";
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+// Development fallback so the API runs without configuration; never use it in production.
+const DEV_SECRET = "dev-pii-wheels";
+
+let cachedKeys = { raw: undefined, keys: [] };
+
+function deriveKey(purpose) {
+  return crypto.createHmac("sha256", DEV_SECRET).update(purpose).digest();
+}
+
+function parseKeys(raw) {
+  return raw
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), "base64");
+      if (separator < 1 || key.length !== 32) {
+        throw new Error("PII_ENCRYPTION_KEYS inválido: usa id:clave_base64 (32 bytes) separados por comas");
+      }
+      return { id, key };
+    });
+}
+
+/**
+ * encryptionKeys - configured keys, current (encrypting) key first.
+ * @returns {Array<{id: string, key: Buffer}>}
+ */
+export function encryptionKeys() {
+  const raw = process.env.PII_ENCRYPTION_KEYS || "";
+  if (cachedKeys.raw !== raw) {
+    const keys = raw ? parseKeys(raw) : [];
+    cachedKeys = { raw, keys: keys.length ? keys : [{ id: "dev", key: deriveKey("pii-encryption") }] };
+  }
+  return cachedKeys.keys;
+}
+
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+function keyIdOf(value) {
+  return value.slice(PREFIX.length).split(":")[0];
+}
+
+/**
+ * encryptField - encrypt a string with the current key. Empty values and values that are already
+ * encrypted are returned untouched.
+ */
+export function encryptField(value) {
+  if (typeof value !== "string" || value === "" || isEncrypted(value)) return value;
+  const [{ id, key }] = encryptionKeys();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${PREFIX}${id}:${iv.toString("base64")}:${tag.toString("base64")}:${ciphertext.toString("base64")}`;
+}
+
+/**
+ * decryptField - decrypt a value written by encryptField. Plaintext (rows not migrated yet) is returned as is.
+ * @throws {Error} when the key that encrypted the value is no longer configured or the value was tampered with
+ */
+export function decryptField(value) {
+  if (!isEncrypted(value)) return value;
+  const [id, iv, tag, ciphertext] = value.slice(PREFIX.length).split(":");
+  const entry = encryptionKeys().find((candidate) => candidate.id === id);
+  if (!entry) throw new Error(`Clave de cifrado "${id}" no configurada en PII_ENCRYPTION_KEYS`);
+  const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]).toString("utf8");
+}
+
+/**
+ * needsReencryption - plaintext or encrypted with a key other than the current one.
+ */
+export function needsReencryption(value) {
+  if (typeof value !== "string" || value === "") return false;
+  return !isEncrypted(value) || keyIdOf(value) !== encryptionKeys()[0].id;
+}
+
+/**
+ * blindIndex - deterministic HMAC of the normalised value (trimmed, upper case) keyed by PII_BLIND_INDEX_KEY.
+ * Changing that key means recomputing every index (npm run migrate:pii).
+ */
+export function blindIndex(value) {
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const key = process.env.PII_BLIND_INDEX_KEY || deriveKey("pii-blind-index");
+  return crypto.createHmac("sha256", key).update(value.trim().toUpperCase()).digest("hex");
+}
+
+/**
+ * transformFields - apply `transform` to every string found at the given (dotted) paths of a plain object,
+ * in place. Dotted keys such as `$set["emergencyContact.phone"]` are handled as well.
+ */
+export function transformFields(target, fields, transform) {
+  if (!target || typeof target !== "object") return target;
+  for (const field of fields) {
+    if (typeof target[field] === "string") {
+      target[field] = transform(target[field]);
+      continue;
+    }
+    const parts = field.split(".");
+    const parent = parts.slice(0, -1).reduce((node, part) => node?.[part], target);
+    const last = parts[parts.length - 1];
+    if (parent && typeof parent === "object" && typeof parent[last] === "string") {
+      parent[last] = transform(parent[last]);
+    }
+  }
+  return target;
+}
+
+/**
+ * encryptedFields - Mongoose plugin. The listed paths are encrypted on save and on update queries and
+ * decrypted when documents are loaded (lean results included), so application code only sees plaintext.
+ * Encrypted paths cannot be used in query filters; `blindIndexes` maps a path to the field holding its
+ * blind index for that purpose.
+ * @param {mongoose.Schema} schema
+ * @param {{fields: string[], blindIndexes?: Record<string, string>}} options
+ */
+export function encryptedFields(schema, { fields, blindIndexes = {} }) {
+  function decryptDocument(doc) {
+    for (const field of fields) {
+      const value = doc.get(field);
+      if (isEncrypted(value)) {
+        doc.set(field, decryptField(value));
+        doc.unmarkModified(field);
+      }
+    }
+  }
+
+  schema.pre("save", function encryptBeforeSave() {
+    for (const [field, indexField] of Object.entries(blindIndexes)) {
+      const value = this.get(field);
+      if (typeof value !== "string" || value === "") continue;
+      if (this.isModified(field) || !this.get(indexField)) this.set(indexField, blindIndex(decryptField(value)));
+    }
+    for (const field of fields) {
+      const value = this.get(field);
+      if (typeof value === "string" && value !== "" && !isEncrypted(value)) this.set(field, encryptField(value));
+    }
+  });
+  schema.post("save", decryptDocument);
+  schema.post("init", decryptDocument);
+
+  schema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function encryptUpdate() {
+    const update = this.getUpdate();
+    for (const target of [update, update?.$set, update?.$setOnInsert]) {
+      if (!target) continue;
+      for (const [field, indexField] of Object.entries(blindIndexes)) {
+        if (typeof target[field] === "string" && !isEncrypted(target[field])) {
+          target[indexField] = blindIndex(target[field]);
+        }
+      }
+      transformFields(target, fields, encryptField);
+    }
+  });
+
+  // Hydrated documents are handled by the init hook; lean results (populated ones too) need it done here.
+  schema.post(["find", "findOne", "findOneAndUpdate", "findOneAndDelete"], function decryptLean(result) {
+    if (!result || !this.mongooseOptions().lean) return;
+    for (const doc of Array.isArray(result) ? result : [result]) transformFields(doc, fields, decryptField);
+  });
+}
@@ -46,11 +46,19 @@ export async function saveBufferFile(file, { subfolder = "" } = {}) {
   return { absolutePath, relativePath };
 }
 
-export async function removeStoredFile(relativePath) {
-  if (!relativePath) return;
+export async function resolveStoredFilePath(relativePath) {
+  if (!relativePath) return null;
   const uploadsDir = await getUploadsDir();
   const sanitized = relativePath.replace(/^\/+/, "");
   const absolutePath = path.join(uploadsDir, sanitized.replace(/^uploads[\/]/, ""));
+  // Reject traversal attempts ("../") that would escape the uploads directory.
+  if (!absolutePath.startsWith(uploadsDir + path.sep)) return null;
+  return absolutePath;
+}
+
+export async function removeStoredFile(relativePath) {
+  const absolutePath = await resolveStoredFilePath(relativePath);
+  if (!absolutePath) return;
   try {
     await fs.unlink(absolutePath);
   } catch (err) {
@@ -0,0 +1,125 @@
+// Geo helpers for trip search: GeoJSON builders for the 2dsphere fields and distances in meters.
+// GeoJSON stores [lng, lat]; the rest of the app works with { lat, lng } objects.
+
+const EARTH_RADIUS_METERS = 6378100;
+const CIRCLE_SEGMENTS = 32;
+
+// Default search radius: roughly a 10 minute walk.
+export const DEFAULT_WALKING_RADIUS_METERS = 800;
+export const MAX_WALKING_RADIUS_METERS = 5000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+function isValidCoordinate(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+function toPosition(point) {
+  // Number(null) is 0, which would put missing coordinates in the Gulf of Guinea.
+  if (point?.lat == null || point?.lng == null || point.lat === "" || point.lng === "") return null;
+  const lat = Number(point.lat);
+  const lng = Number(point.lng);
+  return isValidCoordinate(lat, lng) ? [lng, lat] : null;
+}
+
+/**
+ * parseLatLng - parse a "lat,lng" query value.
+ * @returns {{lat: number, lng: number}|null} null when the value is malformed or out of range
+ */
+export function parseLatLng(value) {
+  if (typeof value !== "string") return null;
+  const parts = value.split(",");
+  if (parts.length !== 2 || parts.some((part) => !part.trim())) return null;
+  const [lat, lng] = parts.map(Number);
+  return isValidCoordinate(lat, lng) ? { lat, lng } : null;
+}
+
+/**
+ * distanceMeters - great-circle (haversine) distance between two { lat, lng } points.
+ */
+export function distanceMeters(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * toGeoPoint - GeoJSON Point, or undefined when the coordinates are missing.
+ */
+export function toGeoPoint(point) {
+  const position = toPosition(point);
+  return position ? { type: "Point", coordinates: position } : undefined;
+}
+
+/**
+ * toGeoMultiPoint - GeoJSON MultiPoint of the valid points, or undefined when there are none.
+ */
+export function toGeoMultiPoint(points) {
+  const coordinates = (points || []).map(toPosition).filter(Boolean);
+  return coordinates.length ? { type: "MultiPoint", coordinates } : undefined;
+}
+
+/**
+ * toGeoLineString - GeoJSON LineString of a polyline.
+ * Consecutive duplicates are dropped because 2dsphere indexes reject them; undefined when fewer than two points remain.
+ */
+export function toGeoLineString(points) {
+  const coordinates = [];
+  for (const position of (points || []).map(toPosition)) {
+    const last = coordinates[coordinates.length - 1];
+    if (position && !(last && last[0] === position[0] && last[1] === position[1])) {
+      coordinates.push(position);
+    }
+  }
+  return coordinates.length >= 2 ? { type: "LineString", coordinates } : undefined;
+}
+
+/**
+ * circlePolygon - polygon approximating a circle, for $geoIntersects against lines and multipoints
+ * ($centerSphere only supports $geoWithin, which would require the whole route to be inside the circle).
+ */
+export function circlePolygon(center, radiusMeters, segments = CIRCLE_SEGMENTS) {
+  const angular = radiusMeters / EARTH_RADIUS_METERS;
+  const lat = toRadians(center.lat);
+  const lng = toRadians(center.lng);
+  const ring = [];
+  for (let index = 0; index < segments; index += 1) {
+    const bearing = (2 * Math.PI * index) / segments;
+    const pointLat = Math.asin(
+      Math.sin(lat) * Math.cos(angular) + Math.cos(lat) * Math.sin(angular) * Math.cos(bearing)
+    );
+    const pointLng =
+      lng +
+      Math.atan2(
+        Math.sin(bearing) * Math.sin(angular) * Math.cos(lat),
+        Math.cos(angular) - Math.sin(lat) * Math.sin(pointLat)
+      );
+    ring.push([toDegrees(pointLng), toDegrees(pointLat)]);
+  }
+  ring.push(ring[0]);
+  return { type: "Polygon", coordinates: [ring] };
+}
+
+/**
+ * centerSphere - $centerSphere argument ([[lng, lat], radians]) for point fields.
+ */
+export function centerSphere(center, radiusMeters) {
+  return [[center.lng, center.lat], radiusMeters / EARTH_RADIUS_METERS];
+}
+
+/**
+ * nearestPoint - the point of the list closest to `origin`, with its distance rounded to meters.
+ * @returns {{point: object, distanceMeters: number}|null}
+ */
+export function nearestPoint(origin, points) {
+  let best = null;
+  for (const point of points || []) {
+    if (!toPosition(point)) continue;
+    const distance = distanceMeters(origin, { lat: Number(point.lat), lng: Number(point.lng) });
+    if (!best || distance < best.distanceMeters) best = { point, distanceMeters: distance };
+  }
+  return best && { point: best.point, distanceMeters: Math.round(best.distanceMeters) };
+}
@@ -0,0 +1,56 @@
+// Distributed locks for background jobs. Mongo is the default backend; Redis can be used when available.
+// Both expose the same interface: acquire(name, { now, ttlMs }) → boolean and release(name).
+import os from "os";
+import { randomUUID } from "crypto";
+import JobLock from "../models/JobLock.js";
+import { redis } from "./redis.js";
+
+function defaultOwner() {
+  return `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+}
+
+// Leases expire after ttlMs so a crashed worker never blocks the others for good.
+// `now` comes from the scheduler clock, which keeps expiry deterministic under a fake clock.
+export function createMongoLock({ owner = defaultOwner() } = {}) {
+  return {
+    owner,
+    async acquire(name, { now = new Date(), ttlMs }) {
+      try {
+        const lock = await JobLock.findOneAndUpdate(
+          { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+          { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+          { upsert: true, new: true }
+        );
+        return Boolean(lock);
+      } catch (err) {
+        // Duplicate key: another owner holds a lease that has not expired yet.
+        if (err?.code === 11000) return false;
+        throw err;
+      }
+    },
+    async release(name) {
+      await JobLock.deleteOne({ _id: name, owner });
+    }
+  };
+}
+
+const RELEASE_SCRIPT = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+export function createRedisLock({ client = redis, owner = defaultOwner() } = {}) {
+  async function ensureConnected() {
+    if (!client.isOpen) await client.connect();
+  }
+  return {
+    owner,
+    async acquire(name, { ttlMs }) {
+      await ensureConnected();
+      const result = await client.set(`lock:${name}`, owner, { NX: true, PX: ttlMs });
+      return result === "OK";
+    },
+    async release(name) {
+      await ensureConnected();
+      // Only delete the key if we still own it (the lease may have expired and been taken over).
+      await client.eval(RELEASE_SCRIPT, { keys: [`lock:${name}`], arguments: [owner] });
+    }
+  };
+}
@@ -0,0 +1,49 @@
+// Cursor pagination helpers: opaque base64url cursors and keyset criteria for (sort field, _id) ordering.
+import mongoose from "mongoose";
+
+/**
+ * parseLimit - page size from a query value.
+ * @returns {number|null} null when the value is not an integer between 1 and `max`
+ */
+export function parseLimit(value, { fallback = 20, max = 50 } = {}) {
+  if (value === undefined || value === "") return fallback;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 && limit <= max ? limit : null;
+}
+
+/**
+ * encodeCursor - opaque cursor pointing after `doc` for the given sort.
+ * Dates are tagged so they survive the JSON round trip.
+ */
+export function encodeCursor({ sort, order, value, id }) {
+  const payload = { s: sort, o: order, id: id.toString() };
+  if (value instanceof Date) payload.d = value.toISOString();
+  else payload.v = value ?? null;
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * decodeCursor - inverse of encodeCursor.
+ * @returns {{sort: string, order: string, value: any, id: mongoose.Types.ObjectId}|null} null when malformed
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || !cursor) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!payload || !mongoose.isValidObjectId(payload.id)) return null;
+    const value = payload.d !== undefined ? new Date(payload.d) : payload.v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+    return { sort: payload.s, order: payload.o, value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * afterCursorCriteria - documents strictly after the cursor when sorting by { [field]: direction, _id: 1 }.
+ */
+export function afterCursorCriteria(field, direction, { value, id }) {
+  return {
+    $or: [{ [field]: { [direction > 0 ? "$gt" : "$lt"]: value } }, { [field]: value, _id: { $gt: id } }]
+  };
+}
@@ -0,0 +1,84 @@
+// Validation for self-service profile edits (PUT /users/me and its deprecated /auth/me alias).
+const NAME_MAX_LENGTH = 60;
+const CONTACT_NAME_MAX_LENGTH = 80;
+const PAYMENT_METHODS = ["cash", "nequi"];
+
+// Optional leading "+", then 7 to 15 digits that may be grouped with spaces or dashes.
+const PHONE_REGEX = /^\+?\d(?:[\s-]?\d){6,14}$/;
+
+export function isPhoneValid(value) {
+  return typeof value === "string" && PHONE_REGEX.test(value.trim());
+}
+
+function validateName(value, message) {
+  const trimmed = typeof value === "string" ? value.trim() : "";
+  if (!trimmed || trimmed.length > NAME_MAX_LENGTH) return { ok: false, message };
+  return { ok: true, value: trimmed };
+}
+
+function validateEmergencyContact(value) {
+  if (value === null || value === "") return { ok: true, value: null };
+  if (typeof value !== "object" || Array.isArray(value) || (!value.name && !value.phone)) {
+    return { ok: false, message: "Contacto de emergencia inválido" };
+  }
+  const name = typeof value.name === "string" ? value.name.trim() : "";
+  if (name.length > CONTACT_NAME_MAX_LENGTH) return { ok: false, message: "Contacto de emergencia inválido" };
+  if (value.phone && !isPhoneValid(String(value.phone))) {
+    return { ok: false, message: "Teléfono del contacto de emergencia inválido" };
+  }
+  return {
+    ok: true,
+    value: { name: name || undefined, phone: value.phone ? String(value.phone).trim() : undefined }
+  };
+}
+
+/**
+ * validateProfileUpdate - the only accepted shape for PUT /users/me. Fields that are not editable
+ * (email, universityId, roles...) are ignored; photoUrl is rejected because photos are uploaded,
+ * unless `ignorePhotoUrl` is set for older clients that still send it.
+ * @param {{ignorePhotoUrl?: boolean}} [options]
+ * @returns {{ok: true, updates: object} | {ok: false, message: string}}
+ */
+export function validateProfileUpdate(body = {}, { ignorePhotoUrl = false } = {}) {
+  const { firstName, lastName, phone, emergencyContact, preferredPaymentMethod, photoUrl } = body || {};
+  const updates = {};
+
+  if (photoUrl !== undefined && !ignorePhotoUrl) {
+    return { ok: false, message: "La foto de perfil se sube con POST /users/me/photo" };
+  }
+
+  if (firstName !== undefined) {
+    const result = validateName(firstName, "Nombre inválido");
+    if (!result.ok) return result;
+    updates.firstName = result.value;
+  }
+
+  if (lastName !== undefined) {
+    const result = validateName(lastName, "Apellido inválido");
+    if (!result.ok) return result;
+    updates.lastName = result.value;
+  }
+
+  if (phone !== undefined) {
+    if (!isPhoneValid(String(phone ?? ""))) return { ok: false, message: "Teléfono inválido" };
+    updates.phone = String(phone).trim();
+  }
+
+  if (preferredPaymentMethod !== undefined) {
+    if (preferredPaymentMethod && !PAYMENT_METHODS.includes(preferredPaymentMethod)) {
+      return { ok: false, message: "Método de pago preferido inválido" };
+    }
+    updates.preferredPaymentMethod = preferredPaymentMethod || "cash";
+  }
+
+  if (emergencyContact !== undefined) {
+    const result = validateEmergencyContact(emergencyContact);
+    if (!result.ok) return result;
+    updates.emergencyContact = result.value;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { ok: false, message: "No hay cambios para actualizar" };
+  }
+  return { ok: true, updates };
+}
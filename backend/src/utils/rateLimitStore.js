@@ -0,0 +1,112 @@
+// Counters with an expiry for rate limiting and login lockouts. The memory backend is process-local
+// (tests, single instance); Redis shares the counters across instances. Both expose:
+// increment(key, windowMs) → { count, resetMs } (the window starts with the first hit),
+// get(key) → { value, resetMs } | null, set(key, value, ttlMs), delete(...keys), clear().
+// RATE_LIMIT_STORE=redis selects Redis (default: memory).
+import { redis } from "./redis.js";
+
+export function createMemoryRateLimitStore() {
+  const entries = new Map();
+
+  function read(key, now = Date.now()) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    name: "memory",
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = read(key, now) || { value: 0, expiresAt: now + windowMs };
+      entry.value += 1;
+      entries.set(key, entry);
+      return { count: entry.value, resetMs: entry.expiresAt - now };
+    },
+    async get(key) {
+      const entry = read(key);
+      return entry ? { value: entry.value, resetMs: entry.expiresAt - Date.now() } : null;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(...keys) {
+      keys.forEach((key) => entries.delete(key));
+    },
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+const KEY_PREFIX = "ratelimit:";
+
+export function createRedisRateLimitStore({ client = redis } = {}) {
+  async function ensureConnected() {
+    if (!client.isOpen) await client.connect();
+  }
+  const prefixed = (key) => `${KEY_PREFIX}${key}`;
+  return {
+    name: "redis",
+    async increment(key, windowMs) {
+      await ensureConnected();
+      const [, count, resetMs] = await client
+        .multi()
+        // Only the first hit of a window sets the expiry.
+        .set(prefixed(key), "0", { PX: windowMs, NX: true })
+        .incr(prefixed(key))
+        .pTTL(prefixed(key))
+        .exec();
+      return { count: Number(count), resetMs: Number(resetMs) };
+    },
+    async get(key) {
+      await ensureConnected();
+      const [value, resetMs] = await client.multi().get(prefixed(key)).pTTL(prefixed(key)).exec();
+      if (value === null || Number(resetMs) <= 0) return null;
+      return { value: Number(value), resetMs: Number(resetMs) };
+    },
+    async set(key, value, ttlMs) {
+      await ensureConnected();
+      await client.set(prefixed(key), String(value), { PX: Math.max(1, Math.ceil(ttlMs)) });
+    },
+    async delete(...keys) {
+      await ensureConnected();
+      await client.del(keys.map(prefixed));
+    },
+    async clear() {
+      await ensureConnected();
+      const keys = [];
+      for await (const key of client.scanIterator({ MATCH: `${KEY_PREFIX}*` })) keys.push(key);
+      if (keys.length) await client.del(keys);
+    }
+  };
+}
+
+const STORE_TIMEOUT_MS = Number(process.env.RATE_LIMIT_TIMEOUT_MS) || 500;
+
+// A store that hangs (e.g. Redis reconnecting) must not hold every request.
+export function withStoreTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Rate limit store timeout")), STORE_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+let store = process.env.RATE_LIMIT_STORE === "redis" ? createRedisRateLimitStore() : createMemoryRateLimitStore();
+
+export function getRateLimitStore() {
+  return store;
+}
+
+export function setRateLimitStore(nextStore) {
+  store = nextStore;
+}
+
+export function clearRateLimits() {
+  return store.clear();
+}
@@ -0,0 +1,55 @@
+// Storage for revoked JWT ids (and closed session ids) until the tokens would have expired anyway.
+// The memory backend is process-local (tests, single instance); Redis shares revocations across
+// instances and survives restarts. Both expose: revoke(key, ttlMs), anyRevoked(keys) → boolean, clear().
+import { redis } from "./redis.js";
+
+export function createMemoryRevocationStore() {
+  const entries = new Map();
+
+  function cleanup(now = Date.now()) {
+    for (const [key, expiresAt] of entries.entries()) {
+      if (expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  return {
+    name: "memory",
+    async revoke(key, ttlMs) {
+      entries.set(key, Date.now() + ttlMs);
+    },
+    async anyRevoked(keys) {
+      cleanup();
+      return keys.some((key) => entries.has(key));
+    },
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+const KEY_PREFIX = "revoked:";
+
+export function createRedisRevocationStore({ client = redis } = {}) {
+  async function ensureConnected() {
+    if (!client.isOpen) await client.connect();
+  }
+  return {
+    name: "redis",
+    async revoke(key, ttlMs) {
+      await ensureConnected();
+      // Redis drops the key by itself once the token could no longer be used.
+      await client.set(`${KEY_PREFIX}${key}`, "1", { PX: Math.max(1, Math.ceil(ttlMs)) });
+    },
+    async anyRevoked(keys) {
+      if (keys.length === 0) return false;
+      await ensureConnected();
+      return (await client.exists(keys.map((key) => `${KEY_PREFIX}${key}`))) > 0;
+    },
+    async clear() {
+      await ensureConnected();
+      const keys = [];
+      for await (const key of client.scanIterator({ MATCH: `${KEY_PREFIX}*` })) keys.push(key);
+      if (keys.length) await client.del(keys);
+    }
+  };
+}
@@ -47,7 +47,6 @@ const swaggerSpec = {
           lastName: { type: "string", example: "Gonzalez" },
           universityId: { type: "string", example: "A00012345" },
           phone: { type: "string", example: "3001234567" },
-          photoUrl: { type: "string", format: "uri" },
           emergencyContact: {
             type: "object",
             properties: {
@@ -176,7 +175,8 @@ const swaggerSpec = {
     },
     "/auth/me": {
       get: {
-        summary: "Perfil",
+        summary: "Perfil (obsoleto, usa /users/me)",
+        deprecated: true,
         security: [{ bearerAuth: [] }],
         responses: {
           "200": { description: "OK" },
@@ -184,6 +184,79 @@ const swaggerSpec = {
         }
       }
     },
+    "/users/me": {
+      get: {
+        summary: "Perfil y vehículo",
+        security: [{ bearerAuth: [] }],
+        responses: {
+          "200": { description: "OK" },
+          "401": { description: "No autorizado" }
+        }
+      },
+      put: {
+        summary: "Actualizar perfil",
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  firstName: { type: "string" },
+                  lastName: { type: "string" },
+                  phone: { type: "string", example: "3001234567" },
+                  preferredPaymentMethod: { type: "string", enum: ["cash", "nequi"] },
+                  emergencyContact: {
+                    type: "object",
+                    nullable: true,
+                    properties: {
+                      name: { type: "string" },
+                      phone: { type: "string" }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          "200": { description: "Perfil actualizado" },
+          "400": { description: "Datos inválidos" },
+          "401": { description: "No autorizado" }
+        }
+      }
+    },
+    "/users/me/photo": {
+      post: {
+        summary: "Subir foto de perfil",
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            "multipart/form-data": {
+              schema: {
+                type: "object",
+                properties: { photo: { type: "string", format: "binary" } }
+              }
+            }
+          }
+        },
+        responses: {
+          "200": { description: "Foto actualizada" },
+          "400": { description: "Archivo inválido" },
+          "401": { description: "No autorizado" }
+        }
+      },
+      delete: {
+        summary: "Eliminar foto de perfil",
+        security: [{ bearerAuth: [] }],
+        responses: {
+          "200": { description: "Foto eliminada" },
+          "401": { description: "No autorizado" }
+        }
+      }
+    },
     "/auth/logout": {
       post: {
         summary: "Cerrar sesión",
@@ -1,27 +1,86 @@
-// Lightweight in-memory token blacklist to support logout flows.
-// Keeps a map of revoked tokens until their JWT expiration to prevent reuse.
-const revokedTokens = new Map();
-
-function cleanup(now = Date.now()) {
-  for (const [token, expiresAt] of revokedTokens.entries()) {
-    if (!expiresAt || expiresAt <= now) {
-      revokedTokens.delete(token);
-    }
-  }
+// Token revocation for logout flows, backed by a pluggable store (see revocationStore.js).
+// Access tokens are revoked by `jti` for the rest of their lifetime; closed sessions are revoked by
+// `sid` for one access-token lifetime so tokens already issued to them stop working right away.
+// TOKEN_REVOCATION_STORE=redis shares revocations through REDIS_URL (default: memory).
+// When the store is unreachable, TOKEN_REVOCATION_FAIL_MODE=closed (default) rejects every token
+// and "open" accepts them.
+import crypto from "crypto";
+import { createMemoryRevocationStore, createRedisRevocationStore } from "./revocationStore.js";
+
+const DEFAULT_TTL_MS = 1000 * 60 * 60 * 24 * 7;
+const STORE_TIMEOUT_MS = Number(process.env.TOKEN_REVOCATION_TIMEOUT_MS) || 500;
+
+let store = process.env.TOKEN_REVOCATION_STORE === "redis" ? createRedisRevocationStore() : createMemoryRevocationStore();
+
+export function setRevocationStore(nextStore) {
+  store = nextStore;
 }
 
-export function revokeToken(token, expSeconds) {
+function failOpen() {
+  return process.env.TOKEN_REVOCATION_FAIL_MODE === "open";
+}
+
+// A store that hangs (e.g. Redis reconnecting) must not hold every request.
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Revocation store timeout")), STORE_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Tokens issued before `jti` existed are keyed by their hash instead.
+function tokenKey(token, claims) {
+  if (claims?.jti) return `jti:${claims.jti}`;
+  return `token:${crypto.createHash("sha256").update(String(token)).digest("hex")}`;
+}
+
+function remainingMs(claims) {
+  return typeof claims?.exp === "number" ? claims.exp * 1000 - Date.now() : DEFAULT_TTL_MS;
+}
+
+/**
+ * revokeToken - reject this access token until it expires. Store errors are logged, not thrown:
+ * logging out still closes the session server-side.
+ */
+export async function revokeToken(token, claims) {
   if (!token) return;
-  const expiresAt = typeof expSeconds === "number" ? expSeconds * 1000 : undefined;
-  revokedTokens.set(token, expiresAt || Date.now() + 1000 * 60 * 60 * 24 * 7);
+  const ttlMs = remainingMs(claims);
+  if (ttlMs <= 0) return;
+  try {
+    await withTimeout(store.revoke(tokenKey(token, claims), ttlMs));
+  } catch (err) {
+    console.error("token revocation failed", err.message);
+  }
 }
 
-export function isTokenRevoked(token) {
+/**
+ * revokeSessionTokens - reject every access token carrying this `sid` for the next `ttlMs`.
+ */
+export async function revokeSessionTokens(sessionId, ttlMs) {
+  if (!sessionId) return;
+  try {
+    await withTimeout(store.revoke(`sid:${sessionId}`, ttlMs));
+  } catch (err) {
+    console.error("session revocation failed", err.message);
+  }
+}
+
+/**
+ * isTokenRevoked - whether the token (or its session) was revoked; applies the fail mode on store errors.
+ */
+export async function isTokenRevoked(token, claims) {
   if (!token) return false;
-  cleanup();
-  return revokedTokens.has(token);
+  const keys = [tokenKey(token, claims)];
+  if (claims?.sid) keys.push(`sid:${claims.sid}`);
+  try {
+    return await withTimeout(store.anyRevoked(keys));
+  } catch (err) {
+    console.error("token revocation check failed", err.message);
+    return !failOpen();
+  }
 }
 
 export function clearRevokedTokens() {
-  revokedTokens.clear();
+  return store.clear();
 }
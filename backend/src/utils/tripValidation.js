@@ -0,0 +1,48 @@
+// Validation helpers shared by the trip and trip-template routes.
+
+export function normalizePickupPayload(rawPoint = {}) {
+  const name = rawPoint?.name?.trim();
+  if (!name) {
+    return { error: "Ingresa un nombre para el punto" };
+  }
+  const description = rawPoint?.description?.trim();
+  const lat = Number(rawPoint?.lat);
+  const lng = Number(rawPoint?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return { error: "Latitud y longitud deben ser numéricas" };
+  }
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { error: "Coordenadas fuera de rango" };
+  }
+  return {
+    value: {
+      name,
+      description: description || undefined,
+      lat,
+      lng
+    }
+  };
+}
+
+// Shared by trips and trip templates so a trip never offers more seats than its vehicle has.
+export function validateSeatsForVehicle(seatsTotal, vehicle) {
+  const seatsNumber = Number(seatsTotal);
+  if (!Number.isInteger(seatsNumber) || seatsNumber < 1) {
+    return { error: "Cantidad de puestos inválida" };
+  }
+  if (seatsNumber > vehicle.capacity) {
+    return { error: "Los puestos superan la capacidad del vehículo" };
+  }
+  return { value: seatsNumber };
+}
+
+// Pickup points have no id; reservations keep a copy, so coordinates identify them.
+export function pickupPointKey(point) {
+  return `${Number(point.lat).toFixed(6)},${Number(point.lng).toFixed(6)}`;
+}
+
+// SOAT and license must still be valid on the day the trip departs.
+export function areVehicleDocumentsValid(vehicle, at = new Date()) {
+  if (!vehicle?.soatExpiration || !vehicle?.licenseExpiration) return false;
+  return new Date(vehicle.soatExpiration) >= at && new Date(vehicle.licenseExpiration) >= at;
+}
@@ -0,0 +1,38 @@
+// Background worker entry point (`npm run worker`): runs the trip scheduler next to the API process.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { createTripScheduler } from "./services/tripScheduler.js";
+import { createMongoLock, createRedisLock } from "./utils/jobLock.js";
+import { redis } from "./utils/redis.js";
+
+dotenv.config();
+
+const mongoUri = process.env.MONGO_URI;
+if (!mongoUri) {
+  console.error("MONGO_URI no definido; el worker necesita Mongo para ejecutarse.");
+  process.exit(1);
+}
+
+// WORKER_LOCK=redis shares locks through REDIS_URL; the default keeps them in Mongo (JobLock collection).
+const useRedisLock = process.env.WORKER_LOCK === "redis";
+const intervalMs = Number(process.env.WORKER_INTERVAL_MS) || 60 * 1000;
+
+await mongoose.connect(mongoUri, { dbName: "wheels" });
+console.log(`Worker conectado a Mongo (locks: ${useRedisLock ? "redis" : "mongo"}, intervalo: ${intervalMs} ms)`);
+
+const scheduler = createTripScheduler({
+  lock: useRedisLock ? createRedisLock() : createMongoLock(),
+  intervalMs
+});
+scheduler.start();
+
+async function shutdown(signal) {
+  console.log(`Worker recibió ${signal}, deteniendo...`);
+  await scheduler.stop();
+  if (redis.isOpen) await redis.quit();
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
@@ -3,12 +3,15 @@ import { AuthProvider } from "./context/AuthContext.jsx";
 import { ThemeProvider } from "./context/ThemeContext.jsx";
 import AppShell from "./components/layout/AppShell.jsx";
 import NavBar from "./components/NavBar.jsx";
+import AccountStatusBanner from "./components/AccountStatusBanner.jsx";
+import EmailVerificationBanner from "./components/EmailVerificationBanner.jsx";
 import Home from "./pages/Home.jsx";
 import RoutesConfig from "./routes/index.jsx";
 import Login from "./features/Auth/Login.jsx";
 import Register from "./features/Auth/Register.jsx";
 import ForgotPassword from "./features/Auth/ForgotPassword.jsx";
 import ResetPassword from "./features/Auth/ResetPassword.jsx";
+import VerifyEmail from "./features/Auth/VerifyEmail.jsx";
 
 export default function App() {
   // Layout + enrutamiento principal
@@ -17,6 +20,8 @@ export default function App() {
       <AuthProvider>
         <AppShell>
           <NavBar />
+          <AccountStatusBanner />
+          <EmailVerificationBanner />
           <div className="mt-6">
             <Routes>
               <Route path="/" element={<Home />} />
@@ -24,6 +29,7 @@ export default function App() {
               <Route path="/register" element={<Register />} />
               <Route path="/forgot-password" element={<ForgotPassword />} />
               <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
               {RoutesConfig}
             </Routes>
           </div>
@@ -0,0 +1,39 @@
+import { useAuth } from "../context/AuthContext.jsx";
+
+const STATUS_COPY = {
+  warned: {
+    title: "Tu cuenta tiene una advertencia",
+    detail: "Si tu reputación sigue bajando, tu cuenta puede ser suspendida.",
+    className: "border-amber-200 bg-amber-50 text-amber-900"
+  },
+  suspended: {
+    title: "Tu cuenta está suspendida",
+    detail: "Mientras dure la suspensión no puedes publicar viajes ni reservar cupos.",
+    className: "border-red-200 bg-red-50 text-red-800"
+  }
+};
+
+function formatUntil(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString("es-CO", { day: "numeric", month: "long", year: "numeric" });
+}
+
+// Explains warnings and suspensions coming from the account status (GET /users/me → user.accountStatus).
+export default function AccountStatusBanner() {
+  const { user } = useAuth();
+  const status = user?.accountStatus;
+  const copy = STATUS_COPY[status?.state];
+  if (!copy) return null;
+
+  return (
+    <div role="alert" className={`mt-4 rounded-xl border px-4 py-3 text-sm ${copy.className}`}>
+      <p className="font-semibold">
+        {copy.title}
+        {status.until ? ` hasta el ${formatUntil(status.until)}` : ""}
+      </p>
+      {status.reason && <p>Motivo: {status.reason}</p>}
+      <p className="text-xs opacity-80">{copy.detail}</p>
+    </div>
+  );
+}
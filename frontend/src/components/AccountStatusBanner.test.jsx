@@ -0,0 +1,31 @@
+import { render, screen } from "@testing-library/react";
+import AccountStatusBanner from "./AccountStatusBanner.jsx";
+
+const mockUseAuth = jest.fn();
+
+jest.mock("../context/AuthContext.jsx", () => ({
+  useAuth: () => mockUseAuth()
+}));
+
+describe("AccountStatusBanner", () => {
+  it("explica la suspensión con su motivo", () => {
+    mockUseAuth.mockReturnValue({
+      user: {
+        accountStatus: { state: "suspended", reason: "Calificación promedio de 1.5", until: "2026-11-02T12:00:00.000Z" }
+      }
+    });
+
+    render(<AccountStatusBanner />);
+
+    expect(screen.getByRole("alert")).toHaveTextContent("Tu cuenta está suspendida hasta el");
+    expect(screen.getByText("Motivo: Calificación promedio de 1.5")).toBeInTheDocument();
+  });
+
+  it("no muestra nada para cuentas activas", () => {
+    mockUseAuth.mockReturnValue({ user: { accountStatus: { state: "active" } } });
+
+    const { container } = render(<AccountStatusBanner />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
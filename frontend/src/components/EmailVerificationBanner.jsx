@@ -0,0 +1,43 @@
+import { useState } from "react";
+import api from "../utils/api";
+import { apiErrorMessage } from "../utils/apiError";
+import { useAuth } from "../context/AuthContext.jsx";
+
+// Reminds unverified users (GET /users/me → user.emailVerified === false) to confirm their institutional email.
+export default function EmailVerificationBanner() {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState("");
+  if (user?.emailVerified !== false) return null;
+
+  async function resend() {
+    setSending(true);
+    setMessage("");
+    try {
+      await api.post("/auth/resend-verification");
+      setMessage(`Te enviamos un nuevo enlace a ${user.email}.`);
+    } catch (err) {
+      setMessage(apiErrorMessage(err, "No se pudo reenviar el correo de verificación"));
+    } finally {
+      setSending(false);
+    }
+  }
+
+  return (
+    <div role="status" className="mt-4 rounded-xl border border-sky-200 bg-sky-50 px-4 py-3 text-sm text-sky-900">
+      <p className="font-semibold">Verifica tu correo institucional</p>
+      <p className="text-xs opacity-80">
+        Abre el enlace que te enviamos para poder publicar viajes y reservar cupos.{" "}
+        <button
+          type="button"
+          className="font-semibold underline disabled:opacity-60"
+          disabled={sending}
+          onClick={resend}
+        >
+          Reenviar correo
+        </button>
+      </p>
+      {message && <p className="mt-1 text-xs">{message}</p>}
+    </div>
+  );
+}
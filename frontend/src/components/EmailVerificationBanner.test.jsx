@@ -0,0 +1,48 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import EmailVerificationBanner from "./EmailVerificationBanner.jsx";
+
+const mockUseAuth = jest.fn();
+const mockPost = jest.fn();
+
+jest.mock("../context/AuthContext.jsx", () => ({
+  useAuth: () => mockUseAuth()
+}));
+
+jest.mock("../utils/api", () => ({
+  post: (...args) => mockPost(...args)
+}));
+
+describe("EmailVerificationBanner", () => {
+  beforeEach(() => {
+    mockPost.mockReset();
+  });
+
+  it("permite reenviar el correo de verificación", async () => {
+    mockUseAuth.mockReturnValue({ user: { email: "ana@unisabana.edu.co", emailVerified: false } });
+    mockPost.mockResolvedValue({ data: { ok: true } });
+
+    render(<EmailVerificationBanner />);
+    fireEvent.click(screen.getByRole("button", { name: "Reenviar correo" }));
+
+    expect(await screen.findByText("Te enviamos un nuevo enlace a ana@unisabana.edu.co.")).toBeInTheDocument();
+    expect(mockPost).toHaveBeenCalledWith("/auth/resend-verification");
+  });
+
+  it("muestra el límite de reenvíos", async () => {
+    mockUseAuth.mockReturnValue({ user: { email: "ana@unisabana.edu.co", emailVerified: false } });
+    mockPost.mockRejectedValue({
+      response: { data: { error: "Espera un momento antes de pedir otro correo de verificación" } }
+    });
+
+    render(<EmailVerificationBanner />);
+    fireEvent.click(screen.getByRole("button", { name: "Reenviar correo" }));
+
+    expect(await screen.findByText("Espera un momento antes de pedir otro correo de verificación")).toBeInTheDocument();
+  });
+
+  it("no muestra nada para correos verificados o cuentas antiguas", () => {
+    mockUseAuth.mockReturnValue({ user: { emailVerified: true } });
+    const { container } = render(<EmailVerificationBanner />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
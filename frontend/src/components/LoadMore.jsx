@@ -0,0 +1,43 @@
+import { useEffect, useRef } from "react";
+
+// Pager for cursor-paginated lists: loads the next page when the footer scrolls into view
+// (where IntersectionObserver exists) and always offers a "Cargar más" button as a fallback.
+export default function LoadMore({ shown, total, hasMore, loading, error, onLoadMore, itemLabel = "viajes" }) {
+  const sentinelRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    const node = sentinelRef.current;
+    // After a failed page stop auto-loading, so the observer does not retry in a loop; the button still works.
+    if (!node || !hasMore || loading || error || typeof IntersectionObserver === "undefined") return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) onLoadMoreRef.current?.();
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMore, loading, error]);
+
+  if (!shown && !hasMore) return null;
+
+  return (
+    <div ref={sentinelRef} className="mt-6 flex flex-col items-center gap-2 text-sm text-slate-500">
+      {Number.isFinite(total) && (
+        <p>
+          Mostrando {shown} de {total} {itemLabel}
+        </p>
+      )}
+      {error && <p className="text-red-600">{error}</p>}
+      {hasMore && (
+        <button
+          type="button"
+          className="rounded-md border border-slate-200 bg-white px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-60"
+          disabled={loading}
+          onClick={onLoadMore}
+        >
+          {loading ? "Cargando..." : "Cargar más"}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,16 @@
 import { Link, NavLink } from "react-router-dom";
 import { useAuth } from "../context/AuthContext.jsx";
 import { useTheme } from "../context/ThemeContext.jsx";
+import NotificationBell from "./NotificationBell.jsx";
 
 const baseNav = [
   { to: "/trips", label: "Viajes" },
   { to: "/reservations", label: "Reservas" },
   { to: "/vehicles", label: "Vehículos", requiresRole: "conductor" },
   { to: "/trips/new", label: "Crear viaje", requiresRole: "conductor" },
-  { to: "/profile", label: "Perfil" }
+  { to: "/profile", label: "Perfil" },
+  { to: "/admin/vehicles", label: "Verificación", requiresAdmin: true },
+  { to: "/admin/ratings", label: "Moderación", requiresAdmin: true }
 ];
 
 export default function NavBar() {
@@ -17,8 +20,12 @@ export default function NavBar() {
   // Si aún se está cargando el perfil, solo mostramos navegación mínima.
   const safeRole = loadingProfile ? null : user?.activeRole;
 
+  const isAdmin = !loadingProfile && (user?.roles || []).includes("admin");
+
   const allowedNav = baseNav.filter(
-    (item) => !item.requiresRole || safeRole === item.requiresRole
+    (item) =>
+      (!item.requiresRole || safeRole === item.requiresRole) &&
+      (!item.requiresAdmin || isAdmin)
   );
 
   return (
@@ -78,6 +85,8 @@ export default function NavBar() {
                 )}
               </div>
 
+              <NotificationBell />
+
               <Link
                 to="/logout"
                 className="rounded-full bg-white/15 px-3 py-1 text-white hover:bg-white/25"
@@ -0,0 +1,123 @@
+import { useCallback, useEffect, useState } from "react";
+import { FiBell } from "react-icons/fi";
+import api from "../utils/api";
+import useRealtimeEvents from "../utils/useRealtimeEvents";
+
+function formatRelative(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleString("es-CO", { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+export default function NotificationBell() {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const loadNotifications = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await api.get("/notifications", { params: { limit: 10 } });
+      setNotifications(Array.isArray(data?.notifications) ? data.notifications : []);
+      setUnreadCount(Number(data?.unreadCount) || 0);
+    } catch (err) {
+      console.error("notifications fetch", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+  }, [loadNotifications]);
+
+  useRealtimeEvents({
+    "notification.created": ({ notification }) => {
+      if (!notification) return;
+      setNotifications((prev) => [notification, ...prev.filter((item) => item._id !== notification._id)].slice(0, 10));
+      setUnreadCount((prev) => prev + 1);
+    }
+  });
+
+  async function markAsRead(notification) {
+    if (notification.readAt) return;
+    try {
+      const { data } = await api.put(`/notifications/${notification._id}/read`);
+      setNotifications((prev) =>
+        prev.map((item) => (item._id === notification._id ? data?.notification || item : item))
+      );
+      setUnreadCount(Number(data?.unreadCount) || 0);
+    } catch (err) {
+      console.error("notification read", err);
+    }
+  }
+
+  async function markAllAsRead() {
+    try {
+      await api.put("/notifications/read-all");
+      const now = new Date().toISOString();
+      setNotifications((prev) => prev.map((item) => (item.readAt ? item : { ...item, readAt: now })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error("notifications read-all", err);
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        aria-label={unreadCount ? `Notificaciones (${unreadCount} sin leer)` : "Notificaciones"}
+        className="relative rounded-full bg-white/15 p-2 text-white hover:bg-white/25"
+        onClick={() => setOpen((prev) => !prev)}
+      >
+        <FiBell className="h-4 w-4" />
+        {unreadCount > 0 && (
+          <span className="absolute -right-1 -top-1 min-w-[1.1rem] rounded-full bg-red-500 px-1 text-center text-[0.6rem] font-semibold leading-[1.1rem] tracking-normal text-white">
+            {unreadCount > 9 ? "9+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-40 mt-2 w-80 rounded-xl border border-slate-200 bg-white p-3 normal-case tracking-normal text-slate-600 shadow-xl">
+          <header className="mb-2 flex items-center justify-between">
+            <h2 className="text-sm font-semibold text-slate-900">Notificaciones</h2>
+            <button
+              type="button"
+              className="text-xs text-blue-600 hover:underline disabled:text-slate-400 disabled:no-underline"
+              onClick={markAllAsRead}
+              disabled={unreadCount === 0}
+            >
+              Marcar todas como leídas
+            </button>
+          </header>
+          {loading && notifications.length === 0 ? (
+            <p className="py-3 text-xs text-slate-500">Cargando...</p>
+          ) : notifications.length === 0 ? (
+            <p className="py-3 text-xs text-slate-500">No tienes notificaciones.</p>
+          ) : (
+            <ul className="max-h-80 space-y-2 overflow-y-auto">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    type="button"
+                    onClick={() => markAsRead(notification)}
+                    className={`w-full rounded-lg border px-3 py-2 text-left text-xs ${
+                      notification.readAt ? "border-slate-100 bg-white" : "border-blue-100 bg-blue-50/70"
+                    }`}
+                  >
+                    <p className="font-semibold text-slate-900">{notification.title}</p>
+                    {notification.message && <p className="mt-0.5">{notification.message}</p>}
+                    <p className="mt-1 text-[0.65rem] text-slate-400">{formatRelative(notification.createdAt)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
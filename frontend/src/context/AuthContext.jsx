@@ -1,5 +1,6 @@
 import { createContext, useContext, useEffect, useMemo, useState } from "react";
-import api from "../utils/api";
+import api, { onAuthTokenChange, setAuthTokens } from "../utils/api";
+import { disconnectSocket } from "../utils/socket";
 
 const AuthCtx = createContext(null);
 
@@ -24,12 +25,29 @@ export function AuthProvider({ children }) {
     }
   });
   const [loadingProfile, setLoadingProfile] = useState(false);
+  // Password accepted but the account has two-factor authentication: { mfaToken, email }.
+  // Kept in memory only, so reloading the page restarts the login.
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+  const hasToken = Boolean(token);
 
   useEffect(() => {
     if (token) localStorage.setItem("token", token);
-    else localStorage.removeItem("token");
+    else setAuthTokens({});
   }, [token]);
 
+  // api.js renews the access token in the background; an empty token means the session ended.
+  useEffect(
+    () =>
+      onAuthTokenChange((nextToken) => {
+        setToken(nextToken);
+        if (!nextToken) {
+          disconnectSocket();
+          setUser(null);
+        }
+      }),
+    []
+  );
+
   useEffect(() => {
     if (user) localStorage.setItem("user", JSON.stringify(user));
     else localStorage.removeItem("user");
@@ -46,7 +64,7 @@ export function AuthProvider({ children }) {
 
       setLoadingProfile(true);
       try {
-        const { data } = await api.get("/auth/me");
+        const { data } = await api.get("/users/me");
 
         if (!cancelled) {
           const normalized = {
@@ -67,9 +85,12 @@ export function AuthProvider({ children }) {
 
     loadProfile();
     return () => (cancelled = true);
-  }, [token]);
+    // Only reload on sign-in/out, not on every access-token refresh.
+  }, [hasToken]);
 
-  const handleLogin = (newToken, userData) => {
+  const handleLogin = (newToken, userData, refreshToken) => {
+    setMfaChallenge(null);
+    setAuthTokens({ token: newToken, refreshToken });
     setToken(newToken);
     if (userData) {
       setUser({
@@ -79,17 +100,33 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // POST /auth/login answers { code: "mfa_required", mfaToken } instead of tokens.
+  const startMfaChallenge = (mfaToken, email) => setMfaChallenge({ mfaToken, email });
+
+  const verifyMfa = async (code) => {
+    if (!mfaChallenge) throw new Error("No hay un inicio de sesión pendiente");
+    const { data } = await api.post("/auth/login/verify", {
+      mfaToken: mfaChallenge.mfaToken,
+      code: String(code || "").trim(),
+    });
+    handleLogin(data.token, data.user, data.refreshToken);
+    return data.user;
+  };
+
+  const cancelMfa = () => setMfaChallenge(null);
+
   const handleLogout = async () => {
     try {
       await api.post("/auth/logout");
     } catch {}
+    disconnectSocket();
     setToken("");
     setUser(null);
   };
 
   const refreshProfile = async () => {
     if (!token) return null;
-    const { data } = await api.get("/auth/me");
+    const { data } = await api.get("/users/me");
 
     const normalized = {
       ...data.user,
@@ -103,7 +140,7 @@ export function AuthProvider({ children }) {
   const updateProfile = async (payload) => {
     if (!token) throw new Error("No autenticado");
 
-    const { data } = await api.put("/auth/me", payload);
+    const { data } = await api.put("/users/me", payload);
 
     const normalized = {
       ...data.user,
@@ -114,6 +151,28 @@ export function AuthProvider({ children }) {
     return normalized;
   };
 
+  // Uploads a new profile photo, or removes the current one when `file` is null.
+  const updateProfilePhoto = async (file) => {
+    if (!token) throw new Error("No autenticado");
+
+    let response;
+    if (file) {
+      const formData = new FormData();
+      formData.append("photo", file);
+      response = await api.post("/users/me/photo", formData);
+    } else {
+      response = await api.delete("/users/me/photo");
+    }
+
+    const normalized = {
+      ...response.data.user,
+      activeRole: normalizeRole(response.data.user?.activeRole),
+    };
+
+    setUser(normalized);
+    return normalized;
+  };
+
   const value = useMemo(
     () => ({
       token,
@@ -121,11 +180,16 @@ export function AuthProvider({ children }) {
       isAuthenticated: Boolean(token),
       login: handleLogin,
       logout: handleLogout,
+      mfaChallenge,
+      startMfaChallenge,
+      verifyMfa,
+      cancelMfa,
       refreshProfile,
       updateProfile,
+      updateProfilePhoto,
       loadingProfile,
     }),
-    [token, user, loadingProfile]
+    [token, user, loadingProfile, mfaChallenge]
   );
 
   return <AuthCtx.Provider value={value}>{children}</AuthCtx.Provider>;
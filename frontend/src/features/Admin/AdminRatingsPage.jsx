@@ -0,0 +1,198 @@
+import { useCallback, useEffect, useState } from "react";
+import api from "../../utils/api";
+
+const STATUS_FILTERS = [
+  { value: "queue", label: "Por revisar" },
+  { value: "pending", label: "Retenidos" },
+  { value: "hidden", label: "Ocultos" },
+  { value: "visible", label: "Publicados" },
+  { value: "all", label: "Todos" }
+];
+
+const STATUS_LABELS = {
+  visible: "Publicado",
+  pending: "Retenido",
+  hidden: "Oculto"
+};
+
+const FLAG_LABELS = {
+  offensive: "Lenguaje ofensivo",
+  phone: "Teléfono",
+  email: "Correo",
+  handle: "Usuario de red social"
+};
+
+function formatDate(value) {
+  if (!value) return "—";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "—";
+  return date.toLocaleDateString("es-CO", { year: "numeric", month: "short", day: "numeric" });
+}
+
+function personLabel(person) {
+  if (!person) return "Usuario eliminado";
+  return `${person.firstName || ""} ${person.lastName || ""}`.trim() || person.email;
+}
+
+export default function AdminRatingsPage() {
+  const [statusFilter, setStatusFilter] = useState("queue");
+  const [ratings, setRatings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [notes, setNotes] = useState({});
+  const [deciding, setDeciding] = useState("");
+  const [actionError, setActionError] = useState("");
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const { data } = await api.get("/admin/ratings", { params: { status: statusFilter } });
+      setRatings(Array.isArray(data?.ratings) ? data.ratings : []);
+    } catch (err) {
+      setError(err?.response?.data?.error || "No se pudo cargar la cola de moderación");
+      setRatings([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  async function decide(rating, decision) {
+    setDeciding(`${rating._id}:${decision}`);
+    setActionError("");
+    try {
+      await api.post(`/admin/ratings/${rating._id}/decision`, {
+        decision,
+        notes: (notes[rating._id] || "").trim()
+      });
+      await loadQueue();
+    } catch (err) {
+      setActionError(err?.response?.data?.error || "No se pudo registrar la decisión");
+    } finally {
+      setDeciding("");
+    }
+  }
+
+  return (
+    <section className="py-6">
+      <header className="mb-6 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-900">Moderación de comentarios</h1>
+          <p className="text-sm text-slate-600">
+            Revisa los comentarios retenidos por el filtro automático o reportados por la comunidad.
+          </p>
+        </div>
+        <label className="text-sm text-slate-600">
+          Estado
+          <select
+            className="ml-2 rounded-md border border-slate-300 bg-white px-3 py-1 text-sm"
+            value={statusFilter}
+            onChange={(event) => setStatusFilter(event.target.value)}
+          >
+            {STATUS_FILTERS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </header>
+
+      {error && (
+        <div className="mb-4 rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">{error}</div>
+      )}
+      {actionError && (
+        <div className="mb-4 rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+          {actionError}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-slate-500">Cargando...</p>
+      ) : ratings.length === 0 ? (
+        <p className="text-sm text-slate-500">No hay comentarios en este estado.</p>
+      ) : (
+        <ul className="space-y-4">
+          {ratings.map((rating) => (
+            <li key={rating._id} className="rounded-xl border border-white/60 bg-white/80 p-5 text-sm shadow-sm">
+              <div className="flex flex-wrap items-start justify-between gap-4">
+                <div>
+                  <p className="text-base text-slate-900">“{rating.comment}”</p>
+                  <p className="text-xs text-slate-500">
+                    {rating.score} ⭐ · {personLabel(rating.from)} → {personLabel(rating.to)} ·{" "}
+                    {formatDate(rating.createdAt)}
+                  </p>
+                </div>
+                <div className="text-right text-xs text-slate-500">
+                  <p className="uppercase tracking-wide">{STATUS_LABELS[rating.status] || rating.status}</p>
+                  {rating.openReports > 0 && <p>{rating.openReports} reportes sin revisar</p>}
+                </div>
+              </div>
+
+              {rating.moderationFlags?.length > 0 && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {rating.moderationFlags.map((flag) => (
+                    <span key={flag} className="rounded-full bg-amber-50 px-3 py-1 text-xs font-medium text-amber-800">
+                      {FLAG_LABELS[flag] || flag}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {rating.reports?.length > 0 && (
+                <ul className="mt-3 space-y-1 text-xs text-slate-600">
+                  {rating.reports.map((report) => (
+                    <li key={report._id}>
+                      {personLabel(report.by)} · {formatDate(report.createdAt)}
+                      {report.reason ? `: ${report.reason}` : ""}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {rating.moderatedBy && (
+                <p className="mt-3 text-xs text-slate-500">
+                  Última revisión: {personLabel(rating.moderatedBy)} · {formatDate(rating.moderatedAt)}
+                  {rating.moderationNotes ? ` · ${rating.moderationNotes}` : ""}
+                </p>
+              )}
+
+              <label className="mt-3 block">
+                <span className="text-xs text-slate-500">Observaciones (opcional)</span>
+                <input
+                  className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm"
+                  maxLength={500}
+                  value={notes[rating._id] || ""}
+                  onChange={(event) => setNotes((prev) => ({ ...prev, [rating._id]: event.target.value }))}
+                />
+              </label>
+
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  className="rounded-md bg-blue-600 px-3 py-1 text-xs font-medium text-white hover:bg-blue-700 disabled:bg-blue-300"
+                  onClick={() => decide(rating, "approve")}
+                  disabled={Boolean(deciding)}
+                >
+                  {deciding === `${rating._id}:approve` ? "Procesando..." : "Publicar"}
+                </button>
+                <button
+                  type="button"
+                  className="rounded-md border border-red-200 bg-red-50 px-3 py-1 text-xs text-red-700 hover:bg-red-100 disabled:opacity-60"
+                  onClick={() => decide(rating, "hide")}
+                  disabled={Boolean(deciding)}
+                >
+                  {deciding === `${rating._id}:hide` ? "Procesando..." : "Ocultar"}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
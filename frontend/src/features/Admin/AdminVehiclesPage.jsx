@@ -0,0 +1,325 @@
+import { useCallback, useEffect, useState } from "react";
+import api from "../../utils/api";
+
+const STATUS_FILTERS = [
+  { value: "queue", label: "Por revisar" },
+  { value: "under_review", label: "En revisión" },
+  { value: "pending", label: "Pendientes" },
+  { value: "needs_update", label: "Requieren actualización" },
+  { value: "rejected", label: "Rechazados" },
+  { value: "verified", label: "Verificados" },
+  { value: "all", label: "Todos" }
+];
+
+const STATUS_LABELS = {
+  pending: "Pendiente",
+  under_review: "En revisión",
+  verified: "Verificado",
+  rejected: "Rechazado",
+  needs_update: "Requiere actualización"
+};
+
+const DOCUMENTS = [
+  { kind: "vehiclePhoto", field: "vehiclePhotoUrl", label: "Foto del vehículo" },
+  { kind: "soat", field: "soatPhotoUrl", label: "SOAT" },
+  { kind: "license", field: "licensePhotoUrl", label: "Licencia" }
+];
+
+function formatDate(value) {
+  if (!value) return "—";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "—";
+  return date.toLocaleDateString("es-CO", { year: "numeric", month: "short", day: "numeric" });
+}
+
+export default function AdminVehiclesPage() {
+  const [statusFilter, setStatusFilter] = useState("queue");
+  const [vehicles, setVehicles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [notes, setNotes] = useState("");
+  const [deciding, setDeciding] = useState("");
+  const [actionError, setActionError] = useState("");
+  const [preview, setPreview] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const { data } = await api.get("/admin/vehicles", { params: { status: statusFilter } });
+      setVehicles(Array.isArray(data?.vehicles) ? data.vehicles : []);
+    } catch (err) {
+      setError(err?.response?.data?.error || "No se pudo cargar la cola de verificación");
+      setVehicles([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  useEffect(() => {
+    return () => {
+      if (preview?.objectUrl) URL.revokeObjectURL(preview.objectUrl);
+    };
+  }, [preview]);
+
+  async function openDetail(vehicleId) {
+    setActionError("");
+    setNotes("");
+    setPreview(null);
+    try {
+      const { data } = await api.get(`/admin/vehicles/${vehicleId}`);
+      setSelected(data?.vehicle || null);
+      setNotes(data?.vehicle?.verificationNotes || "");
+    } catch (err) {
+      setActionError(err?.response?.data?.error || "No se pudo cargar el vehículo");
+    }
+  }
+
+  async function openDocument(doc) {
+    const storedPath = selected?.[doc.field];
+    if (!storedPath) return;
+    if (/^https?:\/\//i.test(storedPath)) {
+      window.open(storedPath, "_blank", "noopener,noreferrer");
+      return;
+    }
+    setActionError("");
+    try {
+      const response = await api.get(`/admin/vehicles/${selected._id}/documents/${doc.kind}`, {
+        responseType: "blob"
+      });
+      const objectUrl = URL.createObjectURL(response.data);
+      setPreview({ label: doc.label, objectUrl, type: response.data?.type || "" });
+    } catch (err) {
+      setActionError(err?.response?.status === 404 ? "Documento no encontrado" : "No se pudo abrir el documento");
+    }
+  }
+
+  async function decide(decision) {
+    if (!selected) return;
+    if (decision !== "approve" && !notes.trim()) {
+      setActionError("Escribe observaciones para el conductor antes de continuar");
+      return;
+    }
+    setDeciding(decision);
+    setActionError("");
+    try {
+      const { data } = await api.post(`/admin/vehicles/${selected._id}/decision`, {
+        decision,
+        notes: notes.trim()
+      });
+      setSelected(data?.vehicle || null);
+      await loadQueue();
+    } catch (err) {
+      setActionError(err?.response?.data?.error || "No se pudo registrar la decisión");
+    } finally {
+      setDeciding("");
+    }
+  }
+
+  return (
+    <section className="py-6">
+      <header className="mb-6 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-900">Verificación de vehículos</h1>
+          <p className="text-sm text-slate-600">Revisa los documentos enviados por los conductores y registra tu decisión.</p>
+        </div>
+        <label className="text-sm text-slate-600">
+          Estado
+          <select
+            className="ml-2 rounded-md border border-slate-300 bg-white px-3 py-1 text-sm"
+            value={statusFilter}
+            onChange={(event) => setStatusFilter(event.target.value)}
+          >
+            {STATUS_FILTERS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </header>
+
+      {error && (
+        <div className="mb-4 rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <section className="rounded-xl border border-white/60 bg-white/80 p-5 shadow-sm">
+          <h2 className="text-lg font-semibold text-slate-900">Cola</h2>
+          {loading ? (
+            <p className="mt-3 text-sm text-slate-500">Cargando...</p>
+          ) : vehicles.length === 0 ? (
+            <p className="mt-3 text-sm text-slate-500">No hay vehículos en este estado.</p>
+          ) : (
+            <ul className="mt-3 space-y-3">
+              {vehicles.map((vehicle) => (
+                <li key={vehicle._id}>
+                  <button
+                    type="button"
+                    onClick={() => openDetail(vehicle._id)}
+                    className={`w-full rounded-lg border p-4 text-left text-sm text-slate-600 hover:bg-slate-50 ${
+                      selected?._id === vehicle._id ? "border-blue-300 bg-blue-50/60" : "border-slate-200 bg-white"
+                    }`}
+                  >
+                    <div className="flex items-start justify-between gap-4">
+                      <div>
+                        <p className="text-base font-semibold text-slate-900">
+                          {vehicle.plate} · {vehicle.brand} {vehicle.model}
+                        </p>
+                        <p className="text-xs text-slate-500">
+                          {vehicle.owner?.firstName} {vehicle.owner?.lastName} · {vehicle.owner?.email}
+                        </p>
+                      </div>
+                      <div className="text-right text-xs text-slate-500">
+                        <p className="uppercase tracking-wide">{STATUS_LABELS[vehicle.status] || vehicle.status}</p>
+                        <p>Solicitado: {formatDate(vehicle.requestedReviewAt || vehicle.createdAt)}</p>
+                      </div>
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <section className="rounded-xl border border-white/60 bg-white/80 p-5 shadow-sm">
+          {!selected ? (
+            <p className="text-sm text-slate-500">Selecciona un vehículo para revisar sus documentos.</p>
+          ) : (
+            <div className="space-y-4 text-sm text-slate-600">
+              <div>
+                <h2 className="text-lg font-semibold text-slate-900">
+                  {selected.plate} · {selected.brand} {selected.model}
+                </h2>
+                <p className="text-xs uppercase tracking-wide text-slate-500">
+                  Estado: {STATUS_LABELS[selected.status] || selected.status}
+                </p>
+              </div>
+
+              <dl className="grid grid-cols-2 gap-3">
+                <div>
+                  <dt className="text-xs text-slate-500">Conductor</dt>
+                  <dd className="font-medium text-slate-900">
+                    {selected.owner?.firstName} {selected.owner?.lastName}
+                  </dd>
+                  <dd className="text-xs text-slate-500">{selected.owner?.phone}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">Capacidad</dt>
+                  <dd className="font-medium text-slate-900">{selected.capacity} puestos</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">Vence SOAT</dt>
+                  <dd className="font-medium text-slate-900">{formatDate(selected.soatExpiration)}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-slate-500">Licencia</dt>
+                  <dd className="font-medium text-slate-900">{selected.licenseNumber}</dd>
+                  <dd className="text-xs text-slate-500">Vence {formatDate(selected.licenseExpiration)}</dd>
+                </div>
+              </dl>
+
+              {selected.meta?.warnings?.length > 0 && (
+                <ul className="list-disc space-y-1 rounded-md border border-amber-200 bg-amber-50 py-2 pl-8 pr-3 text-xs text-amber-800">
+                  {selected.meta.warnings.map((warning) => (
+                    <li key={warning}>{warning}</li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="flex flex-wrap gap-2">
+                {DOCUMENTS.map((doc) => (
+                  <button
+                    key={doc.kind}
+                    type="button"
+                    className="rounded-md border border-slate-200 px-3 py-1 text-xs text-slate-600 hover:bg-slate-100 disabled:opacity-50"
+                    onClick={() => openDocument(doc)}
+                    disabled={!selected[doc.field]}
+                  >
+                    {doc.label}
+                  </button>
+                ))}
+              </div>
+
+              {selected.reviewedBy && (
+                <p className="text-xs text-slate-500">
+                  Última revisión: {selected.reviewedBy.firstName} {selected.reviewedBy.lastName} ·{" "}
+                  {formatDate(selected.reviewedAt)}
+                </p>
+              )}
+
+              <label className="block">
+                <span className="text-xs text-slate-500">Observaciones para el conductor</span>
+                <textarea
+                  className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm"
+                  rows={3}
+                  maxLength={1000}
+                  value={notes}
+                  onChange={(event) => setNotes(event.target.value)}
+                />
+              </label>
+
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  className="rounded-md bg-blue-600 px-3 py-1 text-xs font-medium text-white hover:bg-blue-700 disabled:bg-blue-300"
+                  onClick={() => decide("approve")}
+                  disabled={Boolean(deciding)}
+                >
+                  {deciding === "approve" ? "Procesando..." : "Aprobar"}
+                </button>
+                <button
+                  type="button"
+                  className="rounded-md border border-amber-200 bg-amber-50 px-3 py-1 text-xs text-amber-800 hover:bg-amber-100 disabled:opacity-60"
+                  onClick={() => decide("needs_update")}
+                  disabled={Boolean(deciding)}
+                >
+                  {deciding === "needs_update" ? "Procesando..." : "Solicitar actualización"}
+                </button>
+                <button
+                  type="button"
+                  className="rounded-md border border-red-200 bg-red-50 px-3 py-1 text-xs text-red-700 hover:bg-red-100 disabled:opacity-60"
+                  onClick={() => decide("reject")}
+                  disabled={Boolean(deciding)}
+                >
+                  {deciding === "reject" ? "Procesando..." : "Rechazar"}
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+      </div>
+
+      {actionError && (
+        <div className="mt-4 rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">{actionError}</div>
+      )}
+
+      {preview && (
+        <div className="fixed inset-0 z-30 flex items-center justify-center bg-slate-900/50 p-4">
+          <div className="flex h-[80vh] w-full max-w-3xl flex-col rounded-xl border border-white/60 bg-white p-4 shadow-xl">
+            <header className="mb-3 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-slate-900">{preview.label}</h2>
+              <button
+                type="button"
+                className="rounded-md border border-slate-300 px-3 py-1 text-sm text-slate-600 hover:bg-slate-100"
+                onClick={() => setPreview(null)}
+              >
+                Cerrar
+              </button>
+            </header>
+            {preview.type.startsWith("image/") ? (
+              <img src={preview.objectUrl} alt={preview.label} className="mx-auto max-h-full object-contain" />
+            ) : (
+              <iframe title={preview.label} src={preview.objectUrl} className="h-full w-full rounded-md border" />
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -18,7 +18,7 @@ const isInstitutionalEmail = (email) => {
 };
 
 export default function Login() {
-  const { login } = useAuth();
+  const { login, mfaChallenge, startMfaChallenge, verifyMfa, cancelMfa } = useAuth();
   const nav = useNavigate();
   const loc = useLocation();
   const [form, setForm] = useState({ email: "", password: "" });
@@ -26,6 +26,8 @@ export default function Login() {
   const [bannerError, setBannerError] = useState("");
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState(false);
+  const [mfaCode, setMfaCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   useEffect(() => {
     let timeoutId;
@@ -72,7 +74,13 @@ export default function Login() {
         email: String(form.email || "").trim().toLowerCase(),
         password: form.password
       });
-      login(data.token, data.user);
+      // Accounts with two-factor authentication get a challenge instead of tokens.
+      if (data.code === "mfa_required") {
+        startMfaChallenge(data.mfaToken, String(form.email || "").trim().toLowerCase());
+        setForm((prev) => ({ ...prev, password: "" }));
+        return;
+      }
+      login(data.token, data.user, data.refreshToken);
       setSuccess(true);
     } catch (err) {
       const message = err?.response?.data?.error || "Credenciales inválidas";
@@ -86,6 +94,34 @@ export default function Login() {
     }
   };
 
+  const onVerifyMfa = async (e) => {
+    e.preventDefault();
+    if (loading) return;
+    if (!mfaCode.trim()) {
+      setBannerError(useRecoveryCode ? "Ingresa un código de recuperación" : "Ingresa el código de tu aplicación");
+      return;
+    }
+
+    setBannerError("");
+    setLoading(true);
+    try {
+      await verifyMfa(mfaCode);
+      setSuccess(true);
+    } catch (err) {
+      setBannerError(err?.response?.data?.error || "Código de verificación inválido");
+      setMfaCode("");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const backToPassword = () => {
+    cancelMfa();
+    setMfaCode("");
+    setUseRecoveryCode(false);
+    setBannerError("");
+  };
+
   if (success) {
     return (
       <section className="relative min-h-[100svh] bg-[#001A3D] flex items-center justify-center px-6 py-16 text-white">
@@ -134,6 +170,14 @@ export default function Login() {
           <p className="text-sm text-slate-500">Viaja seguro con tu comunidad</p>
         </div>
 
+        {mfaChallenge && (
+          <p className="mb-4 text-center text-sm text-slate-600">
+            {useRecoveryCode
+              ? "Ingresa uno de tus códigos de recuperación. Cada código sirve una sola vez."
+              : `Ingresa el código de 6 dígitos de tu aplicación de autenticación para ${mfaChallenge.email}.`}
+          </p>
+        )}
+
         {bannerError && (
           <motion.div
             initial={{ opacity: 0, y: -8 }}
@@ -144,79 +188,129 @@ export default function Login() {
           </motion.div>
         )}
 
-        <form onSubmit={onSubmit} className="grid gap-4">
-          <label className="flex flex-col gap-2 text-slate-500">
-            <span className="text-xs font-semibold uppercase tracking-[0.3em]">Correo institucional</span>
-            <input
-              type="email"
-              placeholder="nombre@unisabana.edu.co"
-              value={form.email}
-              onChange={(e) => {
-                const value = e.target.value;
-                setForm((prev) => ({ ...prev, email: value }));
-                if (fieldErrors.email || bannerError) {
-                  setFieldErrors((prev) => ({ ...prev, email: "" }));
-                  setBannerError("");
-                }
-              }}
-              className={`w-full rounded-2xl border px-4 py-3 text-sm outline-none transition focus:ring-2 focus:ring-cyan-500 focus:border-cyan-400 tracking-normal ${
-                fieldErrors.email
-                  ? "border-red-400 bg-red-50 focus:ring-red-300 focus:border-red-400"
-                  : "border-slate-200 bg-white"
-              }`}
-            />
-            {fieldErrors.email && (
-              <span className="mt-2 block text-xs font-medium text-red-500">{fieldErrors.email}</span>
-            )}
-          </label>
-
-          <label className="flex flex-col gap-2 text-slate-500">
-            <span className="text-xs font-semibold uppercase tracking-[0.3em]">Contraseña</span>
-            <input
-              type="password"
-              placeholder="******"
-              value={form.password}
-              onChange={(e) => {
-                const value = e.target.value;
-                setForm((prev) => ({ ...prev, password: value }));
-                if (fieldErrors.password || bannerError) {
-                  setFieldErrors((prev) => ({ ...prev, password: "" }));
+        {mfaChallenge ? (
+          <form onSubmit={onVerifyMfa} className="grid gap-4">
+            <label className="flex flex-col gap-2 text-slate-500">
+              <span className="text-xs font-semibold uppercase tracking-[0.3em]">
+                {useRecoveryCode ? "Código de recuperación" : "Código de verificación"}
+              </span>
+              <input
+                type="text"
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? "text" : "numeric"}
+                placeholder={useRecoveryCode ? "xxxxx-xxxxx" : "123456"}
+                maxLength={useRecoveryCode ? 11 : 6}
+                value={mfaCode}
+                autoFocus
+                onChange={(e) => {
+                  setMfaCode(e.target.value);
+                  if (bannerError) setBannerError("");
+                }}
+                className="w-full rounded-2xl border border-slate-200 bg-white px-4 py-3 text-center text-lg tracking-[0.3em] outline-none transition focus:ring-2 focus:ring-cyan-500 focus:border-cyan-400"
+              />
+            </label>
+
+            <div className="flex items-center justify-between text-xs font-medium">
+              <button type="button" onClick={backToPassword} className="text-slate-500 hover:text-cyan-600 transition">
+                Volver
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode((prev) => !prev);
+                  setMfaCode("");
                   setBannerError("");
-                }
-              }}
-              className={`w-full rounded-2xl border px-4 py-3 text-sm outline-none transition focus:ring-2 focus:ring-cyan-500 focus:border-cyan-400 tracking-normal ${
-                fieldErrors.password
-                  ? "border-red-400 bg-red-50 focus:ring-red-300 focus:border-red-400"
-                  : "border-slate-200 bg-white"
-              }`}
-            />
-            {fieldErrors.password && (
-              <span className="mt-2 block text-xs font-medium text-red-500">{fieldErrors.password}</span>
-            )}
-          </label>
-
-          <div className="flex items-center justify-between text-xs font-medium text-cyan-700">
-            <Link to="/register" className="text-slate-500 hover:text-cyan-600 transition">
-              ¿No tienes cuenta? Regístrate
-            </Link>
-            <Link to="/forgot-password" className="text-cyan-600 hover:text-cyan-500 transition">
-              ¿Olvidaste tu contraseña?
-            </Link>
-          </div>
+                }}
+                className="text-cyan-600 hover:text-cyan-500 transition"
+              >
+                {useRecoveryCode ? "Usar la aplicación de autenticación" : "Usar un código de recuperación"}
+              </button>
+            </div>
 
-          <motion.button
-            type="submit"
-            disabled={loading}
-            whileTap={{ scale: loading ? 1 : 0.98 }}
-            className={`mt-2 inline-flex items-center justify-center rounded-full px-6 py-3 text-sm font-semibold uppercase tracking-[0.4em] text-white transition ${
-              formHasErrors
-                ? "bg-red-500/90 hover:bg-red-500/80"
-                : "bg-cyan-600 hover:bg-cyan-700"
-            } disabled:opacity-60`}
-          >
-            {loading ? "Validando..." : formHasErrors ? "Reintentar" : "Iniciar sesión"}
-          </motion.button>
-        </form>
+            <motion.button
+              type="submit"
+              disabled={loading}
+              whileTap={{ scale: loading ? 1 : 0.98 }}
+              className="mt-2 inline-flex items-center justify-center rounded-full bg-cyan-600 px-6 py-3 text-sm font-semibold uppercase tracking-[0.4em] text-white transition hover:bg-cyan-700 disabled:opacity-60"
+            >
+              {loading ? "Verificando..." : "Verificar"}
+            </motion.button>
+          </form>
+        ) : (
+          <form onSubmit={onSubmit} className="grid gap-4">
+            <label className="flex flex-col gap-2 text-slate-500">
+              <span className="text-xs font-semibold uppercase tracking-[0.3em]">Correo institucional</span>
+              <input
+                type="email"
+                placeholder="nombre@unisabana.edu.co"
+                value={form.email}
+                onChange={(e) => {
+                  const value = e.target.value;
+                  setForm((prev) => ({ ...prev, email: value }));
+                  if (fieldErrors.email || bannerError) {
+                    setFieldErrors((prev) => ({ ...prev, email: "" }));
+                    setBannerError("");
+                  }
+                }}
+                className={`w-full rounded-2xl border px-4 py-3 text-sm outline-none transition focus:ring-2 focus:ring-cyan-500 focus:border-cyan-400 tracking-normal ${
+                  fieldErrors.email
+                    ? "border-red-400 bg-red-50 focus:ring-red-300 focus:border-red-400"
+                    : "border-slate-200 bg-white"
+                }`}
+              />
+              {fieldErrors.email && (
+                <span className="mt-2 block text-xs font-medium text-red-500">{fieldErrors.email}</span>
+              )}
+            </label>
+
+            <label className="flex flex-col gap-2 text-slate-500">
+              <span className="text-xs font-semibold uppercase tracking-[0.3em]">Contraseña</span>
+              <input
+                type="password"
+                placeholder="******"
+                value={form.password}
+                onChange={(e) => {
+                  const value = e.target.value;
+                  setForm((prev) => ({ ...prev, password: value }));
+                  if (fieldErrors.password || bannerError) {
+                    setFieldErrors((prev) => ({ ...prev, password: "" }));
+                    setBannerError("");
+                  }
+                }}
+                className={`w-full rounded-2xl border px-4 py-3 text-sm outline-none transition focus:ring-2 focus:ring-cyan-500 focus:border-cyan-400 tracking-normal ${
+                  fieldErrors.password
+                    ? "border-red-400 bg-red-50 focus:ring-red-300 focus:border-red-400"
+                    : "border-slate-200 bg-white"
+                }`}
+              />
+              {fieldErrors.password && (
+                <span className="mt-2 block text-xs font-medium text-red-500">{fieldErrors.password}</span>
+              )}
+            </label>
+
+            <div className="flex items-center justify-between text-xs font-medium text-cyan-700">
+              <Link to="/register" className="text-slate-500 hover:text-cyan-600 transition">
+                ¿No tienes cuenta? Regístrate
+              </Link>
+              <Link to="/forgot-password" className="text-cyan-600 hover:text-cyan-500 transition">
+                ¿Olvidaste tu contraseña?
+              </Link>
+            </div>
+
+            <motion.button
+              type="submit"
+              disabled={loading}
+              whileTap={{ scale: loading ? 1 : 0.98 }}
+              className={`mt-2 inline-flex items-center justify-center rounded-full px-6 py-3 text-sm font-semibold uppercase tracking-[0.4em] text-white transition ${
+                formHasErrors
+                  ? "bg-red-500/90 hover:bg-red-500/80"
+                  : "bg-cyan-600 hover:bg-cyan-700"
+              } disabled:opacity-60`}
+            >
+              {loading ? "Validando..." : formHasErrors ? "Reintentar" : "Iniciar sesión"}
+            </motion.button>
+          </form>
+        )}
       </motion.div>
     </section>
   );
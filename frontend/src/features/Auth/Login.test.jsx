@@ -0,0 +1,69 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import Login from "./Login.jsx";
+
+const mockPost = jest.fn();
+const mockAuth = {};
+
+jest.mock("../../utils/api", () => ({
+  post: (...args) => mockPost(...args)
+}));
+
+jest.mock("../../context/AuthContext.jsx", () => ({
+  useAuth: () => mockAuth
+}));
+
+function renderLogin() {
+  return render(
+    <MemoryRouter>
+      <Login />
+    </MemoryRouter>
+  );
+}
+
+describe("Login", () => {
+  beforeEach(() => {
+    mockPost.mockReset();
+    Object.assign(mockAuth, {
+      login: jest.fn(),
+      mfaChallenge: null,
+      startMfaChallenge: jest.fn(),
+      verifyMfa: jest.fn(),
+      cancelMfa: jest.fn()
+    });
+  });
+
+  it("pasa al segundo paso cuando la cuenta tiene verificación en dos pasos", async () => {
+    mockPost.mockResolvedValue({ data: { code: "mfa_required", mfaToken: "reto", expiresIn: 300 } });
+    renderLogin();
+
+    fireEvent.change(screen.getByPlaceholderText("nombre@unisabana.edu.co"), {
+      target: { value: "Ana@unisabana.edu.co" }
+    });
+    fireEvent.change(screen.getByPlaceholderText("******"), { target: { value: "ClaveSegura123" } });
+    fireEvent.click(screen.getByRole("button", { name: "Iniciar sesión" }));
+
+    await waitFor(() => expect(mockAuth.startMfaChallenge).toHaveBeenCalledWith("reto", "ana@unisabana.edu.co"));
+    expect(mockAuth.login).not.toHaveBeenCalled();
+  });
+
+  it("verifica el código del segundo paso y permite usar un código de recuperación", async () => {
+    mockAuth.mfaChallenge = { mfaToken: "reto", email: "ana@unisabana.edu.co" };
+    mockAuth.verifyMfa
+      .mockRejectedValueOnce({ response: { data: { error: "Código de verificación inválido" } } })
+      .mockResolvedValueOnce({ id: "u1" });
+    renderLogin();
+
+    expect(screen.getByText(/aplicación de autenticación para ana@unisabana.edu.co/)).toBeInTheDocument();
+    fireEvent.change(screen.getByPlaceholderText("123456"), { target: { value: "000000" } });
+    fireEvent.click(screen.getByRole("button", { name: "Verificar" }));
+    expect(await screen.findByText("Código de verificación inválido")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Usar un código de recuperación" }));
+    fireEvent.change(screen.getByPlaceholderText("xxxxx-xxxxx"), { target: { value: "abcde-12345" } });
+    fireEvent.click(screen.getByRole("button", { name: "Verificar" }));
+
+    expect(await screen.findByText("¡Bienvenido!")).toBeInTheDocument();
+    expect(mockAuth.verifyMfa).toHaveBeenLastCalledWith("abcde-12345");
+  });
+});
@@ -20,8 +20,7 @@ export default function Register() {
     idNumber: "",
     phone: "",
     email: "",
-    password: "",
-    photoUrl: ""
+    password: ""
   });
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
@@ -54,8 +53,7 @@ export default function Register() {
         phone: form.phone.trim(),
         email: String(form.email || "").trim().toLowerCase(),
         password: form.password,
-        role: "passenger",
-        photoUrl: form.photoUrl?.trim() || undefined
+        role: "passenger"
       });
       setSuccess(true);
       // Redirigir a login tras un breve delay
@@ -116,13 +114,6 @@ export default function Register() {
       value: form.password,
       onChange: onChange("password"),
       type: "password"
-    },
-    {
-      label: "URL foto de perfil",
-      placeholder: "https://",
-      value: form.photoUrl,
-      onChange: onChange("photoUrl"),
-      type: "url"
     }
   ];
 
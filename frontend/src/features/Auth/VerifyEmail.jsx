@@ -0,0 +1,55 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import api from "../../utils/api";
+import { useAuth } from "../../context/AuthContext.jsx";
+
+// Landing page of the verification link emailed at registration (/verify-email?token=...).
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const { isAuthenticated, refreshProfile } = useAuth();
+  const [status, setStatus] = useState(token ? "loading" : "error");
+  const [error, setError] = useState(token ? "" : "Token inválido o expirado");
+  // Tokens are single-use: StrictMode's double effect must not send it twice.
+  const sentToken = useRef("");
+
+  useEffect(() => {
+    if (!token || sentToken.current === token) return;
+    sentToken.current = token;
+    api
+      .post("/auth/verify-email", { token })
+      .then(async () => {
+        setStatus("success");
+        if (isAuthenticated) await refreshProfile().catch(() => {});
+      })
+      .catch((err) => {
+        setStatus("error");
+        setError(err?.response?.data?.error || "No se pudo verificar el correo");
+      });
+  }, [token, isAuthenticated, refreshProfile]);
+
+  return (
+    <section className="min-h-[60svh] px-4 py-14">
+      <div className="mx-auto w-full max-w-md overflow-hidden rounded-[28px] bg-white px-8 py-10 text-center shadow-xl">
+        <h1 className="text-xl font-semibold text-slate-900">Verificación de correo</h1>
+        {status === "loading" && <p className="mt-3 text-sm text-slate-600">Verificando tu correo...</p>}
+        {status === "success" && (
+          <p className="mt-3 text-sm text-slate-600">
+            ¡Listo! Tu correo institucional quedó verificado. Ya puedes publicar viajes y reservar cupos.
+          </p>
+        )}
+        {status === "error" && (
+          <p className="mt-3 text-sm text-red-600">
+            {error}. Puedes pedir un nuevo enlace desde el aviso de verificación al iniciar sesión.
+          </p>
+        )}
+        <Link
+          to={isAuthenticated ? "/dashboard" : "/login"}
+          className="mt-6 inline-flex items-center justify-center rounded-full border border-[#02A0C6] px-6 py-2 text-sm font-semibold text-[#02A0C6] transition hover:bg-[#02A0C6]/10"
+        >
+          {isAuthenticated ? "Ir al inicio" : "Ir al login"}
+        </Link>
+      </div>
+    </section>
+  );
+}
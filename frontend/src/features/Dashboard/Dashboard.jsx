@@ -2,6 +2,7 @@ import { useEffect, useMemo, useState } from "react";
 import { Link } from "react-router-dom";
 import api from "../../utils/api";
 import { useAuth } from "../../context/AuthContext.jsx";
+import useRealtimeEvents from "../../utils/useRealtimeEvents";
 
 function formatDateTime(value) {
   if (!value) return "";
@@ -204,7 +205,10 @@ function DriverDocumentsNotice({ readiness }) {
 
 export default function Dashboard() {
   const { user, loadingProfile, refreshProfile } = useAuth();
+  // Only the driver's next trips are loaded; the community listing is summarised by its total.
   const [trips, setTrips] = useState([]);
+  const [tripTotals, setTripTotals] = useState({ available: 0, mine: 0 });
+  const [reservations, setReservations] = useState([]);
   const [vehicles, setVehicles] = useState([]);
   const [driverReadiness, setDriverReadiness] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -223,22 +227,42 @@ export default function Dashboard() {
         /* best effort */
       }
       try {
-        const requests = [api.get("/trips"), api.get("/vehicles")];
+        const requests = [
+          api.get("/trips", { params: { limit: 1 } }),
+          api.get("/vehicles"),
+          api.get("/reservations/mine", { params: { status: "pending,confirmed" } })
+        ];
         if (driverRole) {
           requests.push(api.get("/vehicles/documents/validate"));
+          requests.push(api.get("/trips", { params: { driver: user.id, limit: 3 } }));
         }
 
         const results = await Promise.allSettled(requests);
         const tripsRes = results[0];
         const vehiclesRes = results[1];
-        const readinessRes = driverRole ? results[2] : null;
+        const reservationsRes = results[2];
+        const readinessRes = driverRole ? results[3] : null;
+        const driverTripsRes = driverRole ? results[4] : null;
         if (ignore) return;
         if (tripsRes.status === "fulfilled") {
-          setTrips(tripsRes.value?.data?.trips || []);
+          setTripTotals((prev) => ({ ...prev, available: Number(tripsRes.value?.data?.total) || 0 }));
         } else {
-          setTrips([]);
+          setTripTotals((prev) => ({ ...prev, available: 0 }));
           setError("No se pudieron cargar los viajes disponibles");
         }
+        if (driverTripsRes?.status === "fulfilled") {
+          setTrips(driverTripsRes.value?.data?.trips || []);
+          setTripTotals((prev) => ({ ...prev, mine: Number(driverTripsRes.value?.data?.total) || 0 }));
+        } else {
+          setTrips([]);
+          setTripTotals((prev) => ({ ...prev, mine: 0 }));
+        }
+        if (reservationsRes.status === "fulfilled") {
+          const list = reservationsRes.value?.data?.reservations;
+          setReservations(Array.isArray(list) ? list : []);
+        } else {
+          setReservations([]);
+        }
         if (vehiclesRes.status === "fulfilled") {
           setVehicles(Array.isArray(vehiclesRes.value?.data) ? vehiclesRes.value.data : []);
         } else {
@@ -271,10 +295,51 @@ export default function Dashboard() {
   }, [user, loadingProfile, refreshProfile]);
 
   const userId = user?.id;
+
+  async function reloadReservations() {
+    try {
+      const { data } = await api.get("/reservations/mine", { params: { status: "pending,confirmed" } });
+      setReservations(Array.isArray(data?.reservations) ? data.reservations : []);
+    } catch (err) {
+      console.error("dashboard reservations", err);
+    }
+  }
+
+  function handleReservationEvent({ reservation }) {
+    if ((reservation?.passenger || "").toString() === userId) reloadReservations();
+  }
+
+  // Keep seat counts and reservation summaries in sync with backend events.
+  useRealtimeEvents(
+    {
+      "trip.updated": ({ trip: snapshot }) => {
+        if (!snapshot?._id) return;
+        setTrips((prev) => prev.map((trip) => (trip._id === snapshot._id ? { ...trip, ...snapshot } : trip)));
+        setReservations((prev) =>
+          prev.map((item) =>
+            item.trip?._id === snapshot._id ? { ...item, trip: { ...item.trip, ...snapshot } } : item
+          )
+        );
+      },
+      "trip.cancelled": ({ trip: snapshot }) => {
+        if (!snapshot?._id) return;
+        setTrips((prev) => prev.filter((trip) => trip._id !== snapshot._id));
+        setReservations((prev) => prev.filter((item) => item.trip?._id !== snapshot._id));
+      },
+      "reservation.created": handleReservationEvent,
+      "reservation.confirmed": handleReservationEvent,
+      "reservation.rejected": handleReservationEvent,
+      "reservation.cancelled": handleReservationEvent,
+      "reservation.expired": handleReservationEvent
+    },
+    { enabled: Boolean(userId) }
+  );
   const isDriver = useMemo(() => (user?.roles || []).includes("driver"), [user?.roles]);
   const myDriverTrips = useMemo(
     () =>
-      trips.filter((trip) => (trip.driver || "").toString() === (userId || "") && trip.status !== "cancelled"),
+      trips.filter(
+        (trip) => (trip.driver?._id || trip.driver || "").toString() === (userId || "") && trip.status !== "cancelled"
+      ),
     [trips, userId]
   );
 
@@ -288,38 +353,30 @@ export default function Dashboard() {
     [myDriverTrips]
   );
 
-  const myReservations = useMemo(() => {
-    if (!userId) return [];
-    const items = [];
-    for (const trip of trips) {
-      if (!Array.isArray(trip.reservations)) continue;
-      for (const reservation of trip.reservations) {
-        if ((reservation?.passenger || "").toString() === userId) {
-          items.push({ trip, reservation });
-        }
-      }
-    }
-    return items
-      .filter(({ reservation }) => !["cancelled", "rejected"].includes(reservation.status))
-      .map(({ trip, reservation }) => ({
-        trip,
-        reservation,
-        departureDate: new Date(trip.departureAt)
-      }))
-      .sort((a, b) => a.departureDate - b.departureDate);
-  }, [trips, userId]);
+  const myReservations = useMemo(
+    () =>
+      reservations
+        .filter((reservation) => reservation.trip && ["pending", "confirmed"].includes(reservation.status))
+        .map(({ trip, ...reservation }) => ({
+          trip,
+          reservation,
+          departureDate: new Date(trip.departureAt)
+        }))
+        .sort((a, b) => a.departureDate - b.departureDate),
+    [reservations]
+  );
 
   const metrics = useMemo(() => {
     const base = [
-      { label: "Viajes disponibles", value: trips.length },
+      { label: "Viajes disponibles", value: tripTotals.available },
   { label: "Mis reservas", value: myReservations.length }
     ];
     if (isDriver) {
-      base.push({ label: "Mis viajes publicados", value: myDriverTrips.length });
+      base.push({ label: "Mis viajes publicados", value: tripTotals.mine });
       base.push({ label: "Vehículos registrados", value: vehicles.length });
     }
     return base;
-  }, [trips.length, myReservations.length, myDriverTrips.length, vehicles.length, isDriver]);
+  }, [tripTotals, myReservations.length, vehicles.length, isDriver]);
 
   return (
     <section className="py-6">
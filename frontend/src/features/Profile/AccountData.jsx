@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../../utils/api";
+import { apiErrorMessage } from "../../utils/apiError";
+import { useAuth } from "../../context/AuthContext.jsx";
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString("es-CO", { day: "numeric", month: "long", year: "numeric" });
+}
+
+// Saves a blob response under the name the backend suggested in Content-Disposition.
+function saveDownload(data, headers, fallbackName) {
+  const match = /filename="?([^";]+)"?/.exec(headers?.["content-disposition"] || "");
+  const url = URL.createObjectURL(data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = match?.[1] || fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// "Tus datos" section of the profile page (Habeas Data): download a copy or delete the account.
+export default function AccountData() {
+  const { user, logout } = useAuth();
+  const nav = useNavigate();
+  const [downloading, setDownloading] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState("");
+
+  async function download(format) {
+    setDownloading(format);
+    setError("");
+    try {
+      const { data, headers } = await api.get("/users/me/export", {
+        params: format === "zip" ? { format } : undefined,
+        responseType: "blob"
+      });
+      saveDownload(data, headers, `wheels-mis-datos.${format}`);
+    } catch (err) {
+      setError(apiErrorMessage(err, "No se pudieron descargar tus datos"));
+    } finally {
+      setDownloading(null);
+    }
+  }
+
+  async function deleteAccount(e) {
+    e.preventDefault();
+    setDeleting(true);
+    setError("");
+    try {
+      const { data } = await api.delete("/users/me", { data: { password, code: code.trim() || undefined } });
+      await logout();
+      window.alert(
+        `Tu cuenta se eliminará el ${formatDate(data.scheduledFor)}. Si cambias de opinión, inicia sesión antes de esa fecha.`
+      );
+      nav("/", { replace: true });
+    } catch (err) {
+      setError(apiErrorMessage(err, "No se pudo eliminar la cuenta"));
+      setDeleting(false);
+    }
+  }
+
+  const inputClass = "rounded border border-slate-200 px-3 py-2 text-sm outline-none focus:border-cyan-400";
+
+  return (
+    <section className="rounded-[28px] border border-slate-200 bg-white p-6 shadow-sm">
+      <h3 className="text-sm font-semibold text-slate-900">Tus datos</h3>
+      <p className="mt-1 text-xs text-slate-500">
+        Descarga una copia de la información que guardamos sobre ti o elimina tu cuenta (Ley 1581 de 2012).
+      </p>
+      {error && <p className="mt-3 text-xs text-red-600">{error}</p>}
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button
+          type="button"
+          disabled={downloading !== null}
+          onClick={() => download("json")}
+          className="rounded border px-3 py-1 text-xs text-slate-600 hover:bg-slate-50 disabled:opacity-60"
+        >
+          {downloading === "json" ? "Preparando..." : "Descargar mis datos (JSON)"}
+        </button>
+        <button
+          type="button"
+          disabled={downloading !== null}
+          onClick={() => download("zip")}
+          className="rounded border px-3 py-1 text-xs text-slate-600 hover:bg-slate-50 disabled:opacity-60"
+        >
+          {downloading === "zip" ? "Preparando..." : "Descargar con documentos (ZIP)"}
+        </button>
+        {!confirming && (
+          <button
+            type="button"
+            onClick={() => setConfirming(true)}
+            className="rounded border border-red-200 px-3 py-1 text-xs text-red-600 hover:bg-red-50"
+          >
+            Eliminar mi cuenta
+          </button>
+        )}
+      </div>
+
+      {confirming && (
+        <form onSubmit={deleteAccount} className="mt-4 grid gap-2 rounded-2xl border border-red-200 bg-red-50 p-4">
+          <p className="text-xs text-red-700">
+            Cancelaremos tus viajes y reservas próximos y cerraremos tus sesiones. Tus datos se borrarán
+            definitivamente después del periodo de gracia; si inicias sesión antes, la cuenta se conserva.
+          </p>
+          <input
+            type="password"
+            placeholder="Contraseña"
+            aria-label="Contraseña"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClass}
+          />
+          {user?.twoFactorEnabled && (
+            <input
+              type="text"
+              placeholder="Código de verificación o de recuperación"
+              aria-label="Código de verificación"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={inputClass}
+            />
+          )}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={deleting || !password}
+              className="rounded bg-red-600 px-3 py-1 text-xs font-semibold text-white hover:bg-red-700 disabled:opacity-60"
+            >
+              {deleting ? "Eliminando..." : "Confirmar eliminación"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setConfirming(false)}
+              className="rounded border px-3 py-1 text-xs text-slate-600 hover:bg-white"
+            >
+              Cancelar
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,81 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import AccountData from "./AccountData.jsx";
+
+const mockGet = jest.fn();
+const mockDelete = jest.fn();
+const mockLogout = jest.fn();
+const mockNavigate = jest.fn();
+
+jest.mock("../../utils/api", () => ({
+  get: (...args) => mockGet(...args),
+  delete: (...args) => mockDelete(...args)
+}));
+
+jest.mock("../../context/AuthContext.jsx", () => ({
+  useAuth: () => ({ user: { twoFactorEnabled: true }, logout: mockLogout })
+}));
+
+jest.mock("react-router-dom", () => ({
+  ...jest.requireActual("react-router-dom"),
+  useNavigate: () => mockNavigate
+}));
+
+function renderSection() {
+  return render(
+    <MemoryRouter>
+      <AccountData />
+    </MemoryRouter>
+  );
+}
+
+describe("AccountData", () => {
+  beforeEach(() => {
+    mockGet.mockReset();
+    mockDelete.mockReset();
+    mockLogout.mockReset();
+    mockNavigate.mockReset();
+    URL.createObjectURL = jest.fn(() => "blob:datos");
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  it("descarga el paquete ZIP con el nombre que envía el servidor", async () => {
+    mockGet.mockResolvedValue({
+      data: new Blob(["PK"]),
+      headers: { "content-disposition": 'attachment; filename="wheels-mis-datos-2026-10-19.zip"' }
+    });
+    const click = jest.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    renderSection();
+
+    fireEvent.click(screen.getByRole("button", { name: "Descargar con documentos (ZIP)" }));
+
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    expect(mockGet).toHaveBeenCalledWith("/users/me/export", { params: { format: "zip" }, responseType: "blob" });
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:datos");
+    click.mockRestore();
+  });
+
+  it("pide contraseña y código antes de eliminar la cuenta", async () => {
+    mockDelete
+      .mockRejectedValueOnce({ response: { data: { error: "Contraseña incorrecta" } } })
+      .mockResolvedValueOnce({ data: { scheduledFor: "2026-11-18T12:00:00.000Z" } });
+    jest.spyOn(window, "alert").mockImplementation(() => {});
+    renderSection();
+
+    fireEvent.click(screen.getByRole("button", { name: "Eliminar mi cuenta" }));
+    fireEvent.change(screen.getByLabelText("Contraseña"), { target: { value: "Equivocada1" } });
+    fireEvent.change(screen.getByLabelText("Código de verificación"), { target: { value: "123456" } });
+    fireEvent.click(screen.getByRole("button", { name: "Confirmar eliminación" }));
+
+    expect(await screen.findByText("Contraseña incorrecta")).toBeInTheDocument();
+    expect(mockLogout).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText("Contraseña"), { target: { value: "ClaveSegura123" } });
+    fireEvent.click(screen.getByRole("button", { name: "Confirmar eliminación" }));
+
+    await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith("/", { replace: true }));
+    expect(mockDelete).toHaveBeenLastCalledWith("/users/me", { data: { password: "ClaveSegura123", code: "123456" } });
+    expect(mockLogout).toHaveBeenCalled();
+    window.alert.mockRestore();
+  });
+});
@@ -0,0 +1,119 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../../utils/api";
+import { apiErrorMessage } from "../../utils/apiError";
+import { useAuth } from "../../context/AuthContext.jsx";
+
+function formatDateTime(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleString("es-CO", { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+}
+
+// Rough device label from the User-Agent header ("Chrome en Android").
+function deviceLabel(userAgent = "") {
+  const browser = ["Edg", "Firefox", "Chrome", "Safari"].find((name) => userAgent.includes(name));
+  const os = ["Android", "iPhone", "iPad", "Windows", "Mac OS", "Linux"].find((name) => userAgent.includes(name));
+  if (!browser && !os) return "Dispositivo desconocido";
+  const browserName = browser === "Edg" ? "Edge" : browser;
+  return [browserName, os === "Mac OS" ? "macOS" : os].filter(Boolean).join(" en ");
+}
+
+// "Sesiones activas" section of the profile page: devices signed in to the account.
+export default function ActiveSessions() {
+  const { logout } = useAuth();
+  const nav = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+    async function fetchSessions() {
+      try {
+        const { data } = await api.get("/auth/sessions");
+        if (!ignore) setSessions(Array.isArray(data?.sessions) ? data.sessions : []);
+      } catch (err) {
+        if (!ignore) setError(apiErrorMessage(err, "No se pudieron cargar las sesiones"));
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    }
+    fetchSessions();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  async function closeSession(sessionId) {
+    setBusyId(sessionId);
+    setError("");
+    try {
+      await api.delete(`/auth/sessions/${sessionId}`);
+      setSessions((prev) => prev.filter((session) => session.id !== sessionId));
+    } catch (err) {
+      setError(apiErrorMessage(err, "No se pudo cerrar la sesión"));
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function closeAll() {
+    if (!window.confirm("¿Cerrar sesión en todos tus dispositivos, incluido este?")) return;
+    setBusyId("all");
+    setError("");
+    try {
+      await api.delete("/auth/sessions");
+      await logout();
+      nav("/login", { replace: true });
+    } catch (err) {
+      setError(apiErrorMessage(err, "No se pudieron cerrar las sesiones"));
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <section className="rounded-[28px] border border-slate-200 bg-white p-6 shadow-sm">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="text-sm font-semibold text-slate-900">Sesiones activas</h3>
+        <button
+          type="button"
+          className="rounded border border-red-200 px-3 py-1 text-xs text-red-600 hover:bg-red-50 disabled:opacity-60"
+          disabled={busyId !== null || sessions.length === 0}
+          onClick={closeAll}
+        >
+          Cerrar sesión en todos los dispositivos
+        </button>
+      </div>
+      {error && <p className="mt-3 text-xs text-red-600">{error}</p>}
+      {loading ? (
+        <p className="mt-3 text-sm text-slate-500">Cargando...</p>
+      ) : (
+        <ul className="mt-3 divide-y divide-slate-100">
+          {sessions.map((session) => (
+            <li key={session.id} className="flex items-center justify-between gap-3 py-2 text-sm">
+              <div>
+                <p className="font-medium text-slate-900">
+                  {deviceLabel(session.userAgent)}
+                  {session.current && <span className="ml-2 text-xs font-normal text-emerald-600">Este dispositivo</span>}
+                </p>
+                <p className="text-xs text-slate-500">Último uso: {formatDateTime(session.lastUsedAt)}</p>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  className="rounded border px-3 py-1 text-xs text-slate-600 hover:bg-slate-50 disabled:opacity-60"
+                  disabled={busyId !== null}
+                  onClick={() => closeSession(session.id)}
+                >
+                  Cerrar
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,73 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import ActiveSessions from "./ActiveSessions.jsx";
+
+const mockGet = jest.fn();
+const mockDelete = jest.fn();
+const mockLogout = jest.fn();
+
+jest.mock("../../utils/api", () => ({
+  get: (...args) => mockGet(...args),
+  delete: (...args) => mockDelete(...args)
+}));
+
+jest.mock("../../context/AuthContext.jsx", () => ({
+  useAuth: () => ({ logout: mockLogout })
+}));
+
+const sessions = [
+  {
+    id: "s1",
+    userAgent: "Mozilla/5.0 (Windows NT 10.0) Chrome/120.0",
+    lastUsedAt: "2026-10-18T12:00:00.000Z",
+    current: true
+  },
+  {
+    id: "s2",
+    userAgent: "Mozilla/5.0 (Linux; Android 14) Firefox/130.0",
+    lastUsedAt: "2026-10-10T12:00:00.000Z",
+    current: false
+  }
+];
+
+function renderSessions() {
+  return render(
+    <MemoryRouter>
+      <ActiveSessions />
+    </MemoryRouter>
+  );
+}
+
+describe("ActiveSessions", () => {
+  beforeEach(() => {
+    mockGet.mockReset();
+    mockDelete.mockReset();
+    mockLogout.mockReset();
+    mockGet.mockResolvedValue({ data: { sessions } });
+    mockDelete.mockResolvedValue({ data: { ok: true } });
+  });
+
+  it("lista los dispositivos y cierra una sesión remota", async () => {
+    renderSessions();
+
+    expect(await screen.findByText("Chrome en Windows")).toBeInTheDocument();
+    expect(screen.getByText("Este dispositivo")).toBeInTheDocument();
+    expect(screen.getAllByRole("button", { name: "Cerrar" })).toHaveLength(1);
+
+    fireEvent.click(screen.getByRole("button", { name: "Cerrar" }));
+
+    await waitFor(() => expect(screen.queryByText("Firefox en Android")).not.toBeInTheDocument());
+    expect(mockDelete).toHaveBeenCalledWith("/auth/sessions/s2");
+  });
+
+  it("cierra la sesión en todos los dispositivos", async () => {
+    jest.spyOn(window, "confirm").mockReturnValue(true);
+    renderSessions();
+
+    fireEvent.click(await screen.findByRole("button", { name: "Cerrar sesión en todos los dispositivos" }));
+
+    await waitFor(() => expect(mockLogout).toHaveBeenCalled());
+    expect(mockDelete).toHaveBeenCalledWith("/auth/sessions");
+    window.confirm.mockRestore();
+  });
+});
@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import api from "../../utils/api";
+import { apiErrorMessage } from "../../utils/apiError";
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString("es-CO", { day: "numeric", month: "short", year: "numeric" });
+}
+
+// "Usuarios bloqueados" section of the profile page: people the user will not be matched with.
+export default function BlockedUsers() {
+  const [blocks, setBlocks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [removingId, setRemovingId] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+    async function fetchBlocks() {
+      try {
+        const { data } = await api.get("/users/me/blocks");
+        if (!ignore) setBlocks(Array.isArray(data?.blocks) ? data.blocks : []);
+      } catch (err) {
+        if (!ignore) setError(apiErrorMessage(err, "No se pudieron cargar los usuarios bloqueados"));
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    }
+    fetchBlocks();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  async function unblock(userId) {
+    setRemovingId(userId);
+    setError("");
+    try {
+      await api.delete(`/users/${userId}/block`);
+      setBlocks((prev) => prev.filter((block) => block.user.id !== userId));
+    } catch (err) {
+      setError(apiErrorMessage(err, "No se pudo desbloquear al usuario"));
+    } finally {
+      setRemovingId(null);
+    }
+  }
+
+  return (
+    <section className="rounded-[28px] border border-slate-200 bg-white p-6 shadow-sm">
+      <h3 className="text-sm font-semibold text-slate-900">Usuarios bloqueados</h3>
+      <p className="mt-1 text-xs text-slate-500">No verás sus viajes y no podrán reservar en los tuyos.</p>
+      {error && <p className="mt-3 text-xs text-red-600">{error}</p>}
+      {loading ? (
+        <p className="mt-3 text-sm text-slate-500">Cargando...</p>
+      ) : blocks.length === 0 ? (
+        <p className="mt-3 text-sm text-slate-500">No has bloqueado a nadie.</p>
+      ) : (
+        <ul className="mt-3 divide-y divide-slate-100">
+          {blocks.map(({ user, blockedAt }) => (
+            <li key={user.id} className="flex items-center justify-between gap-3 py-2 text-sm">
+              <div>
+                <Link to={`/users/${user.id}`} className="font-medium text-slate-900 hover:underline">
+                  {`${user.firstName || ""} ${user.lastName || ""}`.trim() || "Usuario"}
+                </Link>
+                <p className="text-xs text-slate-500">Bloqueado el {formatDate(blockedAt)}</p>
+              </div>
+              <button
+                type="button"
+                className="rounded border px-3 py-1 text-xs text-slate-600 hover:bg-slate-50 disabled:opacity-60"
+                disabled={removingId === user.id}
+                onClick={() => unblock(user.id)}
+              >
+                {removingId === user.id ? "Desbloqueando..." : "Desbloquear"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
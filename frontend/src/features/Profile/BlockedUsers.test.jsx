@@ -0,0 +1,35 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import BlockedUsers from "./BlockedUsers.jsx";
+
+const mockGet = jest.fn();
+const mockDelete = jest.fn();
+
+jest.mock("../../utils/api", () => ({
+  get: (...args) => mockGet(...args),
+  delete: (...args) => mockDelete(...args)
+}));
+
+describe("BlockedUsers", () => {
+  it("lista los usuarios bloqueados y permite desbloquearlos", async () => {
+    mockGet.mockResolvedValue({
+      data: {
+        blocks: [{ user: { id: "user-2", firstName: "Andrés", lastName: "Rojas" }, blockedAt: "2026-03-01T12:00:00.000Z" }]
+      }
+    });
+    mockDelete.mockResolvedValue({ data: { blocked: false } });
+
+    render(
+      <MemoryRouter>
+        <BlockedUsers />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByRole("link", { name: "Andrés Rojas" })).toHaveAttribute("href", "/users/user-2");
+    fireEvent.click(screen.getByRole("button", { name: "Desbloquear" }));
+
+    await waitFor(() => expect(screen.getByText("No has bloqueado a nadie.")).toBeInTheDocument());
+    expect(mockGet).toHaveBeenCalledWith("/users/me/blocks");
+    expect(mockDelete).toHaveBeenCalledWith("/users/user-2/block");
+  });
+});
@@ -2,24 +2,21 @@ import { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import api from "../../utils/api";
 import { useAuth } from "../../context/AuthContext.jsx";
+import ActiveSessions from "./ActiveSessions.jsx";
+import BlockedUsers from "./BlockedUsers.jsx";
+import TwoFactorSettings from "./TwoFactorSettings.jsx";
+import AccountData from "./AccountData.jsx";
+import ProfilePhoto from "./ProfilePhoto.jsx";
 
 const emptyForm = {
   firstName: "",
   lastName: "",
   phone: "",
-  photoUrl: "",
   emergencyContactName: "",
   emergencyContactPhone: "",
   preferredPaymentMethod: "cash"
 };
 
-const avatarFallback = (firstName = "", lastName = "") => {
-  const f = (firstName || "").trim().charAt(0) || "";
-  const l = (lastName || "").trim().charAt(0) || "";
-  const initials = `${f}${l}`.toUpperCase();
-  return initials || "WS";
-};
-
 function InfoRow({ label, value }) {
   return (
     <div className="rounded-2xl border border-white/20 bg-white/5 p-4 text-left">
@@ -54,7 +51,6 @@ export default function ProfilePage() {
       firstName: user.firstName || "",
       lastName: user.lastName || "",
       phone: user.phone || "",
-      photoUrl: user.photoUrl || "",
       emergencyContactName: user.emergencyContact?.name || "",
       emergencyContactPhone: user.emergencyContact?.phone || "",
       preferredPaymentMethod: user.preferredPaymentMethod || "cash"
@@ -108,7 +104,6 @@ export default function ProfilePage() {
         firstName: form.firstName,
         lastName: form.lastName,
         phone: form.phone,
-        photoUrl: form.photoUrl,
         preferredPaymentMethod: form.preferredPaymentMethod,
         emergencyContact:
           form.emergencyContactName || form.emergencyContactPhone
@@ -150,7 +145,7 @@ export default function ProfilePage() {
         <div className="grid gap-6">
           <article className="relative overflow-hidden rounded-[32px] border border-white/40 bg-gradient-to-b from-[#003366] to-[#001a33] p-6 text-white shadow">
             <div className="flex items-center gap-4">
-              <div className="h-20 w-20 rounded-full bg-white/10 flex items-center justify-center text-2xl font-semibold">{avatarFallback(user.firstName, user.lastName)}</div>
+              <ProfilePhoto />
               <div>
                 <h2 className="text-2xl font-semibold">{user.firstName} {user.lastName}</h2>
                 <p className="text-sm text-white/80">{user.email}</p>
@@ -220,6 +215,14 @@ export default function ProfilePage() {
             </div>
           </section>
 
+          <TwoFactorSettings />
+
+          <ActiveSessions />
+
+          <BlockedUsers />
+
+          <AccountData />
+
           <div className="flex gap-3">
             <button className="flex-1 rounded border px-4 py-2" onClick={() => refreshProfile()}>Actualizar datos</button>
             <button className="flex-1 rounded border px-4 py-2 bg-blue-50" onClick={() => setShowResetModal(true)}>Restablecer contraseña</button>
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { useAuth } from "../../context/AuthContext.jsx";
+import { apiErrorMessage } from "../../utils/apiError";
+import { resolveAssetUrl } from "../../utils/assetUrl";
+
+const ACCEPTED_PHOTO_TYPES = "image/jpeg,image/png,image/webp";
+
+const avatarFallback = (firstName = "", lastName = "") => {
+  const f = (firstName || "").trim().charAt(0) || "";
+  const l = (lastName || "").trim().charAt(0) || "";
+  const initials = `${f}${l}`.toUpperCase();
+  return initials || "WS";
+};
+
+// Avatar on the profile header: uploads the photo to POST /users/me/photo or removes it.
+export default function ProfilePhoto() {
+  const { user, updateProfilePhoto } = useAuth();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function save(file) {
+    setBusy(true);
+    setError("");
+    try {
+      await updateProfilePhoto(file);
+    } catch (err) {
+      setError(apiErrorMessage(err, file ? "No se pudo subir la foto" : "No se pudo eliminar la foto"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function onFileChange(e) {
+    const [file] = e.target.files || [];
+    e.target.value = "";
+    if (file) save(file);
+  }
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      {user?.photoUrl ? (
+        <img
+          src={resolveAssetUrl(user.photoUrl)}
+          alt="Foto de perfil"
+          className="h-20 w-20 rounded-full object-cover"
+        />
+      ) : (
+        <div className="h-20 w-20 rounded-full bg-white/10 flex items-center justify-center text-2xl font-semibold">
+          {avatarFallback(user?.firstName, user?.lastName)}
+        </div>
+      )}
+      <div className="flex gap-2 text-xs">
+        <label className={`cursor-pointer underline ${busy ? "pointer-events-none opacity-60" : ""}`}>
+          {busy ? "Guardando..." : "Cambiar foto"}
+          <input
+            type="file"
+            accept={ACCEPTED_PHOTO_TYPES}
+            aria-label="Foto de perfil"
+            className="hidden"
+            disabled={busy}
+            onChange={onFileChange}
+          />
+        </label>
+        {user?.photoUrl && !busy && (
+          <button type="button" className="underline" onClick={() => save(null)}>
+            Quitar
+          </button>
+        )}
+      </div>
+      {error && <p className="max-w-[10rem] text-center text-xs text-red-200">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import ProfilePhoto from "./ProfilePhoto.jsx";
+
+const mockUpdateProfilePhoto = jest.fn();
+let mockUser;
+
+jest.mock("../../utils/api", () => ({
+  defaults: { baseURL: "http://api.test/" }
+}));
+
+jest.mock("../../context/AuthContext.jsx", () => ({
+  useAuth: () => ({ user: mockUser, updateProfilePhoto: mockUpdateProfilePhoto })
+}));
+
+describe("ProfilePhoto", () => {
+  beforeEach(() => {
+    mockUpdateProfilePhoto.mockReset();
+    mockUser = { firstName: "Laura", lastName: "Gómez", photoUrl: "/uploads/profile/laura.png" };
+  });
+
+  it("muestra la foto subida desde el servidor de la API y permite quitarla", async () => {
+    mockUpdateProfilePhoto.mockResolvedValue({});
+    render(<ProfilePhoto />);
+
+    expect(screen.getByAltText("Foto de perfil")).toHaveAttribute(
+      "src",
+      "http://api.test/uploads/profile/laura.png"
+    );
+    fireEvent.click(screen.getByRole("button", { name: "Quitar" }));
+
+    await waitFor(() => expect(mockUpdateProfilePhoto).toHaveBeenCalledWith(null));
+  });
+
+  it("sube la imagen elegida y muestra el error del servidor", async () => {
+    mockUser = { firstName: "Laura", lastName: "Gómez" };
+    mockUpdateProfilePhoto.mockRejectedValue({ response: { data: { error: "Tipo de archivo no permitido" } } });
+    render(<ProfilePhoto />);
+
+    expect(screen.getByText("LG")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Quitar" })).not.toBeInTheDocument();
+
+    const file = new File(["png"], "yo.png", { type: "image/png" });
+    fireEvent.change(screen.getByLabelText("Foto de perfil"), { target: { files: [file] } });
+
+    expect(await screen.findByText("Tipo de archivo no permitido")).toBeInTheDocument();
+    expect(mockUpdateProfilePhoto).toHaveBeenCalledWith(file);
+  });
+});
@@ -0,0 +1,277 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useAuth } from "../../context/AuthContext.jsx";
+import api from "../../utils/api";
+import { apiErrorMessage } from "../../utils/apiError";
+import { resolveAssetUrl } from "../../utils/assetUrl";
+
+const ROLE_LABELS = {
+  driver: "Conductor",
+  passenger: "Pasajero"
+};
+
+const RATED_AS_LABELS = {
+  driver: "Como conductor",
+  passenger: "Como pasajero"
+};
+
+function formatStats(stats) {
+  if (!stats?.ratingsCount) return "Sin calificaciones aún";
+  return `${stats.average.toFixed(1)} ⭐ (${stats.ratingsCount} ${stats.ratingsCount === 1 ? "reseña" : "reseñas"})`;
+}
+
+function formatDate(value, options) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString("es-CO", options);
+}
+
+function initials(profile) {
+  const value = `${profile.firstName?.charAt(0) || ""}${profile.lastName?.charAt(0) || ""}`.toUpperCase();
+  return value || "WS";
+}
+
+function StatCard({ label, value, detail }) {
+  return (
+    <div className="rounded-2xl border border-white/70 bg-white/90 p-4 shadow-sm">
+      <p className="text-xs uppercase tracking-wide text-slate-500">{label}</p>
+      <p className="text-sm font-semibold text-slate-900">{value}</p>
+      {detail && <p className="text-xs text-slate-500">{detail}</p>}
+    </div>
+  );
+}
+
+// Public profile (/users/:id): reputation other riders see before sharing a trip.
+export default function PublicProfile() {
+  const { id: userId } = useParams();
+  const { user } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [blockedByMe, setBlockedByMe] = useState(false);
+  const [blockSending, setBlockSending] = useState(false);
+  const [blockError, setBlockError] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [reportingId, setReportingId] = useState(null);
+  const [reportReason, setReportReason] = useState("");
+  const [reportSending, setReportSending] = useState(false);
+  const [reportError, setReportError] = useState("");
+  const [reportedIds, setReportedIds] = useState([]);
+
+  useEffect(() => {
+    let ignore = false;
+    async function fetchProfile() {
+      setLoading(true);
+      setError("");
+      try {
+        const { data } = await api.get(`/users/${userId}/public`);
+        if (ignore) return;
+        setProfile(data?.profile || null);
+        setBlockedByMe(Boolean(data?.blockedByMe));
+      } catch (err) {
+        console.error("public profile", err);
+        if (!ignore) setError(apiErrorMessage(err, "No se pudo cargar el perfil"));
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    }
+    fetchProfile();
+    return () => {
+      ignore = true;
+    };
+  }, [userId]);
+
+  function openReport(ratingId) {
+    setReportingId(ratingId);
+    setReportReason("");
+    setReportError("");
+  }
+
+  async function toggleBlock() {
+    setBlockSending(true);
+    setBlockError("");
+    try {
+      if (blockedByMe) await api.delete(`/users/${userId}/block`);
+      else await api.post(`/users/${userId}/block`);
+      setBlockedByMe(!blockedByMe);
+    } catch (err) {
+      setBlockError(apiErrorMessage(err, "No se pudo actualizar el bloqueo"));
+    } finally {
+      setBlockSending(false);
+    }
+  }
+
+  async function handleReport(event) {
+    event.preventDefault();
+    setReportSending(true);
+    setReportError("");
+    try {
+      await api.post(`/ratings/${reportingId}/report`, { reason: reportReason.trim() || undefined });
+      setReportedIds((prev) => [...prev, reportingId]);
+      setReportingId(null);
+    } catch (err) {
+      setReportError(apiErrorMessage(err, "No se pudo enviar el reporte"));
+    } finally {
+      setReportSending(false);
+    }
+  }
+
+  if (loading) {
+    return <p className="py-6 text-sm text-slate-500">Cargando perfil...</p>;
+  }
+  if (error || !profile) {
+    return (
+      <section className="py-6">
+        <div className="rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+          {error || "Usuario no encontrado"}
+        </div>
+        <Link to="/trips" className="mt-4 inline-block text-sm font-medium text-blue-600 hover:underline">
+          Volver a los viajes
+        </Link>
+      </section>
+    );
+  }
+
+  const name = `${profile.firstName || ""} ${profile.lastName || ""}`.trim() || "Usuario";
+  const { ratings, completedTrips } = profile;
+  const totalRatings = ratings?.overall?.ratingsCount || 0;
+  const isOwnProfile = user?.id && String(user.id) === String(profile.id);
+
+  return (
+    <section className="py-6">
+      <header className="mb-6 flex flex-wrap items-center gap-4">
+        {profile.photoUrl ? (
+          <img src={resolveAssetUrl(profile.photoUrl)} alt={name} className="h-16 w-16 rounded-full object-cover" />
+        ) : (
+          <div className="flex h-16 w-16 items-center justify-center rounded-full bg-slate-100 text-lg font-semibold text-slate-700">
+            {initials(profile)}
+          </div>
+        )}
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-900">{name}</h1>
+          <p className="text-sm text-slate-600">
+            {(profile.roles || []).map((role) => ROLE_LABELS[role] || role).join(" · ")}
+          </p>
+          <p className="text-xs text-slate-500">
+            Miembro desde {formatDate(profile.memberSince, { month: "long", year: "numeric" })}
+          </p>
+        </div>
+        {!isOwnProfile && (
+          <div className="ml-auto text-right">
+            <button
+              type="button"
+              className="rounded-md border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-60"
+              disabled={blockSending}
+              onClick={toggleBlock}
+            >
+              {blockedByMe ? "Desbloquear" : "Bloquear"}
+            </button>
+            {blockedByMe && (
+              <p className="mt-1 text-xs text-slate-500">No verás sus viajes y no podrá reservar en los tuyos.</p>
+            )}
+            {blockError && <p className="mt-1 text-xs text-red-600">{blockError}</p>}
+          </div>
+        )}
+      </header>
+
+      <div className="grid gap-4 sm:grid-cols-3">
+        <StatCard label="Calificación general" value={formatStats(ratings?.overall)} />
+        <StatCard
+          label="Como conductor"
+          value={formatStats(ratings?.asDriver)}
+          detail={`${completedTrips?.asDriver || 0} viajes completados`}
+        />
+        <StatCard
+          label="Como pasajero"
+          value={formatStats(ratings?.asPassenger)}
+          detail={`${completedTrips?.asPassenger || 0} viajes completados`}
+        />
+      </div>
+
+      <div className="mt-6 grid gap-6 lg:grid-cols-2">
+        <div className="rounded-2xl border border-white/70 bg-white/90 p-4 shadow-sm">
+          <p className="text-xs uppercase tracking-wide text-slate-500">Distribución</p>
+          <ul className="mt-3 space-y-2">
+            {[5, 4, 3, 2, 1].map((score) => {
+              const count = ratings?.distribution?.[score] || 0;
+              const percent = totalRatings ? Math.round((count / totalRatings) * 100) : 0;
+              return (
+                <li key={score} className="flex items-center gap-3 text-xs text-slate-600">
+                  <span className="w-6">{score} ⭐</span>
+                  <span className="h-2 flex-1 overflow-hidden rounded-full bg-slate-100">
+                    <span className="block h-full bg-amber-400" style={{ width: `${percent}%` }} />
+                  </span>
+                  <span className="w-6 text-right" aria-label={`${count} calificaciones de ${score} estrellas`}>
+                    {count}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        <div className="rounded-2xl border border-white/70 bg-white/90 p-4 shadow-sm">
+          <p className="text-xs uppercase tracking-wide text-slate-500">Comentarios recientes</p>
+          {ratings?.recentComments?.length ? (
+            <ul className="mt-3 space-y-3">
+              {ratings.recentComments.map((item) => (
+                <li key={item.id} className="text-sm text-slate-700">
+                  <p>“{item.comment}”</p>
+                  <p className="text-xs text-slate-500">
+                    {item.score} ⭐ · {RATED_AS_LABELS[item.ratedAs] || "Calificación"} ·{" "}
+                    {formatDate(item.createdAt, { day: "numeric", month: "short", year: "numeric" })}
+                    {reportedIds.includes(item.id) ? (
+                      <span className="ml-2">· Reportado</span>
+                    ) : (
+                      reportingId !== item.id && (
+                        <button
+                          type="button"
+                          className="ml-2 text-xs font-medium text-slate-500 underline hover:text-red-600"
+                          onClick={() => openReport(item.id)}
+                        >
+                          Reportar
+                        </button>
+                      )
+                    )}
+                  </p>
+                  {reportingId === item.id && (
+                    <form className="mt-2 space-y-2" onSubmit={handleReport}>
+                      <label className="block text-xs text-slate-500">
+                        Motivo del reporte (opcional)
+                        <textarea
+                          className="mt-1 w-full rounded-md border border-slate-300 px-3 py-2 text-sm"
+                          rows={2}
+                          maxLength={500}
+                          value={reportReason}
+                          onChange={(event) => setReportReason(event.target.value)}
+                        />
+                      </label>
+                      {reportError && <p className="text-xs text-red-600">{reportError}</p>}
+                      <div className="flex gap-2">
+                        <button
+                          type="submit"
+                          className="rounded-md bg-red-600 px-3 py-1 text-xs font-medium text-white hover:bg-red-700 disabled:bg-red-300"
+                          disabled={reportSending}
+                        >
+                          {reportSending ? "Enviando..." : "Enviar reporte"}
+                        </button>
+                        <button
+                          type="button"
+                          className="rounded-md border border-slate-200 px-3 py-1 text-xs text-slate-600 hover:bg-slate-50"
+                          onClick={() => setReportingId(null)}
+                        >
+                          Cancelar
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mt-3 text-sm text-slate-500">Aún no tiene comentarios.</p>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,134 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+import PublicProfile from "./PublicProfile.jsx";
+
+const mockGet = jest.fn();
+const mockPost = jest.fn();
+const mockDelete = jest.fn();
+
+jest.mock("../../utils/api", () => ({
+  get: (...args) => mockGet(...args),
+  post: (...args) => mockPost(...args),
+  delete: (...args) => mockDelete(...args)
+}));
+
+jest.mock("../../context/AuthContext.jsx", () => ({
+  useAuth: () => ({ user: { id: "viewer-1" } })
+}));
+
+function renderAt(path) {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/users/:id" element={<PublicProfile />} />
+      </Routes>
+    </MemoryRouter>
+  );
+}
+
+describe("PublicProfile", () => {
+  beforeEach(() => {
+    mockGet.mockReset();
+    mockPost.mockReset();
+    mockDelete.mockReset();
+  });
+
+  it("muestra la reputación por rol, la distribución y los comentarios", async () => {
+    mockGet.mockResolvedValue({
+      data: {
+        profile: {
+          id: "user-1",
+          firstName: "Laura",
+          lastName: "Gómez",
+          roles: ["passenger", "driver"],
+          memberSince: "2025-02-10T12:00:00.000Z",
+          completedTrips: { asDriver: 12, asPassenger: 3 },
+          ratings: {
+            overall: { average: 4.67, ratingsCount: 3 },
+            asDriver: { average: 5, ratingsCount: 2 },
+            asPassenger: { average: 4, ratingsCount: 1 },
+            distribution: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 2 },
+            recentComments: [
+              { id: "r1", score: 5, comment: "Muy puntual", ratedAs: "driver", createdAt: "2025-05-01T12:00:00.000Z" }
+            ]
+          }
+        }
+      }
+    });
+
+    renderAt("/users/user-1");
+
+    expect(await screen.findByRole("heading", { name: "Laura Gómez" })).toBeInTheDocument();
+    expect(mockGet).toHaveBeenCalledWith("/users/user-1/public");
+    expect(screen.getByText("Pasajero · Conductor")).toBeInTheDocument();
+    expect(screen.getByText("12 viajes completados")).toBeInTheDocument();
+    expect(screen.getByText("5.0 ⭐ (2 reseñas)")).toBeInTheDocument();
+    expect(screen.getByText("4.0 ⭐ (1 reseña)")).toBeInTheDocument();
+    expect(screen.getByLabelText("2 calificaciones de 5 estrellas")).toBeInTheDocument();
+    expect(screen.getByText("“Muy puntual”")).toBeInTheDocument();
+  });
+
+  it("permite reportar un comentario", async () => {
+    mockGet.mockResolvedValue({
+      data: {
+        profile: {
+          id: "user-1",
+          firstName: "Laura",
+          lastName: "Gómez",
+          roles: ["driver"],
+          completedTrips: { asDriver: 1, asPassenger: 0 },
+          ratings: {
+            overall: { average: 1, ratingsCount: 1 },
+            distribution: { 1: 1, 2: 0, 3: 0, 4: 0, 5: 0 },
+            recentComments: [{ id: "r1", score: 1, comment: "Pésimo", ratedAs: "driver" }]
+          }
+        }
+      }
+    });
+    mockPost.mockResolvedValue({ data: { reported: true, status: "visible" } });
+
+    renderAt("/users/user-1");
+
+    fireEvent.click(await screen.findByRole("button", { name: "Reportar" }));
+    fireEvent.change(screen.getByLabelText("Motivo del reporte (opcional)"), { target: { value: "Es falso" } });
+    fireEvent.click(screen.getByRole("button", { name: "Enviar reporte" }));
+
+    expect(await screen.findByText("· Reportado")).toBeInTheDocument();
+    expect(mockPost).toHaveBeenCalledWith("/ratings/r1/report", { reason: "Es falso" });
+  });
+
+  it("permite bloquear y desbloquear al usuario", async () => {
+    mockGet.mockResolvedValue({
+      data: {
+        profile: {
+          id: "user-1",
+          firstName: "Laura",
+          lastName: "Gómez",
+          roles: ["driver"],
+          completedTrips: { asDriver: 0, asPassenger: 0 },
+          ratings: { overall: { average: null, ratingsCount: 0 }, distribution: {}, recentComments: [] }
+        },
+        blockedByMe: false
+      }
+    });
+    mockPost.mockResolvedValue({ data: { blocked: true } });
+    mockDelete.mockResolvedValue({ data: { blocked: false } });
+
+    renderAt("/users/user-1");
+
+    fireEvent.click(await screen.findByRole("button", { name: "Bloquear" }));
+    fireEvent.click(await screen.findByRole("button", { name: "Desbloquear" }));
+
+    expect(await screen.findByRole("button", { name: "Bloquear" })).toBeInTheDocument();
+    expect(mockPost).toHaveBeenCalledWith("/users/user-1/block");
+    expect(mockDelete).toHaveBeenCalledWith("/users/user-1/block");
+  });
+
+  it("informa cuando el usuario no existe", async () => {
+    mockGet.mockRejectedValue({ response: { data: { error: "Usuario no encontrado" } } });
+
+    renderAt("/users/missing");
+
+    expect(await screen.findByText("Usuario no encontrado")).toBeInTheDocument();
+  });
+});
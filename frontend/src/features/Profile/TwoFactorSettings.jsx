@@ -0,0 +1,223 @@
+import { useEffect, useState } from "react";
+import api from "../../utils/api";
+import { apiErrorMessage } from "../../utils/apiError";
+import { useAuth } from "../../context/AuthContext.jsx";
+
+function RecoveryCodes({ codes, onDone }) {
+  return (
+    <div className="mt-3 rounded-2xl border border-amber-200 bg-amber-50 p-4">
+      <p className="text-xs text-amber-800">
+        Guarda estos códigos de recuperación en un lugar seguro. Cada uno sirve una sola vez si pierdes tu teléfono y no
+        se volverán a mostrar.
+      </p>
+      <ul className="mt-3 grid grid-cols-2 gap-2 font-mono text-sm text-slate-900">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        className="mt-3 rounded border px-3 py-1 text-xs text-slate-600 hover:bg-white"
+        onClick={onDone}
+      >
+        Ya los guardé
+      </button>
+    </div>
+  );
+}
+
+// "Verificación en dos pasos" section of the profile page: TOTP enrolment, recovery codes and turning it off.
+export default function TwoFactorSettings() {
+  const { refreshProfile } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [disabling, setDisabling] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    async function fetchStatus() {
+      try {
+        const { data } = await api.get("/auth/2fa");
+        if (!ignore) setStatus(data);
+      } catch (err) {
+        if (!ignore) setError(apiErrorMessage(err, "No se pudo consultar la verificación en dos pasos"));
+      }
+    }
+    fetchStatus();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  async function run(action, fallback) {
+    setBusy(true);
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      setError(apiErrorMessage(err, fallback));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const startSetup = () =>
+    run(async () => {
+      const { data } = await api.post("/auth/2fa/setup");
+      setSetup(data);
+      setCode("");
+    }, "No se pudo iniciar la configuración");
+
+  const enable = (e) => {
+    e.preventDefault();
+    return run(async () => {
+      const { data } = await api.post("/auth/2fa/enable", { code: code.trim() });
+      setSetup(null);
+      setCode("");
+      setRecoveryCodes(data.recoveryCodes);
+      setStatus({ enabled: true, recoveryCodesLeft: data.recoveryCodes.length });
+      refreshProfile().catch(() => {});
+    }, "No se pudo activar la verificación en dos pasos");
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    return run(async () => {
+      await api.post("/auth/2fa/disable", { password, code: code.trim() });
+      setDisabling(false);
+      setPassword("");
+      setCode("");
+      setRecoveryCodes(null);
+      setStatus({ enabled: false, recoveryCodesLeft: 0 });
+      refreshProfile().catch(() => {});
+    }, "No se pudo desactivar la verificación en dos pasos");
+  };
+
+  const regenerate = () => {
+    const current = window.prompt("Ingresa un código de tu aplicación para generar nuevos códigos de recuperación");
+    if (!current) return;
+    return run(async () => {
+      const { data } = await api.post("/auth/2fa/recovery-codes", { code: current.trim() });
+      setRecoveryCodes(data.recoveryCodes);
+      setStatus({ enabled: true, recoveryCodesLeft: data.recoveryCodes.length });
+    }, "No se pudieron generar nuevos códigos");
+  };
+
+  const inputClass = "rounded border border-slate-200 px-3 py-2 text-sm outline-none focus:border-cyan-400";
+
+  return (
+    <section className="rounded-[28px] border border-slate-200 bg-white p-6 shadow-sm">
+      <h3 className="text-sm font-semibold text-slate-900">Verificación en dos pasos</h3>
+      <p className="mt-1 text-xs text-slate-500">
+        Además de tu contraseña, pediremos un código de tu aplicación de autenticación al iniciar sesión.
+      </p>
+      {error && <p className="mt-3 text-xs text-red-600">{error}</p>}
+
+      {!status ? (
+        <p className="mt-3 text-sm text-slate-500">Cargando...</p>
+      ) : status.enabled ? (
+        <div className="mt-3 text-sm">
+          <p className="text-emerald-700">
+            Activa · {status.recoveryCodesLeft} códigos de recuperación disponibles
+          </p>
+          {recoveryCodes && <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+          {disabling ? (
+            <form onSubmit={disable} className="mt-3 grid gap-2">
+              <input
+                type="password"
+                placeholder="Contraseña"
+                aria-label="Contraseña"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={inputClass}
+              />
+              <input
+                type="text"
+                placeholder="Código de verificación o de recuperación"
+                aria-label="Código de verificación"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className={inputClass}
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="rounded border border-red-200 px-3 py-1 text-xs text-red-600 hover:bg-red-50 disabled:opacity-60"
+                >
+                  Desactivar
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setDisabling(false)}
+                  className="rounded border px-3 py-1 text-xs text-slate-600 hover:bg-slate-50"
+                >
+                  Cancelar
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="mt-3 flex gap-2">
+              <button
+                type="button"
+                disabled={busy}
+                onClick={regenerate}
+                className="rounded border px-3 py-1 text-xs text-slate-600 hover:bg-slate-50 disabled:opacity-60"
+              >
+                Nuevos códigos de recuperación
+              </button>
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => setDisabling(true)}
+                className="rounded border border-red-200 px-3 py-1 text-xs text-red-600 hover:bg-red-50 disabled:opacity-60"
+              >
+                Desactivar verificación en dos pasos
+              </button>
+            </div>
+          )}
+        </div>
+      ) : setup ? (
+        <form onSubmit={enable} className="mt-3 grid gap-3 text-sm">
+          <p className="text-slate-600">Escanea el código QR con tu aplicación de autenticación e ingresa el código que muestra.</p>
+          <img src={setup.qrCode} alt="Código QR para la aplicación de autenticación" className="h-40 w-40" />
+          <p className="text-xs text-slate-500">
+            ¿No puedes escanearlo? Ingresa esta clave: <span className="font-mono">{setup.secret}</span>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            placeholder="123456"
+            aria-label="Código de verificación"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={busy || code.trim().length !== 6}
+            className="justify-self-start rounded bg-cyan-600 px-4 py-2 text-xs font-semibold text-white hover:bg-cyan-700 disabled:opacity-60"
+          >
+            Activar
+          </button>
+        </form>
+      ) : (
+        <button
+          type="button"
+          disabled={busy}
+          onClick={startSetup}
+          className="mt-3 rounded bg-cyan-600 px-4 py-2 text-xs font-semibold text-white hover:bg-cyan-700 disabled:opacity-60"
+        >
+          Configurar verificación en dos pasos
+        </button>
+      )}
+    </section>
+  );
+}
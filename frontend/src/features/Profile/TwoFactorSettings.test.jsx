@@ -0,0 +1,75 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import TwoFactorSettings from "./TwoFactorSettings.jsx";
+
+const mockGet = jest.fn();
+const mockPost = jest.fn();
+const mockRefreshProfile = jest.fn();
+
+jest.mock("../../utils/api", () => ({
+  get: (...args) => mockGet(...args),
+  post: (...args) => mockPost(...args)
+}));
+
+jest.mock("../../context/AuthContext.jsx", () => ({
+  useAuth: () => ({ refreshProfile: mockRefreshProfile })
+}));
+
+const recoveryCodes = ["aaaaa-11111", "bbbbb-22222"];
+
+describe("TwoFactorSettings", () => {
+  beforeEach(() => {
+    mockGet.mockReset();
+    mockPost.mockReset();
+    mockRefreshProfile.mockReset();
+    mockRefreshProfile.mockResolvedValue(null);
+  });
+
+  it("muestra el QR, activa con un código y enseña los códigos de recuperación", async () => {
+    mockGet.mockResolvedValue({ data: { enabled: false, recoveryCodesLeft: 0 } });
+    mockPost.mockImplementation((url) =>
+      Promise.resolve(
+        url === "/auth/2fa/setup"
+          ? { data: { secret: "JBSWY3DPEHPK3PXP", otpauthUri: "otpauth://totp/x", qrCode: "data:image/png;base64,AAA" } }
+          : { data: { recoveryCodes } }
+      )
+    );
+    render(<TwoFactorSettings />);
+
+    fireEvent.click(await screen.findByRole("button", { name: "Configurar verificación en dos pasos" }));
+
+    expect(await screen.findByAltText("Código QR para la aplicación de autenticación")).toHaveAttribute(
+      "src",
+      "data:image/png;base64,AAA"
+    );
+    expect(screen.getByText("JBSWY3DPEHPK3PXP")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Código de verificación"), { target: { value: "123456" } });
+    fireEvent.click(screen.getByRole("button", { name: "Activar" }));
+
+    expect(await screen.findByText("aaaaa-11111")).toBeInTheDocument();
+    expect(mockPost).toHaveBeenCalledWith("/auth/2fa/enable", { code: "123456" });
+    expect(screen.getByText(/Activa · 2 códigos de recuperación disponibles/)).toBeInTheDocument();
+    await waitFor(() => expect(mockRefreshProfile).toHaveBeenCalled());
+  });
+
+  it("desactiva con contraseña y código y muestra los errores del servidor", async () => {
+    mockGet.mockResolvedValue({ data: { enabled: true, recoveryCodesLeft: 8 } });
+    mockPost
+      .mockRejectedValueOnce({ response: { data: { error: "Contraseña incorrecta" } } })
+      .mockResolvedValueOnce({ data: { ok: true } });
+    render(<TwoFactorSettings />);
+
+    fireEvent.click(await screen.findByRole("button", { name: "Desactivar verificación en dos pasos" }));
+    fireEvent.change(screen.getByLabelText("Contraseña"), { target: { value: "Equivocada1" } });
+    fireEvent.change(screen.getByLabelText("Código de verificación"), { target: { value: "654321" } });
+    fireEvent.click(screen.getByRole("button", { name: "Desactivar" }));
+
+    expect(await screen.findByText("Contraseña incorrecta")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Contraseña"), { target: { value: "ClaveSegura123" } });
+    fireEvent.click(screen.getByRole("button", { name: "Desactivar" }));
+
+    expect(await screen.findByRole("button", { name: "Configurar verificación en dos pasos" })).toBeInTheDocument();
+    expect(mockPost).toHaveBeenLastCalledWith("/auth/2fa/disable", { password: "ClaveSegura123", code: "654321" });
+  });
+});
@@ -0,0 +1,168 @@
+import { useEffect, useState } from "react";
+import api from "../../utils/api";
+import { apiErrorMessage } from "../../utils/apiError";
+
+const SCORES = [1, 2, 3, 4, 5];
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleString("es-CO", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+}
+
+function personName(person) {
+  const name = `${person?.firstName || ""} ${person?.lastName || ""}`.trim();
+  return name || "Usuario";
+}
+
+// Completed trips the user can still rate: passengers rate the driver, drivers rate each confirmed passenger.
+export default function PendingRatings({ className = "" }) {
+  const [pending, setPending] = useState([]);
+  const [active, setActive] = useState(null);
+  const [form, setForm] = useState({ score: 5, comment: "" });
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    async function fetchPending() {
+      try {
+        const { data } = await api.get("/ratings/pending");
+        if (!ignore) setPending(Array.isArray(data?.pending) ? data.pending : []);
+      } catch (err) {
+        console.error("pending ratings", err);
+      }
+    }
+    fetchPending();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  const keyOf = (item) => `${item.trip._id}:${item.ratee._id}`;
+
+  function openForm(item) {
+    setActive(keyOf(item));
+    setForm({ score: 5, comment: "" });
+    setError("");
+    setSuccess("");
+  }
+
+  async function handleSubmit(event, item) {
+    event.preventDefault();
+    setSending(true);
+    setError("");
+    try {
+      const { data } = await api.post("/ratings", {
+        tripId: item.trip._id,
+        to: item.ratee._id,
+        score: form.score,
+        comment: form.comment.trim() || undefined
+      });
+      setPending((prev) => prev.filter((entry) => keyOf(entry) !== keyOf(item)));
+      setActive(null);
+      setSuccess(
+        data?.status === "pending"
+          ? `Gracias por calificar a ${personName(item.ratee)}. Tu comentario se publicará cuando lo revisemos.`
+          : `Gracias por calificar a ${personName(item.ratee)}`
+      );
+    } catch (err) {
+      setError(apiErrorMessage(err, "No se pudo guardar la calificación"));
+    } finally {
+      setSending(false);
+    }
+  }
+
+  if (!pending.length && !success) return null;
+
+  return (
+    <section className={`rounded-xl border border-amber-200 bg-amber-50/70 p-5 shadow-sm ${className}`}>
+      <h2 className="text-lg font-semibold text-slate-900">Calificaciones pendientes</h2>
+      {success && <p className="mt-2 text-sm text-emerald-700">{success}</p>}
+      <ul className="mt-3 space-y-3">
+        {pending.map((item) => {
+          const key = keyOf(item);
+          const actionLabel = item.raterRole === "driver" ? "Calificar pasajero" : "Calificar conductor";
+          return (
+            <li key={key} className="rounded-lg border border-amber-100 bg-white p-4 text-sm text-slate-600">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                  <p className="font-medium text-slate-900">
+                    {item.trip.origin} → {item.trip.destination}
+                  </p>
+                  <p className="text-xs text-slate-500">
+                    {formatDate(item.trip.departureAt)} · {personName(item.ratee)}
+                  </p>
+                </div>
+                {active !== key && (
+                  <button
+                    type="button"
+                    className="rounded-md bg-amber-500 px-3 py-1 text-xs font-semibold text-white hover:bg-amber-600"
+                    onClick={() => openForm(item)}
+                  >
+                    {actionLabel}
+                  </button>
+                )}
+              </div>
+              {active === key && (
+                <form className="mt-3 space-y-3" onSubmit={(event) => handleSubmit(event, item)}>
+                  <fieldset>
+                    <legend className="text-xs uppercase tracking-wide text-slate-500">Puntaje</legend>
+                    <div className="mt-1 flex gap-1">
+                      {SCORES.map((score) => (
+                        <button
+                          key={score}
+                          type="button"
+                          aria-label={`${score} estrellas`}
+                          aria-pressed={form.score === score}
+                          className={`text-2xl ${score <= form.score ? "text-amber-500" : "text-slate-300"}`}
+                          onClick={() => setForm((prev) => ({ ...prev, score }))}
+                        >
+                          ★
+                        </button>
+                      ))}
+                    </div>
+                  </fieldset>
+                  <label className="block text-xs text-slate-600">
+                    Comentario (opcional)
+                    <textarea
+                      className="mt-1 w-full rounded-md border border-slate-200 px-3 py-2 text-sm"
+                      maxLength={500}
+                      rows={2}
+                      value={form.comment}
+                      onChange={(event) => setForm((prev) => ({ ...prev, comment: event.target.value }))}
+                    />
+                  </label>
+                  {error && <p className="text-xs text-red-600">{error}</p>}
+                  <div className="flex gap-2">
+                    <button
+                      type="submit"
+                      disabled={sending}
+                      className="rounded-md bg-slate-900 px-3 py-1 text-xs font-semibold text-white hover:bg-slate-800 disabled:opacity-60"
+                    >
+                      {sending ? "Enviando..." : "Enviar calificación"}
+                    </button>
+                    <button
+                      type="button"
+                      className="rounded-md border border-slate-300 px-3 py-1 text-xs text-slate-600 hover:bg-slate-100"
+                      onClick={() => setActive(null)}
+                    >
+                      Cancelar
+                    </button>
+                  </div>
+                </form>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,66 @@
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import PendingRatings from "./PendingRatings.jsx";
+
+const mockGet = jest.fn();
+const mockPost = jest.fn();
+
+jest.mock("../../utils/api", () => ({
+  get: (...args) => mockGet(...args),
+  post: (...args) => mockPost(...args)
+}));
+
+const trip = {
+  _id: "trip-1",
+  origin: "Portal Norte",
+  destination: "Campus",
+  departureAt: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString()
+};
+
+describe("PendingRatings", () => {
+  beforeEach(() => {
+    mockGet.mockReset();
+    mockPost.mockReset();
+  });
+
+  it("califica al conductor y retira el viaje de la lista", async () => {
+    mockGet.mockResolvedValue({
+      data: {
+        pending: [{ trip, ratee: { _id: "driver-1", firstName: "Laura", lastName: "Gómez" }, raterRole: "passenger" }]
+      }
+    });
+    mockPost.mockResolvedValue({ data: {} });
+
+    render(<PendingRatings />);
+
+    await userEvent.click(await screen.findByRole("button", { name: "Calificar conductor" }));
+    await userEvent.click(screen.getByRole("button", { name: "4 estrellas" }));
+    await userEvent.type(screen.getByLabelText(/Comentario/i), "Muy puntual");
+    await userEvent.click(screen.getByRole("button", { name: "Enviar calificación" }));
+
+    await waitFor(() =>
+      expect(mockPost).toHaveBeenCalledWith("/ratings", {
+        tripId: "trip-1",
+        to: "driver-1",
+        score: 4,
+        comment: "Muy puntual"
+      })
+    );
+    expect(await screen.findByText("Gracias por calificar a Laura Gómez")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Calificar conductor" })).not.toBeInTheDocument();
+  });
+
+  it("muestra el error del servidor y ofrece calificar pasajeros al conductor", async () => {
+    mockGet.mockResolvedValue({
+      data: { pending: [{ trip, ratee: { _id: "passenger-1", firstName: "Ana" }, raterRole: "driver" }] }
+    });
+    mockPost.mockRejectedValue({ response: { data: { error: "El plazo para calificar este viaje terminó" } } });
+
+    render(<PendingRatings />);
+
+    await userEvent.click(await screen.findByRole("button", { name: "Calificar pasajero" }));
+    await userEvent.click(screen.getByRole("button", { name: "Enviar calificación" }));
+
+    expect(await screen.findByText("El plazo para calificar este viaje terminó")).toBeInTheDocument();
+  });
+});
@@ -1,6 +1,13 @@
 import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import api from "../../utils/api";
 import { useAuth } from "../../context/AuthContext.jsx";
+import useRealtimeEvents from "../../utils/useRealtimeEvents";
+import { apiErrorMessage } from "../../utils/apiError";
+import LoadMore from "../../components/LoadMore.jsx";
+import PendingRatings from "../Ratings/PendingRatings.jsx";
+
+const TRIPS_PAGE_SIZE = 20;
 
 function formatDate(value) {
   const date = new Date(value);
@@ -14,27 +21,53 @@ function formatDate(value) {
   });
 }
 
+// datetime-local inputs expect local time without seconds or timezone.
+function toLocalInputValue(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
 export default function ReservationsPage() {
   const { user } = useAuth();
   const [trips, setTrips] = useState([]);
+  const [tripsPaging, setTripsPaging] = useState({ total: 0, nextCursor: null });
+  const [loadingMoreTrips, setLoadingMoreTrips] = useState(false);
+  const [reservations, setReservations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [actionError, setActionError] = useState("");
   const [pendingTripId, setPendingTripId] = useState("");
   const [passengerModal, setPassengerModal] = useState({ open: false, passengers: [], trip: null });
   const [pendingReservationId, setPendingReservationId] = useState("");
+  const [rescheduleForm, setRescheduleForm] = useState({ tripId: "", departureAt: "", reason: "" });
 
   const userId = user?.id;
   const isDriver = useMemo(() => (user?.roles || []).includes("driver"), [user?.roles]);
 
   useEffect(() => {
     let ignore = false;
-    async function fetchTrips() {
+    async function fetchData() {
       setLoading(true);
       setError("");
       try {
-        const { data } = await api.get("/trips");
-        if (!ignore) setTrips(Array.isArray(data?.trips) ? data.trips : []);
+        // Only the driver's own published trips are listed here, one page at a time.
+        const [tripsResponse, reservationsResponse] = await Promise.all([
+          isDriver && userId
+            ? api.get("/trips", { params: { driver: userId, limit: TRIPS_PAGE_SIZE } })
+            : Promise.resolve({ data: { trips: [], total: 0, nextCursor: null } }),
+          api.get("/reservations/mine", { params: { status: "pending,confirmed" } })
+        ]);
+        if (ignore) return;
+        const driverTrips = Array.isArray(tripsResponse.data?.trips) ? tripsResponse.data.trips : [];
+        setTrips(driverTrips);
+        setTripsPaging({
+          total: Number.isFinite(tripsResponse.data?.total) ? tripsResponse.data.total : driverTrips.length,
+          nextCursor: tripsResponse.data?.nextCursor || null
+        });
+        setReservations(
+          Array.isArray(reservationsResponse.data?.reservations) ? reservationsResponse.data.reservations : []
+        );
       } catch (err) {
         console.error("reservations fetch", err);
         if (!ignore) setError("No se pudieron cargar las reservas");
@@ -42,31 +75,105 @@ export default function ReservationsPage() {
         if (!ignore) setLoading(false);
       }
     }
-    fetchTrips();
+    fetchData();
     return () => {
       ignore = true;
     };
-  }, []);
+  }, [userId, isDriver]);
 
-  const myReservations = useMemo(() => {
-    if (!userId) return [];
-    const items = [];
-    for (const trip of trips) {
-      if (!Array.isArray(trip.reservations)) continue;
-      for (const reservation of trip.reservations) {
-        if ((reservation.passenger || "").toString() === userId) {
-          items.push({ trip, reservation });
-        }
-      }
+  async function loadMoreTrips() {
+    if (!tripsPaging.nextCursor || loadingMoreTrips) return;
+    setLoadingMoreTrips(true);
+    try {
+      const { data } = await api.get("/trips", {
+        params: { driver: userId, limit: TRIPS_PAGE_SIZE, cursor: tripsPaging.nextCursor }
+      });
+      const page = Array.isArray(data?.trips) ? data.trips : [];
+      setTrips((prev) => {
+        const known = new Set(prev.map((trip) => trip._id));
+        return [...prev, ...page.filter((trip) => !known.has(trip._id))];
+      });
+      setTripsPaging((prev) => ({
+        total: Number.isFinite(data?.total) ? data.total : prev.total,
+        nextCursor: data?.nextCursor || null
+      }));
+    } catch (err) {
+      console.error("driver trips next page", err);
+      setActionError(apiErrorMessage(err, "No se pudieron cargar más viajes"));
+    } finally {
+      setLoadingMoreTrips(false);
+    }
+  }
+
+  function applyTripSnapshot(snapshot) {
+    if (!snapshot?._id) return;
+    setTrips((prev) => prev.map((trip) => (trip._id === snapshot._id ? { ...trip, ...snapshot } : trip)));
+    setReservations((prev) =>
+      prev.map((item) =>
+        item.trip?._id === snapshot._id ? { ...item, trip: { ...item.trip, ...snapshot } } : item
+      )
+    );
+  }
+
+  async function refreshPassengerModal(tripId) {
+    if (!passengerModal.open || passengerModal.trip?._id !== tripId) return;
+    try {
+      const { data } = await api.get(`/trips/${tripId}/passengers`);
+      setPassengerModal((prev) =>
+        prev.open && prev.trip?._id === tripId ? { ...prev, passengers: data?.passengers || [] } : prev
+      );
+    } catch (err) {
+      console.error("passengers refresh", err);
     }
-    return items
-      .filter(({ reservation }) => !["cancelled", "rejected"].includes(reservation.status))
+  }
+
+  function handleReservationEvent({ reservation, trip: snapshot }) {
+    if (!reservation) return;
+    applyTripSnapshot(snapshot);
+    setReservations((prev) =>
+      prev.map((item) => (item._id === reservation._id ? { ...item, status: reservation.status } : item))
+    );
+    refreshPassengerModal((reservation.trip || "").toString());
+  }
+
+  // Seat counts, reservation statuses and cancellations pushed by the backend.
+  useRealtimeEvents(
+    {
+      "trip.updated": ({ trip: snapshot }) => applyTripSnapshot(snapshot),
+      "trip.cancelled": ({ trip: snapshot }) => {
+        if (!snapshot?._id) return;
+        applyTripSnapshot(snapshot);
+        setReservations((prev) =>
+          prev.map((item) => (item.trip?._id === snapshot._id ? { ...item, status: "cancelled" } : item))
+        );
+      },
+      "reservation.created": handleReservationEvent,
+      "reservation.confirmed": handleReservationEvent,
+      "reservation.rejected": handleReservationEvent,
+      "reservation.cancelled": handleReservationEvent,
+      "reservation.expired": handleReservationEvent,
+      // The reservation itself is not pushed on reschedule, so mark it from the passenger's notification.
+      "notification.created": ({ notification }) => {
+        if (notification?.type !== "trip.rescheduled" || !notification.reservation) return;
+        setReservations((prev) =>
+          prev.map((item) =>
+            item._id === notification.reservation ? { ...item, reschedule: { status: "pending" } } : item
+          )
+        );
+      }
+    },
+    { enabled: Boolean(userId) }
+  );
+
+  const myReservations = useMemo(() => {
+    return reservations
+      .filter((reservation) => reservation.trip && ["pending", "confirmed"].includes(reservation.status))
       .sort((a, b) => new Date(a.trip.departureAt) - new Date(b.trip.departureAt));
-  }, [trips, userId]);
+  }, [reservations]);
 
   const myDriverTrips = useMemo(() => {
     if (!isDriver || !userId) return [];
-    return trips.filter((trip) => (trip.driver || "").toString() === userId);
+    return trips.filter((trip) => (trip.driver?._id || trip.driver || "").toString() === userId);
   }, [trips, userId, isDriver]);
 
   async function cancelTrip(tripId) {
@@ -85,13 +192,15 @@ export default function ReservationsPage() {
     }
   }
 
-  async function cancelReservation(tripId, reservationId) {
-    setPendingReservationId(`${tripId}-${reservationId}`);
+  async function cancelReservation(reservationId) {
+    setPendingReservationId(reservationId);
     setActionError("");
     try {
-      const { data } = await api.put(`/trips/${tripId}/reservations/${reservationId}/cancel`);
-      if (data?.trip) {
-        setTrips((prev) => prev.map((trip) => (trip._id === tripId ? data.trip : trip)));
+      const { data } = await api.put(`/reservations/${reservationId}/cancel`);
+      if (data?.reservation) {
+        setReservations((prev) =>
+          prev.map((item) => (item._id === reservationId ? { ...item, status: data.reservation.status } : item))
+        );
       }
     } catch (err) {
       const message = err?.response?.data?.error || "No se pudo cancelar la reserva";
@@ -101,6 +210,48 @@ export default function ReservationsPage() {
     }
   }
 
+  async function answerReschedule(reservationId, action) {
+    setPendingReservationId(reservationId);
+    setActionError("");
+    try {
+      const { data } = await api.put(`/reservations/${reservationId}/reschedule/${action}`);
+      if (data?.reservation) {
+        setReservations((prev) =>
+          prev.map((item) =>
+            item._id === reservationId
+              ? { ...item, status: data.reservation.status, reschedule: data.reservation.reschedule }
+              : item
+          )
+        );
+      }
+    } catch (err) {
+      setActionError(apiErrorMessage(err, "No se pudo responder al cambio de horario"));
+    } finally {
+      setPendingReservationId("");
+    }
+  }
+
+  async function submitReschedule(event) {
+    event.preventDefault();
+    const { tripId, departureAt, reason } = rescheduleForm;
+    setPendingTripId(tripId);
+    setActionError("");
+    try {
+      const { data } = await api.put(`/trips/${tripId}/reschedule`, {
+        departureAt: new Date(departureAt).toISOString(),
+        reason: reason.trim() || undefined
+      });
+      if (data?.trip) {
+        setTrips((prev) => prev.map((trip) => (trip._id === tripId ? data.trip : trip)));
+      }
+      setRescheduleForm({ tripId: "", departureAt: "", reason: "" });
+    } catch (err) {
+      setActionError(apiErrorMessage(err, "No se pudo cambiar la hora del viaje"));
+    } finally {
+      setPendingTripId("");
+    }
+  }
+
   async function loadPassengers(trip) {
     setPendingTripId(trip._id);
     setActionError("");
@@ -116,13 +267,11 @@ export default function ReservationsPage() {
   }
 
   async function updateReservationStatus({ tripId, reservationId, action }) {
-    setPendingReservationId(`${tripId}-${reservationId}`);
+    setPendingReservationId(reservationId);
     setActionError("");
     try {
       const endpoint =
-        action === "confirm"
-          ? `/trips/${tripId}/reservations/${reservationId}/confirm`
-          : `/trips/${tripId}/reservations/${reservationId}/reject`;
+        action === "confirm" ? `/reservations/${reservationId}/confirm` : `/reservations/${reservationId}/reject`;
       const { data } = await api.put(endpoint);
       if (data?.trip) {
         setTrips((prev) => prev.map((trip) => (trip._id === tripId ? data.trip : trip)));
@@ -136,8 +285,7 @@ export default function ReservationsPage() {
         }
       }
     } catch (err) {
-      const message = err?.response?.data?.error || "No se pudo actualizar la reserva";
-      setActionError(message);
+      setActionError(apiErrorMessage(err, "No se pudo actualizar la reserva"));
     } finally {
       setPendingReservationId("");
     }
@@ -150,6 +298,8 @@ export default function ReservationsPage() {
         <p className="text-sm text-slate-600">Consulta tus cupos confirmados y el estado de tus viajes.</p>
       </header>
 
+      <PendingRatings className="mb-6" />
+
       {loading ? (
         <p className="text-sm text-slate-500">Cargando...</p>
       ) : error ? (
@@ -162,13 +312,15 @@ export default function ReservationsPage() {
               <p className="mt-3 text-sm text-slate-500">Aún no tienes reservas activas.</p>
             ) : (
               <ul className="mt-3 space-y-3">
-                {myReservations.map(({ trip, reservation }) => (
-                  <li key={`${trip._id}-${reservation._id}`} className="rounded-lg border border-slate-200 bg-white p-4 text-sm text-slate-600">
+                {myReservations.map(({ trip, ...reservation }) => (
+                  <li key={reservation._id} className="rounded-lg border border-slate-200 bg-white p-4 text-sm text-slate-600">
                     <div className="flex items-start justify-between gap-4">
                       <div>
                         <p className="text-xs text-slate-500">{formatDate(trip.departureAt)}</p>
                         <h3 className="text-base font-semibold text-slate-900">
-                          {trip.origin} → {trip.destination}
+                          <Link to={`/trips/${trip._id}`} className="hover:underline">
+                            {trip.origin} → {trip.destination}
+                          </Link>
                         </h3>
                         <p className="mt-1 text-sm">
                           Cupos reservados: <span className="font-medium">{reservation.seats}</span>
@@ -178,6 +330,29 @@ export default function ReservationsPage() {
                             Punto de recogida: {reservation.pickupPoints[0].name}
                           </p>
                         )}
+                        {reservation.reschedule?.status === "pending" && (
+                          <div className="mt-2 rounded-md border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
+                            <p>El conductor cambió la hora de salida. ¿Mantienes tu cupo?</p>
+                            <div className="mt-2 flex gap-2">
+                              <button
+                                type="button"
+                                className="rounded-md bg-blue-600 px-3 py-1 font-medium text-white hover:bg-blue-700 disabled:bg-blue-300"
+                                onClick={() => answerReschedule(reservation._id, "accept")}
+                                disabled={pendingReservationId === reservation._id}
+                              >
+                                Aceptar
+                              </button>
+                              <button
+                                type="button"
+                                className="rounded-md border border-red-200 bg-white px-3 py-1 text-red-700 hover:bg-red-50 disabled:opacity-60"
+                                onClick={() => answerReschedule(reservation._id, "decline")}
+                                disabled={pendingReservationId === reservation._id}
+                              >
+                                Rechazar y liberar cupo
+                              </button>
+                            </div>
+                          </div>
+                        )}
                       </div>
                       <div className="flex flex-col items-end gap-2">
                         <span className="text-xs uppercase tracking-wide text-slate-500">
@@ -187,14 +362,14 @@ export default function ReservationsPage() {
                             ? "Confirmada"
                             : ""}
                         </span>
-                        {!["cancelled", "rejected"].includes(reservation.status) && (
+                        {["pending", "confirmed"].includes(reservation.status) && (
                           <button
                             type="button"
                             className="rounded-md border border-red-200 bg-red-50 px-3 py-1 text-xs text-red-700 hover:bg-red-100 disabled:opacity-60"
-                            onClick={() => cancelReservation(trip._id, reservation._id)}
-                            disabled={pendingReservationId === `${trip._id}-${reservation._id}`}
+                            onClick={() => cancelReservation(reservation._id)}
+                            disabled={pendingReservationId === reservation._id}
                           >
-                            {pendingReservationId === `${trip._id}-${reservation._id}` ? "Cancelando..." : "Cancelar"}
+                            {pendingReservationId === reservation._id ? "Cancelando..." : "Cancelar"}
                           </button>
                         )}
                       </div>
@@ -218,12 +393,19 @@ export default function ReservationsPage() {
                         <div>
                           <p className="text-xs text-slate-500">{formatDate(trip.departureAt)}</p>
                           <h3 className="text-base font-semibold text-slate-900">
-                            {trip.origin} → {trip.destination}
+                            <Link to={`/trips/${trip._id}`} className="hover:underline">
+                              {trip.origin} → {trip.destination}
+                            </Link>
                           </h3>
                           <p className="mt-1 text-sm">
                             Cupos disponibles: <span className="font-medium">{trip.seatsAvailable}</span>
                           </p>
                           <p className="text-xs text-slate-500">Estado actual: {trip.status}</p>
+                          {trip.reschedule?.previousDepartureAt && (
+                            <p className="text-xs text-slate-500">
+                              Hora anterior: {formatDate(trip.reschedule.previousDepartureAt)}
+                            </p>
+                          )}
                         </div>
                         <div className="flex flex-col items-end gap-2">
                           <button
@@ -242,12 +424,89 @@ export default function ReservationsPage() {
                           >
                             {pendingTripId === trip._id ? "Actualizando..." : "Cancelar viaje"}
                           </button>
+                          {["scheduled", "full"].includes(trip.status) && (
+                            <Link
+                              to={`/trips/${trip._id}/edit`}
+                              state={{ trip }}
+                              className="rounded-md border border-slate-200 px-3 py-1 text-xs text-slate-600 hover:bg-slate-100"
+                            >
+                              Editar viaje
+                            </Link>
+                          )}
+                          {["scheduled", "full"].includes(trip.status) && (
+                            <button
+                              type="button"
+                              className="rounded-md border border-slate-200 px-3 py-1 text-xs text-slate-600 hover:bg-slate-100"
+                              onClick={() =>
+                                setRescheduleForm({
+                                  tripId: trip._id,
+                                  departureAt: toLocalInputValue(trip.departureAt),
+                                  reason: ""
+                                })
+                              }
+                              disabled={pendingTripId === trip._id}
+                            >
+                              Cambiar hora
+                            </button>
+                          )}
                         </div>
                       </div>
+                      {rescheduleForm.tripId === trip._id && (
+                        <form onSubmit={submitReschedule} className="mt-3 space-y-2 border-t border-slate-100 pt-3">
+                          <label className="block text-xs text-slate-500">
+                            Nueva hora de salida
+                            <input
+                              type="datetime-local"
+                              required
+                              value={rescheduleForm.departureAt}
+                              onChange={(event) =>
+                                setRescheduleForm((prev) => ({ ...prev, departureAt: event.target.value }))
+                              }
+                              className="mt-1 w-full rounded-md border border-slate-300 px-2 py-1 text-sm"
+                            />
+                          </label>
+                          <label className="block text-xs text-slate-500">
+                            Motivo (opcional)
+                            <input
+                              type="text"
+                              maxLength={300}
+                              value={rescheduleForm.reason}
+                              onChange={(event) => setRescheduleForm((prev) => ({ ...prev, reason: event.target.value }))}
+                              className="mt-1 w-full rounded-md border border-slate-300 px-2 py-1 text-sm"
+                            />
+                          </label>
+                          <p className="text-xs text-slate-500">
+                            Los pasajeros con reserva deberán aceptar o rechazar el nuevo horario.
+                          </p>
+                          <div className="flex gap-2">
+                            <button
+                              type="submit"
+                              className="rounded-md bg-blue-600 px-3 py-1 text-xs font-medium text-white hover:bg-blue-700 disabled:bg-blue-300"
+                              disabled={pendingTripId === trip._id}
+                            >
+                              Guardar
+                            </button>
+                            <button
+                              type="button"
+                              className="rounded-md border border-slate-300 px-3 py-1 text-xs text-slate-600 hover:bg-slate-100"
+                              onClick={() => setRescheduleForm({ tripId: "", departureAt: "", reason: "" })}
+                            >
+                              Cancelar
+                            </button>
+                          </div>
+                        </form>
+                      )}
                     </li>
                   ))}
                 </ul>
               )}
+              <LoadMore
+                shown={trips.length}
+                total={tripsPaging.total}
+                hasMore={Boolean(tripsPaging.nextCursor)}
+                loading={loadingMoreTrips}
+                onLoadMore={loadMoreTrips}
+              />
             </section>
           )}
         </div>
@@ -290,7 +549,7 @@ export default function ReservationsPage() {
                       Cupos: <span className="font-medium">{item.seats}</span> · Pago: {item.paymentMethod === "nequi" ? "Nequi" : "Efectivo"}
                     </p>
                     <p className="text-xs uppercase tracking-wide text-slate-500">
-                      Estado: {item.status === "pending" ? "Pendiente" : item.status === "confirmed" ? "Confirmada" : item.status === "rejected" ? "Rechazada" : "Cancelada"}
+                      Estado: {item.status === "pending" ? "Pendiente" : item.status === "confirmed" ? "Confirmada" : item.status === "rejected" ? "Rechazada" : item.status === "expired" ? "Expirada" : "Cancelada"}
                     </p>
                     {item.pickupPoints?.length > 0 && (
                       <p className="text-xs text-slate-500">
@@ -309,9 +568,9 @@ export default function ReservationsPage() {
                               action: "confirm"
                             })
                           }
-                          disabled={pendingReservationId === `${passengerModal.trip._id}-${item.id}`}
+                          disabled={pendingReservationId === item.id}
                         >
-                          {pendingReservationId === `${passengerModal.trip._id}-${item.id}` ? "Procesando..." : "Confirmar"}
+                          {pendingReservationId === item.id ? "Procesando..." : "Confirmar"}
                         </button>
                         <button
                           type="button"
@@ -323,7 +582,7 @@ export default function ReservationsPage() {
                               action: "reject"
                             })
                           }
-                          disabled={pendingReservationId === `${passengerModal.trip._id}-${item.id}`}
+                          disabled={pendingReservationId === item.id}
                         >
                           Rechazar
                         </button>
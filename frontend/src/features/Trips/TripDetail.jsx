@@ -0,0 +1,252 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import api from "../../utils/api";
+import TransmilenioMap from "../../components/TransmilenioMap.jsx";
+import useRealtimeEvents from "../../utils/useRealtimeEvents";
+import { apiErrorMessage } from "../../utils/apiError";
+
+const currencyFormatter = new Intl.NumberFormat("es-CO", {
+  style: "currency",
+  currency: "COP",
+  maximumFractionDigits: 0
+});
+
+const TRIP_STATUS_LABELS = {
+  scheduled: "Programado",
+  full: "Sin cupos",
+  cancelled: "Cancelado",
+  completed: "Finalizado"
+};
+
+const RESERVATION_STATUS_LABELS = {
+  pending: "Tu reserva está pendiente de confirmación",
+  confirmed: "Tienes un cupo confirmado en este viaje",
+  rejected: "El conductor rechazó tu reserva",
+  cancelled: "Cancelaste tu reserva",
+  expired: "Tu solicitud expiró sin respuesta"
+};
+
+function formatDeparture(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleString("es-CO", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+}
+
+function formatDriverName(driver) {
+  const name = `${driver?.firstName || ""} ${driver?.lastName || ""}`.trim();
+  return name || "Conductor";
+}
+
+// Shareable trip page (/trips/:id): everything a passenger needs before booking, plus their own reservation.
+export default function TripDetail() {
+  const { id: tripId } = useParams();
+  const [trip, setTrip] = useState(null);
+  const [myReservation, setMyReservation] = useState(null);
+  const [isDriver, setIsDriver] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [shareMessage, setShareMessage] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    async function fetchTrip() {
+      setLoading(true);
+      setError("");
+      try {
+        const { data } = await api.get(`/trips/${tripId}`);
+        if (ignore) return;
+        setTrip(data?.trip || null);
+        setMyReservation(data?.myReservation || null);
+        setIsDriver(Boolean(data?.isDriver));
+      } catch (err) {
+        console.error("trip detail", err);
+        if (!ignore) setError(apiErrorMessage(err, "No se pudo cargar el viaje"));
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    }
+    fetchTrip();
+    return () => {
+      ignore = true;
+    };
+  }, [tripId]);
+
+  useRealtimeEvents({
+    "trip.updated": ({ trip: snapshot }) => {
+      if (snapshot?._id !== tripId) return;
+      // Snapshots carry raw ids; keep the populated driver and vehicle.
+      setTrip((prev) => (prev ? { ...prev, ...snapshot, driver: prev.driver, vehicle: prev.vehicle } : prev));
+    },
+    "trip.cancelled": ({ trip: snapshot }) => {
+      if (snapshot?._id !== tripId) return;
+      setTrip((prev) => (prev ? { ...prev, status: "cancelled" } : prev));
+    }
+  });
+
+  async function handleShare() {
+    const url = window.location.href;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: `${trip.origin} → ${trip.destination}`, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      setShareMessage("Enlace copiado");
+    } catch (err) {
+      // Closing the share sheet rejects with AbortError; nothing to report then.
+      if (err?.name !== "AbortError") setShareMessage("No se pudo copiar el enlace");
+    }
+  }
+
+  if (loading) {
+    return <p className="py-6 text-sm text-slate-500">Cargando viaje...</p>;
+  }
+  if (error || !trip) {
+    return (
+      <section className="py-6">
+        <div className="rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+          {error || "Viaje no encontrado"}
+        </div>
+        <Link to="/trips" className="mt-4 inline-block text-sm font-medium text-blue-600 hover:underline">
+          Volver a los viajes
+        </Link>
+      </section>
+    );
+  }
+
+  const driverName = formatDriverName(trip.driver);
+  const vehicle = trip.vehicle;
+  const isActive = ["scheduled", "full"].includes(trip.status);
+  const hasActiveReservation = ["pending", "confirmed"].includes(myReservation?.status);
+
+  return (
+    <section className="py-6">
+      <header className="mb-6 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <p className="text-xs uppercase tracking-wide text-slate-500">
+            {TRIP_STATUS_LABELS[trip.status] || trip.status}
+          </p>
+          <h1 className="text-2xl font-semibold text-slate-900">
+            {trip.origin} → {trip.destination}
+          </h1>
+          <p className="text-sm text-slate-600">{formatDeparture(trip.departureAt)}</p>
+          {trip.routeDescription && <p className="mt-1 text-sm text-slate-500">{trip.routeDescription}</p>}
+        </div>
+        <div className="text-right">
+          <p className="text-2xl font-semibold text-slate-900">{currencyFormatter.format(trip.pricePerSeat || 0)}</p>
+          <p className="text-xs text-slate-500">
+            {trip.seatsAvailable} de {trip.seatsTotal} cupos disponibles
+          </p>
+          <button
+            type="button"
+            className="mt-2 rounded-md border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50"
+            onClick={handleShare}
+          >
+            Compartir viaje
+          </button>
+          {shareMessage && <p className="mt-1 text-xs text-slate-500">{shareMessage}</p>}
+        </div>
+      </header>
+
+      {myReservation && (
+        <div className="mb-4 rounded-xl border border-blue-200 bg-blue-50 px-4 py-3 text-sm text-blue-900">
+          {RESERVATION_STATUS_LABELS[myReservation.status] || "Tienes una reserva en este viaje"}
+          {hasActiveReservation && (
+            <Link to="/reservations" className="ml-2 font-medium underline">
+              Ver mis reservas
+            </Link>
+          )}
+        </div>
+      )}
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <div className="lg:col-span-2">
+          <TransmilenioMap
+            height={360}
+            interactive={false}
+            pickupPoints={trip.pickupPoints || []}
+            routePolyline={trip.route || []}
+          />
+        </div>
+
+        <aside className="space-y-4">
+          <div className="rounded-2xl border border-white/70 bg-white/90 p-4 shadow-sm">
+            <p className="text-xs uppercase tracking-wide text-slate-500">Conductor</p>
+            <p className="text-sm font-semibold text-slate-900">{driverName}</p>
+            <p className="text-xs font-medium text-amber-600">
+              {trip.driverStats?.average
+                ? `${trip.driverStats.average.toFixed(1)} ⭐ (${trip.driverStats.ratingsCount} reseñas)`
+                : "Sin calificaciones aún"}
+            </p>
+            {trip.driver?._id && (
+              <Link
+                to={`/users/${trip.driver._id}`}
+                className="mt-1 inline-block text-xs font-medium text-blue-600 hover:underline"
+              >
+                Ver perfil
+              </Link>
+            )}
+          </div>
+
+          {vehicle && (
+            <div className="rounded-2xl border border-white/70 bg-white/90 p-4 shadow-sm">
+              <p className="text-xs uppercase tracking-wide text-slate-500">Vehículo</p>
+              <p className="text-sm font-semibold text-slate-900">
+                {`${vehicle.brand || ""} ${vehicle.model || ""}`.trim() || "Vehículo registrado"}
+              </p>
+              <p className="text-xs text-slate-500">
+                {[vehicle.color, vehicle.plate && `Placa ${vehicle.plate}`].filter(Boolean).join(" · ")}
+              </p>
+            </div>
+          )}
+
+          <div className="rounded-2xl border border-white/70 bg-white/90 p-4 shadow-sm">
+            <p className="text-xs uppercase tracking-wide text-slate-500">Puntos de recogida</p>
+            {trip.pickupPoints?.length ? (
+              <ul className="mt-2 space-y-1 text-sm text-slate-600">
+                {trip.pickupPoints.map((point, index) => (
+                  <li key={`${point.lat}-${point.lng}-${index}`}>
+                    {point.name}
+                    {point.description ? ` · ${point.description}` : ""}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="mt-2 text-sm text-slate-500">El conductor aún no definió puntos de recogida.</p>
+            )}
+          </div>
+
+          {isDriver ? (
+            isActive && (
+              <Link
+                to={`/trips/${trip._id}/edit`}
+                state={{ trip }}
+                className="block rounded-md bg-slate-900 px-4 py-2 text-center text-sm font-medium text-white hover:bg-slate-800"
+              >
+                Editar viaje
+              </Link>
+            )
+          ) : (
+            isActive &&
+            !hasActiveReservation &&
+            trip.seatsAvailable > 0 && (
+              <Link
+                to="/trips"
+                state={{ reserveTrip: trip }}
+                className="block rounded-md bg-blue-600 px-4 py-2 text-center text-sm font-medium text-white hover:bg-blue-700"
+              >
+                Reservar
+              </Link>
+            )
+          )}
+        </aside>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,81 @@
+import { render, screen } from "@testing-library/react";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+import TripDetail from "./TripDetail.jsx";
+
+const mockGet = jest.fn();
+
+jest.mock("../../utils/api", () => ({
+  get: (...args) => mockGet(...args)
+}));
+
+jest.mock("../../components/TransmilenioMap.jsx", () => ({
+  __esModule: true,
+  default: ({ pickupPoints, routePolyline }) => (
+    <div data-testid="transmilenio-map">
+      {pickupPoints.length} puntos · {routePolyline.length} vértices
+    </div>
+  )
+}));
+
+function renderAt(path) {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/trips/:id" element={<TripDetail />} />
+      </Routes>
+    </MemoryRouter>
+  );
+}
+
+describe("TripDetail", () => {
+  beforeEach(() => {
+    mockGet.mockReset();
+  });
+
+  it("muestra el viaje, el conductor, el mapa y la reserva propia", async () => {
+    mockGet.mockResolvedValue({
+      data: {
+        isDriver: false,
+        myReservation: { _id: "res-1", status: "confirmed", seats: 1 },
+        trip: {
+          _id: "trip-1",
+          origin: "Portal Norte",
+          destination: "Campus",
+          departureAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          status: "scheduled",
+          pricePerSeat: 7000,
+          seatsTotal: 3,
+          seatsAvailable: 2,
+          driver: { _id: "driver-1", firstName: "Laura", lastName: "Gómez" },
+          driverStats: { average: 4.5, ratingsCount: 8 },
+          vehicle: { brand: "Renault", model: "Logan", plate: "ABC123", color: "Gris" },
+          route: [
+            { lat: 4.754, lng: -74.046 },
+            { lat: 4.861, lng: -74.032 }
+          ],
+          pickupPoints: [{ name: "Portería principal", lat: 4.861, lng: -74.032 }]
+        }
+      }
+    });
+
+    renderAt("/trips/trip-1");
+
+    expect(await screen.findByText("Portal Norte → Campus")).toBeInTheDocument();
+    expect(mockGet).toHaveBeenCalledWith("/trips/trip-1");
+    expect(screen.getByText("Laura Gómez")).toBeInTheDocument();
+    expect(screen.getByText(/4.5 ⭐ \(8 reseñas\)/)).toBeInTheDocument();
+    expect(screen.getByText(/Placa ABC123/)).toBeInTheDocument();
+    expect(screen.getByTestId("transmilenio-map")).toHaveTextContent("1 puntos · 2 vértices");
+    expect(screen.getByText(/Tienes un cupo confirmado/)).toBeInTheDocument();
+    expect(screen.queryByRole("link", { name: "Reservar" })).not.toBeInTheDocument();
+  });
+
+  it("informa cuando el viaje no existe", async () => {
+    mockGet.mockRejectedValue({ response: { status: 404, data: { error: "Viaje no encontrado" } } });
+
+    renderAt("/trips/missing");
+
+    expect(await screen.findByText("Viaje no encontrado")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: /Volver a los viajes/i })).toBeInTheDocument();
+  });
+});
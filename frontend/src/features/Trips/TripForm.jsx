@@ -1,6 +1,8 @@
 
 import { useCallback, useEffect, useMemo, useState } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
 import api from "../../utils/api";
+import { apiErrorMessage } from "../../utils/apiError";
 import { useAuth } from "../../context/AuthContext.jsx";
 import useVehiclesOverview from "../Vehicles/hooks/useVehiclesOverview.js";
 import TransmilenioMap from "../../components/TransmilenioMap.jsx";
@@ -28,6 +30,16 @@ function useTransmilenioStops() {
 }
 
 
+const WEEKDAYS = [
+  { value: 1, label: "Lun" },
+  { value: 2, label: "Mar" },
+  { value: 3, label: "Mié" },
+  { value: 4, label: "Jue" },
+  { value: 5, label: "Vie" },
+  { value: 6, label: "Sáb" },
+  { value: 0, label: "Dom" }
+];
+
 const emptyForm = {
   vehicleId: "",
   originStopId: "",
@@ -41,7 +53,281 @@ const emptyForm = {
 };
 
 
-export default function TripForm({ testRoutePolyline }) {
+// Edit mode only covers non-structural details; the departure time changes from "Mis reservas" (reschedule).
+function pickupKey(point) {
+  return `${Number(point.lat).toFixed(6)},${Number(point.lng).toFixed(6)}`;
+}
+
+function TripEditForm() {
+  const { id: tripId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [trip, setTrip] = useState(location.state?.trip || null);
+  const [reservations, setReservations] = useState([]);
+  const [form, setForm] = useState({ routeDescription: "", seatsTotal: "", pricePerSeat: "" });
+  const [pickupPoints, setPickupPoints] = useState([]);
+  const [pickupDraft, setPickupDraft] = useState({ name: "", lat: "", lng: "" });
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  useEffect(() => {
+    let ignore = false;
+    async function fetchData() {
+      setLoading(true);
+      setError("");
+      try {
+        // Coming from "Mis reservas" the trip is passed in the navigation state; otherwise load it.
+        let current = location.state?.trip || null;
+        if (!current) {
+          const { data } = await api.get(`/trips/${tripId}`);
+          current = data?.isDriver ? data.trip : null;
+        }
+        const { data: reservationsData } = await api.get(`/trips/${tripId}/reservations`);
+        if (ignore) return;
+        if (!current) {
+          setError("Viaje no encontrado o ya no está activo");
+          return;
+        }
+        setTrip(current);
+        setForm({
+          routeDescription: current.routeDescription || "",
+          seatsTotal: String(current.seatsTotal ?? ""),
+          pricePerSeat: String(current.pricePerSeat ?? "")
+        });
+        setPickupPoints((current.pickupPoints || []).map((point) => ({ ...point })));
+        setReservations(Array.isArray(reservationsData?.reservations) ? reservationsData.reservations : []);
+      } catch (err) {
+        console.error("trip edit fetch", err);
+        if (!ignore) setError(err?.response?.data?.error || "No se pudo cargar el viaje");
+      } finally {
+        if (!ignore) setLoading(false);
+      }
+    }
+    fetchData();
+    return () => {
+      ignore = true;
+    };
+  }, [tripId]);
+
+  const activeReservations = useMemo(
+    () => reservations.filter((reservation) => ["pending", "confirmed"].includes(reservation.status)),
+    [reservations]
+  );
+  const hasConfirmed = activeReservations.some((reservation) => reservation.status === "confirmed");
+  const bookedSeats = trip ? trip.seatsTotal - trip.seatsAvailable : 0;
+  const usedPickupKeys = useMemo(
+    () => new Set(activeReservations.flatMap((reservation) => (reservation.pickupPoints || []).map(pickupKey))),
+    [activeReservations]
+  );
+
+  function addPickupPoint() {
+    const lat = Number(pickupDraft.lat);
+    const lng = Number(pickupDraft.lng);
+    if (!pickupDraft.name.trim() || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      setError("Completa nombre y coordenadas para agregar un punto");
+      return;
+    }
+    setPickupPoints((prev) => [...prev, { name: pickupDraft.name.trim(), lat, lng }]);
+    setPickupDraft({ name: "", lat: "", lng: "" });
+    setError("");
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setError("");
+    setSuccess("");
+
+    const seatsTotal = Number(form.seatsTotal);
+    if (!Number.isInteger(seatsTotal) || seatsTotal < 1) {
+      setError("Número de puestos inválido");
+      return;
+    }
+    if (seatsTotal < bookedSeats) {
+      setError(`Ya hay ${bookedSeats} puestos reservados; no puedes ofrecer menos`);
+      return;
+    }
+    const pricePerSeat = Number(form.pricePerSeat);
+    if (form.pricePerSeat === "" || Number.isNaN(pricePerSeat) || pricePerSeat < 0) {
+      setError("El precio debe ser un número mayor o igual a 0");
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const { data } = await api.put(`/trips/${tripId}`, {
+        routeDescription: form.routeDescription,
+        seatsTotal,
+        pricePerSeat,
+        pickupPoints: pickupPoints.map((point) => ({
+          name: point.name,
+          description: point.description,
+          lat: Number(point.lat),
+          lng: Number(point.lng)
+        }))
+      });
+      if (data?.trip) setTrip(data.trip);
+      setSuccess("Viaje actualizado correctamente");
+    } catch (err) {
+      setError(err?.response?.data?.error || "No se pudo actualizar el viaje");
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <section className="py-6">
+      <header className="mb-6">
+        <h1 className="text-2xl font-semibold text-slate-900">Editar viaje</h1>
+        {trip && (
+          <p className="text-sm text-slate-600">
+            {trip.origin} → {trip.destination} · {new Date(trip.departureAt).toLocaleString("es-CO")}
+          </p>
+        )}
+      </header>
+
+      {error && (
+        <div className="mb-4 rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">{error}</div>
+      )}
+      {success && (
+        <div className="mb-4 rounded-md border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-700">{success}</div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-slate-500">Cargando viaje...</p>
+      ) : !trip ? null : (
+        <form data-testid="trip-edit-form" onSubmit={handleSubmit} className="grid gap-6">
+          <label className="text-sm text-slate-600">
+            Descripción de la ruta
+            <textarea
+              value={form.routeDescription}
+              onChange={(event) => setForm((prev) => ({ ...prev, routeDescription: event.target.value }))}
+              rows={3}
+              className="mt-1 w-full rounded-md border border-slate-200 px-3 py-2 text-sm"
+            />
+          </label>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <label className="text-sm text-slate-600">
+              Puestos totales *
+              <input
+                type="number"
+                min={Math.max(1, bookedSeats)}
+                value={form.seatsTotal}
+                onChange={(event) => setForm((prev) => ({ ...prev, seatsTotal: event.target.value }))}
+                className="mt-1 w-full rounded-md border border-slate-200 px-3 py-2 text-sm"
+              />
+              {bookedSeats > 0 && (
+                <span className="mt-1 block text-xs text-slate-500">{bookedSeats} puestos ya están reservados.</span>
+              )}
+            </label>
+            <label className="text-sm text-slate-600">
+              Precio por puesto *
+              <input
+                type="number"
+                min={0}
+                value={form.pricePerSeat}
+                onChange={(event) => setForm((prev) => ({ ...prev, pricePerSeat: event.target.value }))}
+                disabled={hasConfirmed}
+                className="mt-1 w-full rounded-md border border-slate-200 px-3 py-2 text-sm disabled:bg-slate-100"
+              />
+              {hasConfirmed && (
+                <span className="mt-1 block text-xs text-slate-500">
+                  El precio no se puede cambiar porque hay reservas confirmadas.
+                </span>
+              )}
+            </label>
+          </div>
+
+          <section className="rounded-lg border border-slate-200 bg-white/70 p-4">
+            <h2 className="mb-3 text-sm font-semibold text-slate-800">Puntos de recogida</h2>
+            {pickupPoints.length === 0 ? (
+              <p className="text-xs text-slate-500">Sin puntos de recogida.</p>
+            ) : (
+              <ul className="space-y-2 text-sm text-slate-600">
+                {pickupPoints.map((point, index) => {
+                  const inUse = usedPickupKeys.has(pickupKey(point));
+                  return (
+                    <li key={`${pickupKey(point)}-${index}`} className="flex items-center justify-between gap-3">
+                      <span>
+                        {point.name}
+                        {inUse && <span className="ml-2 text-xs text-slate-400">(con reservas)</span>}
+                      </span>
+                      <button
+                        type="button"
+                        className="rounded-md border border-red-200 px-2 py-0.5 text-xs text-red-700 hover:bg-red-50 disabled:opacity-50"
+                        onClick={() => setPickupPoints((prev) => prev.filter((_, idx) => idx !== index))}
+                        disabled={inUse}
+                      >
+                        Quitar
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+            <div className="mt-3 grid gap-2 sm:grid-cols-4">
+              <input
+                type="text"
+                placeholder="Nombre"
+                value={pickupDraft.name}
+                onChange={(event) => setPickupDraft((prev) => ({ ...prev, name: event.target.value }))}
+                className="rounded-md border border-slate-200 px-3 py-2 text-sm"
+              />
+              <input
+                type="number"
+                step="any"
+                placeholder="Latitud"
+                value={pickupDraft.lat}
+                onChange={(event) => setPickupDraft((prev) => ({ ...prev, lat: event.target.value }))}
+                className="rounded-md border border-slate-200 px-3 py-2 text-sm"
+              />
+              <input
+                type="number"
+                step="any"
+                placeholder="Longitud"
+                value={pickupDraft.lng}
+                onChange={(event) => setPickupDraft((prev) => ({ ...prev, lng: event.target.value }))}
+                className="rounded-md border border-slate-200 px-3 py-2 text-sm"
+              />
+              <button
+                type="button"
+                className="rounded-md border border-slate-200 px-3 py-2 text-xs font-medium text-slate-700 hover:bg-slate-50"
+                onClick={addPickupPoint}
+              >
+                Agregar punto
+              </button>
+            </div>
+          </section>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              className="rounded-md border border-slate-300 px-4 py-2 text-sm text-slate-600 hover:bg-slate-100"
+              onClick={() => navigate("/reservations")}
+            >
+              Volver
+            </button>
+            <button
+              type="submit"
+              className="rounded-md bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 disabled:bg-blue-300"
+              disabled={submitting}
+            >
+              {submitting ? "Guardando..." : "Guardar cambios"}
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+}
+
+export default function TripForm({ mode = "create", ...props }) {
+  return mode === "edit" ? <TripEditForm /> : <TripCreateForm {...props} />;
+}
+
+function TripCreateForm({ testRoutePolyline }) {
   const { user } = useAuth();
   const [form, setForm] = useState(emptyForm);
   const [pickupPoints, setPickupPoints] = useState([]);
@@ -55,6 +341,8 @@ export default function TripForm({ testRoutePolyline }) {
   const [tariffFeedback, setTariffFeedback] = useState("");
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
+  // Weekdays to repeat this trip on; when set, a /trip-templates recurrence is saved along with the trip.
+  const [repeatWeekdays, setRepeatWeekdays] = useState([]);
 
   // New: stops and route polyline state
   const { stops, loading: loadingStops, error: stopsError } = useTransmilenioStops();
@@ -295,7 +583,33 @@ export default function TripForm({ testRoutePolyline }) {
     setSubmitting(true);
     try {
       await api.post("/trips", payload);
-      setSuccess("Viaje creado correctamente");
+      if (repeatWeekdays.length) {
+        try {
+          await api.post("/trip-templates", {
+            ...payload,
+            origin: payload.origin || form.originStopName,
+            destination: payload.destination || form.destinationStopName,
+            originStopId: form.originStopId || undefined,
+            originStopName: form.originStopName || undefined,
+            originStopLat: form.originStopLat,
+            originStopLng: form.originStopLng,
+            destinationStopId: form.destinationStopId || undefined,
+            destinationStopName: form.destinationStopName || undefined,
+            destinationStopLat: form.destinationStopLat,
+            destinationStopLng: form.destinationStopLng,
+            route: routePolyline,
+            weekdays: repeatWeekdays,
+            departureTime: form.departureAt.slice(11, 16)
+          });
+          setSuccess("Viaje creado y guardado como recurrente");
+        } catch (templateError) {
+          setSuccess("Viaje creado correctamente");
+          setError(apiErrorMessage(templateError, "El viaje se creó, pero no se pudo guardar la recurrencia"));
+        }
+      } else {
+        setSuccess("Viaje creado correctamente");
+      }
+      setRepeatWeekdays([]);
       setForm({ ...emptyForm });
       setPickupPoints([]);
       setPickupDraft({ name: "", description: "", lat: "", lng: "" });
@@ -303,8 +617,7 @@ export default function TripForm({ testRoutePolyline }) {
       setTariffSuggestion(null);
       setTariffFeedback("");
     } catch (err) {
-      const message = err?.response?.data?.error || "No se pudo crear el viaje";
-      setError(message);
+      setError(apiErrorMessage(err, "No se pudo crear el viaje"));
     } finally {
       setSubmitting(false);
     }
@@ -453,6 +766,9 @@ export default function TripForm({ testRoutePolyline }) {
             : `El precio debe estar entre ${tariffSuggestion.range.min} y ${tariffSuggestion.range.max} según la sugerencia`}
         </div>
       )}
+      {error && !error.includes("El precio debe estar entre") && (
+        <div className="mb-4 rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">{error}</div>
+      )}
       {success && (
         <div className="mb-4 rounded-md border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-700">{success}</div>
       )}
@@ -748,6 +1064,30 @@ export default function TripForm({ testRoutePolyline }) {
 
           {/* Pickup points UI removed for new trips. Legacy-only. */}
 
+          <fieldset className="rounded-lg border border-slate-200 bg-white/70 p-4">
+            <legend className="px-1 text-sm font-semibold text-slate-800">Repetir cada semana</legend>
+            <p className="mb-3 text-xs text-slate-500">
+              Publicaremos este viaje automáticamente a la misma hora los días marcados (si el SOAT y la licencia están
+              vigentes).
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map((day) => (
+                <label key={day.value} className="flex items-center gap-1 text-xs text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={repeatWeekdays.includes(day.value)}
+                    onChange={(event) =>
+                      setRepeatWeekdays((prev) =>
+                        event.target.checked ? [...prev, day.value] : prev.filter((value) => value !== day.value)
+                      )
+                    }
+                  />
+                  {day.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
           <div className="flex justify-end">
             <button
               type="submit"
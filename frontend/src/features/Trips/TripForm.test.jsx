@@ -1,14 +1,17 @@
 import { fireEvent, render, screen, waitFor } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
 import TripForm from "./TripForm.jsx";
 
 
 const mockGet = jest.fn();
 const mockPost = jest.fn();
+const mockPut = jest.fn();
 
 jest.mock("../../utils/api", () => ({
   get: (...args) => mockGet(...args),
-  post: (...args) => mockPost(...args)
+  post: (...args) => mockPost(...args),
+  put: (...args) => mockPut(...args)
 }));
 
 jest.mock("../../components/TransmilenioMap.jsx", () => ({
@@ -51,6 +54,7 @@ const stopsFixture = [
 beforeEach(() => {
   mockGet.mockReset();
   mockPost.mockReset();
+  mockPut.mockReset();
   mockGet.mockImplementation((url) => {
     if (url === "/vehicles/overview") {
       return Promise.resolve({ data: { vehicles: [vehicleFixture()], activeVehicle: "veh1" } });
@@ -195,3 +199,56 @@ describe("TripForm - tariff suggestion", () => {
     });
   });
 });
+
+describe("TripForm - edit mode", () => {
+  const portal = { name: "Portal Norte", lat: 4.703, lng: -74.046 };
+  const calle = { name: "Calle 100", lat: 4.679, lng: -74.043 };
+  const tripFixture = {
+    _id: "trip1",
+    origin: "Portal Norte",
+    destination: "Universidad de La Sabana",
+    departureAt: new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString(),
+    routeDescription: "",
+    seatsTotal: 3,
+    seatsAvailable: 1,
+    pricePerSeat: 6000,
+    pickupPoints: [portal, calle]
+  };
+
+  it("locks the price and used pickup points and sends only editable fields", async () => {
+    mockGet.mockImplementation((url) => {
+      if (url === "/trips/trip1") return Promise.resolve({ data: { trip: tripFixture, isDriver: true } });
+      if (url === "/trips/trip1/reservations") {
+        return Promise.resolve({
+          data: { reservations: [{ _id: "res1", status: "confirmed", seats: 2, pickupPoints: [portal, portal] }] }
+        });
+      }
+      return Promise.resolve({ data: {} });
+    });
+    mockPut.mockResolvedValue({ data: { trip: { ...tripFixture, pickupPoints: [portal] } } });
+
+    render(
+      <MemoryRouter initialEntries={["/trips/trip1/edit"]}>
+        <Routes>
+          <Route path="/trips/:id/edit" element={<TripForm mode="edit" />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    await waitFor(() => expect(screen.getByTestId("trip-edit-form")).toBeInTheDocument());
+    expect(screen.getByLabelText(/Precio por puesto/)).toBeDisabled();
+
+    const removeButtons = screen.getAllByRole("button", { name: /Quitar/i });
+    expect(removeButtons[0]).toBeDisabled();
+    await userEvent.click(removeButtons[1]);
+
+    await userEvent.click(screen.getByRole("button", { name: /Guardar cambios/i }));
+
+    await waitFor(() => expect(mockPut).toHaveBeenCalled());
+    const [url, payload] = mockPut.mock.calls[0];
+    expect(url).toBe("/trips/trip1");
+    expect(Object.keys(payload).sort()).toEqual(["pickupPoints", "pricePerSeat", "routeDescription", "seatsTotal"]);
+    expect(payload.pickupPoints).toHaveLength(1);
+    expect(payload.pickupPoints[0].name).toBe("Portal Norte");
+  });
+});
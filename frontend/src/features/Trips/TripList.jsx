@@ -1,7 +1,11 @@
 import { useEffect, useMemo, useState } from "react";
+import { Link, useLocation } from "react-router-dom";
 import api from "../../utils/api";
 import { useAuth } from "../../context/AuthContext.jsx";
 import TransmilenioMap from "../../components/TransmilenioMap.jsx";
+import LoadMore from "../../components/LoadMore.jsx";
+import useRealtimeEvents from "../../utils/useRealtimeEvents";
+import { apiErrorMessage } from "../../utils/apiError";
 
 const initialFilters = {
   origin: "",
@@ -45,6 +49,19 @@ function formatVehicleLabel(vehicle) {
   return brandModel || "Vehículo registrado";
 }
 
+const NEARBY_RADIUS_OPTIONS = [500, 800, 1500];
+const PAGE_SIZE = 20;
+const SORT_OPTIONS = [
+  { value: "departure", label: "Hora de salida" },
+  { value: "price", label: "Precio más bajo" },
+  { value: "rating", label: "Mejor calificados" }
+];
+
+function formatDistance(meters) {
+  if (!Number.isFinite(meters)) return "";
+  return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
 function formatDeparture(dateValue) {
   const departure = new Date(dateValue);
   if (Number.isNaN(departure.getTime())) return dateValue;
@@ -59,10 +76,21 @@ function formatDeparture(dateValue) {
 
 export default function TripList() {
   const { user } = useAuth();
+  const location = useLocation();
   const [trips, setTrips] = useState([]);
+  const [myReservations, setMyReservations] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [filters, setFilters] = useState(initialFilters);
+  const [sort, setSort] = useState("departure");
+  const [paging, setPaging] = useState({ total: 0, nextCursor: null });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState("");
+  // "Cerca de mí": the passenger's position plus the walking radius sent as near/radiusMeters.
+  const [nearby, setNearby] = useState(null);
+  const [nearbyRadius, setNearbyRadius] = useState(800);
+  const [locating, setLocating] = useState(false);
+  const [locationError, setLocationError] = useState("");
   const [reservationTrip, setReservationTrip] = useState(null);
   const [reservationForm, setReservationForm] = useState({ seats: 1, pickupPointIndex: 0, paymentMethod: "cash" });
   const [reservationError, setReservationError] = useState("");
@@ -82,6 +110,15 @@ export default function TripList() {
   const [reservationFieldErrors, setReservationFieldErrors] = useState({});
   const [reservationSuccess, setReservationSuccess] = useState(null);
 
+  // "Reservar" on the trip detail page lands here with the trip, which may not be on the first page.
+  useEffect(() => {
+    const trip = location.state?.reserveTrip;
+    if (!trip?._id) return;
+    setReservationTrip(trip);
+    const hasPickupPoints = Array.isArray(trip.pickupPoints) && trip.pickupPoints.length > 0;
+    setCustomPickupEnabled(!hasPickupPoints && !isNewStyleTrip(trip));
+  }, [location.state]);
+
   const clearFieldError = (field) => {
     setReservationFieldErrors((prev) => {
       if (!prev[field]) return prev;
@@ -91,52 +128,99 @@ export default function TripList() {
     });
   };
 
+  // Live seat counts and reservation statuses pushed by the backend.
+  useRealtimeEvents(
+    {
+      "trip.updated": ({ trip: snapshot }) => {
+        if (!snapshot?._id) return;
+        setTrips((prev) => prev.map((trip) => (trip._id === snapshot._id ? { ...trip, ...snapshot } : trip)));
+        setReservationTrip((prev) => (prev?._id === snapshot._id ? { ...prev, ...snapshot } : prev));
+      },
+      "trip.cancelled": ({ trip: snapshot }) => {
+        if (!snapshot?._id) return;
+        setTrips((prev) => prev.filter((trip) => trip._id !== snapshot._id));
+        setReservationTrip((prev) => (prev?._id === snapshot._id ? null : prev));
+      },
+      "reservation.created": syncMyReservation,
+      "reservation.confirmed": syncMyReservation,
+      "reservation.rejected": syncMyReservation,
+      "reservation.cancelled": syncMyReservation,
+      "reservation.expired": syncMyReservation
+    },
+    { enabled: Boolean(user?.id) }
+  );
+
+  function syncMyReservation({ reservation }) {
+    if (!reservation || (reservation.passenger || "").toString() !== user?.id) return;
+    const tripId = (reservation.trip || "").toString();
+    setMyReservations((prev) => {
+      const next = { ...prev };
+      if (["pending", "confirmed"].includes(reservation.status)) next[tripId] = reservation;
+      else delete next[tripId];
+      return next;
+    });
+  }
+
+  // Passenger's active reservations keyed by trip id, used to flag trips already booked.
   useEffect(() => {
+    if (!user?.id) {
+      setMyReservations({});
+      return undefined;
+    }
     let ignore = false;
-    async function fetchTrips() {
-      setLoading(true);
-      setError("");
+    async function fetchMyReservations() {
       try {
-        const params = {};
-        if (filters.origin) params.departure_point = filters.origin;
-        if (filters.seats) params.min_seats = filters.seats;
-        if (filters.start_time) params.start_time = filters.start_time;
-        if (filters.end_time) params.end_time = filters.end_time;
-        if (filters.max_price) params.max_price = filters.max_price;
-        const resp = await api.get("/trips", { params });
-        const data = resp?.data;
-        if (!ignore) {
-          setTrips(Array.isArray(data?.trips) ? data.trips : []);
+        const { data } = await api.get("/reservations/mine", { params: { status: "pending,confirmed" } });
+        if (ignore) return;
+        const byTrip = {};
+        for (const reservation of Array.isArray(data?.reservations) ? data.reservations : []) {
+          const tripId = reservation.trip?._id || reservation.trip;
+          if (tripId) byTrip[tripId] = reservation;
         }
+        setMyReservations(byTrip);
       } catch (err) {
-        console.error("trips list", err);
-        if (!ignore) setError("No se pudieron cargar los viajes. Intenta nuevamente.");
-      } finally {
-        if (!ignore) setLoading(false);
+        console.error("my reservations", err);
       }
     }
-    fetchTrips();
+    fetchMyReservations();
     return () => {
       ignore = true;
     };
-  }, []);
+  }, [user?.id]);
+
+  // Server-side filters, sort and "near me" search shared by the first page and "Cargar más".
+  function buildTripParams() {
+    const params = { sort, limit: PAGE_SIZE };
+    if (filters.origin) params.departure_point = filters.origin;
+    if (filters.seats) params.min_seats = filters.seats;
+    if (filters.start_time) params.start_time = filters.start_time;
+    if (filters.end_time) params.end_time = filters.end_time;
+    if (filters.max_price) params.max_price = filters.max_price;
+    if (nearby) {
+      params.near = `${nearby.lat},${nearby.lng}`;
+      params.radiusMeters = nearbyRadius;
+    }
+    return params;
+  }
 
-  // Refetch when filters change (origin, seats, start_time, end_time)
+  // Refetch the first page when filters or sort change (origin, seats, start_time, end_time...)
   useEffect(() => {
     let ignore = false;
     async function refetch() {
       setLoading(true);
       setError("");
+      setLoadMoreError("");
       try {
-        const params = {};
-        if (filters.origin) params.departure_point = filters.origin;
-        if (filters.seats) params.min_seats = filters.seats;
-        if (filters.start_time) params.start_time = filters.start_time;
-        if (filters.end_time) params.end_time = filters.end_time;
-        if (filters.max_price) params.max_price = filters.max_price;
-        const resp = await api.get("/trips", { params });
+        const resp = await api.get("/trips", { params: buildTripParams() });
         const data = resp?.data;
-        if (!ignore) setTrips(Array.isArray(data?.trips) ? data.trips : []);
+        if (!ignore) {
+          const list = Array.isArray(data?.trips) ? data.trips : [];
+          setTrips(list);
+          setPaging({
+            total: Number.isFinite(data?.total) ? data.total : list.length,
+            nextCursor: data?.nextCursor || null
+          });
+        }
       } catch (err) {
         console.error("trips list", err);
         if (!ignore) setError("No se pudieron cargar los viajes. Intenta nuevamente.");
@@ -151,7 +235,66 @@ export default function TripList() {
       ignore = true;
       clearTimeout(id);
     };
-  }, [filters.origin, filters.seats, filters.start_time, filters.end_time, filters.max_price]);
+  }, [
+    filters.origin,
+    filters.seats,
+    filters.start_time,
+    filters.end_time,
+    filters.max_price,
+    nearby,
+    nearbyRadius,
+    sort
+  ]);
+
+  async function loadMoreTrips() {
+    if (!paging.nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    setLoadMoreError("");
+    try {
+      const { data } = await api.get("/trips", { params: { ...buildTripParams(), cursor: paging.nextCursor } });
+      const page = Array.isArray(data?.trips) ? data.trips : [];
+      setTrips((prev) => {
+        const known = new Set(prev.map((trip) => trip._id));
+        return [...prev, ...page.filter((trip) => !known.has(trip._id))];
+      });
+      setPaging((prev) => ({
+        total: Number.isFinite(data?.total) ? data.total : prev.total,
+        nextCursor: data?.nextCursor || null
+      }));
+    } catch (err) {
+      console.error("trips next page", err);
+      setLoadMoreError(apiErrorMessage(err, "No se pudieron cargar más viajes. Intenta nuevamente."));
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  function handleNearbySearch() {
+    if (nearby) {
+      setNearby(null);
+      return;
+    }
+    if (!navigator.geolocation) {
+      setLocationError("Tu navegador no permite compartir la ubicación.");
+      return;
+    }
+    setLocating(true);
+    setLocationError("");
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setNearby({
+          lat: Number(position.coords.latitude.toFixed(6)),
+          lng: Number(position.coords.longitude.toFixed(6))
+        });
+        setLocating(false);
+      },
+      () => {
+        setLocationError("No pudimos obtener tu ubicación. Revisa los permisos del navegador.");
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  }
 
   const filteredTrips = useMemo(() => {
     const originFilter = filters.origin.trim().toLowerCase();
@@ -236,6 +379,9 @@ export default function TripList() {
       };
       const { data } = await api.post(`/trips/${reservationTrip._id}/reservations`, payload);
       let nextTrip = data?.trip || null;
+      if (data?.reservation) {
+        setMyReservations((prev) => ({ ...prev, [reservationTrip._id]: data.reservation }));
+      }
 
       // Only allow pickup suggestions for legacy trips
       if (customPickupEnabled && !isNewStyleTrip(reservationTrip)) {
@@ -263,8 +409,7 @@ export default function TripList() {
       });
       resetReservationState();
     } catch (err) {
-      const message = err?.response?.data?.error || "No se pudo reservar el viaje";
-      setReservationError(message);
+      setReservationError(apiErrorMessage(err, "No se pudo reservar el viaje"));
       setReservationSending(false);
     }
   }
@@ -413,6 +558,49 @@ export default function TripList() {
         </label>
       </form>
 
+      <div className="mb-6 flex flex-wrap items-center gap-3 text-sm text-slate-600">
+        <button
+          type="button"
+          className={`rounded-md px-4 py-2 text-sm font-medium ${
+            nearby ? "bg-slate-100 text-slate-700 hover:bg-slate-200" : "bg-emerald-600 text-white hover:bg-emerald-700"
+          } disabled:opacity-60`}
+          disabled={locating}
+          onClick={handleNearbySearch}
+        >
+          {locating ? "Buscando tu ubicación..." : nearby ? "Quitar búsqueda cercana" : "Cerca de mí"}
+        </button>
+        <label className="flex items-center gap-2">
+          Distancia a pie
+          <select
+            className="rounded-md border border-slate-200 px-2 py-1 text-sm"
+            value={nearbyRadius}
+            onChange={(event) => setNearbyRadius(Number(event.target.value))}
+          >
+            {NEARBY_RADIUS_OPTIONS.map((meters) => (
+              <option key={meters} value={meters}>
+                {formatDistance(meters)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 sm:ml-auto">
+          Ordenar por
+          <select
+            className="rounded-md border border-slate-200 px-2 py-1 text-sm"
+            value={sort}
+            onChange={(event) => setSort(event.target.value)}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {nearby && <span className="text-xs text-slate-500">Mostrando viajes que pasan cerca de ti.</span>}
+        {locationError && <span className="text-xs text-red-600">{locationError}</span>}
+      </div>
+
       {loading ? (
         <p className="text-sm text-slate-500">Cargando viajes...</p>
       ) : error ? (
@@ -427,12 +615,7 @@ export default function TripList() {
               trip.driver?._id?.toString?.() ||
               (typeof trip.driver === "string" ? trip.driver : "");
             const isOwner = user?.id && driverId === user.id;
-            const myReservation = user
-              ? (trip.reservations || []).find((reservation) =>
-                  (reservation.passenger || "").toString() === user.id &&
-                  !["cancelled", "rejected"].includes(reservation.status)
-                )
-              : null;
+            const myReservation = user ? myReservations[trip._id] : null;
             const myReservationStatus = myReservation?.status;
             const driverName = formatDriverName(trip.driver);
             const driverInitials = extractInitials(driverName);
@@ -450,7 +633,16 @@ export default function TripList() {
                       {driverInitials}
                     </div>
                     <div>
-                      <p className="text-sm font-semibold text-slate-900">{driverName}</p>
+                      {driverId ? (
+                        <Link
+                          to={`/users/${driverId}`}
+                          className="text-sm font-semibold text-slate-900 hover:text-blue-600 hover:underline"
+                        >
+                          {driverName}
+                        </Link>
+                      ) : (
+                        <p className="text-sm font-semibold text-slate-900">{driverName}</p>
+                      )}
                       <p className="text-xs text-slate-500">
                         {vehicleLabel}
                         {plateLabel}
@@ -476,6 +668,11 @@ export default function TripList() {
                       <p className="text-xs uppercase tracking-wide text-slate-500">Recogida</p>
                       <p className="font-medium text-slate-900">{trip.origin}</p>
                       <p className="text-xs text-slate-500">{displayDate}</p>
+                      {trip.nearestPickup && (
+                        <p className="text-xs font-medium text-emerald-700">
+                          A {formatDistance(trip.nearestPickup.distanceMeters)} de ti · {trip.nearestPickup.name}
+                        </p>
+                      )}
                     </div>
                   </div>
                   <div className="flex items-start gap-3">
@@ -524,6 +721,9 @@ export default function TripList() {
                 )}
 
                 <div className="mt-6 flex flex-wrap items-center justify-end gap-3">
+                  <Link to={`/trips/${trip._id}`} className="text-sm font-medium text-blue-600 hover:underline">
+                    Ver detalle
+                  </Link>
                   {isOwner ? (
                     <span className="rounded-full bg-slate-100 px-3 py-1 text-xs font-medium text-slate-500">
                       Este viaje es tuyo
@@ -561,6 +761,17 @@ export default function TripList() {
         </div>
       )}
 
+      {!loading && !error && (
+        <LoadMore
+          shown={trips.length}
+          total={paging.total}
+          hasMore={Boolean(paging.nextCursor)}
+          loading={loadingMore}
+          error={loadMoreError}
+          onLoadMore={loadMoreTrips}
+        />
+      )}
+
       {reservationTrip && (
         <div className="fixed inset-0 z-20 flex items-center justify-center bg-slate-900/50 p-4">
           <div className="w-full max-w-md rounded-xl border border-white/60 bg-white p-6 shadow-lg">
@@ -1,5 +1,6 @@
 import { render, screen, waitFor } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
+import { MemoryRouter } from "react-router-dom";
 import TripList from "./TripList.jsx";
 
 const mockGet = jest.fn();
@@ -69,7 +70,11 @@ describe("TripList pickup suggestions", () => {
         }
       });
 
-    render(<TripList />);
+    render(
+      <MemoryRouter>
+        <TripList />
+      </MemoryRouter>
+    );
 
     const reserveButton = await screen.findByRole("button", { name: /Reservar/i });
     await userEvent.click(reserveButton);
@@ -118,3 +123,81 @@ describe("TripList pickup suggestions", () => {
     );
   });
 });
+
+describe("TripList nearby search", () => {
+  const originalGeolocation = navigator.geolocation;
+
+  beforeEach(() => {
+    mockGet.mockReset();
+    Object.defineProperty(navigator, "geolocation", {
+      configurable: true,
+      value: {
+        getCurrentPosition: (success) => success({ coords: { latitude: 4.8612, longitude: -74.0322 } })
+      }
+    });
+  });
+
+  afterEach(() => {
+    Object.defineProperty(navigator, "geolocation", { configurable: true, value: originalGeolocation });
+  });
+
+  it("busca viajes cerca de la ubicación y muestra la distancia al punto de recogida", async () => {
+    const trip = {
+      ...tripFixture(),
+      pickupPoints: [{ name: "Portería principal", lat: 4.861, lng: -74.032 }],
+      nearestPickup: { name: "Portería principal", lat: 4.861, lng: -74.032, distanceMeters: 30 }
+    };
+    mockGet.mockResolvedValue({ data: { trips: [trip], reservations: [] } });
+
+    render(
+      <MemoryRouter>
+        <TripList />
+      </MemoryRouter>
+    );
+
+    await userEvent.click(await screen.findByRole("button", { name: /Cerca de mí/i }));
+
+    await waitFor(() =>
+      expect(mockGet).toHaveBeenCalledWith("/trips", {
+        params: expect.objectContaining({ near: "4.8612,-74.0322", radiusMeters: 800 })
+      })
+    );
+    expect(await screen.findByText(/A 30 m de ti · Portería principal/)).toBeInTheDocument();
+  });
+});
+
+describe("TripList pagination", () => {
+  beforeEach(() => {
+    mockGet.mockReset();
+  });
+
+  it("carga la siguiente página con el cursor y cambia el orden", async () => {
+    const firstPage = { ...tripFixture(), _id: "trip-1", origin: "Campus" };
+    const secondPage = { ...tripFixture(), _id: "trip-2", origin: "Portal Norte" };
+    mockGet.mockImplementation((url, config) => {
+      if (url === "/reservations/mine") return Promise.resolve({ data: { reservations: [] } });
+      if (config?.params?.cursor === "cursor-2") {
+        return Promise.resolve({ data: { trips: [secondPage], total: 2, nextCursor: null } });
+      }
+      return Promise.resolve({ data: { trips: [firstPage], total: 2, nextCursor: "cursor-2" } });
+    });
+
+    render(
+      <MemoryRouter>
+        <TripList />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText("Mostrando 1 de 2 viajes")).toBeInTheDocument();
+    await userEvent.click(screen.getByRole("button", { name: /Cargar más/i }));
+
+    expect(await screen.findByText("Portal Norte")).toBeInTheDocument();
+    expect(screen.getByText("Mostrando 2 de 2 viajes")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: /Cargar más/i })).not.toBeInTheDocument();
+
+    await userEvent.selectOptions(screen.getByLabelText(/Ordenar por/i), "price");
+    await waitFor(() =>
+      expect(mockGet).toHaveBeenCalledWith("/trips", { params: expect.objectContaining({ sort: "price" }) })
+    );
+  });
+});
@@ -1,5 +1,6 @@
 import { useMemo, useState } from "react";
 import api from "../../utils/api";
+import { resolveAssetUrl } from "../../utils/assetUrl";
 import { useAuth } from "../../context/AuthContext.jsx";
 import useVehiclesOverview from "./hooks/useVehiclesOverview.js";
 
@@ -38,15 +39,6 @@ function isDocumentValid(dateValue) {
   return date >= now;
 }
 
-function resolveAssetUrl(pathValue) {
-  if (!pathValue) return "";
-  if (/^https?:\/\//i.test(pathValue)) return pathValue;
-  const base = api.defaults?.baseURL || "";
-  const baseTrimmed = base.replace(/\/$/, "");
-  const path = pathValue.startsWith("/") ? pathValue : `/${pathValue}`;
-  return `${baseTrimmed}${path}`;
-}
-
 const readinessCopy = {
   ready: {
     title: "Todo listo para conducir",
@@ -6,10 +6,14 @@ import CalculateDistanceSystem from "../features/CalculateDistanceSystem/index.j
 import Dashboard from "../features/Dashboard/Dashboard.jsx";
 import TripList from "../features/Trips/TripList.jsx";
 import TripForm from "../features/Trips/TripForm.jsx";
+import TripDetail from "../features/Trips/TripDetail.jsx";
 import VehiclesPage from "../features/Vehicles/VehiclesPage.jsx";
 import ReservationsPage from "../features/Reservations/ReservationsPage.jsx";
 import ProfilePage from "../features/Profile/ProfilePage.jsx";
+import PublicProfile from "../features/Profile/PublicProfile.jsx";
 import Logout from "../features/Auth/Logout.jsx";
+import AdminVehiclesPage from "../features/Admin/AdminVehiclesPage.jsx";
+import AdminRatingsPage from "../features/Admin/AdminRatingsPage.jsx";
 
 export default [
   <Route
@@ -36,6 +40,22 @@ export default [
       </ProtectedRoute>
     }
   />,
+  <Route
+    path="/trips/:id"
+    element={
+      <ProtectedRoute>
+        <TripDetail />
+      </ProtectedRoute>
+    }
+  />,
+  <Route
+    path="/trips/:id/edit"
+    element={
+      <ProtectedRoute>
+        <TripForm mode="edit" />
+      </ProtectedRoute>
+    }
+  />,
   <Route
     path="/vehicles"
     element={
@@ -60,6 +80,30 @@ export default [
       </ProtectedRoute>
     }
   />,
+  <Route
+    path="/users/:id"
+    element={
+      <ProtectedRoute>
+        <PublicProfile />
+      </ProtectedRoute>
+    }
+  />,
+  <Route
+    path="/admin/vehicles"
+    element={
+      <ProtectedRoute>
+        <AdminVehiclesPage />
+      </ProtectedRoute>
+    }
+  />,
+  <Route
+    path="/admin/ratings"
+    element={
+      <ProtectedRoute>
+        <AdminRatingsPage />
+      </ProtectedRoute>
+    }
+  />,
   <Route
     path="/logout"
     element={
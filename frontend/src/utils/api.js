@@ -22,4 +22,83 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Access tokens are short-lived: on a 401 the refresh token is traded for a new pair and the
+// request is retried once. Concurrent 401s share a single refresh (reusing a rotated refresh
+// token makes the backend close the session).
+const sessionListeners = new Set();
+let refreshInFlight = null;
+
+export function setAuthTokens({ token, refreshToken }) {
+  if (token) localStorage.setItem("token", token);
+  else localStorage.removeItem("token");
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+  else if (!token) localStorage.removeItem("refreshToken");
+}
+
+// Called with the new access token after a refresh, or with "" when the session is over.
+export function onAuthTokenChange(listener) {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+}
+
+function notifyTokenChange(token) {
+  sessionListeners.forEach((listener) => listener(token));
+}
+
+export function refreshTokens() {
+  if (!refreshInFlight) {
+    const refreshToken = localStorage.getItem("refreshToken");
+    refreshInFlight = (refreshToken
+      ? axios.post(`${apiBaseUrl}/auth/refresh`, { refreshToken }, { timeout: apiTimeout })
+      : Promise.reject(new Error("No refresh token"))
+    )
+      .then(({ data }) => {
+        setAuthTokens(data);
+        notifyTokenChange(data.token);
+        return data.token;
+      })
+      .catch((err) => {
+        // Another tab may have rotated the tokens meanwhile; only drop the session if nothing changed.
+        if (localStorage.getItem("refreshToken") === refreshToken) {
+          setAuthTokens({});
+          notifyTokenChange("");
+        }
+        throw err;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+}
+
+const NO_REFRESH_PATHS = ["/auth/login", "/auth/login/verify", "/auth/refresh", "/auth/logout"];
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error?.config;
+    const sentToken = config?.headers?.Authorization?.replace(/^Bearer /, "");
+    if (
+      error?.response?.status !== 401 ||
+      !config ||
+      config._retried ||
+      !sentToken ||
+      NO_REFRESH_PATHS.includes(config.url)
+    ) {
+      throw error;
+    }
+    config._retried = true;
+    const latestToken = localStorage.getItem("token");
+    // Another request (or tab) already refreshed: just retry with the newer token.
+    if (latestToken && latestToken !== sentToken) return api(config);
+    try {
+      await refreshTokens();
+    } catch {
+      throw error;
+    }
+    return api(config);
+  }
+);
+
 export default api;
@@ -0,0 +1,20 @@
+// Turns an API error into the message shown to the user. Overlap 409s carry a `conflict.trip`
+// describing the other trip, which is appended so the user knows which one to change.
+export function apiErrorMessage(err, fallback) {
+  const data = err?.response?.data;
+  const message = data?.error || fallback;
+  const trip = data?.conflict?.trip;
+  if (!trip) return message;
+
+  const departure = new Date(trip.departureAt);
+  const when = Number.isNaN(departure.getTime())
+    ? ""
+    : ` (${departure.toLocaleString("es-CO", {
+        weekday: "short",
+        day: "numeric",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit"
+      })})`;
+  return `${message}: ${trip.origin || ""} → ${trip.destination || ""}${when}`;
+}
@@ -0,0 +1,11 @@
+import api from "./api";
+
+// Files uploaded to the backend come back as "/uploads/..." paths served by the API host.
+export function resolveAssetUrl(pathValue) {
+  if (!pathValue) return "";
+  if (/^https?:\/\//i.test(pathValue)) return pathValue;
+  const base = api.defaults?.baseURL || "";
+  const baseTrimmed = base.replace(/\/$/, "");
+  const path = pathValue.startsWith("/") ? pathValue : `/${pathValue}`;
+  return `${baseTrimmed}${path}`;
+}
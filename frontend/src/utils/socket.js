@@ -0,0 +1,44 @@
+import { io } from "socket.io-client";
+import api, { refreshTokens } from "./api";
+
+// Single Socket.IO connection shared by every page, authenticated with the stored JWT.
+let socket = null;
+let socketToken = "";
+
+export function getSocket() {
+  const token = localStorage.getItem("token") || "";
+  if (!token) {
+    disconnectSocket();
+    return null;
+  }
+  if (socket && socketToken === token) return socket;
+
+  disconnectSocket();
+  // Read the token on every (re)connect: api.js may have refreshed it since the socket opened.
+  socket = io(api.defaults?.baseURL, {
+    auth: (cb) => cb({ token: localStorage.getItem("token") || token }),
+    transports: ["websocket", "polling"]
+  });
+  socketToken = token;
+
+  // The server closes the socket when the access token expires or the session is revoked. Renew the
+  // token and reconnect; if the refresh fails the session is over and AuthContext drops the socket.
+  const current = socket;
+  current.on("disconnect", (reason) => {
+    if (reason !== "io server disconnect") return;
+    refreshTokens()
+      .then((nextToken) => {
+        if (socket !== current) return;
+        socketToken = nextToken;
+        current.connect();
+      })
+      .catch(() => {});
+  });
+  return socket;
+}
+
+export function disconnectSocket() {
+  if (socket) socket.disconnect();
+  socket = null;
+  socketToken = "";
+}
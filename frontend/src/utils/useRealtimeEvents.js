@@ -0,0 +1,22 @@
+import { useEffect, useRef } from "react";
+import { getSocket } from "./socket";
+
+// Subscribe to server events ({ "trip.updated": (payload) => ... }) while the component is mounted.
+// Handlers may change on every render; only the set of event names re-binds the listeners.
+export default function useRealtimeEvents(handlers, { enabled = true } = {}) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  const eventKey = Object.keys(handlers).sort().join(",");
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const socket = getSocket();
+    if (!socket) return undefined;
+
+    const listeners = eventKey.split(",").map((event) => [event, (payload) => handlersRef.current[event]?.(payload)]);
+    listeners.forEach(([event, listener]) => socket.on(event, listener));
+    return () => {
+      listeners.forEach(([event, listener]) => socket.off(event, listener));
+    };
+  }, [enabled, eventKey]);
+}